@@ -0,0 +1,16 @@
+-- Reembolsos de vendas (parciais e totais)
+
+-- Novo status para vendas parcialmente reembolsadas
+ALTER TABLE sales DROP CONSTRAINT IF EXISTS sales_status_check;
+ALTER TABLE sales ADD CONSTRAINT sales_status_check
+    CHECK (status IN ('pending', 'completed', 'cancelled', 'partially_refunded', 'refunded'));
+
+-- Valor já reembolsado e histórico de reembolsos
+ALTER TABLE sales ADD COLUMN IF NOT EXISTS refunded_amount DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (refunded_amount >= 0);
+ALTER TABLE sales ADD COLUMN IF NOT EXISTS refunds JSONB NOT NULL DEFAULT '[]';
+
+-- Transações financeiras passam a registrar o método de pagamento
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS payment_method VARCHAR(50);
+
+-- Índice para localizar lançamentos vinculados a vendas
+CREATE INDEX IF NOT EXISTS idx_transactions_reference ON transactions(reference_id, reference_type);
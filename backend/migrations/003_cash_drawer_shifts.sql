@@ -0,0 +1,37 @@
+-- Turnos de caixa: suprimentos, sangrias, fechamento cego e relatório Z
+
+-- Dados do turno no caixa
+ALTER TABLE cash_drawers ADD COLUMN IF NOT EXISTS location VARCHAR(100);
+ALTER TABLE cash_drawers ADD COLUMN IF NOT EXISTS closed_by UUID REFERENCES users(id);
+ALTER TABLE cash_drawers ADD COLUMN IF NOT EXISTS counted_denominations JSONB;
+ALTER TABLE cash_drawers ADD COLUMN IF NOT EXISTS blind_close BOOLEAN DEFAULT FALSE;
+ALTER TABLE cash_drawers ADD COLUMN IF NOT EXISTS z_report JSONB;
+
+CREATE INDEX IF NOT EXISTS idx_cash_drawers_location ON cash_drawers(location);
+
+-- Vendas vinculadas ao caixa em que foram registradas
+CREATE INDEX IF NOT EXISTS idx_sales_cash_drawer_id ON sales(cash_drawer_id);
+
+-- Movimentações manuais e devoluções em dinheiro
+CREATE TABLE IF NOT EXISTS cash_drawer_movements (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    cash_drawer_id UUID NOT NULL REFERENCES cash_drawers(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    type VARCHAR(20) NOT NULL CHECK (type IN ('cash_in', 'cash_out', 'refund')),
+    amount DECIMAL(10,2) NOT NULL CHECK (amount > 0),
+    reason VARCHAR(255) NOT NULL,
+    notes TEXT,
+    reference_id UUID,
+    reference_type VARCHAR(50),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_cash_drawer_movements_drawer ON cash_drawer_movements(cash_drawer_id);
+CREATE INDEX IF NOT EXISTS idx_cash_drawer_movements_type ON cash_drawer_movements(type);
+
+DROP TRIGGER IF EXISTS set_updated_at ON cash_drawer_movements;
+CREATE TRIGGER set_updated_at
+BEFORE UPDATE ON cash_drawer_movements
+FOR EACH ROW
+EXECUTE FUNCTION update_updated_at_column();
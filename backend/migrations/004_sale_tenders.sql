@@ -0,0 +1,5 @@
+-- Pagamentos divididos (múltiplas formas de pagamento por venda)
+
+-- Formas de pagamento aplicadas na venda e troco devolvido
+ALTER TABLE sales ADD COLUMN IF NOT EXISTS tenders JSONB NOT NULL DEFAULT '[]';
+ALTER TABLE sales ADD COLUMN IF NOT EXISTS change_amount DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (change_amount >= 0);
@@ -0,0 +1,11 @@
+-- Sincronização de vendas offline do PDV
+
+-- Chave gerada pelo PDV para evitar vendas duplicadas na sincronização
+ALTER TABLE sales ADD COLUMN IF NOT EXISTS idempotency_key VARCHAR(100);
+
+-- Data/hora em que a venda foi feita no PDV sem conexão
+ALTER TABLE sales ADD COLUMN IF NOT EXISTS offline_created_at TIMESTAMP;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_sales_user_idempotency_key
+    ON sales(user_id, idempotency_key)
+    WHERE idempotency_key IS NOT NULL;
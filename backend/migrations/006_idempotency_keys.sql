@@ -0,0 +1,26 @@
+-- Chaves de idempotência para rotas que movimentam dinheiro
+
+-- Resposta original armazenada por usuário e chave (cabeçalho Idempotency-Key)
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    key VARCHAR(255) NOT NULL,
+    method VARCHAR(10) NOT NULL,
+    path VARCHAR(500) NOT NULL,
+    request_hash VARCHAR(64) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'processing' CHECK (status IN ('processing', 'completed')),
+    response_status INTEGER,
+    response_body JSONB,
+    expires_at TIMESTAMP NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (user_id, key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_idempotency_keys_expires_at ON idempotency_keys(expires_at);
+
+DROP TRIGGER IF EXISTS set_updated_at ON idempotency_keys;
+CREATE TRIGGER set_updated_at
+BEFORE UPDATE ON idempotency_keys
+FOR EACH ROW
+EXECUTE FUNCTION update_updated_at_column();
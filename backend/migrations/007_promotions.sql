@@ -0,0 +1,43 @@
+-- Promoções, campanhas e cupons de desconto
+
+CREATE TABLE IF NOT EXISTS promotions (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+    -- percentage = % de desconto, fixed = valor fixo, buy_x_get_y = leve X pague Y
+    type VARCHAR(20) NOT NULL CHECK (type IN ('percentage', 'fixed', 'buy_x_get_y')),
+    -- order = venda inteira, products = produtos selecionados, category = categoria inteira
+    scope VARCHAR(20) NOT NULL DEFAULT 'order' CHECK (scope IN ('order', 'products', 'category')),
+    value DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (value >= 0),
+    product_ids JSONB NOT NULL DEFAULT '[]',
+    category VARCHAR(100),
+    buy_quantity INTEGER CHECK (buy_quantity > 0),
+    get_quantity INTEGER CHECK (get_quantity > 0),
+    min_purchase DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (min_purchase >= 0),
+    coupon_code VARCHAR(50),
+    usage_limit INTEGER CHECK (usage_limit > 0),
+    usage_count INTEGER NOT NULL DEFAULT 0 CHECK (usage_count >= 0),
+    starts_at TIMESTAMP,
+    ends_at TIMESTAMP,
+    priority INTEGER NOT NULL DEFAULT 0,
+    stackable BOOLEAN NOT NULL DEFAULT TRUE,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (ends_at IS NULL OR starts_at IS NULL OR ends_at > starts_at)
+);
+
+CREATE INDEX IF NOT EXISTS idx_promotions_user_active ON promotions(user_id, is_active);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_promotions_user_coupon_code
+    ON promotions(user_id, UPPER(coupon_code))
+    WHERE coupon_code IS NOT NULL;
+
+DROP TRIGGER IF EXISTS set_updated_at ON promotions;
+CREATE TRIGGER set_updated_at
+BEFORE UPDATE ON promotions
+FOR EACH ROW
+EXECUTE FUNCTION update_updated_at_column();
+
+-- Cupom utilizado em cada venda
+ALTER TABLE sales ADD COLUMN IF NOT EXISTS coupon_code VARCHAR(50);
@@ -0,0 +1,16 @@
+-- Vínculo dos documentos com o registro de origem (ex.: fatura gerada a partir de uma venda)
+
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS reference_id UUID;
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS reference_type VARCHAR(50);
+
+-- Campos do modelo que ainda não existiam na tabela
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS metadata JSONB DEFAULT '{}';
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS notes TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_documents_reference
+    ON documents(reference_type, reference_id);
+
+-- Apenas uma fatura ativa por registro de origem
+CREATE UNIQUE INDEX IF NOT EXISTS idx_documents_invoice_reference
+    ON documents(reference_type, reference_id)
+    WHERE type = 'invoice' AND status <> 'cancelled' AND reference_id IS NOT NULL;
@@ -0,0 +1,11 @@
+-- Vendas suspensas (carrinhos estacionados no PDV)
+
+-- Vendas com status pending reservam estoque até esta data/hora
+ALTER TABLE sales ADD COLUMN IF NOT EXISTS parked_until TIMESTAMP;
+
+-- Identificação do carrinho para o operador (ex.: nome do cliente)
+ALTER TABLE sales ADD COLUMN IF NOT EXISTS parked_label VARCHAR(100);
+
+CREATE INDEX IF NOT EXISTS idx_sales_parked
+    ON sales(location, parked_until)
+    WHERE status = 'pending';
@@ -0,0 +1,57 @@
+-- Variações de produto (tamanho, cor, sabor...) e modificadores/adicionais
+
+-- Produto com variações: o estoque do produto é a soma do estoque das variações
+ALTER TABLE products ADD COLUMN IF NOT EXISTS has_variants BOOLEAN NOT NULL DEFAULT FALSE;
+
+CREATE TABLE IF NOT EXISTS product_variants (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    -- Atributos da variação, ex.: {"tamanho": "M", "cor": "Azul"}
+    attributes JSONB NOT NULL DEFAULT '{}',
+    sku VARCHAR(100) UNIQUE NOT NULL,
+    barcode VARCHAR(100) UNIQUE,
+    -- Preço e custo próprios (NULL = usa os do produto)
+    price DECIMAL(10,2) CHECK (price > 0),
+    cost DECIMAL(10,2) CHECK (cost >= 0),
+    stock INTEGER NOT NULL DEFAULT 0 CHECK (stock >= 0),
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    sort_order INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_product_variants_product_id ON product_variants(product_id);
+
+DROP TRIGGER IF EXISTS set_updated_at ON product_variants;
+CREATE TRIGGER set_updated_at
+BEFORE UPDATE ON product_variants
+FOR EACH ROW
+EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TABLE IF NOT EXISTS product_modifiers (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    -- Grupo exibido no PDV, ex.: "Adicionais", "Ponto da carne"
+    group_name VARCHAR(100) NOT NULL DEFAULT 'Adicionais',
+    name VARCHAR(100) NOT NULL,
+    -- Acréscimo no preço unitário do item (0 = opção sem custo)
+    price DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (price >= 0),
+    max_quantity INTEGER NOT NULL DEFAULT 1 CHECK (max_quantity > 0),
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    sort_order INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_product_modifiers_product_id ON product_modifiers(product_id);
+
+DROP TRIGGER IF EXISTS set_updated_at ON product_modifiers;
+CREATE TRIGGER set_updated_at
+BEFORE UPDATE ON product_modifiers
+FOR EACH ROW
+EXECUTE FUNCTION update_updated_at_column();
+
+-- Movimentações de estoque por variação
+ALTER TABLE inventory_movements ADD COLUMN IF NOT EXISTS variant_id UUID REFERENCES product_variants(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_inventory_movements_variant_id ON inventory_movements(variant_id);
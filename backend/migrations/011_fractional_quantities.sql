@@ -0,0 +1,57 @@
+-- Quantidades fracionadas (produtos vendidos por peso ou medida: kg, g, l, m...)
+-- Estoque e movimentações passam a aceitar até 3 casas decimais (gramas, mililitros)
+
+-- As views dependem de products.stock e precisam ser recriadas
+DROP VIEW IF EXISTS dashboard_stats;
+DROP VIEW IF EXISTS low_stock_products;
+
+ALTER TABLE products
+    ALTER COLUMN stock TYPE NUMERIC(12,3),
+    ALTER COLUMN min_stock TYPE NUMERIC(12,3),
+    ALTER COLUMN max_stock TYPE NUMERIC(12,3);
+
+ALTER TABLE product_variants
+    ALTER COLUMN stock TYPE NUMERIC(12,3);
+
+ALTER TABLE inventory_movements
+    ALTER COLUMN quantity TYPE NUMERIC(12,3),
+    ALTER COLUMN previous_quantity TYPE NUMERIC(12,3),
+    ALTER COLUMN new_quantity TYPE NUMERIC(12,3);
+
+-- Recriar as views com as colunas em NUMERIC
+
+-- View para dashboard
+CREATE VIEW dashboard_stats AS
+SELECT 
+    u.id as user_id,
+    COUNT(DISTINCT p.id) as total_products,
+    COUNT(DISTINCT c.id) as total_customers,
+    COUNT(DISTINCT s.id) as total_sales,
+    COALESCE(SUM(s.total), 0) as total_revenue,
+    COALESCE(SUM(CASE WHEN DATE(s.created_at) = CURRENT_DATE THEN s.total ELSE 0 END), 0) as today_revenue,
+    COALESCE(SUM(CASE WHEN EXTRACT(MONTH FROM s.created_at) = EXTRACT(MONTH FROM CURRENT_DATE) 
+                      AND EXTRACT(YEAR FROM s.created_at) = EXTRACT(YEAR FROM CURRENT_DATE) 
+                 THEN s.total ELSE 0 END), 0) as monthly_revenue,
+    COUNT(DISTINCT CASE WHEN p.stock <= p.min_stock THEN p.id END) as low_stock_products,
+    COUNT(DISTINCT CASE WHEN p.stock = 0 THEN p.id END) as out_of_stock_products,
+    COALESCE(SUM(p.cost * p.stock), 0) as inventory_value
+FROM users u
+LEFT JOIN products p ON u.id = p.user_id
+LEFT JOIN customers c ON u.id = c.user_id
+LEFT JOIN sales s ON u.id = s.user_id AND s.status = 'completed'
+GROUP BY u.id;
+
+-- View para produtos com estoque baixo
+CREATE VIEW low_stock_products AS
+SELECT 
+    p.*,
+    u.name as user_name,
+    u.email as user_email,
+    CASE 
+        WHEN p.stock = 0 THEN 'Sem estoque'
+        WHEN p.stock <= p.min_stock THEN 'Estoque baixo'
+        ELSE 'Normal'
+    END as stock_status
+FROM products p
+JOIN users u ON p.user_id = u.id
+WHERE p.status = 'active' AND (p.stock = 0 OR p.stock <= p.min_stock);
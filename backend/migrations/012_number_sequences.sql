@@ -0,0 +1,48 @@
+-- Numeração de vendas e documentos por empresa, com séries por local e reinício periódico
+
+-- Configuração da numeração (location NULL = padrão da empresa, preenchido = série do local)
+CREATE TABLE IF NOT EXISTS number_sequences (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    -- Empresa dona da numeração (users.company_name ou o id do usuário sem empresa)
+    tenant_key VARCHAR(255) NOT NULL,
+    type VARCHAR(30) NOT NULL CHECK (type IN ('sale', 'invoice', 'purchase_order', 'requisition', 'contract', 'other')),
+    location VARCHAR(100),
+    prefix VARCHAR(20) NOT NULL DEFAULT '',
+    -- Tokens: {prefix} {location} {yyyy} {yy} {mm} {dd} {seq}
+    format VARCHAR(100) NOT NULL,
+    reset_period VARCHAR(10) NOT NULL DEFAULT 'never' CHECK (reset_period IN ('never', 'daily', 'monthly', 'yearly')),
+    padding INTEGER NOT NULL DEFAULT 4 CHECK (padding BETWEEN 1 AND 10),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_number_sequences_tenant_type_location
+    ON number_sequences(tenant_key, type, COALESCE(location, ''));
+
+DROP TRIGGER IF EXISTS set_updated_at ON number_sequences;
+CREATE TRIGGER set_updated_at
+BEFORE UPDATE ON number_sequences
+FOR EACH ROW
+EXECUTE FUNCTION update_updated_at_column();
+
+-- Contadores: uma linha por série e período, incrementada com UPDATE atômico (lock da linha até o commit)
+CREATE TABLE IF NOT EXISTS number_sequence_counters (
+    tenant_key VARCHAR(255) NOT NULL,
+    type VARCHAR(30) NOT NULL,
+    -- Local da série ('' = série única da empresa)
+    series VARCHAR(100) NOT NULL DEFAULT '',
+    -- Período do reinício: AAAAMMDD, AAAAMM, AAAA ou '' (nunca reinicia)
+    period VARCHAR(8) NOT NULL DEFAULT '',
+    last_value INTEGER NOT NULL DEFAULT 0,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (tenant_key, type, series, period)
+);
+
+-- A geração por trigger lia o MAX do dia e gerava números duplicados em vendas simultâneas
+DROP TRIGGER IF EXISTS trigger_generate_sale_number ON sales;
+DROP FUNCTION IF EXISTS generate_sale_number();
+
+-- Cada empresa tem sua própria numeração: a unicidade passa a ser por usuário
+ALTER TABLE sales DROP CONSTRAINT IF EXISTS sales_sale_number_key;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_sales_user_sale_number ON sales(user_id, sale_number);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_documents_user_document_number ON documents(user_id, document_number);
@@ -0,0 +1,27 @@
+-- Vendas parceladas (crediário): entrada, parcelas com vencimento e reserva de estoque até a quitação
+
+-- Novo status para vendas parceladas em aberto
+ALTER TABLE sales DROP CONSTRAINT IF EXISTS sales_status_check;
+ALTER TABLE sales ADD CONSTRAINT sales_status_check
+    CHECK (status IN ('pending', 'completed', 'cancelled', 'partially_refunded', 'refunded', 'layaway'));
+
+-- Plano de parcelamento (entrada, número de parcelas, juros) e saldo ainda a receber
+ALTER TABLE sales ADD COLUMN IF NOT EXISTS installment_plan JSONB;
+ALTER TABLE sales ADD COLUMN IF NOT EXISTS balance_due DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (balance_due >= 0);
+
+CREATE INDEX IF NOT EXISTS idx_sales_customer_status ON sales(customer_id, status);
+
+-- Entradas e parcelas recebidas em dinheiro entram no saldo do caixa
+ALTER TABLE cash_drawer_movements DROP CONSTRAINT IF EXISTS cash_drawer_movements_type_check;
+ALTER TABLE cash_drawer_movements ADD CONSTRAINT cash_drawer_movements_type_check
+    CHECK (type IN ('cash_in', 'cash_out', 'refund', 'layaway_payment'));
+
+-- Parcelas: vencimento e data de pagamento dos lançamentos (colunas do modelo ausentes no schema inicial)
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS due_date DATE;
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS paid_at TIMESTAMP;
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS attachments JSONB DEFAULT '[]';
+
+-- Parcelas pendentes por vencimento
+CREATE INDEX IF NOT EXISTS idx_transactions_pending_due_date
+    ON transactions(due_date)
+    WHERE status = 'pending';
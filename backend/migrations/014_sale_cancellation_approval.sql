@@ -0,0 +1,8 @@
+-- Cancelamento de vendas com estorno e aprovação por PIN de gerente
+
+-- PIN (hash) do gerente para aprovar cancelamentos acima do valor ou fora do prazo
+ALTER TABLE users ADD COLUMN IF NOT EXISTS manager_pin VARCHAR(255);
+
+-- Estornos de cancelamento consultados pela venda de origem
+CREATE INDEX IF NOT EXISTS idx_inventory_movements_reference
+    ON inventory_movements(reference_id, reference_type);
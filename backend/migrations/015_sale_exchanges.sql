@@ -0,0 +1,44 @@
+-- Trocas: devolução e nova venda na mesma operação, cobrando ou creditando apenas a diferença
+
+-- Numeração própria do documento de troca
+ALTER TABLE number_sequences DROP CONSTRAINT IF EXISTS number_sequences_type_check;
+ALTER TABLE number_sequences ADD CONSTRAINT number_sequences_type_check
+    CHECK (type IN ('sale', 'invoice', 'purchase_order', 'requisition', 'contract', 'exchange', 'other'));
+
+CREATE TABLE IF NOT EXISTS sale_exchanges (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    exchange_number VARCHAR(50) NOT NULL,
+    sale_id UUID NOT NULL REFERENCES sales(id) ON DELETE RESTRICT,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    customer_id UUID REFERENCES customers(id) ON DELETE SET NULL,
+    cash_drawer_id UUID REFERENCES cash_drawers(id) ON DELETE SET NULL,
+    -- Linhas devolvidas (valor líquido da venda original) e novas linhas (preço atual)
+    returned_items JSONB NOT NULL DEFAULT '[]',
+    new_items JSONB NOT NULL DEFAULT '[]',
+    returned_total DECIMAL(10,2) NOT NULL DEFAULT 0,
+    new_total DECIMAL(10,2) NOT NULL DEFAULT 0,
+    -- Positivo = cobrado do cliente, negativo = devolvido ao cliente
+    difference DECIMAL(10,2) NOT NULL DEFAULT 0,
+    payment_method VARCHAR(20),
+    tenders JSONB NOT NULL DEFAULT '[]',
+    change_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+    reason TEXT,
+    location VARCHAR(100),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_sale_exchanges_user_number ON sale_exchanges(user_id, exchange_number);
+CREATE INDEX IF NOT EXISTS idx_sale_exchanges_sale_id ON sale_exchanges(sale_id);
+CREATE INDEX IF NOT EXISTS idx_sale_exchanges_cash_drawer_id ON sale_exchanges(cash_drawer_id);
+
+DROP TRIGGER IF EXISTS set_updated_at ON sale_exchanges;
+CREATE TRIGGER set_updated_at
+BEFORE UPDATE ON sale_exchanges
+FOR EACH ROW
+EXECUTE FUNCTION update_updated_at_column();
+
+-- Diferença recebida em dinheiro entra no saldo do caixa
+ALTER TABLE cash_drawer_movements DROP CONSTRAINT IF EXISTS cash_drawer_movements_type_check;
+ALTER TABLE cash_drawer_movements ADD CONSTRAINT cash_drawer_movements_type_check
+    CHECK (type IN ('cash_in', 'cash_out', 'refund', 'layaway_payment', 'exchange_payment'));
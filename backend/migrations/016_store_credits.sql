@@ -0,0 +1,58 @@
+-- Vales-crédito (devoluções) e vales-presente: saldo por cliente ou código, com validade e extrato
+
+-- Nova forma de pagamento das vendas
+ALTER TABLE sales DROP CONSTRAINT IF EXISTS sales_payment_method_check;
+ALTER TABLE sales ADD CONSTRAINT sales_payment_method_check
+    CHECK (payment_method IN ('cash', 'card', 'transfer', 'pix', 'store_credit', 'multiple'));
+
+CREATE TABLE IF NOT EXISTS store_credits (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    -- Empresa dona do saldo (users.company_name ou o id do usuário sem empresa)
+    tenant_key VARCHAR(255) NOT NULL,
+    code VARCHAR(30) NOT NULL UNIQUE,
+    type VARCHAR(20) NOT NULL CHECK (type IN ('credit_note', 'gift_card')),
+    customer_id UUID REFERENCES customers(id) ON DELETE SET NULL,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    initial_amount DECIMAL(10,2) NOT NULL CHECK (initial_amount > 0),
+    balance DECIMAL(10,2) NOT NULL CHECK (balance >= 0),
+    status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'redeemed', 'expired', 'void')),
+    expires_at TIMESTAMP,
+    source_sale_id UUID REFERENCES sales(id) ON DELETE SET NULL,
+    notes TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_store_credits_tenant_customer ON store_credits(tenant_key, customer_id);
+CREATE INDEX IF NOT EXISTS idx_store_credits_active_expires_at
+    ON store_credits(expires_at)
+    WHERE status = 'active';
+
+DROP TRIGGER IF EXISTS set_updated_at ON store_credits;
+CREATE TRIGGER set_updated_at
+BEFORE UPDATE ON store_credits
+FOR EACH ROW
+EXECUTE FUNCTION update_updated_at_column();
+
+-- Extrato: emissão, resgates, estornos de resgate, expiração e cancelamento
+CREATE TABLE IF NOT EXISTS store_credit_movements (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    store_credit_id UUID NOT NULL REFERENCES store_credits(id) ON DELETE CASCADE,
+    user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    type VARCHAR(20) NOT NULL CHECK (type IN ('issue', 'redeem', 'reversal', 'expire', 'void')),
+    -- Positivo = crédito no saldo, negativo = débito
+    amount DECIMAL(10,2) NOT NULL,
+    balance_after DECIMAL(10,2) NOT NULL,
+    sale_id UUID REFERENCES sales(id) ON DELETE SET NULL,
+    notes TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_store_credit_movements_credit_id ON store_credit_movements(store_credit_id);
+CREATE INDEX IF NOT EXISTS idx_store_credit_movements_sale_id ON store_credit_movements(sale_id);
+
+-- Vale-presente vendido em dinheiro entra no saldo do caixa
+ALTER TABLE cash_drawer_movements DROP CONSTRAINT IF EXISTS cash_drawer_movements_type_check;
+ALTER TABLE cash_drawer_movements ADD CONSTRAINT cash_drawer_movements_type_check
+    CHECK (type IN ('cash_in', 'cash_out', 'refund', 'layaway_payment', 'exchange_payment', 'gift_card_sale'));
@@ -0,0 +1,32 @@
+-- Programa de fidelidade: pontos ganhos em vendas concluídas, resgate como desconto, validade e estorno
+
+-- Saldo atual de pontos do cliente (o extrato fica em loyalty_movements)
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS loyalty_points INTEGER NOT NULL DEFAULT 0 CHECK (loyalty_points >= 0);
+
+-- Pontos ganhos e resgatados em cada venda (base para estornos em reembolsos e cancelamentos)
+ALTER TABLE sales ADD COLUMN IF NOT EXISTS loyalty_points_earned INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE sales ADD COLUMN IF NOT EXISTS loyalty_points_redeemed INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE sales ADD COLUMN IF NOT EXISTS loyalty_discount DECIMAL(10,2) NOT NULL DEFAULT 0;
+
+CREATE TABLE IF NOT EXISTS loyalty_movements (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    customer_id UUID NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+    user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    sale_id UUID REFERENCES sales(id) ON DELETE SET NULL,
+    type VARCHAR(20) NOT NULL CHECK (type IN ('earn', 'redeem', 'expire', 'reversal', 'restore')),
+    -- Positivo = crédito de pontos, negativo = débito
+    points INTEGER NOT NULL,
+    balance_after INTEGER NOT NULL,
+    -- Lotes de pontos ganhos: saldo ainda não usado e validade (consumidos do mais antigo para o mais novo)
+    remaining INTEGER NOT NULL DEFAULT 0,
+    expires_at TIMESTAMP,
+    description VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_loyalty_movements_customer_created_at ON loyalty_movements(customer_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_loyalty_movements_sale_id ON loyalty_movements(sale_id);
+CREATE INDEX IF NOT EXISTS idx_loyalty_movements_open_lots
+    ON loyalty_movements(expires_at)
+    WHERE remaining > 0;
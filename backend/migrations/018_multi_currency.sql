@@ -0,0 +1,51 @@
+-- Multimoeda: moeda em produtos, vendas, lançamentos e documentos, moeda base da empresa e cotações manuais
+
+-- Moeda base da empresa (relatórios e painéis financeiros são convertidos para ela)
+CREATE TABLE IF NOT EXISTS currency_settings (
+    tenant_key VARCHAR(255) PRIMARY KEY,
+    base_currency CHAR(3) NOT NULL DEFAULT 'BRL',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Cotações mantidas manualmente: 1 unidade de currency = rate unidades de base_currency, a partir de effective_date
+CREATE TABLE IF NOT EXISTS exchange_rates (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    tenant_key VARCHAR(255) NOT NULL,
+    currency CHAR(3) NOT NULL,
+    base_currency CHAR(3) NOT NULL,
+    rate DECIMAL(18,8) NOT NULL CHECK (rate > 0),
+    effective_date DATE NOT NULL DEFAULT CURRENT_DATE,
+    user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    notes TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (currency <> base_currency)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_exchange_rates_tenant_pair_date
+    ON exchange_rates(tenant_key, currency, base_currency, effective_date);
+
+-- Moeda do preço do produto
+ALTER TABLE products ADD COLUMN IF NOT EXISTS currency CHAR(3) NOT NULL DEFAULT 'BRL';
+
+-- Vendas: moeda da venda, cotação usada e total convertido para a moeda base
+ALTER TABLE sales ADD COLUMN IF NOT EXISTS currency CHAR(3) NOT NULL DEFAULT 'BRL';
+ALTER TABLE sales ADD COLUMN IF NOT EXISTS exchange_rate DECIMAL(18,8) NOT NULL DEFAULT 1;
+ALTER TABLE sales ADD COLUMN IF NOT EXISTS base_total DECIMAL(10,2);
+UPDATE sales SET base_total = total WHERE base_total IS NULL;
+
+-- Lançamentos financeiros
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS currency CHAR(3) NOT NULL DEFAULT 'BRL';
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS exchange_rate DECIMAL(18,8) NOT NULL DEFAULT 1;
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS base_amount DECIMAL(10,2);
+UPDATE transactions SET base_amount = amount WHERE base_amount IS NULL;
+
+-- Documentos
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS currency CHAR(3) NOT NULL DEFAULT 'BRL';
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS exchange_rate DECIMAL(18,8) NOT NULL DEFAULT 1;
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS base_amount DECIMAL(10,2);
+UPDATE documents SET base_amount = amount WHERE base_amount IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_sales_currency ON sales(currency);
+CREATE INDEX IF NOT EXISTS idx_transactions_currency ON transactions(currency);
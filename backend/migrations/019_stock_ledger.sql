@@ -0,0 +1,77 @@
+-- Livro de estoque: toda alteração de estoque passa por inventory_movements, com saldo por local
+
+-- Local (linha de inventory) de cada movimentação, motivo e dados extras
+-- A tabela inventory é criada pelo sync dos models, por isso a coluna não tem chave estrangeira aqui
+ALTER TABLE inventory_movements ADD COLUMN IF NOT EXISTS inventory_id UUID;
+ALTER TABLE inventory_movements ADD COLUMN IF NOT EXISTS reason VARCHAR(255);
+ALTER TABLE inventory_movements ADD COLUMN IF NOT EXISTS metadata JSON;
+ALTER TABLE inventory_movements ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_inventory_movements_inventory_id ON inventory_movements(inventory_id);
+
+-- Novos tipos de movimentação (transferência entre locais, avaria e vencimento)
+ALTER TABLE inventory_movements DROP CONSTRAINT IF EXISTS inventory_movements_type_check;
+ALTER TABLE inventory_movements ADD CONSTRAINT inventory_movements_type_check
+    CHECK (type IN ('entry', 'withdrawal', 'adjustment', 'initial', 'sale', 'return', 'transfer', 'damage', 'expired'));
+
+-- Quantidade com sinal: saídas antigas eram gravadas em valor absoluto
+-- (a soma das movimentações passa a ser o saldo do local)
+UPDATE inventory_movements
+    SET quantity = -quantity
+    WHERE type IN ('withdrawal', 'damage', 'expired') AND quantity > 0;
+
+UPDATE inventory_movements
+    SET quantity = -quantity
+    WHERE type = 'transfer' AND quantity > 0 AND new_quantity < previous_quantity;
+
+-- Saldo de abertura no livro para os dados existentes (sem ele, todo lançamento em produto antigo
+-- seria recusado com STOCK_DRIFT até a conciliação manual)
+DO $$
+BEGIN
+    -- Banco novo: a tabela inventory ainda será criada pelo sync e não há saldo a abrir
+    IF to_regclass('inventory') IS NULL THEN
+        RETURN;
+    END IF;
+
+    -- Produto com estoque e sem saldo por local: o estoque vai para o local principal
+    INSERT INTO inventory (product_id, user_id, quantity, min_stock, cost, status, created_at, updated_at)
+    SELECT p.id, p.user_id, p.stock, p.min_stock, p.cost, 'normal', CURRENT_TIMESTAMP, CURRENT_TIMESTAMP
+    FROM products p
+    WHERE p.stock <> 0
+        AND NOT EXISTS (SELECT 1 FROM inventory i WHERE i.product_id = p.id);
+
+    -- Soma dos locais diferente do estoque do produto: a diferença vai para o local principal (o mais antigo)
+    -- quando ele não fica negativo; o restante aparece na conciliação
+    UPDATE inventory i
+        SET quantity = i.quantity + d.difference, updated_at = CURRENT_TIMESTAMP
+    FROM (
+        SELECT p.id AS product_id,
+            p.stock - SUM(r.quantity) AS difference,
+            (ARRAY_AGG(r.id ORDER BY r.created_at))[1] AS inventory_id
+        FROM products p
+        JOIN inventory r ON r.product_id = p.id
+        GROUP BY p.id, p.stock
+    ) d
+    WHERE i.id = d.inventory_id
+        AND d.difference <> 0
+        AND i.quantity + d.difference >= 0;
+
+    -- Movimento de abertura por local: o livro passa a explicar o saldo atual de cada local
+    INSERT INTO inventory_movements (inventory_id, product_id, user_id, type, quantity, previous_quantity, new_quantity,
+        unit_cost, total_value, reason, notes, reference_type, metadata, created_at, updated_at)
+    SELECT i.id, i.product_id, i.user_id, 'adjustment',
+        i.quantity - COALESCE(l.total, 0), COALESCE(l.total, 0), i.quantity,
+        COALESCE(i.cost, p.cost, 0), (i.quantity - COALESCE(l.total, 0)) * COALESCE(i.cost, p.cost, 0),
+        'Conciliação de estoque', 'Saldo de abertura do local no livro de estoque', 'stock_reconciliation',
+        json_build_object('scope', 'location', 'location', i.location),
+        CURRENT_TIMESTAMP, CURRENT_TIMESTAMP
+    FROM inventory i
+    JOIN products p ON p.id = i.product_id
+    LEFT JOIN (
+        SELECT inventory_id, SUM(quantity) AS total
+        FROM inventory_movements
+        WHERE inventory_id IS NOT NULL
+        GROUP BY inventory_id
+    ) l ON l.inventory_id = i.id
+    WHERE i.quantity <> COALESCE(l.total, 0);
+END $$;
@@ -0,0 +1,72 @@
+-- Compras: pedidos de compra com linhas de produto, recebimentos parciais e conferência da nota do fornecedor
+
+CREATE TABLE IF NOT EXISTS purchase_orders (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    order_number VARCHAR(50) NOT NULL,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    supplier_id UUID,
+    supplier_name VARCHAR(255) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'draft'
+        CHECK (status IN ('draft', 'ordered', 'partially_received', 'received', 'cancelled')),
+    location VARCHAR(100),
+    expected_date DATE,
+    total DECIMAL(10,2) NOT NULL DEFAULT 0,
+    received_total DECIMAL(10,2) NOT NULL DEFAULT 0,
+    invoiced_total DECIMAL(10,2) NOT NULL DEFAULT 0,
+    ordered_at TIMESTAMP,
+    received_at TIMESTAMP,
+    cancelled_at TIMESTAMP,
+    cancel_reason TEXT,
+    notes TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_purchase_orders_user_number ON purchase_orders(user_id, order_number);
+CREATE INDEX IF NOT EXISTS idx_purchase_orders_user_status ON purchase_orders(user_id, status);
+CREATE INDEX IF NOT EXISTS idx_purchase_orders_supplier_id ON purchase_orders(supplier_id);
+
+-- Linhas do pedido: quantidade pedida, recebida e custo unitário previsto
+CREATE TABLE IF NOT EXISTS purchase_order_items (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    purchase_order_id UUID NOT NULL REFERENCES purchase_orders(id) ON DELETE CASCADE,
+    product_id UUID NOT NULL REFERENCES products(id),
+    variant_id UUID REFERENCES product_variants(id) ON DELETE SET NULL,
+    product_name VARCHAR(255) NOT NULL,
+    sku VARCHAR(100),
+    quantity NUMERIC(12,3) NOT NULL CHECK (quantity > 0),
+    received_quantity NUMERIC(12,3) NOT NULL DEFAULT 0 CHECK (received_quantity >= 0),
+    unit_cost DECIMAL(10,2) NOT NULL DEFAULT 0,
+    total DECIMAL(10,2) NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_purchase_order_items_order ON purchase_order_items(purchase_order_id);
+CREATE INDEX IF NOT EXISTS idx_purchase_order_items_product ON purchase_order_items(product_id);
+
+-- Recebimentos (parciais ou totais); pending = aguardando a nota do fornecedor
+CREATE TABLE IF NOT EXISTS goods_receipts (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    purchase_order_id UUID NOT NULL REFERENCES purchase_orders(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    location VARCHAR(100),
+    items JSONB NOT NULL DEFAULT '[]',
+    total DECIMAL(10,2) NOT NULL DEFAULT 0,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'matched')),
+    invoice_number VARCHAR(100),
+    transaction_id UUID REFERENCES transactions(id) ON DELETE SET NULL,
+    received_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    matched_at TIMESTAMP,
+    notes TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_goods_receipts_order ON goods_receipts(purchase_order_id);
+CREATE INDEX IF NOT EXISTS idx_goods_receipts_status ON goods_receipts(status);
+
+-- Entrada de estoque por recebimento de compra
+ALTER TABLE inventory_movements DROP CONSTRAINT IF EXISTS inventory_movements_type_check;
+ALTER TABLE inventory_movements ADD CONSTRAINT inventory_movements_type_check
+    CHECK (type IN ('entry', 'withdrawal', 'adjustment', 'initial', 'sale', 'return', 'transfer', 'damage', 'expired', 'purchase'));
@@ -0,0 +1,61 @@
+-- Fornecedores: cadastro com contatos e prazos, produtos fornecidos e vínculo com produtos e pedidos de compra
+
+CREATE TABLE IF NOT EXISTS suppliers (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    trade_name VARCHAR(255),
+    cnpj VARCHAR(18),
+    email VARCHAR(255),
+    phone VARCHAR(255),
+    address TEXT,
+    city VARCHAR(255),
+    state VARCHAR(255),
+    zip_code VARCHAR(255),
+    contacts JSONB NOT NULL DEFAULT '[]',
+    payment_term_days INTEGER NOT NULL DEFAULT 30 CHECK (payment_term_days >= 0),
+    lead_time_days INTEGER NOT NULL DEFAULT 7 CHECK (lead_time_days >= 0),
+    status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'inactive')),
+    notes TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CNPJ único por empresa (fornecedores sem CNPJ são permitidos)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_suppliers_user_cnpj ON suppliers(user_id, cnpj);
+CREATE INDEX IF NOT EXISTS idx_suppliers_user_status ON suppliers(user_id, status);
+CREATE INDEX IF NOT EXISTS idx_suppliers_name ON suppliers(name);
+
+-- Produtos fornecidos: código no catálogo do fornecedor e último preço de compra
+CREATE TABLE IF NOT EXISTS supplier_products (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    supplier_id UUID NOT NULL REFERENCES suppliers(id) ON DELETE CASCADE,
+    product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    variant_id UUID REFERENCES product_variants(id) ON DELETE CASCADE,
+    supplier_sku VARCHAR(100),
+    last_purchase_price DECIMAL(10,2) CHECK (last_purchase_price >= 0),
+    last_purchase_at TIMESTAMP,
+    lead_time_days INTEGER CHECK (lead_time_days >= 0),
+    is_preferred BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_supplier_products_link
+    ON supplier_products(supplier_id, product_id, variant_id);
+CREATE INDEX IF NOT EXISTS idx_supplier_products_product ON supplier_products(product_id);
+
+-- products.supplier_id e purchase_orders.supplier_id passam a apontar para suppliers
+-- (identificadores sem fornecedor cadastrado são descartados)
+UPDATE products SET supplier_id = NULL
+    WHERE supplier_id IS NOT NULL AND supplier_id NOT IN (SELECT id FROM suppliers);
+UPDATE purchase_orders SET supplier_id = NULL
+    WHERE supplier_id IS NOT NULL AND supplier_id NOT IN (SELECT id FROM suppliers);
+
+ALTER TABLE products DROP CONSTRAINT IF EXISTS products_supplier_id_fkey;
+ALTER TABLE products ADD CONSTRAINT products_supplier_id_fkey
+    FOREIGN KEY (supplier_id) REFERENCES suppliers(id) ON DELETE SET NULL;
+
+ALTER TABLE purchase_orders DROP CONSTRAINT IF EXISTS purchase_orders_supplier_id_fkey;
+ALTER TABLE purchase_orders ADD CONSTRAINT purchase_orders_supplier_id_fkey
+    FOREIGN KEY (supplier_id) REFERENCES suppliers(id) ON DELETE SET NULL;
@@ -0,0 +1,31 @@
+-- Lotes e validade: cada item de inventário (produto por local) pode ter vários lotes com quantidade e validade próprias
+-- Saídas consomem os lotes em ordem FEFO (primeiro o que vence antes)
+
+-- A tabela inventory é criada pelo sync dos models, por isso inventory_id não tem chave estrangeira aqui
+CREATE TABLE IF NOT EXISTS inventory_lots (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    inventory_id UUID NOT NULL,
+    product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    variant_id UUID REFERENCES product_variants(id) ON DELETE SET NULL,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    lot_number VARCHAR(100) NOT NULL,
+    quantity NUMERIC(12,3) NOT NULL DEFAULT 0 CHECK (quantity >= 0),
+    expiry_date DATE,
+    manufacture_date DATE,
+    unit_cost DECIMAL(10,2),
+    received_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    notes TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Número do lote único por local e variação
+CREATE UNIQUE INDEX IF NOT EXISTS idx_inventory_lots_inventory_lot
+    ON inventory_lots(inventory_id, COALESCE(variant_id, '00000000-0000-0000-0000-000000000000'::uuid), lot_number);
+CREATE INDEX IF NOT EXISTS idx_inventory_lots_user_lot ON inventory_lots(user_id, lot_number);
+CREATE INDEX IF NOT EXISTS idx_inventory_lots_expiry ON inventory_lots(expiry_date) WHERE quantity > 0;
+
+-- Lote de cada movimentação (recall: quais vendas consumiram o lote)
+ALTER TABLE inventory_movements ADD COLUMN IF NOT EXISTS lot_id UUID REFERENCES inventory_lots(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_inventory_movements_lot_id ON inventory_movements(lot_id);
@@ -13,6 +13,12 @@ const { sequelize, testConnection } = require('./src/config/database');
 const logger = require('./src/utils/logger');
 const errorHandler = require('./src/middleware/errorHandler');
 const securityService = require('./src/services/securityService');
+const Sale = require('./src/models/Sale');
+const IdempotencyKey = require('./src/models/IdempotencyKey');
+const storeCreditService = require('./src/services/storeCreditService');
+const loyaltyService = require('./src/services/loyaltyService');
+const stockLedgerService = require('./src/services/stockLedgerService');
+const replenishmentService = require('./src/services/replenishmentService');
 require('express-async-errors');
 
 // Import routes
@@ -25,6 +31,14 @@ const customerRoutes = require('./src/routes/customer.routes');
 const financeRoutes = require('./src/routes/finance.routes');
 const documentRoutes = require('./src/routes/document.routes');
 const subscriptionRoutes = require('./src/routes/subscription.routes');
+const promotionRoutes = require('./src/routes/promotion.routes');
+const sequenceRoutes = require('./src/routes/sequence.routes');
+const receiptRoutes = require('./src/routes/receipt.routes');
+const storeCreditRoutes = require('./src/routes/storeCredit.routes');
+const currencyRoutes = require('./src/routes/currency.routes');
+const purchaseOrderRoutes = require('./src/routes/purchaseOrder.routes');
+const supplierRoutes = require('./src/routes/supplier.routes');
+const replenishmentRoutes = require('./src/routes/replenishment.routes');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -378,6 +392,14 @@ app.use('/api/customers', customerRoutes);
 app.use('/api/finance', financeRoutes);
 app.use('/api/documents', documentRoutes);
 app.use('/api/subscriptions', subscriptionRoutes);
+app.use('/api/promotions', promotionRoutes);
+app.use('/api/sequences', sequenceRoutes);
+app.use('/api/store-credits', storeCreditRoutes);
+app.use('/api/currencies', currencyRoutes);
+app.use('/api/purchase-orders', purchaseOrderRoutes);
+app.use('/api/suppliers', supplierRoutes);
+app.use('/api/replenishment', replenishmentRoutes);
+app.use('/api/public/receipts', receiptRoutes);
 
 // ====================
 // MANUSEIO DE ERROS
@@ -470,6 +492,93 @@ async function startServer() {
             }
         });
 
+        // Expirar vendas suspensas no PDV (libera o estoque reservado)
+        const parkedSalesJob = setInterval(async () => {
+            try {
+                const expired = await Sale.expireParkedSales();
+                if (expired > 0) {
+                    logger.info(`🅿️  ${expired} venda(s) suspensa(s) expirada(s)`);
+                }
+            } catch (jobError) {
+                logger.error('Erro ao expirar vendas suspensas:', jobError);
+            }
+        }, 5 * 60 * 1000); // 5 minutos
+        parkedSalesJob.unref();
+
+        // Zerar saldo de vales-crédito e vales-presente vencidos
+        const storeCreditsJob = setInterval(async () => {
+            try {
+                const expired = await storeCreditService.expireBalances();
+                if (expired > 0) {
+                    logger.info(`🎟️  ${expired} vale(s) expirado(s)`);
+                }
+            } catch (jobError) {
+                logger.error('Erro ao expirar vales:', jobError);
+            }
+        }, 60 * 60 * 1000); // 1 hora
+        storeCreditsJob.unref();
+
+        // Zerar lotes de pontos de fidelidade vencidos
+        const loyaltyJob = setInterval(async () => {
+            try {
+                const expired = await loyaltyService.expirePoints();
+                if (expired > 0) {
+                    logger.info(`⭐ ${expired} lote(s) de pontos expirado(s)`);
+                }
+            } catch (jobError) {
+                logger.error('Erro ao expirar pontos de fidelidade:', jobError);
+            }
+        }, 60 * 60 * 1000); // 1 hora
+        loyaltyJob.unref();
+
+        // Remover Idempotency-Keys vencidas (a resposta guardada só vale pelo IDEMPOTENCY_TTL_HOURS)
+        const idempotencyKeysJob = setInterval(async () => {
+            try {
+                const removed = await IdempotencyKey.cleanupExpired();
+                if (removed > 0) {
+                    logger.info(`🔑 ${removed} Idempotency-Key(s) expirada(s) removida(s)`);
+                }
+            } catch (jobError) {
+                logger.error('Erro ao remover Idempotency-Keys expiradas:', jobError);
+            }
+        }, 60 * 60 * 1000); // 1 hora
+        idempotencyKeysJob.unref();
+
+        // Conferir o estoque do produto e por local contra o livro de estoque; com STOCK_RECONCILIATION_FIX=true
+        // o job também corrige, senão a correção é feita pelo gerente em POST /api/inventory/reconciliation
+        const reconciliationHours = parseInt(process.env.STOCK_RECONCILIATION_INTERVAL_HOURS ?? 24);
+        if (reconciliationHours > 0) {
+            const stockReconciliationJob = setInterval(async () => {
+                try {
+                    const result = await stockLedgerService.runScheduledReconciliation();
+                    if (result.fixed > 0) {
+                        logger.info(`📦 Estoque conciliado com o livro em ${result.fixed} de ${result.checked} produto(s)`);
+                    } else if (result.drifted > 0) {
+                        logger.warn(`📦 Estoque divergente do livro em ${result.drifted} de ${result.checked} produto(s); conciliação pendente`);
+                    }
+                } catch (jobError) {
+                    logger.error('Erro ao conferir estoque:', jobError);
+                }
+            }, reconciliationHours * 60 * 60 * 1000);
+            stockReconciliationJob.unref();
+        }
+
+        // Recalcular ponto de pedido e próxima reposição pela média de vendas
+        const replenishmentHours = parseInt(process.env.REPLENISHMENT_INTERVAL_HOURS ?? 24);
+        if (replenishmentHours > 0) {
+            const replenishmentJob = setInterval(async () => {
+                try {
+                    const updated = await replenishmentService.applyReorderPoints();
+                    if (updated > 0) {
+                        logger.info(`🔁 Ponto de pedido recalculado em ${updated} item(ns) de estoque`);
+                    }
+                } catch (jobError) {
+                    logger.error('Erro ao recalcular ponto de pedido:', jobError);
+                }
+            }, replenishmentHours * 60 * 60 * 1000);
+            replenishmentJob.unref();
+        }
+
         // Configurar timeout do servidor
         server.setTimeout(30000); // 30 segundos
         server.keepAliveTimeout = 120000; // 2 minutos
@@ -11,6 +11,14 @@ const documentRoutes = require('./routes/document.routes');
 const inventoryRoutes = require('./routes/inventory.routes');
 const subscriptionRoutes = require('./routes/subscription.routes');
 const userRoutes = require('./routes/user.routes');
+const promotionRoutes = require('./routes/promotion.routes');
+const sequenceRoutes = require('./routes/sequence.routes');
+const receiptRoutes = require('./routes/receipt.routes');
+const storeCreditRoutes = require('./routes/storeCredit.routes');
+const currencyRoutes = require('./routes/currency.routes');
+const purchaseOrderRoutes = require('./routes/purchaseOrder.routes');
+const supplierRoutes = require('./routes/supplier.routes');
+const replenishmentRoutes = require('./routes/replenishment.routes');
 const { errorHandler } = require('./middleware/errorHandler');
 const { authenticate } = require('./middleware/auth');
 const logger = require('./utils/logger');
@@ -60,6 +68,7 @@ app.use((req, res, next) => {
 
 // Rotas públicas
 app.use('/api/auth', authRoutes);
+app.use('/api/public/receipts', receiptRoutes);
 
 // Rotas protegidas (requerem autenticação)
 app.use('/api/products', authenticate, productRoutes);
@@ -70,6 +79,13 @@ app.use('/api/documents', authenticate, documentRoutes);
 app.use('/api/inventory', authenticate, inventoryRoutes);
 app.use('/api/subscription', authenticate, subscriptionRoutes);
 app.use('/api/users', authenticate, userRoutes);
+app.use('/api/promotions', authenticate, promotionRoutes);
+app.use('/api/sequences', authenticate, sequenceRoutes);
+app.use('/api/store-credits', authenticate, storeCreditRoutes);
+app.use('/api/currencies', authenticate, currencyRoutes);
+app.use('/api/purchase-orders', authenticate, purchaseOrderRoutes);
+app.use('/api/suppliers', authenticate, supplierRoutes);
+app.use('/api/replenishment', authenticate, replenishmentRoutes);
 
 // Health check
 app.get('/health', (req, res) => {
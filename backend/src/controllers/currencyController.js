@@ -0,0 +1,133 @@
+const currencyService = require('../services/currencyService');
+const securityService = require('../services/securityService');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+class CurrencyController {
+  // Moeda base e cotações vigentes da empresa
+  async getCurrencies(req, res) {
+    try {
+      const userId = req.user.userId;
+      const { baseCurrency, rates } = await currencyService.getCurrentRates(userId);
+
+      res.json({ baseCurrency, rates });
+
+    } catch (error) {
+      logger.error('Erro ao buscar moedas:', error);
+      res.status(500).json({
+        error: 'Erro ao buscar moedas.'
+      });
+    }
+  }
+
+  // Alterar a moeda base (lançamentos já gravados mantêm moeda e cotação originais)
+  async setBaseCurrency(req, res) {
+    try {
+      const userId = req.user.userId;
+      const previous = await currencyService.getBaseCurrency(userId);
+      const setting = await currencyService.setBaseCurrency(userId, req.body.baseCurrency);
+
+      await securityService.logSecurityEvent({
+        userId,
+        action: 'BASE_CURRENCY_UPDATED',
+        description: `Moeda base alterada de ${previous} para ${setting.baseCurrency}`,
+        ipAddress: req.ip,
+        details: { previous, baseCurrency: setting.baseCurrency }
+      });
+
+      res.json({
+        message: 'Moeda base atualizada com sucesso!',
+        baseCurrency: setting.baseCurrency
+      });
+
+    } catch (error) {
+      logger.error('Erro ao alterar moeda base:', error);
+      res.status(500).json({
+        error: 'Erro ao alterar moeda base.'
+      });
+    }
+  }
+
+  // Histórico de cotações
+  async listRates(req, res) {
+    try {
+      const userId = req.user.userId;
+      const result = await currencyService.listRates(userId, req.query);
+
+      res.json(result);
+
+    } catch (error) {
+      logger.error('Erro ao listar cotações:', error);
+      res.status(500).json({
+        error: 'Erro ao listar cotações.'
+      });
+    }
+  }
+
+  // Registrar cotação (substitui a da mesma moeda e data)
+  async saveRate(req, res) {
+    try {
+      const userId = req.user.userId;
+      const { rate, created } = await currencyService.saveRate(userId, req.body);
+
+      await securityService.logSecurityEvent({
+        userId,
+        action: 'EXCHANGE_RATE_SAVED',
+        description: `Cotação ${rate.currency}/${rate.baseCurrency} de ${rate.effectiveDate}: ${rate.rate}`,
+        ipAddress: req.ip,
+        details: { exchangeRateId: rate.id, created }
+      });
+
+      res.status(created ? 201 : 200).json({
+        message: created ? 'Cotação registrada com sucesso!' : 'Cotação atualizada com sucesso!',
+        rate
+      });
+
+    } catch (error) {
+      if (error instanceof AppError) {
+        return res.status(error.statusCode).json({
+          error: error.message
+        });
+      }
+
+      logger.error('Erro ao registrar cotação:', error);
+      res.status(500).json({
+        error: 'Erro ao registrar cotação.'
+      });
+    }
+  }
+
+  // Excluir cotação
+  async deleteRate(req, res) {
+    try {
+      const userId = req.user.userId;
+      const rate = await currencyService.deleteRate(userId, req.params.id);
+
+      await securityService.logSecurityEvent({
+        userId,
+        action: 'EXCHANGE_RATE_DELETED',
+        description: `Cotação ${rate.currency}/${rate.baseCurrency} de ${rate.effectiveDate} excluída`,
+        ipAddress: req.ip,
+        details: { exchangeRateId: rate.id }
+      });
+
+      res.json({
+        message: 'Cotação excluída com sucesso!'
+      });
+
+    } catch (error) {
+      if (error instanceof AppError) {
+        return res.status(error.statusCode).json({
+          error: error.message
+        });
+      }
+
+      logger.error('Erro ao excluir cotação:', error);
+      res.status(500).json({
+        error: 'Erro ao excluir cotação.'
+      });
+    }
+  }
+}
+
+module.exports = new CurrencyController();
@@ -1,6 +1,8 @@
 const Customer = require('../models/Customer');
 const Sale = require('../models/Sale');
+const StoreCredit = require('../models/StoreCredit');
 const securityService = require('../services/securityService');
+const loyaltyService = require('../services/loyaltyService');
 const logger = require('../utils/logger');
 const { Op } = require('sequelize');
 
@@ -137,8 +139,16 @@ class CustomerController {
         .sort((a, b) => b.quantity - a.quantity)
         .slice(0, 5);
       
+      // Vendas parceladas em aberto e parcelas vencidas
+      const installments = await Sale.getInstallmentSummary(id);
+      
+      // Saldo em vales-crédito e vales-presente
+      const storeCredit = await StoreCredit.getCustomerBalance(id);
+      
       res.json({
         customer,
+        installments,
+        storeCredit,
         history: {
           sales,
           totalSales,
@@ -161,6 +171,38 @@ class CustomerController {
     }
   }
   
+  // Pontos de fidelidade: saldo, classificação, multiplicador e extrato
+  async getLoyalty(req, res) {
+    try {
+      const { id } = req.params;
+      const userId = req.user.userId;
+      const { page = 1, limit = 20 } = req.query;
+      
+      const customer = await Customer.findOne({
+        where: { id, userId }
+      });
+      
+      if (!customer) {
+        return res.status(404).json({
+          error: 'Cliente não encontrado.'
+        });
+      }
+      
+      const loyalty = await loyaltyService.getHistory(customer, { page, limit });
+      
+      res.json({
+        customerId: customer.id,
+        ...loyalty
+      });
+      
+    } catch (error) {
+      logger.error('Erro ao buscar pontos de fidelidade:', error);
+      res.status(500).json({
+        error: 'Erro ao buscar pontos de fidelidade.'
+      });
+    }
+  }
+  
   // Criar cliente
   async createCustomer(req, res) {
     try {
@@ -244,7 +286,8 @@ class CustomerController {
     try {
       const { id } = req.params;
       const userId = req.user.userId;
-      const updateData = req.body;
+      // Saldo de pontos só muda pelo extrato de fidelidade
+      const { loyaltyPoints, ...updateData } = req.body;
       
       // Buscar cliente
       const customer = await Customer.findOne({
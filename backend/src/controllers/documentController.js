@@ -244,6 +244,7 @@ class DocumentController {
                 dueDate,
                 notes,
                 terms,
+                currency,
                 series = '001'
             } = req.body;
             
@@ -286,6 +287,7 @@ class DocumentController {
                 dueDate: dueDate ? new Date(dueDate) : null,
                 notes,
                 terms,
+                currency,
                 status: 'draft'
             });
             
@@ -1,6 +1,8 @@
 const Transaction = require('../models/Transaction');
 const Sale = require('../models/Sale');
 const securityService = require('../services/securityService');
+const currencyService = require('../services/currencyService');
+const { AppError } = require('../middleware/errorHandler');
 const logger = require('../utils/logger');
 const { Op, Sequelize } = require('sequelize');
 
@@ -60,13 +62,13 @@ class FinanceController {
         order: [['date', 'DESC'], ['createdAt', 'DESC']]
       });
       
-      // Calcular totais
+      // Calcular totais (convertidos para a moeda base)
       const totals = await Transaction.findAll({
         where,
         attributes: [
           'type',
           [Sequelize.fn('COUNT', Sequelize.col('id')), 'count'],
-          [Sequelize.fn('SUM', Sequelize.col('amount')), 'total']
+          [Sequelize.fn('SUM', Sequelize.col('baseAmount')), 'total']
         ],
         group: ['type']
       });
@@ -86,7 +88,8 @@ class FinanceController {
         totals: {
           income: parseFloat(incomeTotal).toFixed(2),
           expense: parseFloat(expenseTotal).toFixed(2),
-          balance: parseFloat(balance).toFixed(2)
+          balance: parseFloat(balance).toFixed(2),
+          currency: await currencyService.getBaseCurrency(userId)
         }
       });
       
@@ -156,6 +159,14 @@ class FinanceController {
       });
       
     } catch (error) {
+      if (error instanceof AppError) {
+        return res.status(error.statusCode).json({
+          error: error.message,
+          code: error.code,
+          details: error.details
+        });
+      }
+      
       logger.error('Erro ao criar transação:', error);
       
       await securityService.logSecurityEvent({
@@ -219,6 +230,14 @@ class FinanceController {
       });
       
     } catch (error) {
+      if (error instanceof AppError) {
+        return res.status(error.statusCode).json({
+          error: error.message,
+          code: error.code,
+          details: error.details
+        });
+      }
+      
       logger.error('Erro ao atualizar transação:', error);
       
       await securityService.logSecurityEvent({
@@ -299,8 +318,11 @@ class FinanceController {
       const monthStart = new Date(today.getFullYear(), today.getMonth(), 1);
       const yearStart = new Date(today.getFullYear(), 0, 1);
       
+      // Valores convertidos para a moeda base da empresa (lançamentos em moeda estrangeira usam a cotação da data)
+      const baseCurrency = await currencyService.getBaseCurrency(userId);
+      
       // Receitas do mês
-      const monthlyIncome = await Transaction.sum('amount', {
+      const monthlyIncome = await Transaction.sum('baseAmount', {
         where: {
           userId,
           type: 'income',
@@ -310,7 +332,7 @@ class FinanceController {
       }) || 0;
       
       // Despesas do mês
-      const monthlyExpense = await Transaction.sum('amount', {
+      const monthlyExpense = await Transaction.sum('baseAmount', {
         where: {
           userId,
           type: 'expense',
@@ -323,7 +345,7 @@ class FinanceController {
       const monthlyBalance = monthlyIncome - monthlyExpense;
       
       // Receitas do ano
-      const yearlyIncome = await Transaction.sum('amount', {
+      const yearlyIncome = await Transaction.sum('baseAmount', {
         where: {
           userId,
           type: 'income',
@@ -333,7 +355,7 @@ class FinanceController {
       }) || 0;
       
       // Despesas do ano
-      const yearlyExpense = await Transaction.sum('amount', {
+      const yearlyExpense = await Transaction.sum('baseAmount', {
         where: {
           userId,
           type: 'expense',
@@ -364,10 +386,10 @@ class FinanceController {
         attributes: [
           'category',
           [Sequelize.fn('COUNT', Sequelize.col('id')), 'count'],
-          [Sequelize.fn('SUM', Sequelize.col('amount')), 'total']
+          [Sequelize.fn('SUM', Sequelize.col('baseAmount')), 'total']
         ],
         group: ['category'],
-        order: [[Sequelize.fn('SUM', Sequelize.col('amount')), 'DESC']]
+        order: [[Sequelize.fn('SUM', Sequelize.col('baseAmount')), 'DESC']]
       });
       
       // Categorias de despesa
@@ -381,10 +403,10 @@ class FinanceController {
         attributes: [
           'category',
           [Sequelize.fn('COUNT', Sequelize.col('id')), 'count'],
-          [Sequelize.fn('SUM', Sequelize.col('amount')), 'total']
+          [Sequelize.fn('SUM', Sequelize.col('baseAmount')), 'total']
         ],
         group: ['category'],
-        order: [[Sequelize.fn('SUM', Sequelize.col('amount')), 'DESC']]
+        order: [[Sequelize.fn('SUM', Sequelize.col('baseAmount')), 'DESC']]
       });
       
       // Fluxo de caixa últimos 12 meses
@@ -393,7 +415,7 @@ class FinanceController {
         const monthDate = new Date(today.getFullYear(), today.getMonth() - i, 1);
         const nextMonth = new Date(today.getFullYear(), today.getMonth() - i + 1, 1);
         
-        const monthIncome = await Transaction.sum('amount', {
+        const monthIncome = await Transaction.sum('baseAmount', {
           where: {
             userId,
             type: 'income',
@@ -402,7 +424,7 @@ class FinanceController {
           }
         }) || 0;
         
-        const monthExpense = await Transaction.sum('amount', {
+        const monthExpense = await Transaction.sum('baseAmount', {
           where: {
             userId,
             type: 'expense',
@@ -439,6 +461,7 @@ class FinanceController {
           expense: expenseCategories
         },
         cashFlow,
+        currency: baseCurrency,
         lastUpdated: new Date()
       });
       
@@ -476,13 +499,14 @@ class FinanceController {
         order: [['date', 'ASC']]
       });
       
-      // Calcular totais
+      // Calcular totais na moeda base
+      const baseAmount = transaction => parseFloat(transaction.baseAmount ?? transaction.amount);
       const totals = transactions.reduce((acc, transaction) => {
         if (transaction.type === 'income') {
-          acc.income += transaction.amount;
+          acc.income += baseAmount(transaction);
           acc.incomeCount++;
         } else {
-          acc.expense += transaction.amount;
+          acc.expense += baseAmount(transaction);
           acc.expenseCount++;
         }
         return acc;
@@ -500,9 +524,9 @@ class FinanceController {
         }
         
         if (transaction.type === 'income') {
-          categories[transaction.category].income += transaction.amount;
+          categories[transaction.category].income += baseAmount(transaction);
         } else {
-          categories[transaction.category].expense += transaction.amount;
+          categories[transaction.category].expense += baseAmount(transaction);
         }
         categories[transaction.category].count++;
       });
@@ -517,7 +541,8 @@ class FinanceController {
           expense: parseFloat(totals.expense).toFixed(2),
           balance: parseFloat(totals.income - totals.expense).toFixed(2),
           incomeCount: totals.incomeCount,
-          expenseCount: totals.expenseCount
+          expenseCount: totals.expenseCount,
+          currency: await currencyService.getBaseCurrency(userId)
         },
         categories,
         transactions,
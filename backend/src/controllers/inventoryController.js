@@ -3,6 +3,10 @@ const Inventory = require('../models/Inventory');
 const Product = require('../models/Product');
 const InventoryMovement = require('../models/InventoryMovement');
 const SecurityLog = require('../models/SecurityLog');
+const stockLedgerService = require('../services/stockLedgerService');
+const lotService = require('../services/lotService');
+const { sequelize } = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
 const { validationResult } = require('express-validator');
 const logger = require('../utils/logger');
 
@@ -48,7 +52,7 @@ class InventoryController {
      */
     async getInventory(req, res) {
         try {
-            const userId = req.user.id;
+            const userId = req.user.userId;
             const {
                 lowStock,
                 outOfStock,
@@ -102,6 +106,7 @@ class InventoryController {
             await SecurityLog.create({
                 userId,
                 action: 'VIEW_INVENTORY',
+                description: 'Inventário consultado',
                 ipAddress: req.ip,
                 userAgent: req.get('User-Agent'),
                 details: { 
@@ -145,7 +150,7 @@ class InventoryController {
      */
     async getStats(req, res) {
         try {
-            const userId = req.user.id;
+            const userId = req.user.userId;
             
             // Get total inventory value
             const inventoryValue = await Inventory.getInventoryValue(userId);
@@ -254,7 +259,7 @@ class InventoryController {
      */
     async getInventoryById(req, res) {
         try {
-            const userId = req.user.id;
+            const userId = req.user.userId;
             const { id } = req.params;
             
             const inventory = await Inventory.findOne({
@@ -285,6 +290,7 @@ class InventoryController {
             await SecurityLog.create({
                 userId,
                 action: 'VIEW_INVENTORY_ITEM',
+                description: 'Item de inventário consultado',
                 ipAddress: req.ip,
                 userAgent: req.get('User-Agent'),
                 details: { inventoryId: id, productId: inventory.productId }
@@ -348,7 +354,7 @@ class InventoryController {
                 });
             }
             
-            const userId = req.user.id;
+            const userId = req.user.userId;
             const {
                 productId,
                 quantity,
@@ -370,49 +376,51 @@ class InventoryController {
                 });
             }
             
-            // Check if inventory already exists for this product
+            // Check if inventory already exists for this product at this location
             let inventory = await Inventory.findOne({
-                where: { productId, userId }
+                where: { productId, userId, location: location || null }
             });
             
             if (inventory) {
                 return res.status(400).json({
                     success: false,
-                    message: 'Inventário para este produto já existe. Use a atualização.'
+                    message: 'Inventário para este produto neste local já existe. Use a atualização.'
                 });
             }
             
-            // Create inventory
-            inventory = await Inventory.create({
-                productId,
-                userId,
-                quantity: quantity || 0,
-                location,
-                cost,
-                expiryDate: expiryDate ? new Date(expiryDate) : null,
-                notes,
-                minStock: product.minStock || 5
-            });
-            
-            // If initial quantity > 0, log as initial stock
-            if (quantity > 0) {
-                await InventoryMovement.create({
-                    inventoryId: inventory.id,
+            // Create inventory; initial quantity enters through the stock ledger (also updates the product total)
+            inventory = await sequelize.transaction(async (transaction) => {
+                const created = await Inventory.create({
                     productId,
                     userId,
-                    type: 'initial',
-                    quantity,
-                    previousQuantity: 0,
-                    newQuantity: quantity,
-                    unitCost: cost || product.cost || 0,
-                    notes: 'Estoque inicial'
-                });
-            }
+                    quantity: 0,
+                    location,
+                    cost,
+                    expiryDate: expiryDate ? new Date(expiryDate) : null,
+                    notes,
+                    minStock: product.minStock || 5
+                }, { transaction });
+                
+                if (quantity > 0) {
+                    await stockLedgerService.record({
+                        productId,
+                        inventoryId: created.id,
+                        userId,
+                        type: 'initial',
+                        quantity,
+                        unitCost: cost || product.cost || 0,
+                        notes: 'Estoque inicial'
+                    }, { transaction });
+                }
+                
+                return created.reload({ transaction });
+            });
             
             // Log creation
             await SecurityLog.create({
                 userId,
                 action: 'CREATE_INVENTORY',
+                description: 'Item de inventário criado',
                 ipAddress: req.ip,
                 userAgent: req.get('User-Agent'),
                 details: {
@@ -485,7 +493,7 @@ class InventoryController {
                 });
             }
             
-            const userId = req.user.id;
+            const userId = req.user.userId;
             const { id } = req.params;
             const updateData = req.body;
             
@@ -500,45 +508,34 @@ class InventoryController {
                 });
             }
             
-            // Check if quantity is being updated
-            if (updateData.quantity !== undefined && updateData.quantity !== inventory.quantity) {
-                const adjustment = updateData.quantity - inventory.quantity;
-                const reason = updateData.reason || 'Ajuste manual';
+            await sequelize.transaction(async (transaction) => {
+                // Quantity changes are posted to the stock ledger as an adjustment
+                if (updateData.quantity !== undefined && updateData.quantity !== inventory.quantity) {
+                    await stockLedgerService.setLocationQuantity(inventory, updateData.quantity, {
+                        userId,
+                        notes: updateData.reason || 'Ajuste manual',
+                        transaction
+                    });
+                    await inventory.reload({ transaction });
+                }
                 
-                // Log the adjustment
-                await InventoryMovement.create({
-                    inventoryId: inventory.id,
-                    productId: inventory.productId,
-                    userId,
-                    type: 'adjustment',
-                    quantity: adjustment,
-                    previousQuantity: inventory.quantity,
-                    newQuantity: updateData.quantity,
-                    unitCost: inventory.cost || 0,
-                    notes: reason
+                // Update other fields
+                const allowedFields = ['location', 'cost', 'expiryDate', 'notes', 'minStock', 'maxStock'];
+                
+                allowedFields.forEach(field => {
+                    if (updateData[field] !== undefined) {
+                        inventory[field] = updateData[field];
+                    }
                 });
-            }
-            
-            // Update other fields
-            const allowedFields = ['location', 'cost', 'expiryDate', 'notes', 'minStock', 'maxStock'];
-            
-            allowedFields.forEach(field => {
-                if (updateData[field] !== undefined) {
-                    inventory[field] = updateData[field];
-                }
+                
+                await inventory.save({ transaction });
             });
             
-            // Update quantity if provided
-            if (updateData.quantity !== undefined) {
-                inventory.quantity = updateData.quantity;
-            }
-            
-            await inventory.save();
-            
             // Log update
             await SecurityLog.create({
                 userId,
                 action: 'UPDATE_INVENTORY',
+                description: 'Item de inventário atualizado',
                 ipAddress: req.ip,
                 userAgent: req.get('User-Agent'),
                 details: {
@@ -554,6 +551,14 @@ class InventoryController {
             });
             
         } catch (error) {
+            if (error instanceof AppError) {
+                return res.status(error.statusCode).json({
+                    success: false,
+                    message: error.message,
+                    code: error.code
+                });
+            }
+            
             logger.error('Update inventory error:', error);
             res.status(500).json({
                 success: false,
@@ -605,7 +610,7 @@ class InventoryController {
                 });
             }
             
-            const userId = req.user.id;
+            const userId = req.user.userId;
             const { id } = req.params;
             const { adjustment, reason, notes = '' } = req.body;
             
@@ -627,6 +632,7 @@ class InventoryController {
             await SecurityLog.create({
                 userId,
                 action: 'ADJUST_INVENTORY',
+                description: `Inventário ajustado em ${adjustment}: ${reason}`,
                 ipAddress: req.ip,
                 userAgent: req.get('User-Agent'),
                 details: {
@@ -652,6 +658,14 @@ class InventoryController {
             });
             
         } catch (error) {
+            if (error instanceof AppError) {
+                return res.status(error.statusCode).json({
+                    success: false,
+                    message: error.message,
+                    code: error.code
+                });
+            }
+            
             logger.error('Adjust inventory error:', error);
             res.status(500).json({
                 success: false,
@@ -703,7 +717,7 @@ class InventoryController {
                 });
             }
             
-            const userId = req.user.id;
+            const userId = req.user.userId;
             const { id } = req.params;
             const { quantity, toLocation, notes = '' } = req.body;
             
@@ -725,6 +739,7 @@ class InventoryController {
             await SecurityLog.create({
                 userId,
                 action: 'TRANSFER_INVENTORY',
+                description: `Inventário transferido para ${toLocation}`,
                 ipAddress: req.ip,
                 userAgent: req.get('User-Agent'),
                 details: {
@@ -754,6 +769,14 @@ class InventoryController {
             });
             
         } catch (error) {
+            if (error instanceof AppError) {
+                return res.status(error.statusCode).json({
+                    success: false,
+                    message: error.message,
+                    code: error.code
+                });
+            }
+            
             logger.error('Transfer inventory error:', error);
             res.status(500).json({
                 success: false,
@@ -783,7 +806,7 @@ class InventoryController {
      */
     async deleteInventory(req, res) {
         try {
-            const userId = req.user.id;
+            const userId = req.user.userId;
             const { id } = req.params;
             
             const inventory = await Inventory.findOne({
@@ -811,6 +834,7 @@ class InventoryController {
             await SecurityLog.create({
                 userId,
                 action: 'DELETE_INVENTORY',
+                description: 'Item de inventário excluído',
                 ipAddress: req.ip,
                 userAgent: req.get('User-Agent'),
                 details: { inventoryId: id, productId: inventory.productId }
@@ -845,7 +869,7 @@ class InventoryController {
      */
     async getLowStock(req, res) {
         try {
-            const userId = req.user.id;
+            const userId = req.user.userId;
             
             const lowStockItems = await Inventory.getLowStockItems(userId);
             
@@ -877,7 +901,7 @@ class InventoryController {
      */
     async getOutOfStock(req, res) {
         try {
-            const userId = req.user.id;
+            const userId = req.user.userId;
             
             const outOfStockItems = await Inventory.getOutOfStockItems(userId);
             
@@ -911,11 +935,11 @@ class InventoryController {
      *           default: 30
      *     responses:
      *       200:
-     *         description: List of expiring items
+     *         description: Lots (and items without lots) expiring within the period
      */
     async getExpiring(req, res) {
         try {
-            const userId = req.user.id;
+            const userId = req.user.userId;
             const days = parseInt(req.query.days) || 30;
             
             const expiringItems = await Inventory.getExpiringItems(userId, days);
@@ -937,6 +961,186 @@ class InventoryController {
         }
     }
 
+    /**
+     * @swagger
+     * /api/inventory/lots:
+     *   post:
+     *     summary: Receive stock into a lot with its own expiry date
+     *     tags: [Inventory]
+     *     security:
+     *       - bearerAuth: []
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             required: [productId, lotNumber, quantity]
+     *             properties:
+     *               productId:
+     *                 type: string
+     *               variantId:
+     *                 type: string
+     *               location:
+     *                 type: string
+     *               lotNumber:
+     *                 type: string
+     *               quantity:
+     *                 type: number
+     *               expiryDate:
+     *                 type: string
+     *                 format: date
+     *               manufactureDate:
+     *                 type: string
+     *                 format: date
+     *               unitCost:
+     *                 type: number
+     *     responses:
+     *       201:
+     *         description: Lot received
+     */
+    async receiveLot(req, res) {
+        try {
+            const userId = req.user.userId;
+            const lot = await lotService.receiveLot(userId, req.body);
+            
+            await SecurityLog.create({
+                userId,
+                action: 'RECEIVE_INVENTORY_LOT',
+                description: `Lote ${lot.lotNumber} recebido`,
+                ipAddress: req.ip,
+                userAgent: req.get('User-Agent'),
+                details: {
+                    lotId: lot.id,
+                    productId: lot.productId,
+                    lotNumber: lot.lotNumber,
+                    quantity: req.body.quantity,
+                    location: lot.inventory?.location
+                }
+            });
+            
+            res.status(201).json({
+                success: true,
+                message: 'Lote recebido com sucesso',
+                data: lot
+            });
+            
+        } catch (error) {
+            if (error instanceof AppError) {
+                return res.status(error.statusCode).json({
+                    success: false,
+                    message: error.message,
+                    code: error.code
+                });
+            }
+            
+            logger.error('Receive inventory lot error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Erro ao receber lote',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+
+    /**
+     * @swagger
+     * /api/inventory/{id}/lots:
+     *   get:
+     *     summary: Get the lots of an inventory item in FEFO order
+     *     tags: [Inventory]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: string
+     *       - in: query
+     *         name: all
+     *         schema:
+     *           type: boolean
+     *     responses:
+     *       200:
+     *         description: Lots with quantities and expiry dates
+     */
+    async getLots(req, res) {
+        try {
+            const userId = req.user.userId;
+            const result = await lotService.listLots(userId, req.params.id, {
+                all: req.query.all === 'true'
+            });
+            
+            res.json({
+                success: true,
+                data: result
+            });
+            
+        } catch (error) {
+            if (error instanceof AppError) {
+                return res.status(error.statusCode).json({
+                    success: false,
+                    message: error.message
+                });
+            }
+            
+            logger.error('Get inventory lots error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Erro ao buscar lotes'
+            });
+        }
+    }
+
+    /**
+     * @swagger
+     * /api/inventory/lots/recall:
+     *   get:
+     *     summary: List the sales that consumed a lot (recall lookup)
+     *     tags: [Inventory]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: query
+     *         name: lotNumber
+     *         required: true
+     *         schema:
+     *           type: string
+     *       - in: query
+     *         name: productId
+     *         schema:
+     *           type: string
+     *     responses:
+     *       200:
+     *         description: Lot details and the sales (with customers) that consumed it, net of returns
+     */
+    async getLotRecall(req, res) {
+        try {
+            const userId = req.user.userId;
+            const recall = await lotService.getRecall(userId, req.query);
+            
+            res.json({
+                success: true,
+                data: recall
+            });
+            
+        } catch (error) {
+            if (error instanceof AppError) {
+                return res.status(error.statusCode).json({
+                    success: false,
+                    message: error.message
+                });
+            }
+            
+            logger.error('Get lot recall error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Erro ao buscar vendas do lote'
+            });
+        }
+    }
+
     /**
      * @swagger
      * /api/inventory/history/{productId}:
@@ -962,7 +1166,7 @@ class InventoryController {
      */
     async getHistory(req, res) {
         try {
-            const userId = req.user.id;
+            const userId = req.user.userId;
             const { productId } = req.params;
             const limit = parseInt(req.query.limit) || 50;
             
@@ -1030,7 +1234,7 @@ class InventoryController {
      */
     async bulkUpdate(req, res) {
         try {
-            const userId = req.user.id;
+            const userId = req.user.userId;
             const { updates } = req.body;
             
             if (!Array.isArray(updates) || updates.length === 0) {
@@ -1086,6 +1290,7 @@ class InventoryController {
             await SecurityLog.create({
                 userId,
                 action: 'BULK_UPDATE_INVENTORY',
+                description: 'Atualização em massa do inventário',
                 ipAddress: req.ip,
                 userAgent: req.get('User-Agent'),
                 details: {
@@ -1108,6 +1313,166 @@ class InventoryController {
             });
         }
     }
+
+    /**
+     * @swagger
+     * /api/inventory/reconciliation:
+     *   get:
+     *     summary: Report drift between product stock, location balances and the stock ledger
+     *     tags: [Inventory]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: query
+     *         name: productId
+     *         schema:
+     *           type: string
+     *     responses:
+     *       200:
+     *         description: Products with stock drift
+     */
+    async getReconciliation(req, res) {
+        try {
+            const userId = req.user.userId;
+            const { productId } = req.query;
+            
+            const report = await stockLedgerService.reconcile({ userId, productId });
+            
+            res.json({
+                success: true,
+                data: report
+            });
+            
+        } catch (error) {
+            logger.error('Stock reconciliation report error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Erro ao conferir divergências de estoque'
+            });
+        }
+    }
+
+    /**
+     * @swagger
+     * /api/inventory/reconciliation:
+     *   post:
+     *     summary: Fix stock drift (product stock prevails; differences are posted as ledger adjustments)
+     *     tags: [Inventory]
+     *     security:
+     *       - bearerAuth: []
+     *     requestBody:
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             properties:
+     *               productId:
+     *                 type: string
+     *     responses:
+     *       200:
+     *         description: Reconciliation result
+     */
+    async reconcile(req, res) {
+        try {
+            const userId = req.user.userId;
+            const { productId } = req.body;
+            
+            const result = await stockLedgerService.reconcile({ userId, productId, fix: true });
+            
+            // Log reconciliation
+            await SecurityLog.create({
+                userId,
+                action: 'RECONCILE_INVENTORY',
+                description: `Conciliação de estoque: ${result.fixed} produto(s) corrigido(s)`,
+                ipAddress: req.ip,
+                userAgent: req.get('User-Agent'),
+                details: {
+                    checked: result.checked,
+                    fixed: result.fixed,
+                    productIds: result.products.map(product => product.productId)
+                }
+            });
+            
+            res.json({
+                success: true,
+                message: result.fixed > 0
+                    ? `${result.fixed} produto(s) conciliado(s)`
+                    : 'Nenhuma divergência de estoque encontrada',
+                data: result
+            });
+            
+        } catch (error) {
+            if (error instanceof AppError) {
+                return res.status(error.statusCode).json({
+                    success: false,
+                    message: error.message,
+                    code: error.code
+                });
+            }
+            
+            logger.error('Stock reconciliation error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Erro ao conciliar estoque'
+            });
+        }
+    }
+
+    /**
+     * @swagger
+     * /api/inventory/ledger/{productId}:
+     *   get:
+     *     summary: Get product balances per location derived from the stock ledger
+     *     tags: [Inventory]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: productId
+     *         required: true
+     *         schema:
+     *           type: string
+     *     responses:
+     *       200:
+     *         description: Ledger balances
+     */
+    async getLedgerBalances(req, res) {
+        try {
+            const userId = req.user.userId;
+            const { productId } = req.params;
+            
+            const product = await Product.findOne({
+                where: { id: productId, userId },
+                attributes: ['id', 'name', 'sku', 'stock']
+            });
+            
+            if (!product) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Produto não encontrado'
+                });
+            }
+            
+            const balances = await stockLedgerService.getBalances(productId);
+            
+            res.json({
+                success: true,
+                data: {
+                    product,
+                    ...balances,
+                    inSync: balances.total === product.stock &&
+                        balances.locations.every(location => location.quantity === location.ledgerQuantity)
+                }
+            });
+            
+        } catch (error) {
+            logger.error('Get stock ledger error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Erro ao buscar saldos do livro de estoque'
+            });
+        }
+    }
 }
 
 module.exports = new InventoryController();
@@ -1,10 +1,163 @@
 const Product = require('../models/Product');
-const Inventory = require('../models/Inventory');
+const ProductVariant = require('../models/ProductVariant');
+const ProductModifier = require('../models/ProductModifier');
+const Sale = require('../models/Sale');
 const SecurityLog = require('../models/SecurityLog');
 const securityService = require('../services/securityService');
+const stockLedgerService = require('../services/stockLedgerService');
 const logger = require('../utils/logger');
+const Helpers = require('../utils/helpers');
+const { AppError } = require('../middleware/errorHandler');
+const { sequelize } = require('../config/database');
 const { Op } = require('sequelize');
 
+// Variações e adicionais carregados junto com o produto
+const VARIANT_INCLUDES = [
+  {
+    model: ProductVariant,
+    as: 'variants',
+    separate: true,
+    order: [['sortOrder', 'ASC'], ['name', 'ASC']]
+  },
+  {
+    model: ProductModifier,
+    as: 'modifiers',
+    separate: true,
+    order: [['groupName', 'ASC'], ['sortOrder', 'ASC']]
+  }
+];
+
+const VARIANT_FIELDS = ['name', 'attributes', 'sku', 'barcode', 'price', 'cost', 'isActive', 'sortOrder'];
+const MODIFIER_FIELDS = ['groupName', 'name', 'price', 'maxQuantity', 'isActive', 'sortOrder'];
+
+const pickFields = (data, fields) => fields.reduce((picked, field) => {
+  if (data[field] !== undefined) picked[field] = data[field];
+  return picked;
+}, {});
+
+// Sincronizar variações do produto: cria, atualiza e remove (ou desativa se já vendida ou com estoque)
+// O estoque do produto passa a ser a soma do estoque das variações
+async function syncVariants(product, variants, userId, transaction) {
+  const existing = await ProductVariant.findAll({
+    where: { productId: product.id },
+    transaction
+  });
+  const keptIds = new Set();
+
+  for (const [index, data] of variants.entries()) {
+    let variant = data.id && existing.find(candidate => candidate.id === data.id);
+    const stock = data.stock !== undefined ? Helpers.roundQuantity(data.stock) : undefined;
+    const fields = { sortOrder: index, ...pickFields(data, VARIANT_FIELDS) };
+
+    if (variant) {
+      await variant.update(fields, { transaction });
+
+      // Alteração de estoque pela edição do produto gera movimento de ajuste
+      if (stock !== undefined && stock !== variant.stock) {
+        await stockLedgerService.record({
+          productId: product.id,
+          variantId: variant.id,
+          userId,
+          type: 'adjustment',
+          quantity: Helpers.roundQuantity(stock - variant.stock),
+          notes: `Ajuste manual de estoque - ${variant.name}`
+        }, { transaction });
+      }
+    } else {
+      variant = await ProductVariant.create({
+        ...fields,
+        productId: product.id,
+        stock: 0
+      }, { transaction });
+
+      if (stock > 0) {
+        await stockLedgerService.record({
+          productId: product.id,
+          variantId: variant.id,
+          userId,
+          type: 'initial',
+          quantity: stock,
+          notes: `Estoque inicial - ${variant.name}`
+        }, { transaction });
+      }
+    }
+
+    keptIds.add(variant.id);
+  }
+
+  for (const variant of existing.filter(candidate => !keptIds.has(candidate.id))) {
+    const hasSales = await Sale.count({
+      where: { items: { [Op.contains]: [{ variantId: variant.id }] } },
+      transaction
+    });
+
+    if (hasSales > 0 || variant.stock > 0) {
+      await variant.update({ isActive: false }, { transaction });
+    } else {
+      await variant.destroy({ transaction });
+    }
+  }
+
+  const activeCount = await ProductVariant.count({
+    where: { productId: product.id, isActive: true },
+    transaction
+  });
+
+  await product.update({ hasVariants: activeCount > 0 }, { transaction });
+
+  // O total do produto passa a ser a soma das variações (estoque sem variação sai por ajuste)
+  const variantsTotal = Helpers.roundQuantity(await ProductVariant.sum('stock', {
+    where: { productId: product.id },
+    transaction
+  }));
+  const { stock } = await Product.findByPk(product.id, { attributes: ['stock'], transaction });
+
+  if (variantsTotal !== Helpers.roundQuantity(stock)) {
+    await stockLedgerService.record({
+      productId: product.id,
+      userId,
+      type: 'adjustment',
+      quantity: Helpers.roundQuantity(variantsTotal - stock),
+      notes: 'Estoque do produto passa a ser a soma das variações'
+    }, { transaction });
+  }
+
+  product.stock = variantsTotal;
+}
+
+// Sincronizar adicionais do produto (itens vendidos guardam uma cópia do adicional)
+async function syncModifiers(product, modifiers, transaction) {
+  const existing = await ProductModifier.findAll({
+    where: { productId: product.id },
+    transaction
+  });
+  const keptIds = new Set();
+
+  for (const [index, data] of modifiers.entries()) {
+    const fields = { sortOrder: index, ...pickFields(data, MODIFIER_FIELDS) };
+    let modifier = data.id && existing.find(candidate => candidate.id === data.id);
+
+    if (modifier) {
+      await modifier.update(fields, { transaction });
+    } else {
+      modifier = await ProductModifier.create({
+        ...fields,
+        productId: product.id
+      }, { transaction });
+    }
+
+    keptIds.add(modifier.id);
+  }
+
+  await ProductModifier.destroy({
+    where: {
+      productId: product.id,
+      id: { [Op.notIn]: [...keptIds] }
+    },
+    transaction
+  });
+}
+
 class ProductController {
   // Listar produtos
   async listProducts(req, res) {
@@ -58,6 +211,8 @@ class ProductController {
       // Buscar produtos
       const { count, rows: products } = await Product.findAndCountAll({
         where,
+        include: VARIANT_INCLUDES,
+        distinct: true,
         limit: parseInt(limit),
         offset: parseInt(offset),
         order: [['createdAt', 'DESC']]
@@ -139,7 +294,8 @@ class ProductController {
       const userId = req.user.userId;
       
       const product = await Product.findOne({
-        where: { id, userId }
+        where: { id, userId },
+        include: VARIANT_INCLUDES
       });
       
       if (!product) {
@@ -180,7 +336,7 @@ class ProductController {
   async createProduct(req, res) {
     try {
       const userId = req.user.userId;
-      const productData = req.body;
+      const { variants, modifiers, ...productData } = req.body;
       
       // Verificar se SKU já existe
       const existingProduct = await Product.findOne({
@@ -196,25 +352,42 @@ class ProductController {
         });
       }
       
-      // Criar produto
-      const product = await Product.create({
-        ...productData,
-        userId
+      const product = await sequelize.transaction(async (transaction) => {
+        // Com variações, o estoque é controlado por variação
+        const hasVariants = Array.isArray(variants) && variants.length > 0;
+        
+        // Criar produto (o estoque entra pelo livro de estoque)
+        const created = await Product.create({
+          ...productData,
+          stock: 0,
+          userId
+        }, { transaction });
+        
+        // Registrar movimento no inventário
+        if (!hasVariants && productData.stock > 0) {
+          await stockLedgerService.record({
+            productId: created.id,
+            userId,
+            type: 'initial',
+            quantity: productData.stock,
+            unitCost: productData.cost,
+            location: productData.location,
+            notes: 'Estoque inicial'
+          }, { transaction });
+        }
+        
+        if (hasVariants) {
+          await syncVariants(created, variants, userId, transaction);
+        }
+        
+        if (Array.isArray(modifiers)) {
+          await syncModifiers(created, modifiers, transaction);
+        }
+        
+        return created;
       });
       
-      // Registrar movimento no inventário
-      if (productData.stock > 0) {
-        await Inventory.create({
-          productId: product.id,
-          userId,
-          type: 'initial',
-          quantity: productData.stock,
-          previousQuantity: 0,
-          newQuantity: productData.stock,
-          cost: productData.cost,
-          notes: 'Estoque inicial'
-        });
-      }
+      await product.reload({ include: VARIANT_INCLUDES });
       
       // Log de criação
       await securityService.logSecurityEvent({
@@ -235,8 +408,22 @@ class ProductController {
       });
       
     } catch (error) {
+      if (error instanceof AppError) {
+        return res.status(error.statusCode).json({
+          error: error.message,
+          code: error.code,
+          details: error.details
+        });
+      }
+      
       logger.error('Erro ao criar produto:', error);
       
+      if (error.name === 'SequelizeUniqueConstraintError') {
+        return res.status(400).json({
+          error: 'Já existe uma variação com este SKU ou código de barras.'
+        });
+      }
+      
       await securityService.logSecurityEvent({
         userId: req.user?.userId || 'unknown',
         action: 'PRODUCT_CREATION_ERROR',
@@ -257,7 +444,7 @@ class ProductController {
     try {
       const { id } = req.params;
       const userId = req.user.userId;
-      const updateData = req.body;
+      const { variants, modifiers, ...updateData } = req.body;
       
       // Buscar produto
       const product = await Product.findOne({
@@ -286,22 +473,38 @@ class ProductController {
         }
       }
       
-      // Registrar mudança de estoque
-      if (updateData.stock !== undefined && updateData.stock !== product.stock) {
-        await Inventory.create({
-          productId: product.id,
-          userId,
-          type: 'adjustment',
-          quantity: updateData.stock - product.stock,
-          previousQuantity: product.stock,
-          newQuantity: updateData.stock,
-          cost: product.cost,
-          notes: updateData.adjustmentNotes || 'Ajuste manual de estoque'
-        });
-      }
+      await sequelize.transaction(async (transaction) => {
+        // Com variações, o estoque do produto é a soma das variações
+        const hasVariants = Array.isArray(variants) ? variants.length > 0 : product.hasVariants;
+        if (hasVariants) {
+          delete updateData.stock;
+        }
+        
+        // Registrar mudança de estoque (o estoque só muda pelo livro de estoque)
+        if (updateData.stock !== undefined && updateData.stock !== product.stock) {
+          await stockLedgerService.record({
+            productId: product.id,
+            userId,
+            type: 'adjustment',
+            quantity: Helpers.roundQuantity(updateData.stock - product.stock),
+            notes: updateData.adjustmentNotes || 'Ajuste manual de estoque'
+          }, { transaction });
+        }
+        delete updateData.stock;
+        
+        // Atualizar produto
+        await product.update(updateData, { transaction });
+        
+        if (Array.isArray(variants)) {
+          await syncVariants(product, variants, userId, transaction);
+        }
+        
+        if (Array.isArray(modifiers)) {
+          await syncModifiers(product, modifiers, transaction);
+        }
+      });
       
-      // Atualizar produto
-      await product.update(updateData);
+      await product.reload({ include: VARIANT_INCLUDES });
       
       // Log de atualização
       await securityService.logSecurityEvent({
@@ -321,8 +524,22 @@ class ProductController {
       });
       
     } catch (error) {
+      if (error instanceof AppError) {
+        return res.status(error.statusCode).json({
+          error: error.message,
+          code: error.code,
+          details: error.details
+        });
+      }
+      
       logger.error('Erro ao atualizar produto:', error);
       
+      if (error.name === 'SequelizeUniqueConstraintError') {
+        return res.status(400).json({
+          error: 'Já existe uma variação com este SKU ou código de barras.'
+        });
+      }
+      
       await securityService.logSecurityEvent({
         userId: req.user?.userId || 'unknown',
         action: 'PRODUCT_UPDATE_ERROR',
@@ -424,7 +641,7 @@ class ProductController {
   async adjustStock(req, res) {
     try {
       const { id } = req.params;
-      const { adjustment, notes, cost } = req.body;
+      const { adjustment, notes, cost, variantId } = req.body;
       const userId = req.user.userId;
       
       const product = await Product.findOne({
@@ -437,8 +654,29 @@ class ProductController {
         });
       }
       
+      if (!Number.isInteger(adjustment) && !product.allowsFractionalQuantity()) {
+        return res.status(400).json({
+          error: 'Produto vendido por unidade: o ajuste deve ser um número inteiro.'
+        });
+      }
+      
+      // Produtos com variações têm o estoque ajustado por variação
+      let variant = null;
+      if (product.hasVariants || variantId) {
+        variant = variantId && await ProductVariant.findOne({
+          where: { id: variantId, productId: product.id }
+        });
+        
+        if (!variant) {
+          return res.status(400).json({
+            error: 'Informe a variação do produto para ajustar o estoque.'
+          });
+        }
+      }
+      
       // Calcular novo estoque
-      const newStock = product.stock + adjustment;
+      const currentStock = variant ? variant.stock : product.stock;
+      const newStock = Helpers.roundQuantity(currentStock + adjustment);
       
       if (newStock < 0) {
         return res.status(400).json({
@@ -446,20 +684,18 @@ class ProductController {
         });
       }
       
-      // Registrar movimento
-      await Inventory.create({
+      // Registrar movimento e atualizar estoque do produto (ou da variação e o total do produto)
+      const result = await sequelize.transaction(transaction => stockLedgerService.record({
         productId: product.id,
+        variantId: variant?.id,
         userId,
         type: adjustment > 0 ? 'entry' : 'withdrawal',
-        quantity: Math.abs(adjustment),
-        previousQuantity: product.stock,
-        newQuantity: newStock,
-        cost: cost || product.cost,
+        quantity: adjustment,
+        unitCost: cost,
         notes: notes || `Ajuste de estoque: ${adjustment > 0 ? '+' : ''}${adjustment}`
-      });
+      }, { transaction }));
       
-      // Atualizar estoque do produto
-      await product.update({ stock: newStock });
+      product.stock = result.product.stock;
       
       // Log de ajuste
       await securityService.logSecurityEvent({
@@ -469,8 +705,9 @@ class ProductController {
         ipAddress: req.ip,
         details: {
           productId: id,
+          variantId: variant?.id,
           adjustment,
-          previousStock: product.stock,
+          previousStock: currentStock,
           newStock
         }
       });
@@ -481,6 +718,14 @@ class ProductController {
       });
       
     } catch (error) {
+      if (error instanceof AppError) {
+        return res.status(error.statusCode).json({
+          error: error.message,
+          code: error.code,
+          details: error.details
+        });
+      }
+      
       logger.error('Erro ao ajustar estoque:', error);
       
       await securityService.logSecurityEvent({
@@ -497,22 +742,81 @@ class ProductController {
     }
   }
   
-  // Buscar por SKU ou código de barras
+  // Buscar por SKU ou código de barras (do produto, de uma variação ou etiqueta de balança)
   async findByCode(req, res) {
     try {
       const { code } = req.params;
       const userId = req.user.userId;
       
-      const product = await Product.findOne({
+      let variant = null;
+      let scale = null;
+      let product = await Product.findOne({
         where: {
           userId,
           [Op.or]: [
             { sku: code },
             { barcode: code }
           ]
-        }
+        },
+        include: VARIANT_INCLUDES
       });
       
+      if (!product) {
+        variant = await ProductVariant.findOne({
+          where: {
+            isActive: true,
+            [Op.or]: [
+              { sku: code },
+              { barcode: code }
+            ]
+          },
+          include: [{
+            model: Product,
+            as: 'product',
+            where: { userId },
+            attributes: ['id']
+          }]
+        });
+        
+        if (variant) {
+          product = await Product.findByPk(variant.productId, {
+            include: VARIANT_INCLUDES
+          });
+        }
+      }
+      
+      // Etiqueta de balança: código do produto + peso ou preço embutidos no EAN-13
+      const decoded = !product && Helpers.parseScaleBarcode(code, Product.SCALE_BARCODE);
+      if (decoded) {
+        const plu = [decoded.plu, String(parseInt(decoded.plu))];
+        
+        product = await Product.findOne({
+          where: {
+            userId,
+            hasVariants: false,
+            [Op.or]: [
+              { sku: plu },
+              { barcode: plu }
+            ]
+          }
+        });
+        
+        if (product) {
+          if (!product.allowsFractionalQuantity()) {
+            return res.status(400).json({
+              error: `${product.name} não é vendido por peso ou medida.`
+            });
+          }
+          
+          // Peso em gramas para produtos em g, em kg para os demais; pelo preço, a quantidade é valor / preço unitário
+          const quantity = decoded.mode === 'weight'
+            ? Helpers.roundQuantity(product.unit.toLowerCase() === 'g' ? decoded.weight * 1000 : decoded.weight)
+            : Helpers.roundQuantity(decoded.amount / parseFloat(product.price));
+          
+          scale = { ...decoded, quantity };
+        }
+      }
+      
       if (!product) {
         return res.status(404).json({
           error: 'Produto não encontrado.'
@@ -525,10 +829,10 @@ class ProductController {
         action: 'PRODUCT_SEARCH_BY_CODE',
         description: `Produto buscado por código: ${code}`,
         ipAddress: req.ip,
-        details: { code, productId: product.id }
+        details: { code, productId: product.id, variantId: variant?.id, scale }
       });
       
-      res.json({ product });
+      res.json({ product, variant, scale, quantity: scale ? scale.quantity : 1 });
       
     } catch (error) {
       logger.error('Erro ao buscar produto por código:', error);
@@ -585,26 +889,30 @@ class ProductController {
             continue;
           }
           
-          // Criar produto
-          const product = await Product.create({
-            ...productData,
-            userId
+          // Criar produto e registrar estoque inicial
+          const product = await sequelize.transaction(async (transaction) => {
+            const created = await Product.create({
+              ...productData,
+              stock: 0,
+              userId
+            }, { transaction });
+            
+            if (productData.stock > 0) {
+              const result = await stockLedgerService.record({
+                productId: created.id,
+                userId,
+                type: 'initial',
+                quantity: productData.stock,
+                unitCost: productData.cost,
+                location: productData.location,
+                notes: 'Importação em lote'
+              }, { transaction });
+              created.stock = result.stock;
+            }
+            
+            return created;
           });
           
-          // Registrar estoque inicial
-          if (productData.stock > 0) {
-            await Inventory.create({
-              productId: product.id,
-              userId,
-              type: 'initial',
-              quantity: productData.stock,
-              previousQuantity: 0,
-              newQuantity: productData.stock,
-              cost: productData.cost,
-              notes: 'Importação em lote'
-            });
-          }
-          
           results.success.push(product);
         } catch (error) {
           results.errors.push({
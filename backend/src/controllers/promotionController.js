@@ -0,0 +1,335 @@
+const Promotion = require('../models/Promotion');
+const Sale = require('../models/Sale');
+const securityService = require('../services/securityService');
+const logger = require('../utils/logger');
+const { Op } = require('sequelize');
+
+// Campos que podem ser definidos pelo usuário
+const PROMOTION_FIELDS = [
+  'name', 'description', 'type', 'scope', 'value', 'productIds', 'category',
+  'buyQuantity', 'getQuantity', 'minPurchase', 'couponCode', 'usageLimit',
+  'startsAt', 'endsAt', 'priority', 'stackable', 'isActive'
+];
+
+const pickPromotionFields = (body) => PROMOTION_FIELDS.reduce((data, field) => {
+  if (body[field] !== undefined) data[field] = body[field];
+  return data;
+}, {});
+
+// Verificar se já existe outra promoção com o mesmo cupom
+const couponInUse = async (userId, couponCode, excludeId) => {
+  if (!couponCode) return false;
+
+  const where = { userId, couponCode: couponCode.trim().toUpperCase() };
+  if (excludeId) where.id = { [Op.ne]: excludeId };
+
+  return (await Promotion.count({ where })) > 0;
+};
+
+class PromotionController {
+  // Listar promoções
+  async listPromotions(req, res) {
+    try {
+      const userId = req.user.userId;
+      const { page = 1, limit = 50, status, type, search } = req.query;
+
+      const offset = (page - 1) * limit;
+      const where = { userId };
+      const now = new Date();
+
+      if (type) where.type = type;
+
+      // active = vigentes agora, scheduled = agendadas, expired = encerradas, inactive = desativadas
+      if (status === 'active') {
+        where.isActive = true;
+        where[Op.and] = [
+          { [Op.or]: [{ startsAt: null }, { startsAt: { [Op.lte]: now } }] },
+          { [Op.or]: [{ endsAt: null }, { endsAt: { [Op.gte]: now } }] }
+        ];
+      } else if (status === 'scheduled') {
+        where.isActive = true;
+        where.startsAt = { [Op.gt]: now };
+      } else if (status === 'expired') {
+        where.endsAt = { [Op.lt]: now };
+      } else if (status === 'inactive') {
+        where.isActive = false;
+      }
+
+      if (search) {
+        where[Op.or] = [
+          { name: { [Op.iLike]: `%${search}%` } },
+          { couponCode: { [Op.iLike]: `%${search}%` } }
+        ];
+      }
+
+      const { count, rows: promotions } = await Promotion.findAndCountAll({
+        where,
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        order: [['priority', 'DESC'], ['createdAt', 'DESC']]
+      });
+
+      res.json({
+        promotions,
+        pagination: {
+          total: count,
+          page: parseInt(page),
+          pages: Math.ceil(count / limit),
+          limit: parseInt(limit)
+        }
+      });
+
+    } catch (error) {
+      logger.error('Erro ao listar promoções:', error);
+      res.status(500).json({
+        error: 'Erro ao listar promoções.'
+      });
+    }
+  }
+
+  // Buscar promoção específica
+  async getPromotion(req, res) {
+    try {
+      const { id } = req.params;
+      const userId = req.user.userId;
+
+      const promotion = await Promotion.findOne({
+        where: { id, userId }
+      });
+
+      if (!promotion) {
+        return res.status(404).json({
+          error: 'Promoção não encontrada.'
+        });
+      }
+
+      res.json({ promotion });
+
+    } catch (error) {
+      logger.error('Erro ao buscar promoção:', error);
+      res.status(500).json({
+        error: 'Erro ao buscar promoção.'
+      });
+    }
+  }
+
+  // Criar promoção ou cupom
+  async createPromotion(req, res) {
+    try {
+      const userId = req.user.userId;
+      const data = pickPromotionFields(req.body);
+
+      if (await couponInUse(userId, data.couponCode)) {
+        return res.status(400).json({
+          error: 'Já existe uma promoção com este cupom.'
+        });
+      }
+
+      const promotion = await Promotion.create({
+        ...data,
+        userId
+      });
+
+      // Log de criação
+      await securityService.logSecurityEvent({
+        userId,
+        action: 'PROMOTION_CREATED',
+        description: `Promoção criada: ${promotion.name}`,
+        ipAddress: req.ip,
+        details: {
+          promotionId: promotion.id,
+          type: promotion.type,
+          scope: promotion.scope,
+          value: promotion.value,
+          couponCode: promotion.couponCode
+        }
+      });
+
+      res.status(201).json({
+        message: 'Promoção criada com sucesso!',
+        promotion
+      });
+
+    } catch (error) {
+      if (error.name === 'SequelizeValidationError') {
+        return res.status(400).json({
+          error: 'Dados inválidos',
+          details: error.errors.map(err => err.message)
+        });
+      }
+
+      logger.error('Erro ao criar promoção:', error);
+      res.status(500).json({
+        error: 'Erro ao criar promoção.'
+      });
+    }
+  }
+
+  // Atualizar promoção
+  async updatePromotion(req, res) {
+    try {
+      const { id } = req.params;
+      const userId = req.user.userId;
+      const data = pickPromotionFields(req.body);
+
+      const promotion = await Promotion.findOne({
+        where: { id, userId }
+      });
+
+      if (!promotion) {
+        return res.status(404).json({
+          error: 'Promoção não encontrada.'
+        });
+      }
+
+      if (await couponInUse(userId, data.couponCode, id)) {
+        return res.status(400).json({
+          error: 'Já existe uma promoção com este cupom.'
+        });
+      }
+
+      const oldData = promotion.toJSON();
+      await promotion.update(data);
+
+      // Log de atualização
+      await securityService.logSecurityEvent({
+        userId,
+        action: 'PROMOTION_UPDATED',
+        description: `Promoção atualizada: ${promotion.name}`,
+        ipAddress: req.ip,
+        details: {
+          promotionId: promotion.id,
+          changes: Object.keys(data).filter(field =>
+            JSON.stringify(oldData[field]) !== JSON.stringify(promotion[field]))
+        }
+      });
+
+      res.json({
+        message: 'Promoção atualizada com sucesso!',
+        promotion
+      });
+
+    } catch (error) {
+      if (error.name === 'SequelizeValidationError') {
+        return res.status(400).json({
+          error: 'Dados inválidos',
+          details: error.errors.map(err => err.message)
+        });
+      }
+
+      logger.error('Erro ao atualizar promoção:', error);
+      res.status(500).json({
+        error: 'Erro ao atualizar promoção.'
+      });
+    }
+  }
+
+  // Excluir promoção (desativa se já foi usada em vendas)
+  async deletePromotion(req, res) {
+    try {
+      const { id } = req.params;
+      const userId = req.user.userId;
+
+      const promotion = await Promotion.findOne({
+        where: { id, userId }
+      });
+
+      if (!promotion) {
+        return res.status(404).json({
+          error: 'Promoção não encontrada.'
+        });
+      }
+
+      if (promotion.usageCount > 0) {
+        await promotion.update({ isActive: false });
+
+        await securityService.logSecurityEvent({
+          userId,
+          action: 'PROMOTION_DEACTIVATED',
+          description: `Promoção desativada: ${promotion.name}`,
+          ipAddress: req.ip,
+          details: {
+            promotionId: id,
+            reason: 'Possui vendas vinculadas'
+          }
+        });
+
+        return res.json({
+          message: 'Promoção desativada (não pode ser excluída por ter sido usada em vendas).',
+          promotion
+        });
+      }
+
+      await promotion.destroy();
+
+      await securityService.logSecurityEvent({
+        userId,
+        action: 'PROMOTION_DELETED',
+        description: `Promoção excluída: ${promotion.name}`,
+        ipAddress: req.ip,
+        details: { promotionId: id }
+      });
+
+      res.json({
+        message: 'Promoção excluída com sucesso!'
+      });
+
+    } catch (error) {
+      logger.error('Erro ao excluir promoção:', error);
+      res.status(500).json({
+        error: 'Erro ao excluir promoção.'
+      });
+    }
+  }
+
+  // Desempenho da promoção (vendas e descontos concedidos)
+  async getPromotionStats(req, res) {
+    try {
+      const { id } = req.params;
+      const userId = req.user.userId;
+
+      const promotion = await Promotion.findOne({
+        where: { id, userId }
+      });
+
+      if (!promotion) {
+        return res.status(404).json({
+          error: 'Promoção não encontrada.'
+        });
+      }
+
+      const sales = await Sale.findAll({
+        where: {
+          userId,
+          status: { [Op.in]: ['completed', 'partially_refunded'] },
+          items: { [Op.contains]: [{ promotions: [{ promotionId: id }] }] }
+        },
+        attributes: ['id', 'total', 'items', 'createdAt']
+      });
+
+      const totalDiscount = sales.reduce((sum, sale) => sum + sale.items
+        .flatMap(item => item.promotions || [])
+        .filter(applied => applied.promotionId === id)
+        .reduce((itemSum, applied) => itemSum + applied.discount, 0), 0);
+
+      res.json({
+        promotion,
+        stats: {
+          salesCount: sales.length,
+          revenue: Math.round(sales.reduce((sum, sale) => sum + parseFloat(sale.total), 0) * 100) / 100,
+          totalDiscount: Math.round(totalDiscount * 100) / 100,
+          usageCount: promotion.usageCount,
+          usageLimit: promotion.usageLimit
+        }
+      });
+
+    } catch (error) {
+      logger.error('Erro ao buscar desempenho da promoção:', error);
+      res.status(500).json({
+        error: 'Erro ao buscar desempenho da promoção.'
+      });
+    }
+  }
+}
+
+module.exports = new PromotionController();
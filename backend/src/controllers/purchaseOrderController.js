@@ -0,0 +1,262 @@
+const purchaseOrderService = require('../services/purchaseOrderService');
+const securityService = require('../services/securityService');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+class PurchaseOrderController {
+  // Listar pedidos de compra
+  async listOrders(req, res) {
+    try {
+      const userId = req.user.userId;
+      const result = await purchaseOrderService.listOrders(userId, req.query);
+
+      res.json(result);
+
+    } catch (error) {
+      logger.error('Erro ao listar pedidos de compra:', error);
+      res.status(500).json({
+        error: 'Erro ao listar pedidos de compra.'
+      });
+    }
+  }
+
+  // Pedido com linhas e recebimentos
+  async getOrder(req, res) {
+    try {
+      const userId = req.user.userId;
+      const order = await purchaseOrderService.getOrder(userId, req.params.id);
+
+      res.json({ order });
+
+    } catch (error) {
+      if (error instanceof AppError) {
+        return res.status(error.statusCode).json({
+          error: error.message,
+          code: error.code,
+          details: error.details
+        });
+      }
+
+      logger.error('Erro ao buscar pedido de compra:', error);
+      res.status(500).json({
+        error: 'Erro ao buscar pedido de compra.'
+      });
+    }
+  }
+
+  // Criar pedido em rascunho
+  async createOrder(req, res) {
+    try {
+      const userId = req.user.userId;
+      const order = await purchaseOrderService.createOrder(userId, req.body);
+
+      await securityService.logSecurityEvent({
+        userId,
+        action: 'PURCHASE_ORDER_CREATED',
+        description: `Pedido de compra ${order.orderNumber} criado para ${order.supplierName}`,
+        ipAddress: req.ip,
+        details: { purchaseOrderId: order.id, total: order.total }
+      });
+
+      res.status(201).json({
+        message: 'Pedido de compra criado com sucesso!',
+        order
+      });
+
+    } catch (error) {
+      if (error instanceof AppError) {
+        return res.status(error.statusCode).json({
+          error: error.message,
+          code: error.code,
+          details: error.details
+        });
+      }
+
+      logger.error('Erro ao criar pedido de compra:', error);
+      res.status(500).json({
+        error: 'Erro ao criar pedido de compra.'
+      });
+    }
+  }
+
+  // Editar pedido em rascunho
+  async updateOrder(req, res) {
+    try {
+      const userId = req.user.userId;
+      const order = await purchaseOrderService.updateOrder(userId, req.params.id, req.body);
+
+      res.json({
+        message: 'Pedido de compra atualizado com sucesso!',
+        order
+      });
+
+    } catch (error) {
+      if (error instanceof AppError) {
+        return res.status(error.statusCode).json({
+          error: error.message,
+          code: error.code,
+          details: error.details
+        });
+      }
+
+      logger.error('Erro ao atualizar pedido de compra:', error);
+      res.status(500).json({
+        error: 'Erro ao atualizar pedido de compra.'
+      });
+    }
+  }
+
+  // Enviar pedido ao fornecedor
+  async placeOrder(req, res) {
+    try {
+      const userId = req.user.userId;
+      const order = await purchaseOrderService.placeOrder(userId, req.params.id);
+
+      await securityService.logSecurityEvent({
+        userId,
+        action: 'PURCHASE_ORDER_PLACED',
+        description: `Pedido de compra ${order.orderNumber} enviado para ${order.supplierName}`,
+        ipAddress: req.ip,
+        details: { purchaseOrderId: order.id, total: order.total }
+      });
+
+      res.json({
+        message: 'Pedido de compra enviado ao fornecedor!',
+        order
+      });
+
+    } catch (error) {
+      if (error instanceof AppError) {
+        return res.status(error.statusCode).json({
+          error: error.message,
+          code: error.code,
+          details: error.details
+        });
+      }
+
+      logger.error('Erro ao enviar pedido de compra:', error);
+      res.status(500).json({
+        error: 'Erro ao enviar pedido de compra.'
+      });
+    }
+  }
+
+  // Cancelar pedido sem recebimentos
+  async cancelOrder(req, res) {
+    try {
+      const userId = req.user.userId;
+      const order = await purchaseOrderService.cancelOrder(userId, req.params.id, req.body.reason);
+
+      await securityService.logSecurityEvent({
+        userId,
+        action: 'PURCHASE_ORDER_CANCELLED',
+        description: `Pedido de compra ${order.orderNumber} cancelado: ${order.cancelReason}`,
+        ipAddress: req.ip,
+        details: { purchaseOrderId: order.id },
+        severity: 'medium'
+      });
+
+      res.json({
+        message: 'Pedido de compra cancelado com sucesso!',
+        order
+      });
+
+    } catch (error) {
+      if (error instanceof AppError) {
+        return res.status(error.statusCode).json({
+          error: error.message,
+          code: error.code,
+          details: error.details
+        });
+      }
+
+      logger.error('Erro ao cancelar pedido de compra:', error);
+      res.status(500).json({
+        error: 'Erro ao cancelar pedido de compra.'
+      });
+    }
+  }
+
+  // Receber mercadoria (total ou parcial)
+  async receiveOrder(req, res) {
+    try {
+      const userId = req.user.userId;
+      const { order, receipt } = await purchaseOrderService.receive(userId, req.params.id, req.body);
+
+      await securityService.logSecurityEvent({
+        userId,
+        action: 'PURCHASE_ORDER_RECEIVED',
+        description: `Recebimento do pedido ${order.orderNumber}: ${receipt.items.length} item(ns), ${parseFloat(receipt.total).toFixed(2)}`,
+        ipAddress: req.ip,
+        details: { purchaseOrderId: order.id, goodsReceiptId: receipt.id, status: order.status }
+      });
+
+      res.status(201).json({
+        message: order.status === 'received'
+          ? 'Pedido recebido por completo!'
+          : 'Recebimento parcial registrado!',
+        order,
+        receipt
+      });
+
+    } catch (error) {
+      if (error instanceof AppError) {
+        return res.status(error.statusCode).json({
+          error: error.message,
+          code: error.code,
+          details: error.details
+        });
+      }
+
+      logger.error('Erro ao receber pedido de compra:', error);
+      res.status(500).json({
+        error: 'Erro ao receber pedido de compra.'
+      });
+    }
+  }
+
+  // Conferir a nota do fornecedor e lançar a despesa a pagar
+  async matchInvoice(req, res) {
+    try {
+      const userId = req.user.userId;
+      const { order, receipts, expense, match } = await purchaseOrderService.matchInvoice(userId, req.params.id, req.body);
+
+      await securityService.logSecurityEvent({
+        userId,
+        action: 'PURCHASE_INVOICE_MATCHED',
+        description: `Nota ${req.body.invoiceNumber} conferida no pedido ${order.orderNumber}: ${match.invoiced.toFixed(2)}`,
+        ipAddress: req.ip,
+        details: {
+          purchaseOrderId: order.id,
+          transactionId: expense.id,
+          goodsReceiptIds: receipts.map(receipt => receipt.id),
+          difference: match.difference
+        }
+      });
+
+      res.json({
+        message: 'Nota conferida e despesa lançada em contas a pagar!',
+        order,
+        receipts,
+        transaction: expense,
+        match
+      });
+
+    } catch (error) {
+      if (error instanceof AppError) {
+        return res.status(error.statusCode).json({
+          error: error.message,
+          code: error.code,
+          details: error.details
+        });
+      }
+
+      logger.error('Erro ao conferir nota de compra:', error);
+      res.status(500).json({
+        error: 'Erro ao conferir nota de compra.'
+      });
+    }
+  }
+}
+
+module.exports = new PurchaseOrderController();
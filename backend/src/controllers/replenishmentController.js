@@ -0,0 +1,78 @@
+const replenishmentService = require('../services/replenishmentService');
+const securityService = require('../services/securityService');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+class ReplenishmentController {
+  // Sugestões de reposição (ponto de pedido e quantidade a comprar pela média de vendas)
+  async getSuggestions(req, res) {
+    try {
+      const userId = req.user.userId;
+      const result = await replenishmentService.getSuggestions(userId, req.query);
+
+      res.json(result);
+
+    } catch (error) {
+      logger.error('Erro ao calcular sugestões de reposição:', error);
+      res.status(500).json({
+        error: 'Erro ao calcular sugestões de reposição.'
+      });
+    }
+  }
+
+  // Gravar ponto de pedido e próxima reposição no estoque por local
+  async recalculate(req, res) {
+    try {
+      const userId = req.user.userId;
+      const updated = await replenishmentService.applyReorderPoints(userId);
+
+      res.json({
+        message: 'Ponto de pedido recalculado com sucesso!',
+        updated
+      });
+
+    } catch (error) {
+      logger.error('Erro ao recalcular ponto de pedido:', error);
+      res.status(500).json({
+        error: 'Erro ao recalcular ponto de pedido.'
+      });
+    }
+  }
+
+  // Gerar pedidos de compra em rascunho a partir das sugestões aprovadas
+  async createPurchaseOrders(req, res) {
+    try {
+      const userId = req.user.userId;
+      const orders = await replenishmentService.createPurchaseOrders(userId, req.body.items);
+
+      await securityService.logSecurityEvent({
+        userId,
+        action: 'REPLENISHMENT_ORDERS_CREATED',
+        description: `${orders.length} pedido(s) de compra gerado(s) pelas sugestões de reposição`,
+        ipAddress: req.ip,
+        details: { purchaseOrderIds: orders.map(order => order.id) }
+      });
+
+      res.status(201).json({
+        message: 'Pedidos de compra gerados com sucesso!',
+        orders
+      });
+
+    } catch (error) {
+      if (error instanceof AppError) {
+        return res.status(error.statusCode).json({
+          error: error.message,
+          code: error.code,
+          details: error.details
+        });
+      }
+
+      logger.error('Erro ao gerar pedidos de reposição:', error);
+      res.status(500).json({
+        error: 'Erro ao gerar pedidos de reposição.'
+      });
+    }
+  }
+}
+
+module.exports = new ReplenishmentController();
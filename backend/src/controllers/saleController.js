@@ -1,209 +1,728 @@
 const Sale = require('../models/Sale');
+const SaleExchange = require('../models/SaleExchange');
 const Product = require('../models/Product');
 const Customer = require('../models/Customer');
-const Inventory = require('../models/Inventory');
+const User = require('../models/User');
 const CashDrawer = require('../models/CashDrawer');
+const CashDrawerMovement = require('../models/CashDrawerMovement');
+const Document = require('../models/Document');
+const LoyaltyMovement = require('../models/LoyaltyMovement');
+const ExchangeRate = require('../models/ExchangeRate');
+const { sequelize } = require('../config/database');
 const securityService = require('../services/securityService');
+const saleService = require('../services/saleService');
+const loyaltyService = require('../services/loyaltyService');
+const pricingService = require('../services/pricingService');
+const documentService = require('../services/documentService');
+const receiptService = require('../services/receiptService');
 const emailService = require('../services/emailService');
 const logger = require('../utils/logger');
+const Helpers = require('../utils/helpers');
+const { AppError } = require('../middleware/errorHandler');
 const { Op, Sequelize } = require('sequelize');
 const PDFDocument = require('pdfkit');
 const fs = require('fs').promises;
 const path = require('path');
 
+// Operadores de caixa fecham sempre às cegas; gestores podem optar pelo modo cego
+function isBlindMode(req) {
+  return req.user.role === 'cashier' || req.body?.blind === true;
+}
+
+// Registrar suprimento (cash_in) ou sangria (cash_out) no caixa aberto
+async function registerCashMovement(req, res, type) {
+  const transaction = await sequelize.transaction();
+
+  try {
+    const userId = req.user.userId;
+    const { amount, reason, notes } = req.body;
+    const value = Math.round(parseFloat(amount) * 100) / 100;
+
+    const cashDrawer = await CashDrawer.findOne({
+      where: { userId, status: 'open' },
+      lock: transaction.LOCK.UPDATE,
+      transaction
+    });
+
+    if (!cashDrawer) {
+      await transaction.rollback();
+      return res.status(404).json({
+        error: 'Nenhum caixa aberto encontrado.'
+      });
+    }
+
+    if (type === 'cash_out') {
+      const summary = await cashDrawer.calculateSummary({ transaction });
+      if (value > summary.expectedBalance) {
+        await transaction.rollback();
+        return res.status(400).json({
+          error: 'Valor da sangria excede o saldo disponível em caixa.'
+        });
+      }
+    }
+
+    const movement = await CashDrawerMovement.create({
+      cashDrawerId: cashDrawer.id,
+      userId,
+      type,
+      amount: value,
+      reason,
+      notes
+    }, { transaction });
+
+    cashDrawer.expectedBalance = parseFloat(cashDrawer.expectedBalance ?? cashDrawer.openingBalance) + movement.getSignedAmount();
+    await cashDrawer.save({ transaction });
+
+    await transaction.commit();
+
+    await securityService.logSecurityEvent({
+      userId,
+      action: type === 'cash_in' ? 'CASH_DRAWER_CASH_IN' : 'CASH_DRAWER_CASH_OUT',
+      description: type === 'cash_in' ? 'Suprimento de caixa' : 'Sangria de caixa',
+      ipAddress: req.ip,
+      details: {
+        drawerId: cashDrawer.id,
+        movementId: movement.id,
+        amount: value,
+        reason
+      },
+      severity: type === 'cash_out' ? 'high' : 'medium'
+    });
+
+    res.status(201).json({
+      message: type === 'cash_in' ? 'Suprimento registrado com sucesso!' : 'Sangria registrada com sucesso!',
+      movement
+    });
+
+  } catch (error) {
+    await transaction.rollback();
+    logger.error('Erro ao registrar movimentação de caixa:', error);
+    res.status(500).json({
+      error: 'Erro ao registrar movimentação de caixa.'
+    });
+  }
+}
+
+// Usuários da mesma empresa do usuário informado
+async function getCompanyUsers(userId) {
+  const currentUser = await User.findByPk(userId, {
+    attributes: ['id', 'name', 'companyName']
+  });
+
+  return currentUser?.companyName
+    ? User.findAll({
+      where: { companyName: currentUser.companyName },
+      attributes: ['id', 'name']
+    })
+    : [currentUser].filter(Boolean);
+}
+
+// Retomar (resume) ou descartar (discard) uma venda suspensa da empresa no local do operador
+// O local é o do caixa aberto; sem caixa, o operador informa o local (?location=)
+async function releaseParkedSale(req, res, mode) {
+  try {
+    const { id } = req.params;
+    const userId = req.user.userId;
+    
+    const companyUsers = await getCompanyUsers(userId);
+    const cashDrawer = await CashDrawer.findOne({
+      where: { userId, status: 'open' },
+      attributes: ['location']
+    });
+    
+    const sale = await saleService.releaseParked(id, companyUsers.map(user => user.id), {
+      location: cashDrawer?.location || req.query.location
+    });
+    
+    await securityService.logSecurityEvent({
+      userId,
+      action: mode === 'resume' ? 'SALE_PARK_RESUMED' : 'SALE_PARK_DISCARDED',
+      description: `Venda suspensa ${mode === 'resume' ? 'retomada' : 'descartada'}: ${sale.saleNumber}`,
+      ipAddress: req.ip,
+      details: {
+        saleId: sale.id,
+        parkedBy: sale.userId,
+        location: sale.location,
+        total: sale.total
+      }
+    });
+    
+    if (mode === 'resume') {
+      return res.json({
+        message: 'Venda retomada.',
+        cart: sale.toCart()
+      });
+    }
+    
+    res.json({
+      message: 'Venda suspensa descartada.'
+    });
+    
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({
+        error: error.message
+      });
+    }
+    
+    logger.error('Erro ao liberar venda suspensa:', error);
+    res.status(500).json({
+      error: 'Erro ao liberar venda suspensa.'
+    });
+  }
+}
+
+// Enviar o recibo da venda por e-mail (link público e PDF); retorna false se não foi possível enviar
+async function sendReceiptEmail(sale, email) {
+  const saleWithCustomer = sale.customer !== undefined ? sale : await Sale.findByPk(sale.id, {
+    include: [{
+      model: Customer,
+      as: 'customer',
+      attributes: ['name', 'email']
+    }]
+  });
+  
+  const receipt = await receiptService.buildReceiptData(saleWithCustomer);
+  const pdf = await receiptService.renderPdf(receipt);
+  
+  return emailService.sendSaleNotification(email, saleWithCustomer.customer?.name || 'cliente', {
+    saleNumber: sale.saleNumber,
+    total: sale.total,
+    date: new Date(sale.createdAt).toLocaleString('pt-BR'),
+    items: sale.items,
+    companyName: receipt.company.name,
+    receiptUrl: receipt.publicUrl,
+    pdf
+  });
+}
+
+// Venda do link público do recibo (token assinado com validade)
+async function findPublicReceiptSale(token) {
+  const saleId = receiptService.verifyPublicToken(token);
+  if (!saleId) return null;
+  
+  return Sale.findByPk(saleId, {
+    include: [{
+      model: Customer,
+      as: 'customer',
+      attributes: ['name']
+    }]
+  });
+}
+
+// Escopo dos relatórios: vendas concluídas dos usuários da mesma empresa, com filtros de período, local e operador
+async function buildReportScope(req, defaultRange, options = {}) {
+  const { useQueryDates = true } = options;
+  const { startDate, endDate, location, cashierId } = req.query;
+
+  const companyUsers = await getCompanyUsers(req.user.userId);
+
+  let userIds = companyUsers.map(user => user.id);
+  if (cashierId) {
+    userIds = userIds.filter(id => id === cashierId);
+  }
+
+  const start = useQueryDates && startDate ? new Date(startDate) : defaultRange.start;
+  const end = useQueryDates && endDate ? new Date(endDate) : defaultRange.end;
+
+  const where = {
+    userId: { [Op.in]: userIds },
+    status: { [Op.in]: ['completed', 'partially_refunded'] },
+    createdAt: { [Op.between]: [start, end] }
+  };
+
+  if (location) where.location = location;
+
+  return {
+    where,
+    period: { startDate: start, endDate: end },
+    cashiers: companyUsers.reduce((acc, user) => {
+      acc[user.id] = user.name;
+      return acc;
+    }, {})
+  };
+}
+
+// Quantidade e receita líquidas do item (sem impostos, descontando devoluções e trocas)
+function netItemValues(item) {
+  const quantity = parseFloat(item.quantity) || 0;
+  const netQuantity = Helpers.roundQuantity(quantity - Sale.getReturnedQuantity(item));
+  const lineRevenue = parseFloat(item.subtotal || 0) - parseFloat(item.discount || 0);
+
+  return {
+    quantity: netQuantity,
+    revenue: quantity > 0 ? lineRevenue * netQuantity / quantity : 0
+  };
+}
+
+const roundMoney = value => Math.round(value * 100) / 100;
+
+// Valor da venda convertido para a moeda base pela cotação gravada na venda
+const toBaseAmount = (sale, value) => roundMoney(parseFloat(value || 0) * parseFloat(sale.exchangeRate || 1));
+
+const formatMoney = value => `R$ ${parseFloat(value || 0).toFixed(2)}`;
+
 class SaleController {
   // Criar nova venda (checkout POS)
   async createSale(req, res) {
-    const transaction = await sequelize.transaction();
-    
     try {
       const userId = req.user.userId;
-      const { items, customerId, paymentMethod, paymentDetails, notes, location } = req.body;
       
-      // Validar itens
-      if (!items || !Array.isArray(items) || items.length === 0) {
-        await transaction.rollback();
-        return res.status(400).json({
-          error: 'A venda deve conter pelo menos um item.'
+      // Venda já registrada com a mesma chave (reenvio do PDV)
+      const existingSale = await saleService.findByIdempotencyKey(userId, req.body.idempotencyKey);
+      if (existingSale) {
+        return res.json({
+          message: 'Venda já registrada.',
+          sale: existingSale,
+          duplicate: true
         });
       }
       
-      // Verificar estoque e calcular totais
-      let subtotal = 0;
-      let tax = 0;
-      const processedItems = [];
-      const inventoryMovements = [];
+      const sale = await saleService.checkout(userId, req.body, {
+        ipAddress: req.ip,
+        userAgent: req.headers['user-agent']
+      });
       
-      for (const item of items) {
-        const product = await Product.findOne({
-          where: { id: item.productId, userId },
-          transaction
-        });
-        
-        if (!product) {
-          await transaction.rollback();
-          return res.status(404).json({
-            error: `Produto não encontrado: ${item.productId}`
-          });
+      // Log de venda
+      await securityService.logSecurityEvent({
+        userId,
+        action: 'SALE_CREATED',
+        description: `Venda criada: ${sale.saleNumber}`,
+        ipAddress: req.ip,
+        details: {
+          saleId: sale.id,
+          saleNumber: sale.saleNumber,
+          total: sale.total,
+          paymentMethod: sale.paymentMethod,
+          tenders: sale.tenders,
+          itemsCount: sale.items.length
         }
+      });
+      
+      // Gerar recibo (opcional)
+      const receipt = await receiptService.buildReceiptData(sale);
+      
+      // Recibo por e-mail (opcional): enviado em segundo plano para não atrasar o PDV
+      let receiptEmail = null;
+      if (req.body.emailReceipt) {
+        const customer = sale.customerId
+          ? await Customer.findByPk(sale.customerId, { attributes: ['email'] })
+          : null;
+        receiptEmail = req.body.receiptEmail || customer?.email || null;
         
-        if (product.stock < item.quantity) {
-          await transaction.rollback();
-          return res.status(400).json({
-            error: `Estoque insuficiente para ${product.name}. Disponível: ${product.stock}, Solicitado: ${item.quantity}`
+        if (receiptEmail) {
+          sendReceiptEmail(sale, receiptEmail).catch(emailError => {
+            logger.error('Erro ao enviar recibo por e-mail:', emailError);
           });
         }
-        
-        // Calcular valores
-        const itemSubtotal = product.price * item.quantity;
-        const itemTax = (itemSubtotal * (product.taxRate / 100));
-        
-        subtotal += itemSubtotal;
-        tax += itemTax;
-        
-        // Preparar item processado
-        processedItems.push({
-          productId: product.id,
-          sku: product.sku,
-          name: product.name,
-          price: product.price,
-          quantity: item.quantity,
-          tax: itemTax,
-          taxRate: product.taxRate,
-          subtotal: itemSubtotal
-        });
-        
-        // Registrar movimento de inventário
-        inventoryMovements.push({
-          productId: product.id,
-          userId,
-          type: 'sale',
-          quantity: -item.quantity, // Saída de estoque
-          previousQuantity: product.stock,
-          newQuantity: product.stock - item.quantity,
-          unitCost: product.cost,
-          totalValue: product.cost * item.quantity * -1,
-          notes: `Venda POS - ${item.quantity} unidades`
-        });
-        
-        // Atualizar estoque do produto
-        await product.decrement('stock', {
-          by: item.quantity,
-          transaction
-        });
       }
       
-      // Calcular total
-      const discount = req.body.discount || 0;
-      const total = subtotal + tax - discount;
+      res.status(201).json({
+        message: 'Venda realizada com sucesso!',
+        sale,
+        receipt,
+        receiptEmail
+      });
       
-      // Verificar se caixa está aberto para vendas em dinheiro
-      if (paymentMethod === 'cash') {
-        const cashDrawer = await CashDrawer.findOne({
-          where: { userId, status: 'open' },
-          transaction
+    } catch (error) {
+      if (error instanceof AppError) {
+        return res.status(error.statusCode).json({
+          error: error.message,
+          code: error.code,
+          details: error.details
         });
-        
-        if (!cashDrawer) {
-          await transaction.rollback();
-          return res.status(400).json({
-            error: 'Caixa não está aberto. Abra o caixa antes de processar vendas em dinheiro.'
-          });
+      }
+      
+      logger.error('Erro ao criar venda:', error);
+      
+      await securityService.logSecurityEvent({
+        userId: req.user?.userId || 'unknown',
+        action: 'SALE_CREATION_ERROR',
+        description: 'Erro ao processar venda',
+        ipAddress: req.ip,
+        details: error.message
+      });
+      
+      res.status(500).json({
+        error: 'Erro ao processar venda.',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+  
+  // Simular preços do carrinho (promoções, cupom e impostos calculados no servidor)
+  async quoteSale(req, res) {
+    try {
+      const userId = req.user.userId;
+      const { items, couponCode, customerId, loyaltyPoints, currency } = req.body;
+      
+      // Prévia do resgate de pontos (validado novamente no checkout)
+      const redemption = loyaltyPoints
+        ? await loyaltyService.prepareRedemption(customerId, loyaltyPoints, { userId })
+        : null;
+      
+      const { products, variants, ...quote } = await pricingService.priceItems(userId, items, {
+        couponCode,
+        loyaltyDiscount: redemption?.discount,
+        currency
+      });
+      
+      if (redemption) {
+        loyaltyService.assertRedemptionLimit(quote, redemption.points);
+      }
+      
+      // Pontos que a venda vai gerar pela classificação atual do cliente
+      const customer = redemption?.customer || (customerId
+        ? await Customer.findOne({ where: { id: customerId, userId } })
+        : null);
+      
+      res.json({
+        quote: {
+          ...quote,
+          baseTotal: ExchangeRate.convert(quote.total, quote.exchangeRate),
+          items: quote.items.map(({ category, ...item }) => item),
+          loyalty: customer ? {
+            balance: customer.loyaltyPoints,
+            pointsRedeemed: redemption?.points || 0,
+            pointsToEarn: LoyaltyMovement.calculateEarnedPoints(
+              ExchangeRate.convert(quote.total, quote.exchangeRate),
+              customer.getLoyaltyMultiplier()
+            ),
+            multiplier: customer.getLoyaltyMultiplier()
+          } : null
         }
+      });
+      
+    } catch (error) {
+      if (error instanceof AppError) {
+        return res.status(error.statusCode).json({
+          error: error.message,
+          code: error.code,
+          details: error.details
+        });
       }
       
-      // Criar venda
-      const sale = await Sale.create({
-        customerId,
+      logger.error('Erro ao calcular preços:', error);
+      res.status(500).json({
+        error: 'Erro ao calcular preços.'
+      });
+    }
+  }
+  
+  // Suspender venda (estacionar carrinho no PDV)
+  async parkSale(req, res) {
+    try {
+      const userId = req.user.userId;
+      
+      const sale = await saleService.park(userId, req.body, {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+      
+      // Log de suspensão
+      await securityService.logSecurityEvent({
         userId,
-        items: processedItems,
-        subtotal,
-        tax,
-        discount,
-        total,
-        paymentMethod,
-        paymentDetails,
-        status: 'completed',
-        notes,
-        location: location || 'PDV Principal',
-        deviceInfo: {
-          userAgent: req.headers['user-agent'],
-          ip: req.ip
-        }
-      }, { transaction });
-      
-      // Registrar movimentos de inventário
-      for (const movement of inventoryMovements) {
-        movement.referenceId = sale.id;
-        movement.referenceType = 'sale';
-        await Inventory.create(movement, { transaction });
-      }
-      
-      // Atualizar total de compras do cliente
-      if (customerId) {
-        const customer = await Customer.findByPk(customerId, { transaction });
-        if (customer) {
-          customer.totalPurchases = (customer.totalPurchases || 0) + total;
-          customer.lastPurchase = new Date();
-          await customer.save({ transaction });
+        action: 'SALE_PARKED',
+        description: `Venda suspensa: ${sale.saleNumber}`,
+        ipAddress: req.ip,
+        details: {
+          saleId: sale.id,
+          location: sale.location,
+          total: sale.total,
+          parkedUntil: sale.parkedUntil
         }
+      });
+      
+      res.status(201).json({
+        message: 'Venda suspensa com sucesso!',
+        sale
+      });
+      
+    } catch (error) {
+      if (error instanceof AppError) {
+        return res.status(error.statusCode).json({
+          error: error.message,
+          code: error.code,
+          details: error.details
+        });
       }
       
-      // Atualizar caixa se for venda em dinheiro
-      if (paymentMethod === 'cash' && paymentDetails?.cashAmount) {
-        const cashDrawer = await CashDrawer.findOne({
-          where: { userId, status: 'open' },
-          transaction
+      logger.error('Erro ao suspender venda:', error);
+      res.status(500).json({
+        error: 'Erro ao suspender venda.'
+      });
+    }
+  }
+  
+  // Listar vendas suspensas do local (qualquer operador da empresa pode retomar)
+  async listParkedSales(req, res) {
+    try {
+      const userId = req.user.userId;
+      
+      // Remover carrinhos expirados antes de listar
+      await Sale.expireParkedSales();
+      
+      const companyUsers = await getCompanyUsers(userId);
+      const cashDrawer = await CashDrawer.findOne({
+        where: { userId, status: 'open' },
+        attributes: ['location']
+      });
+      const location = req.query.location || cashDrawer?.location;
+      
+      const where = {
+        ...Sale.activeParkedWhere(),
+        userId: { [Op.in]: companyUsers.map(user => user.id) }
+      };
+      if (location) where.location = location;
+      
+      const sales = await Sale.findAll({
+        where,
+        include: [{
+          model: Customer,
+          as: 'customer',
+          attributes: ['id', 'name']
+        }],
+        order: [['createdAt', 'ASC']]
+      });
+      
+      const cashiers = companyUsers.reduce((acc, user) => {
+        acc[user.id] = user.name;
+        return acc;
+      }, {});
+      
+      res.json({
+        location: location || null,
+        parkedSales: sales.map(sale => ({
+          id: sale.id,
+          saleNumber: sale.saleNumber,
+          label: sale.parkedLabel,
+          customer: sale.customer,
+          itemsCount: sale.items.length,
+          total: sale.total,
+          location: sale.location,
+          parkedBy: cashiers[sale.userId],
+          parkedAt: sale.createdAt,
+          parkedUntil: sale.parkedUntil
+        }))
+      });
+      
+    } catch (error) {
+      logger.error('Erro ao listar vendas suspensas:', error);
+      res.status(500).json({
+        error: 'Erro ao listar vendas suspensas.'
+      });
+    }
+  }
+  
+  // Retomar venda suspensa: devolve o carrinho ao PDV e libera a reserva
+  async resumeParkedSale(req, res) {
+    await releaseParkedSale(req, res, 'resume');
+  }
+  
+  // Descartar venda suspensa
+  async discardParkedSale(req, res) {
+    await releaseParkedSale(req, res, 'discard');
+  }
+  
+  // Criar venda parcelada (entrada + parcelas mensais, estoque reservado até a quitação)
+  async createLayawaySale(req, res) {
+    try {
+      const userId = req.user.userId;
+      
+      const existingSale = await saleService.findByIdempotencyKey(userId, req.body.idempotencyKey);
+      if (existingSale) {
+        return res.json({
+          message: 'Venda já registrada.',
+          sale: existingSale,
+          duplicate: true
         });
-        
-        if (cashDrawer) {
-          cashDrawer.expectedBalance = (cashDrawer.expectedBalance || cashDrawer.openingBalance) + total;
-          await cashDrawer.save({ transaction });
+      }
+      
+      const sale = await saleService.createLayaway(userId, req.body, {
+        ipAddress: req.ip,
+        userAgent: req.headers['user-agent']
+      });
+      const installments = await saleService.getInstallments(sale.id);
+      
+      // Log de venda parcelada
+      await securityService.logSecurityEvent({
+        userId,
+        action: 'SALE_LAYAWAY_CREATED',
+        description: `Venda parcelada criada: ${sale.saleNumber}`,
+        ipAddress: req.ip,
+        details: {
+          saleId: sale.id,
+          saleNumber: sale.saleNumber,
+          customerId: sale.customerId,
+          total: sale.total,
+          installmentPlan: sale.installmentPlan
         }
+      });
+      
+      res.status(201).json({
+        message: 'Venda parcelada registrada com sucesso!',
+        sale,
+        installments
+      });
+      
+    } catch (error) {
+      if (error instanceof AppError) {
+        return res.status(error.statusCode).json({
+          error: error.message,
+          code: error.code,
+          details: error.details
+        });
       }
       
-      // Commit da transação
-      await transaction.commit();
+      logger.error('Erro ao criar venda parcelada:', error);
+      res.status(500).json({
+        error: 'Erro ao criar venda parcelada.'
+      });
+    }
+  }
+  
+  // Receber parcela de venda parcelada (qualquer operador da empresa)
+  async payInstallment(req, res) {
+    try {
+      const { id, installmentId } = req.params;
+      const userId = req.user.userId;
+      const { paymentMethod } = req.body;
+      
+      const companyUsers = await getCompanyUsers(userId);
+      
+      const { sale, installment, paidOff } = await saleService.payInstallment(
+        id,
+        installmentId,
+        companyUsers.map(user => user.id),
+        { userId, paymentMethod }
+      );
       
-      // Log de venda
       await securityService.logSecurityEvent({
         userId,
-        action: 'SALE_CREATED',
-        description: `Venda criada: ${sale.saleNumber}`,
+        action: paidOff ? 'SALE_LAYAWAY_PAID_OFF' : 'SALE_INSTALLMENT_PAID',
+        description: `${installment.description} recebida${paidOff ? ' (venda quitada)' : ''}`,
         ipAddress: req.ip,
         details: {
           saleId: sale.id,
           saleNumber: sale.saleNumber,
-          total,
+          installmentId: installment.id,
+          amount: installment.amount,
           paymentMethod,
-          itemsCount: items.length
+          balanceDue: sale.balanceDue
         }
       });
       
-      // Gerar recibo (opcional)
-      const receipt = await this.generateReceiptData(sale);
-      
-      res.status(201).json({
-        message: 'Venda realizada com sucesso!',
+      res.json({
+        message: paidOff ? 'Parcela recebida. Venda quitada!' : 'Parcela recebida com sucesso!',
         sale,
-        receipt
+        installment,
+        paidOff
       });
       
     } catch (error) {
-      await transaction.rollback();
-      logger.error('Erro ao criar venda:', error);
+      if (error instanceof AppError) {
+        return res.status(error.statusCode).json({
+          error: error.message
+        });
+      }
+      
+      logger.error('Erro ao receber parcela:', error);
+      res.status(500).json({
+        error: 'Erro ao receber parcela.'
+      });
+    }
+  }
+  
+  // Sincronizar vendas registradas offline no PDV
+  async syncOfflineSales(req, res) {
+    try {
+      const userId = req.user.userId;
+      const { sales } = req.body;
+      const results = [];
+      
+      // Reprocessar na ordem em que as vendas foram feitas
+      for (const offlineSale of sales) {
+        const { idempotencyKey } = offlineSale;
+        
+        try {
+          const existingSale = await saleService.findByIdempotencyKey(userId, idempotencyKey);
+          if (existingSale) {
+            results.push({
+              idempotencyKey,
+              status: 'duplicate',
+              saleId: existingSale.id,
+              saleNumber: existingSale.saleNumber
+            });
+            continue;
+          }
+          
+          const sale = await saleService.checkout(userId, {
+            ...offlineSale,
+            offlineCreatedAt: offlineSale.createdAt
+          }, {
+            ipAddress: req.ip,
+            userAgent: req.headers['user-agent']
+          });
+          
+          results.push({
+            idempotencyKey,
+            status: 'created',
+            saleId: sale.id,
+            saleNumber: sale.saleNumber,
+            total: sale.total
+          });
+          
+        } catch (error) {
+          // Chave já gravada por uma sincronização concorrente
+          if (error.name === 'SequelizeUniqueConstraintError') {
+            const existingSale = await saleService.findByIdempotencyKey(userId, idempotencyKey);
+            results.push({
+              idempotencyKey,
+              status: 'duplicate',
+              saleId: existingSale?.id,
+              saleNumber: existingSale?.saleNumber
+            });
+            continue;
+          }
+          
+          if (!(error instanceof AppError)) {
+            logger.error('Erro ao sincronizar venda offline:', error);
+          }
+          
+          results.push({
+            idempotencyKey,
+            status: error.code === 'STOCK_CONFLICT' ? 'conflict' : 'rejected',
+            error: error instanceof AppError ? error.message : 'Erro ao processar venda.',
+            details: error.details
+          });
+        }
+      }
+      
+      const summary = results.reduce((acc, result) => {
+        acc[result.status] = (acc[result.status] || 0) + 1;
+        return acc;
+      }, { created: 0, duplicate: 0, conflict: 0, rejected: 0 });
       
+      // Log de sincronização
       await securityService.logSecurityEvent({
-        userId: req.user?.userId || 'unknown',
-        action: 'SALE_CREATION_ERROR',
-        description: 'Erro ao processar venda',
+        userId,
+        action: 'POS_OFFLINE_SYNC',
+        description: `Sincronização offline: ${summary.created} vendas criadas`,
         ipAddress: req.ip,
-        details: error.message
+        details: summary,
+        severity: summary.conflict > 0 || summary.rejected > 0 ? 'high' : 'low'
       });
       
+      res.json({
+        message: 'Sincronização concluída.',
+        summary,
+        results
+      });
+      
+    } catch (error) {
+      logger.error('Erro na sincronização offline:', error);
       res.status(500).json({
-        error: 'Erro ao processar venda.',
-        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        error: 'Erro ao sincronizar vendas offline.'
       });
     }
   }
@@ -226,8 +745,8 @@ class SaleController {
       const offset = (page - 1) * limit;
       const where = { userId };
       
-      // Filtros
-      if (status) where.status = status;
+      // Filtros (vendas suspensas só aparecem quando filtradas explicitamente)
+      where.status = status || { [Op.ne]: 'pending' };
       if (paymentMethod) where.paymentMethod = paymentMethod;
       if (customerId) where.customerId = customerId;
       
@@ -263,7 +782,7 @@ class SaleController {
       const today = new Date();
       today.setHours(0, 0, 0, 0);
       
-      const todaySales = await Sale.sum('total', {
+      const todaySales = await Sale.sum('baseTotal', {
         where: {
           userId,
           status: 'completed',
@@ -272,7 +791,7 @@ class SaleController {
       }) || 0;
       
       const monthStart = new Date(today.getFullYear(), today.getMonth(), 1);
-      const monthlySales = await Sale.sum('total', {
+      const monthlySales = await Sale.sum('baseTotal', {
         where: {
           userId,
           status: 'completed',
@@ -321,6 +840,10 @@ class SaleController {
             model: Product,
             as: 'products',
             through: { attributes: ['quantity', 'price', 'tax'] }
+          },
+          {
+            model: SaleExchange,
+            as: 'exchanges'
           }
         ]
       });
@@ -331,7 +854,12 @@ class SaleController {
         });
       }
       
-      res.json({ sale });
+      // Parcelas da venda parcelada (pendentes e recebidas)
+      const installments = sale.installmentPlan
+        ? await saleService.getInstallments(sale.id)
+        : undefined;
+      
+      res.json({ sale, installments });
       
     } catch (error) {
       logger.error('Erro ao buscar venda:', error);
@@ -341,100 +869,92 @@ class SaleController {
     }
   }
   
-  // Cancelar venda
+  // Cancelar venda (estorna estoque, financeiro e caixa; fora da regra exige PIN de gerente)
   async cancelSale(req, res) {
-    const transaction = await sequelize.transaction();
-    
     try {
       const { id } = req.params;
       const userId = req.user.userId;
-      const { reason } = req.body;
+      const { reason, approverEmail, approverPin } = req.body;
       
-      const sale = await Sale.findOne({
-        where: { id, userId, status: 'completed' },
-        transaction
-      });
+      const companyUsers = await getCompanyUsers(userId);
       
-      if (!sale) {
-        await transaction.rollback();
-        return res.status(404).json({
-          error: 'Venda não encontrada ou já cancelada.'
-        });
-      }
+      const result = await saleService.cancel(id, companyUsers.map(user => user.id), {
+        userId,
+        reason,
+        approverEmail,
+        approverPin
+      });
+      const { sale, previousStatus, approver, approvalReasons, voidedEntries, cashReturned } = result;
       
-      // Verificar se a venda não é muito antiga (ex: 24 horas)
-      const hoursSinceSale = (new Date() - sale.createdAt) / (1000 * 60 * 60);
-      if (hoursSinceSale > 24) {
-        await transaction.rollback();
-        return res.status(400).json({
-          error: 'Não é possível cancelar vendas com mais de 24 horas.'
+      // Log da aprovação do gerente
+      if (approver) {
+        await securityService.logSecurityEvent({
+          userId,
+          action: 'SALE_CANCEL_OVERRIDE',
+          description: `Cancelamento da venda ${sale.saleNumber} aprovado por ${approver.name}`,
+          ipAddress: req.ip,
+          details: {
+            saleId: sale.id,
+            saleNumber: sale.saleNumber,
+            approverId: approver.id,
+            approverName: approver.name,
+            reasons: approvalReasons
+          },
+          severity: 'high'
         });
       }
       
-      // Estornar estoque
-      for (const item of sale.items) {
-        const product = await Product.findByPk(item.productId, { transaction });
-        if (product) {
-          await product.increment('stock', {
-            by: item.quantity,
-            transaction
-          });
-          
-          // Registrar movimento de estorno
-          await Inventory.create({
-            productId: product.id,
-            userId,
-            type: 'return',
-            quantity: item.quantity,
-            previousQuantity: product.stock - item.quantity,
-            newQuantity: product.stock,
-            unitCost: product.cost,
-            totalValue: product.cost * item.quantity,
-            referenceId: sale.id,
-            referenceType: 'sale_cancellation',
-            notes: `Estorno - Cancelamento venda ${sale.saleNumber}: ${reason}`
-          }, { transaction });
-        }
-      }
-      
-      // Atualizar status da venda
-      sale.status = 'cancelled';
-      sale.notes = sale.notes ? `${sale.notes}\nCancelada: ${reason}` : `Cancelada: ${reason}`;
-      await sale.save({ transaction });
-      
-      // Atualizar total de compras do cliente
-      if (sale.customerId) {
-        const customer = await Customer.findByPk(sale.customerId, { transaction });
-        if (customer) {
-          customer.totalPurchases = Math.max(0, (customer.totalPurchases || 0) - sale.total);
-          await customer.save({ transaction });
-        }
-      }
-      
-      await transaction.commit();
-      
       // Log de cancelamento
       await securityService.logSecurityEvent({
         userId,
         action: 'SALE_CANCELLED',
-        description: `Venda cancelada: ${sale.saleNumber}`,
+        description: `Venda ${previousStatus === 'layaway' ? 'parcelada ' : ''}cancelada: ${sale.saleNumber}`,
         ipAddress: req.ip,
         details: {
           saleId: sale.id,
           saleNumber: sale.saleNumber,
           reason,
-          total: sale.total
+          total: sale.total,
+          previousStatus,
+          voidedEntries,
+          cashReturned,
+          approvedBy: approver?.id || null
         },
         severity: 'high'
       });
       
       res.json({
         message: 'Venda cancelada com sucesso!',
-        sale
+        sale,
+        cashReturned,
+        approvedBy: approver ? { id: approver.id, name: approver.name } : null
       });
       
     } catch (error) {
-      await transaction.rollback();
+      if (error instanceof AppError) {
+        // Tentativa de aprovação com PIN inválido
+        if (error.code === 'APPROVAL_INVALID') {
+          await securityService.logSecurityEvent({
+            userId: req.user.userId,
+            action: 'SALE_CANCEL_OVERRIDE_FAILED',
+            description: 'Aprovação de cancelamento recusada: aprovador ou PIN inválido',
+            ipAddress: req.ip,
+            details: {
+              saleId: req.params.id,
+              approverEmail: req.body.approverEmail,
+              approverId: error.details.approverId
+            },
+            severity: 'high'
+          });
+        }
+        
+        return res.status(error.statusCode).json({
+          error: error.message,
+          code: error.code,
+          details: error.details && { reasons: error.details.reasons }
+        });
+      }
+      
       logger.error('Erro ao cancelar venda:', error);
       
       await securityService.logSecurityEvent({
@@ -451,32 +971,159 @@ class SaleController {
     }
   }
   
-  // Abrir caixa
-  async openCashDrawer(req, res) {
+  // Reembolsar venda (total ou parcial por item)
+  async refundSale(req, res) {
+    try {
+      const { id } = req.params;
+      const userId = req.user.userId;
+      
+      const companyUsers = await getCompanyUsers(userId);
+      
+      const { sale, refund, creditNote, fullyRefunded } = await saleService.refund(
+        id,
+        companyUsers.map(user => user.id),
+        req.body,
+        { userId, ipAddress: req.ip }
+      );
+      
+      // Log de reembolso
+      await securityService.logSecurityEvent({
+        userId,
+        action: 'SALE_REFUNDED',
+        description: `Venda reembolsada: ${sale.saleNumber}`,
+        ipAddress: req.ip,
+        details: {
+          saleId: sale.id,
+          saleNumber: sale.saleNumber,
+          amount: refund.amount,
+          method: refund.method,
+          storeCreditCode: creditNote?.code,
+          items: refund.items,
+          status: sale.status
+        },
+        severity: 'high'
+      });
+      
+      res.json({
+        message: fullyRefunded ? 'Venda reembolsada com sucesso!' : 'Reembolso parcial realizado com sucesso!',
+        sale,
+        refund,
+        storeCredit: creditNote
+      });
+      
+    } catch (error) {
+      if (error instanceof AppError) {
+        return res.status(error.statusCode).json({
+          error: error.message,
+          code: error.code,
+          details: error.details
+        });
+      }
+      
+      logger.error('Erro ao reembolsar venda:', error);
+      
+      await securityService.logSecurityEvent({
+        userId: req.user?.userId || 'unknown',
+        action: 'SALE_REFUND_ERROR',
+        description: 'Erro ao reembolsar venda',
+        ipAddress: req.ip,
+        details: error.message
+      });
+      
+      res.status(500).json({
+        error: 'Erro ao reembolsar venda.'
+      });
+    }
+  }
+  
+  // Trocar itens da venda (devolução e nova venda em uma operação, cobrando ou devolvendo a diferença)
+  async exchangeSale(req, res) {
     try {
+      const { id } = req.params;
       const userId = req.user.userId;
-      const { openingBalance, notes } = req.body;
       
+      const companyUsers = await getCompanyUsers(userId);
+      
+      const { exchange, sale, settlement } = await saleService.exchange(
+        id,
+        companyUsers.map(user => user.id),
+        req.body,
+        { userId }
+      );
+      
+      // Log de troca
+      await securityService.logSecurityEvent({
+        userId,
+        action: 'SALE_EXCHANGED',
+        description: `Troca ${exchange.exchangeNumber} registrada na venda ${sale.saleNumber}`,
+        ipAddress: req.ip,
+        details: {
+          saleId: sale.id,
+          saleNumber: sale.saleNumber,
+          exchangeId: exchange.id,
+          returnedTotal: exchange.returnedTotal,
+          newTotal: exchange.newTotal,
+          difference: settlement.difference,
+          paymentMethod: exchange.paymentMethod
+        }
+      });
+      
+      const messages = {
+        charge: `Troca registrada. Diferença cobrada: R$ ${settlement.amount.toFixed(2)}`,
+        credit: `Troca registrada. Diferença devolvida: R$ ${settlement.amount.toFixed(2)}`,
+        even: 'Troca registrada sem diferença de valor.'
+      };
+      
+      res.status(201).json({
+        message: messages[settlement.type],
+        exchange,
+        sale,
+        settlement
+      });
+      
+    } catch (error) {
+      if (error instanceof AppError) {
+        return res.status(error.statusCode).json({
+          error: error.message,
+          code: error.code,
+          details: error.details
+        });
+      }
+      
+      logger.error('Erro ao registrar troca:', error);
+      res.status(500).json({
+        error: 'Erro ao registrar troca.'
+      });
+    }
+  }
+  
+  // Abrir caixa (início do turno)
+  async openCashDrawer(req, res) {
+    try {
+      const userId = req.user.userId;
+      const { openingBalance, location, notes } = req.body;
+
       // Verificar se já existe caixa aberto
       const existingDrawer = await CashDrawer.findOne({
         where: { userId, status: 'open' }
       });
-      
+
       if (existingDrawer) {
         return res.status(400).json({
           error: 'Já existe um caixa aberto. Feche o caixa atual antes de abrir outro.'
         });
       }
-      
+
       const cashDrawer = await CashDrawer.create({
         userId,
+        location: location || 'PDV Principal',
         openingBalance: openingBalance || 0,
         expectedBalance: openingBalance || 0,
         status: 'open',
         notes,
         openedAt: new Date()
       });
-      
+
       // Log de abertura
       await securityService.logSecurityEvent({
         userId,
@@ -485,15 +1132,16 @@ class SaleController {
         ipAddress: req.ip,
         details: {
           drawerId: cashDrawer.id,
+          location: cashDrawer.location,
           openingBalance: cashDrawer.openingBalance
         }
       });
-      
+
       res.json({
         message: 'Caixa aberto com sucesso!',
         cashDrawer
       });
-      
+
     } catch (error) {
       logger.error('Erro ao abrir caixa:', error);
       res.status(500).json({
@@ -501,55 +1149,80 @@ class SaleController {
       });
     }
   }
-  
-  // Fechar caixa
+
+  // Suprimento de caixa
+  async addCashIn(req, res) {
+    return registerCashMovement(req, res, 'cash_in');
+  }
+
+  // Sangria de caixa
+  async addCashOut(req, res) {
+    return registerCashMovement(req, res, 'cash_out');
+  }
+
+  // Fechar caixa (fechamento cego para operadores)
   async closeCashDrawer(req, res) {
     const transaction = await sequelize.transaction();
-    
+
     try {
       const userId = req.user.userId;
-      const { closingBalance, notes } = req.body;
-      
+      const { countedDenominations, closingBalance, notes } = req.body;
+      const blind = isBlindMode(req);
+
       // Buscar caixa aberto
       const cashDrawer = await CashDrawer.findOne({
         where: { userId, status: 'open' },
+        lock: transaction.LOCK.UPDATE,
         transaction
       });
-      
+
       if (!cashDrawer) {
         await transaction.rollback();
-        return res.status(404).json({
-          error: 'Nenhum caixa aberto encontrado.'
+        return res.status(404).json({
+          error: 'Nenhum caixa aberto encontrado.'
+        });
+      }
+
+      // Valor contado: pela contagem de cédulas/moedas ou informado diretamente
+      let countedBalance;
+      try {
+        countedBalance = countedDenominations
+          ? CashDrawer.countDenominations(countedDenominations)
+          : parseFloat(closingBalance);
+      } catch (countError) {
+        await transaction.rollback();
+        return res.status(400).json({
+          error: countError.message
         });
       }
-      
-      // Calcular vendas em dinheiro desde a abertura
-      const cashSales = await Sale.sum('total', {
-        where: {
-          userId,
-          paymentMethod: 'cash',
-          status: 'completed',
-          createdAt: { [Op.between]: [cashDrawer.openedAt, new Date()] }
-        },
-        transaction
-      }) || 0;
-      
-      // Calcular saldo esperado
-      const expectedBalance = cashDrawer.openingBalance + cashSales;
-      const difference = closingBalance - expectedBalance;
-      
+
+      if (Number.isNaN(countedBalance)) {
+        await transaction.rollback();
+        return res.status(400).json({
+          error: 'Informe a contagem de cédulas e moedas ou o saldo de fechamento.'
+        });
+      }
+
+      // Conciliar vendas em dinheiro, suprimentos, sangrias e devoluções
+      const summary = await cashDrawer.calculateSummary({ transaction });
+      const difference = Math.round((countedBalance - summary.expectedBalance) * 100) / 100;
+
       // Atualizar caixa
-      cashDrawer.closingBalance = closingBalance;
-      cashDrawer.expectedBalance = expectedBalance;
+      cashDrawer.closingBalance = countedBalance;
+      cashDrawer.expectedBalance = summary.expectedBalance;
       cashDrawer.difference = difference;
+      cashDrawer.countedDenominations = countedDenominations || null;
+      cashDrawer.blindClose = blind;
       cashDrawer.status = 'closed';
       cashDrawer.closedAt = new Date();
+      cashDrawer.closedBy = userId;
       cashDrawer.notes = notes;
-      
+      cashDrawer.zReport = cashDrawer.buildZReport(summary);
+
       await cashDrawer.save({ transaction });
-      
+
       await transaction.commit();
-      
+
       // Log de fechamento
       await securityService.logSecurityEvent({
         userId,
@@ -561,21 +1234,35 @@ class SaleController {
           openingBalance: cashDrawer.openingBalance,
           closingBalance: cashDrawer.closingBalance,
           expectedBalance: cashDrawer.expectedBalance,
-          difference: cashDrawer.difference
+          difference: cashDrawer.difference,
+          blindClose: blind
         },
         severity: difference !== 0 ? 'high' : 'medium'
       });
-      
+
+      // No fechamento cego o operador não vê o saldo esperado nem a diferença
+      if (blind) {
+        return res.json({
+          message: 'Caixa fechado com sucesso! A conferência será feita pelo gerente.',
+          cashDrawer: {
+            id: cashDrawer.id,
+            status: cashDrawer.status,
+            closingBalance: cashDrawer.closingBalance,
+            closedAt: cashDrawer.closedAt
+          }
+        });
+      }
+
       res.json({
         message: 'Caixa fechado com sucesso!',
         cashDrawer,
         summary: {
-          cashSales,
-          expectedBalance,
+          ...summary,
+          closingBalance: countedBalance,
           difference
         }
       });
-      
+
     } catch (error) {
       await transaction.rollback();
       logger.error('Erro ao fechar caixa:', error);
@@ -584,47 +1271,53 @@ class SaleController {
       });
     }
   }
-  
+
   // Status do caixa
   async getCashDrawerStatus(req, res) {
     try {
       const userId = req.user.userId;
-      
+
       const cashDrawer = await CashDrawer.findOne({
         where: { userId, status: 'open' }
       });
-      
+
       if (!cashDrawer) {
         return res.json({
           isOpen: false,
           message: 'Caixa está fechado'
         });
       }
-      
-      // Calcular vendas desde a abertura
-      const cashSales = await Sale.sum('total', {
-        where: {
-          userId,
-          paymentMethod: 'cash',
-          status: 'completed',
-          createdAt: { [Op.gte]: cashDrawer.openedAt }
-        }
-      }) || 0;
-      
-      const expectedBalance = cashDrawer.openingBalance + cashSales;
-      
+
+      const openDuration = Math.floor((new Date() - cashDrawer.openedAt) / (1000 * 60)); // minutos
+
+      // Operadores em modo cego não veem o saldo esperado
+      if (isBlindMode(req)) {
+        return res.json({
+          isOpen: true,
+          cashDrawer: {
+            id: cashDrawer.id,
+            location: cashDrawer.location,
+            openedAt: cashDrawer.openedAt
+          },
+          summary: {
+            openedAt: cashDrawer.openedAt,
+            openDuration
+          }
+        });
+      }
+
+      const summary = await cashDrawer.calculateSummary();
+
       res.json({
         isOpen: true,
         cashDrawer,
         summary: {
-          openingBalance: cashDrawer.openingBalance,
-          cashSales,
-          expectedBalance,
+          ...summary,
           openedAt: cashDrawer.openedAt,
-          openDuration: Math.floor((new Date() - cashDrawer.openedAt) / (1000 * 60)) // minutos
+          openDuration
         }
       });
-      
+
     } catch (error) {
       logger.error('Erro ao buscar status do caixa:', error);
       res.status(500).json({
@@ -632,7 +1325,85 @@ class SaleController {
       });
     }
   }
-  
+
+  // Listar turnos de caixa dos operadores da empresa
+  async listCashDrawers(req, res) {
+    try {
+      const userId = req.user.userId;
+      const { page = 1, limit = 50, status, location, startDate, endDate } = req.query;
+
+      const companyUsers = await getCompanyUsers(userId);
+
+      const offset = (page - 1) * limit;
+      const where = { userId: { [Op.in]: companyUsers.map(user => user.id) } };
+
+      if (status) where.status = status;
+      if (location) where.location = location;
+
+      if (startDate || endDate) {
+        where.openedAt = {};
+        if (startDate) where.openedAt[Op.gte] = new Date(startDate);
+        if (endDate) where.openedAt[Op.lte] = new Date(endDate);
+      }
+
+      const { count, rows: cashDrawers } = await CashDrawer.findAndCountAll({
+        where,
+        attributes: { exclude: ['zReport'] },
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        order: [['openedAt', 'DESC']]
+      });
+
+      res.json({
+        cashDrawers,
+        pagination: {
+          total: count,
+          page: parseInt(page),
+          pages: Math.ceil(count / limit),
+          limit: parseInt(limit)
+        }
+      });
+
+    } catch (error) {
+      logger.error('Erro ao listar caixas:', error);
+      res.status(500).json({
+        error: 'Erro ao listar caixas.'
+      });
+    }
+  }
+
+  // Relatório Z do turno (de qualquer operador da empresa)
+  async getZReport(req, res) {
+    try {
+      const { id } = req.params;
+      const userId = req.user.userId;
+
+      const companyUsers = await getCompanyUsers(userId);
+      const cashDrawer = await CashDrawer.findOne({
+        where: { id, userId: { [Op.in]: companyUsers.map(user => user.id) } }
+      });
+
+      if (!cashDrawer) {
+        return res.status(404).json({
+          error: 'Caixa não encontrado.'
+        });
+      }
+
+      // Turno ainda aberto: relatório parcial (leitura X)
+      const zReport = cashDrawer.status === 'closed' && cashDrawer.zReport
+        ? cashDrawer.zReport
+        : { ...cashDrawer.buildZReport(await cashDrawer.calculateSummary()), partial: true };
+
+      res.json({ zReport });
+
+    } catch (error) {
+      logger.error('Erro ao gerar relatório Z:', error);
+      res.status(500).json({
+        error: 'Erro ao gerar relatório Z.'
+      });
+    }
+  }
+
   // Dashboard de vendas
   async getDashboard(req, res) {
     try {
@@ -643,11 +1414,11 @@ class SaleController {
       
       // Estatísticas gerais
       const totalSales = await Sale.count({ where: { userId, status: 'completed' } });
-      const totalRevenue = await Sale.sum('total', { 
+      const totalRevenue = await Sale.sum('baseTotal', { 
         where: { userId, status: 'completed' } 
       }) || 0;
       
-      const todaySales = await Sale.sum('total', {
+      const todaySales = await Sale.sum('baseTotal', {
         where: {
           userId,
           status: 'completed',
@@ -655,7 +1426,7 @@ class SaleController {
         }
       }) || 0;
       
-      const monthlySales = await Sale.sum('total', {
+      const monthlySales = await Sale.sum('baseTotal', {
         where: {
           userId,
           status: 'completed',
@@ -669,7 +1440,7 @@ class SaleController {
         attributes: [
           'paymentMethod',
           [Sequelize.fn('COUNT', Sequelize.col('id')), 'count'],
-          [Sequelize.fn('SUM', Sequelize.col('total')), 'total']
+          [Sequelize.fn('SUM', Sequelize.col('baseTotal')), 'total']
         ],
         group: ['paymentMethod']
       });
@@ -684,7 +1455,7 @@ class SaleController {
         const nextDate = new Date(date);
         nextDate.setDate(nextDate.getDate() + 1);
         
-        const dailySales = await Sale.sum('total', {
+        const dailySales = await Sale.sum('baseTotal', {
           where: {
             userId,
             status: 'completed',
@@ -711,40 +1482,237 @@ class SaleController {
         limit: 10
       });
       
-      res.json({
-        statistics: {
-          totalSales,
-          totalRevenue: parseFloat(totalRevenue).toFixed(2),
-          todaySales: parseFloat(todaySales).toFixed(2),
-          monthlySales: parseFloat(monthlySales).toFixed(2),
-          averageTicket: totalSales > 0 ? (totalRevenue / totalSales).toFixed(2) : 0
-        },
-        paymentMethods,
-        last7Days,
-        topProducts: topProducts.slice(0, 5),
-        lastUpdated: new Date()
-      });
+      res.json({
+        statistics: {
+          totalSales,
+          totalRevenue: parseFloat(totalRevenue).toFixed(2),
+          todaySales: parseFloat(todaySales).toFixed(2),
+          monthlySales: parseFloat(monthlySales).toFixed(2),
+          averageTicket: totalSales > 0 ? (totalRevenue / totalSales).toFixed(2) : 0
+        },
+        paymentMethods,
+        last7Days,
+        topProducts: topProducts.slice(0, 5),
+        lastUpdated: new Date()
+      });
+      
+    } catch (error) {
+      logger.error('Erro no dashboard de vendas:', error);
+      res.status(500).json({
+        error: 'Erro ao carregar dashboard.'
+      });
+    }
+  }
+  
+  // Gerar recibo
+  async generateReceipt(req, res) {
+    try {
+      const { id } = req.params;
+      const userId = req.user.userId;
+      
+      const sale = await Sale.findOne({
+        where: { id, userId },
+        include: [{
+          model: Customer,
+          as: 'customer',
+          attributes: ['name', 'taxId']
+        }]
+      });
+      
+      if (!sale) {
+        return res.status(404).json({
+          error: 'Venda não encontrada.'
+        });
+      }
+      
+      const receipt = await receiptService.buildReceiptData(sale);
+      
+      res.json({
+        receipt,
+        sale
+      });
+      
+    } catch (error) {
+      logger.error('Erro ao gerar recibo:', error);
+      res.status(500).json({
+        error: 'Erro ao gerar recibo.'
+      });
+    }
+  }
+  
+  // Enviar (ou reenviar) o recibo por e-mail
+  async emailReceipt(req, res) {
+    try {
+      const { id } = req.params;
+      const userId = req.user.userId;
+      
+      const sale = await Sale.findOne({
+        where: { id, userId, status: { [Op.ne]: 'pending' } },
+        include: [{
+          model: Customer,
+          as: 'customer',
+          attributes: ['name', 'email']
+        }]
+      });
+      
+      if (!sale) {
+        return res.status(404).json({
+          error: 'Venda não encontrada.'
+        });
+      }
+      
+      const email = req.body.email || sale.customer?.email;
+      if (!email) {
+        return res.status(400).json({
+          error: 'Informe o e-mail do cliente.'
+        });
+      }
+      
+      const sent = await sendReceiptEmail(sale, email);
+      if (!sent) {
+        return res.status(502).json({
+          error: 'Não foi possível enviar o recibo por e-mail.'
+        });
+      }
+      
+      await securityService.logSecurityEvent({
+        userId,
+        action: 'SALE_RECEIPT_EMAILED',
+        description: `Recibo da venda ${sale.saleNumber} enviado por e-mail`,
+        ipAddress: req.ip,
+        details: {
+          saleId: sale.id,
+          email
+        }
+      });
+      
+      res.json({
+        message: 'Recibo enviado por e-mail!'
+      });
+      
+    } catch (error) {
+      logger.error('Erro ao enviar recibo por e-mail:', error);
+      res.status(500).json({
+        error: 'Erro ao enviar recibo por e-mail.'
+      });
+    }
+  }
+  
+  // Recibo público (link assinado do e-mail ou QR code, sem login)
+  async getPublicReceipt(req, res) {
+    try {
+      const sale = await findPublicReceiptSale(req.params.token);
+      
+      if (!sale || sale.status === 'pending') {
+        return res.status(404).json({
+          error: 'Recibo não encontrado ou link expirado.'
+        });
+      }
+      
+      const { publicUrl, ...receipt } = await receiptService.buildReceiptData(sale);
+      
+      res.json({
+        receipt: {
+          ...receipt,
+          sale: {
+            ...receipt.sale,
+            status: sale.status
+          }
+        }
+      });
+      
+    } catch (error) {
+      logger.error('Erro ao buscar recibo público:', error);
+      res.status(500).json({
+        error: 'Erro ao buscar recibo.'
+      });
+    }
+  }
+  
+  // Download do recibo público em PDF
+  async downloadPublicReceipt(req, res) {
+    try {
+      const sale = await findPublicReceiptSale(req.params.token);
+      
+      if (!sale || sale.status === 'pending') {
+        return res.status(404).json({
+          error: 'Recibo não encontrado ou link expirado.'
+        });
+      }
+      
+      const receipt = await receiptService.buildReceiptData(sale);
+      const pdf = await receiptService.renderPdf(receipt);
+      
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename=recibo_${sale.saleNumber}.pdf`);
+      res.send(pdf);
+      
+    } catch (error) {
+      logger.error('Erro ao gerar PDF do recibo público:', error);
+      res.status(500).json({
+        error: 'Erro ao gerar PDF do recibo.'
+      });
+    }
+  }
+  
+  // Recibo para impressora térmica (ESC/POS) ou texto puro, repassado pela ponte de impressão local
+  async printReceipt(req, res) {
+    try {
+      const { id } = req.params;
+      const { format = 'escpos', paperWidth = 80, openDrawer = false } = req.query;
+      const userId = req.user.userId;
+      
+      const sale = await Sale.findOne({
+        where: { id, userId },
+        include: [{
+          model: Customer,
+          as: 'customer',
+          attributes: ['name']
+        }]
+      });
+      
+      if (!sale) {
+        return res.status(404).json({
+          error: 'Venda não encontrada.'
+        });
+      }
+      
+      const receipt = await receiptService.buildReceiptData(sale);
+      const fileName = `recibo_${sale.saleNumber}`;
+      
+      if (format === 'text') {
+        res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+        res.setHeader('Content-Disposition', `inline; filename=${fileName}.txt`);
+        return res.send(receiptService.renderText(receipt, { paperWidth }));
+      }
+      
+      const payload = await receiptService.renderEscPos(receipt, { paperWidth, openDrawer });
+      
+      res.setHeader('Content-Type', 'application/octet-stream');
+      res.setHeader('Content-Disposition', `attachment; filename=${fileName}.bin`);
+      res.setHeader('X-Printer-Paper-Width', String(paperWidth));
+      res.send(payload);
       
     } catch (error) {
-      logger.error('Erro no dashboard de vendas:', error);
+      logger.error('Erro ao gerar impressão do recibo:', error);
       res.status(500).json({
-        error: 'Erro ao carregar dashboard.'
+        error: 'Erro ao gerar impressão do recibo.'
       });
     }
   }
   
-  // Gerar recibo
-  async generateReceipt(req, res) {
+  // Gerar fatura (documento) a partir de uma venda concluída
+  async generateInvoice(req, res) {
     try {
       const { id } = req.params;
+      const { download } = req.query;
       const userId = req.user.userId;
       
       const sale = await Sale.findOne({
         where: { id, userId },
         include: [{
           model: Customer,
-          as: 'customer',
-          attributes: ['name', 'taxId']
+          as: 'customer'
         }]
       });
       
@@ -754,48 +1722,114 @@ class SaleController {
         });
       }
       
-      const receipt = await this.generateReceiptData(sale);
+      if (!['completed', 'partially_refunded'].includes(sale.status)) {
+        return res.status(400).json({
+          error: 'Apenas vendas concluídas podem ser faturadas.'
+        });
+      }
+      
+      const sendInvoice = (invoice, status = 200) => {
+        if (download === 'true' && invoice.filePath) {
+          return res.download(invoice.filePath, `${invoice.documentNumber}.pdf`);
+        }
+        
+        res.status(status).json({
+          message: status === 201 ? 'Fatura gerada com sucesso!' : 'Fatura já emitida para esta venda.',
+          document: invoice
+        });
+      };
       
-      res.json({
-        receipt,
-        sale
+      const findInvoice = () => Document.findOne({
+        where: {
+          type: 'invoice',
+          referenceType: 'sale',
+          referenceId: sale.id,
+          status: { [Op.ne]: 'cancelled' }
+        }
+      });
+      
+      // Uma venda gera uma única fatura
+      const existing = await findInvoice();
+      if (existing) {
+        return sendInvoice(existing);
+      }
+      
+      const user = await User.findByPk(userId, {
+        attributes: ['id', 'name', 'email', 'companyName']
+      });
+      
+      const transaction = await sequelize.transaction();
+      let invoice;
+      
+      try {
+        invoice = await Document.create({
+          type: 'invoice',
+          customerId: sale.customerId,
+          userId,
+          date: new Date(),
+          amount: sale.total,
+          description: `Fatura da venda ${sale.saleNumber}`,
+          content: {
+            items: sale.items,
+            subtotal: sale.subtotal,
+            tax: sale.tax,
+            discount: sale.discount,
+            total: sale.total,
+            tenders: sale.getTenderTotals()
+          },
+          referenceId: sale.id,
+          referenceType: 'sale'
+        }, { transaction });
+        
+        const pdf = await documentService.generateInvoiceFromSale(sale, sale.customer, user, invoice);
+        
+        await invoice.update({
+          filePath: pdf.filePath,
+          metadata: {
+            fileName: pdf.fileName,
+            fileSize: pdf.fileSize,
+            fileHash: pdf.hash,
+            saleNumber: sale.saleNumber
+          }
+        }, { transaction });
+        
+        await transaction.commit();
+        
+      } catch (error) {
+        await transaction.rollback();
+        
+        // Fatura emitida por outra requisição simultânea
+        if (error.name === 'SequelizeUniqueConstraintError') {
+          const concurrent = await findInvoice();
+          if (concurrent) return sendInvoice(concurrent);
+        }
+        
+        throw error;
+      }
+      
+      // Log de emissão
+      await securityService.logSecurityEvent({
+        userId,
+        action: 'SALE_INVOICE_GENERATED',
+        description: `Fatura ${invoice.documentNumber} gerada para a venda ${sale.saleNumber}`,
+        ipAddress: req.ip,
+        details: {
+          saleId: sale.id,
+          documentId: invoice.id,
+          amount: sale.total
+        }
       });
       
+      sendInvoice(invoice, 201);
+      
     } catch (error) {
-      logger.error('Erro ao gerar recibo:', error);
+      logger.error('Erro ao gerar fatura:', error);
       res.status(500).json({
-        error: 'Erro ao gerar recibo.'
+        error: 'Erro ao gerar fatura.'
       });
     }
   }
   
-  // Gerar dados do recibo
-  async generateReceiptData(sale) {
-    const company = await User.findByPk(sale.userId, {
-      attributes: ['companyName', 'email', 'phone']
-    });
-    
-    return {
-      company: {
-        name: company?.companyName || 'BizFlow',
-        email: company?.email,
-        phone: company?.phone
-      },
-      sale: {
-        number: sale.saleNumber,
-        date: sale.createdAt,
-        customer: sale.customer?.name || 'Cliente não identificado',
-        items: sale.items,
-        subtotal: sale.subtotal,
-        tax: sale.tax,
-        discount: sale.discount,
-        total: sale.total,
-        paymentMethod: sale.paymentMethod
-      },
-      footer: 'Obrigado pela preferência!'
-    };
-  }
-  
   // Relatório diário
   async getDailyReport(req, res) {
     try {
@@ -829,13 +1863,27 @@ class SaleController {
       const totalItems = sales.reduce((sum, sale) => 
         sum + sale.items.reduce((itemSum, item) => itemSum + item.quantity, 0), 0);
       
-      // Por método de pagamento
+      // Por forma de pagamento (vendas divididas contam em cada forma usada)
       const paymentSummary = sales.reduce((acc, sale) => {
-        if (!acc[sale.paymentMethod]) {
-          acc[sale.paymentMethod] = { count: 0, total: 0 };
-        }
-        acc[sale.paymentMethod].count++;
-        acc[sale.paymentMethod].total += sale.total;
+        Object.entries(sale.getTenderTotals()).forEach(([method, amount]) => {
+          if (!acc[method]) {
+            acc[method] = { count: 0, total: 0 };
+          }
+          acc[method].count++;
+          acc[method].total = Math.round((acc[method].total + amount) * 100) / 100;
+        });
+        return acc;
+      }, {});
+      
+      // Por promoção aplicada
+      const promotionSummary = sales.reduce((acc, sale) => {
+        sale.items.flatMap(item => item.promotions || []).forEach(applied => {
+          if (!acc[applied.promotionId]) {
+            acc[applied.promotionId] = { name: applied.name, couponCode: applied.couponCode, count: 0, discount: 0 };
+          }
+          acc[applied.promotionId].count++;
+          acc[applied.promotionId].discount = Math.round((acc[applied.promotionId].discount + applied.discount) * 100) / 100;
+        });
         return acc;
       }, {});
       
@@ -844,10 +1892,12 @@ class SaleController {
         summary: {
           totalSales,
           totalRevenue: parseFloat(totalRevenue).toFixed(2),
+          totalDiscount: sales.reduce((sum, sale) => sum + parseFloat(sale.discount || 0), 0).toFixed(2),
           totalItems,
           averageTicket: totalSales > 0 ? (totalRevenue / totalSales).toFixed(2) : 0
         },
         paymentSummary,
+        promotionSummary,
         sales: sales.map(s => ({
           id: s.id,
           saleNumber: s.saleNumber,
@@ -866,6 +1916,344 @@ class SaleController {
     }
   }
   
+  // Vendas do dia do operador
+  async getTodaySales(req, res) {
+    try {
+      const userId = req.user.userId;
+      const todayStart = new Date();
+      todayStart.setHours(0, 0, 0, 0);
+      
+      const sales = await Sale.findAll({
+        where: {
+          userId,
+          createdAt: { [Op.gte]: todayStart }
+        },
+        include: [{
+          model: Customer,
+          as: 'customer',
+          attributes: ['name']
+        }],
+        order: [['createdAt', 'DESC']]
+      });
+      
+      const completed = sales.filter(sale => sale.status !== 'cancelled');
+      const revenue = completed.reduce((sum, sale) => sum + toBaseAmount(sale, sale.total), 0);
+      
+      res.json({
+        summary: {
+          totalSales: completed.length,
+          cancelledSales: sales.length - completed.length,
+          revenue: roundMoney(revenue),
+          averageTicket: completed.length > 0 ? roundMoney(revenue / completed.length) : 0
+        },
+        sales: sales.map(s => ({
+          id: s.id,
+          saleNumber: s.saleNumber,
+          customer: s.customer?.name,
+          total: s.total,
+          currency: s.currency,
+          baseTotal: s.baseTotal,
+          paymentMethod: s.paymentMethod,
+          status: s.status,
+          time: s.createdAt
+        }))
+      });
+      
+    } catch (error) {
+      logger.error('Erro ao buscar vendas do dia:', error);
+      res.status(500).json({
+        error: 'Erro ao buscar vendas do dia.'
+      });
+    }
+  }
+  
+  // Relatório mensal
+  async getMonthlyReport(req, res) {
+    try {
+      const today = new Date();
+      const year = parseInt(req.query.year) || today.getFullYear();
+      const month = parseInt(req.query.month) || today.getMonth() + 1;
+      
+      const monthStart = new Date(year, month - 1, 1);
+      const monthEnd = new Date(year, month, 0, 23, 59, 59, 999);
+      
+      // O período do mês prevalece sobre startDate/endDate
+      const { where, cashiers } = await buildReportScope(req, {
+        start: monthStart,
+        end: monthEnd
+      }, { useQueryDates: false });
+      
+      const sales = await Sale.findAll({
+        where,
+        attributes: ['id', 'userId', 'total', 'subtotal', 'discount', 'tax', 'refundedAmount',
+          'currency', 'exchangeRate', 'baseTotal', 'paymentMethod', 'tenders', 'items', 'location', 'createdAt']
+      });
+      
+      // Mês anterior para comparação
+      const previousStart = new Date(year, month - 2, 1);
+      const previousEnd = new Date(year, month - 1, 0, 23, 59, 59, 999);
+      const previousRevenue = await Sale.sum('baseTotal', {
+        where: { ...where, createdAt: { [Op.between]: [previousStart, previousEnd] } }
+      }) || 0;
+      
+      // Totais na moeda base (vendas em moeda estrangeira pela cotação da venda)
+      const totalRevenue = sales.reduce((sum, sale) => sum + toBaseAmount(sale, sale.total), 0);
+      const totalRefunded = sales.reduce((sum, sale) => sum + toBaseAmount(sale, sale.refundedAmount), 0);
+      
+      // Vendas por dia do mês
+      const dailyBreakdown = Array.from({ length: monthEnd.getDate() }, (_, index) => ({
+        day: index + 1,
+        salesCount: 0,
+        revenue: 0
+      }));
+      
+      const paymentSummary = {};
+      const byLocation = {};
+      const byCashier = {};
+      let totalItems = 0;
+      
+      sales.forEach(sale => {
+        const total = toBaseAmount(sale, sale.total);
+        const day = dailyBreakdown[new Date(sale.createdAt).getDate() - 1];
+        day.salesCount++;
+        day.revenue = roundMoney(day.revenue + total);
+        
+        Object.entries(sale.getTenderTotals()).forEach(([method, amount]) => {
+          if (!paymentSummary[method]) paymentSummary[method] = { count: 0, total: 0 };
+          paymentSummary[method].count++;
+          paymentSummary[method].total = roundMoney(paymentSummary[method].total + toBaseAmount(sale, amount));
+        });
+        
+        const location = sale.location || 'Sem local';
+        if (!byLocation[location]) byLocation[location] = { count: 0, total: 0 };
+        byLocation[location].count++;
+        byLocation[location].total = roundMoney(byLocation[location].total + total);
+        
+        if (!byCashier[sale.userId]) {
+          byCashier[sale.userId] = { cashierId: sale.userId, name: cashiers[sale.userId], count: 0, total: 0 };
+        }
+        byCashier[sale.userId].count++;
+        byCashier[sale.userId].total = roundMoney(byCashier[sale.userId].total + total);
+        
+        totalItems += sale.items.reduce((sum, item) => sum + netItemValues(item).quantity, 0);
+      });
+      
+      res.json({
+        period: {
+          year,
+          month,
+          startDate: monthStart,
+          endDate: monthEnd
+        },
+        summary: {
+          totalSales: sales.length,
+          totalRevenue: roundMoney(totalRevenue),
+          totalDiscount: roundMoney(sales.reduce((sum, sale) => sum + toBaseAmount(sale, sale.discount), 0)),
+          totalTax: roundMoney(sales.reduce((sum, sale) => sum + toBaseAmount(sale, sale.tax), 0)),
+          totalRefunded: roundMoney(totalRefunded),
+          netRevenue: roundMoney(totalRevenue - totalRefunded),
+          totalItems,
+          averageTicket: sales.length > 0 ? roundMoney(totalRevenue / sales.length) : 0,
+          previousMonthRevenue: roundMoney(previousRevenue),
+          growth: previousRevenue > 0
+            ? roundMoney(((totalRevenue - previousRevenue) / previousRevenue) * 100)
+            : null
+        },
+        dailyBreakdown,
+        paymentSummary,
+        byLocation,
+        byCashier: Object.values(byCashier).sort((a, b) => b.total - a.total)
+      });
+      
+    } catch (error) {
+      logger.error('Erro no relatório mensal:', error);
+      res.status(500).json({
+        error: 'Erro ao gerar relatório.'
+      });
+    }
+  }
+  
+  // Ranking de produtos (quantidade, receita e margem bruta)
+  async getTopProducts(req, res) {
+    try {
+      const { limit = 10, sortBy = 'revenue' } = req.query;
+      const today = new Date();
+      
+      const { where, period } = await buildReportScope(req, {
+        start: new Date(today.getFullYear(), today.getMonth(), 1),
+        end: today
+      });
+      
+      const sales = await Sale.findAll({
+        where,
+        attributes: ['id', 'items', 'exchangeRate']
+      });
+      
+      // Agregar itens das vendas (JSONB) por produto, com a receita na moeda base
+      const ranking = {};
+      sales.forEach(sale => {
+        const seen = new Set();
+        
+        sale.items.forEach(item => {
+          const { quantity, revenue } = netItemValues(item);
+          if (quantity <= 0) return;
+          
+          if (!ranking[item.productId]) {
+            ranking[item.productId] = {
+              productId: item.productId,
+              sku: item.sku,
+              name: item.name,
+              quantity: 0,
+              revenue: 0,
+              salesCount: 0
+            };
+          }
+          
+          const entry = ranking[item.productId];
+          entry.quantity += quantity;
+          entry.revenue += toBaseAmount(sale, revenue);
+          if (!seen.has(item.productId)) {
+            entry.salesCount++;
+            seen.add(item.productId);
+          }
+        });
+      });
+      
+      // Custo atual dos produtos para a margem bruta
+      const products = await Product.findAll({
+        where: { id: { [Op.in]: Object.keys(ranking) } },
+        attributes: ['id', 'cost', 'category', 'stock']
+      });
+      const productsById = new Map(products.map(product => [product.id, product]));
+      
+      const items = Object.values(ranking).map(entry => {
+        const product = productsById.get(entry.productId);
+        const cost = product ? parseFloat(product.cost) * entry.quantity : null;
+        const grossMargin = cost !== null ? entry.revenue - cost : null;
+        
+        return {
+          ...entry,
+          category: product?.category,
+          currentStock: product?.stock,
+          revenue: roundMoney(entry.revenue),
+          averagePrice: entry.quantity > 0 ? roundMoney(entry.revenue / entry.quantity) : 0,
+          cost: cost !== null ? roundMoney(cost) : null,
+          grossMargin: grossMargin !== null ? roundMoney(grossMargin) : null,
+          marginPercent: grossMargin !== null && entry.revenue > 0
+            ? roundMoney((grossMargin / entry.revenue) * 100)
+            : null
+        };
+      });
+      
+      const sortKey = { quantity: 'quantity', margin: 'grossMargin', revenue: 'revenue' }[sortBy] || 'revenue';
+      items.sort((a, b) => (b[sortKey] ?? -Infinity) - (a[sortKey] ?? -Infinity));
+      
+      const totalRevenue = items.reduce((sum, item) => sum + item.revenue, 0);
+      
+      res.json({
+        period,
+        sortBy: sortKey,
+        totals: {
+          products: items.length,
+          revenue: roundMoney(totalRevenue),
+          grossMargin: roundMoney(items.reduce((sum, item) => sum + (item.grossMargin || 0), 0))
+        },
+        products: items.slice(0, parseInt(limit)).map(item => ({
+          ...item,
+          revenueShare: totalRevenue > 0 ? roundMoney((item.revenue / totalRevenue) * 100) : 0
+        }))
+      });
+      
+    } catch (error) {
+      logger.error('Erro no ranking de produtos:', error);
+      res.status(500).json({
+        error: 'Erro ao gerar ranking de produtos.'
+      });
+    }
+  }
+  
+  // Ranking de clientes (valor, frequência de visitas e ticket médio)
+  async getTopCustomers(req, res) {
+    try {
+      const { limit = 10, sortBy = 'total' } = req.query;
+      const today = new Date();
+      
+      const { where, period } = await buildReportScope(req, {
+        start: new Date(today.getFullYear(), today.getMonth() - 2, 1),
+        end: today
+      });
+      
+      const sales = await Sale.findAll({
+        where: { ...where, customerId: { [Op.ne]: null } },
+        attributes: ['id', 'customerId', 'total', 'refundedAmount', 'exchangeRate', 'createdAt'],
+        order: [['createdAt', 'ASC']]
+      });
+      
+      const ranking = {};
+      sales.forEach(sale => {
+        if (!ranking[sale.customerId]) {
+          ranking[sale.customerId] = {
+            customerId: sale.customerId,
+            visits: 0,
+            total: 0,
+            firstPurchase: sale.createdAt,
+            lastPurchase: sale.createdAt
+          };
+        }
+        
+        const entry = ranking[sale.customerId];
+        entry.visits++;
+        entry.total += toBaseAmount(sale, sale.total) - toBaseAmount(sale, sale.refundedAmount);
+        entry.lastPurchase = sale.createdAt;
+      });
+      
+      const customers = await Customer.findAll({
+        where: { id: { [Op.in]: Object.keys(ranking) } },
+        attributes: ['id', 'name', 'email', 'phone']
+      });
+      const customersById = new Map(customers.map(customer => [customer.id, customer]));
+      
+      const periodDays = Math.max(1, (period.endDate - period.startDate) / (1000 * 60 * 60 * 24));
+      
+      const items = Object.values(ranking).map(entry => {
+        const customer = customersById.get(entry.customerId);
+        const spanDays = (new Date(entry.lastPurchase) - new Date(entry.firstPurchase)) / (1000 * 60 * 60 * 24);
+        
+        return {
+          ...entry,
+          name: customer?.name,
+          email: customer?.email,
+          phone: customer?.phone,
+          total: roundMoney(entry.total),
+          averageTicket: roundMoney(entry.total / entry.visits),
+          // Intervalo médio entre compras (dias) e visitas a cada 30 dias
+          averageDaysBetweenVisits: entry.visits > 1 ? roundMoney(spanDays / (entry.visits - 1)) : null,
+          visitsPerMonth: roundMoney(entry.visits / periodDays * 30)
+        };
+      });
+      
+      const sortKey = { visits: 'visits', averageTicket: 'averageTicket', total: 'total' }[sortBy] || 'total';
+      items.sort((a, b) => b[sortKey] - a[sortKey]);
+      
+      res.json({
+        period,
+        sortBy: sortKey,
+        totals: {
+          customers: items.length,
+          revenue: roundMoney(items.reduce((sum, item) => sum + item.total, 0)),
+          visits: items.reduce((sum, item) => sum + item.visits, 0)
+        },
+        customers: items.slice(0, parseInt(limit))
+      });
+      
+    } catch (error) {
+      logger.error('Erro no ranking de clientes:', error);
+      res.status(500).json({
+        error: 'Erro ao gerar ranking de clientes.'
+      });
+    }
+  }
+  
   // Exportar vendas CSV
   async exportSalesCSV(req, res) {
     try {
@@ -921,6 +2309,160 @@ class SaleController {
       });
     }
   }
+
+  // Exportar relatório de vendas em PDF (paginado, com totais por forma de pagamento)
+  async exportSalesPDF(req, res) {
+    try {
+      const today = new Date();
+      
+      const { where, period, cashiers } = await buildReportScope(req, {
+        start: new Date(today.getFullYear(), today.getMonth(), 1),
+        end: today
+      });
+      
+      const sales = await Sale.findAll({
+        where,
+        include: [{
+          model: Customer,
+          as: 'customer',
+          attributes: ['name']
+        }],
+        order: [['createdAt', 'ASC']]
+      });
+      
+      // Totais gerais e por forma de pagamento na moeda base (vendas em moeda estrangeira pela cotação da venda)
+      const paymentTotals = {};
+      const totals = sales.reduce((acc, sale) => {
+        Object.entries(sale.getTenderTotals()).forEach(([method, amount]) => {
+          paymentTotals[method] = roundMoney((paymentTotals[method] || 0) + toBaseAmount(sale, amount));
+        });
+        
+        acc.subtotal += toBaseAmount(sale, sale.subtotal);
+        acc.discount += toBaseAmount(sale, sale.discount);
+        acc.tax += toBaseAmount(sale, sale.tax);
+        acc.total += toBaseAmount(sale, sale.total);
+        acc.refunded += toBaseAmount(sale, sale.refundedAmount);
+        return acc;
+      }, { subtotal: 0, discount: 0, tax: 0, total: 0, refunded: 0 });
+      
+      const doc = new PDFDocument({ margin: 40, size: 'A4', bufferPages: true });
+      
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename=vendas_${today.toISOString().split('T')[0]}.pdf`);
+      doc.pipe(res);
+      
+      const columns = [
+        { label: 'Data', width: 65 },
+        { label: 'Número', width: 95 },
+        { label: 'Cliente', width: 115 },
+        { label: 'Operador', width: 85 },
+        { label: 'Pagamento', width: 75 },
+        { label: 'Total', width: 80, align: 'right' }
+      ];
+      const left = doc.page.margins.left;
+      const pageBottom = doc.page.height - doc.page.margins.bottom - 20;
+      const rowHeight = 16;
+      
+      const drawRow = (values, y, font = 'Helvetica') => {
+        let x = left;
+        doc.font(font).fontSize(8);
+        columns.forEach((column, index) => {
+          doc.text(values[index], x, y, {
+            width: column.width - 5,
+            align: column.align || 'left',
+            lineBreak: false,
+            ellipsis: true
+          });
+          x += column.width;
+        });
+      };
+      
+      const drawTableHeader = (y) => {
+        drawRow(columns.map(column => column.label), y, 'Helvetica-Bold');
+        doc.moveTo(left, y + 12).lineTo(left + 515, y + 12).stroke();
+        return y + rowHeight;
+      };
+      
+      // Cabeçalho
+      doc.font('Helvetica-Bold').fontSize(16).text('Relatório de Vendas', { align: 'center' });
+      doc.font('Helvetica').fontSize(10).text(
+        `Período: ${period.startDate.toLocaleDateString('pt-BR')} a ${period.endDate.toLocaleDateString('pt-BR')}`,
+        { align: 'center' }
+      );
+      if (req.query.location) {
+        doc.text(`Local: ${req.query.location}`, { align: 'center' });
+      }
+      doc.moveDown();
+      
+      // Vendas (uma linha por venda, com quebra de página e cabeçalho repetido)
+      let y = drawTableHeader(doc.y);
+      sales.forEach(sale => {
+        if (y > pageBottom) {
+          doc.addPage();
+          y = drawTableHeader(doc.page.margins.top);
+        }
+        
+        drawRow([
+          sale.createdAt.toLocaleDateString('pt-BR'),
+          sale.saleNumber,
+          sale.customer?.name || '-',
+          cashiers[sale.userId] || '-',
+          Sale.PAYMENT_METHOD_LABELS[sale.paymentMethod] || sale.paymentMethod,
+          formatMoney(toBaseAmount(sale, sale.total))
+        ], y);
+        y += rowHeight;
+      });
+      
+      // Resumo
+      if (y > pageBottom - 200) {
+        doc.addPage();
+        y = doc.page.margins.top;
+      }
+      
+      doc.font('Helvetica-Bold').fontSize(12).text('Resumo', left, y + 10);
+      doc.font('Helvetica').fontSize(10);
+      doc.text(`Vendas: ${sales.length}`);
+      doc.text(`Subtotal: ${formatMoney(totals.subtotal)}`);
+      doc.text(`Descontos: ${formatMoney(totals.discount)}`);
+      doc.text(`Impostos: ${formatMoney(totals.tax)}`);
+      doc.text(`Total: ${formatMoney(totals.total)}`);
+      doc.text(`Devoluções: ${formatMoney(totals.refunded)}`);
+      doc.text(`Total líquido: ${formatMoney(totals.total - totals.refunded)}`);
+      
+      doc.moveDown();
+      doc.font('Helvetica-Bold').fontSize(12).text('Totais por forma de pagamento');
+      doc.font('Helvetica').fontSize(10);
+      Object.entries(paymentTotals).forEach(([method, amount]) => {
+        doc.text(`${Sale.PAYMENT_METHOD_LABELS[method] || method}: ${formatMoney(amount)}`);
+      });
+      
+      // Numeração das páginas
+      const range = doc.bufferedPageRange();
+      for (let i = range.start; i < range.start + range.count; i++) {
+        doc.switchToPage(i);
+        const bottomMargin = doc.page.margins.bottom;
+        doc.page.margins.bottom = 0;
+        doc.font('Helvetica').fontSize(8).text(
+          `Página ${i + 1} de ${range.count} - Gerado em ${today.toLocaleString('pt-BR')}`,
+          left,
+          doc.page.height - 30,
+          { width: 515, align: 'center' }
+        );
+        doc.page.margins.bottom = bottomMargin;
+      }
+      
+      doc.end();
+      
+    } catch (error) {
+      logger.error('Erro ao exportar PDF:', error);
+      if (res.headersSent) {
+        return res.end();
+      }
+      res.status(500).json({
+        error: 'Erro ao exportar vendas.'
+      });
+    }
+  }
 }
 
 module.exports = new SaleController();
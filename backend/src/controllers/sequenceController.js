@@ -0,0 +1,178 @@
+const NumberSequence = require('../models/NumberSequence');
+const sequenceService = require('../services/sequenceService');
+const securityService = require('../services/securityService');
+const logger = require('../utils/logger');
+
+// Campos da numeração que podem ser definidos pela empresa
+const SEQUENCE_FIELDS = ['prefix', 'format', 'resetPeriod', 'padding'];
+
+class SequenceController {
+  // Listar a numeração de cada tipo (padrão da empresa, séries por local e próximo número)
+  async listSequences(req, res) {
+    try {
+      const userId = req.user.userId;
+      const tenantKey = await sequenceService.getTenantKey(userId);
+
+      const configured = await NumberSequence.findAll({
+        where: { tenantKey },
+        order: [['type', 'ASC'], ['location', 'ASC']]
+      });
+
+      const sequences = await Promise.all(NumberSequence.TYPES.map(async (type) => {
+        const companyDefault = configured.find(sequence => sequence.type === type && !sequence.location);
+        const locations = configured.filter(sequence => sequence.type === type && sequence.location);
+
+        return {
+          type,
+          id: companyDefault?.id || null,
+          isDefault: !companyDefault,
+          ...(companyDefault ? companyDefault.getSettings() : NumberSequence.DEFAULTS[type]),
+          nextNumber: await sequenceService.preview(type, { userId }),
+          locations: await Promise.all(locations.map(async (sequence) => ({
+            id: sequence.id,
+            location: sequence.location,
+            ...sequence.getSettings(),
+            nextNumber: await sequenceService.preview(type, { userId, location: sequence.location })
+          })))
+        };
+      }));
+
+      res.json({ sequences });
+
+    } catch (error) {
+      logger.error('Erro ao listar numerações:', error);
+      res.status(500).json({
+        error: 'Erro ao listar numerações.'
+      });
+    }
+  }
+
+  // Configurar a numeração de um tipo (padrão da empresa ou série de um local)
+  async saveSequence(req, res) {
+    try {
+      const userId = req.user.userId;
+      const { type } = req.params;
+      const location = req.body.location?.trim() || null;
+      const tenantKey = await sequenceService.getTenantKey(userId);
+
+      const data = SEQUENCE_FIELDS.reduce((picked, field) => {
+        if (req.body[field] !== undefined) picked[field] = req.body[field];
+        return picked;
+      }, {});
+
+      const configured = await NumberSequence.findAll({
+        where: { tenantKey, type }
+      });
+      let sequence = configured.find(series => series.location === location);
+
+      // Série de local sem {location} precisa de prefixo próprio para não repetir os números das outras séries
+      const settings = { ...(sequence ? sequence.getSettings() : NumberSequence.DEFAULTS[type]), ...data };
+      if (location && !settings.format.includes('{location}')) {
+        const companyDefault = configured.find(series => !series.location);
+        const others = [
+          companyDefault ? companyDefault.getSettings() : NumberSequence.DEFAULTS[type],
+          ...configured
+            .filter(series => series.location && series.location !== location)
+            .map(series => series.getSettings())
+        ];
+
+        if (others.some(other => !other.format.includes('{location}') && other.prefix === settings.prefix)) {
+          return res.status(400).json({
+            error: 'Dados inválidos',
+            details: ['A série do local deve conter {location} no formato ou usar um prefixo diferente das outras séries']
+          });
+        }
+      }
+
+      if (sequence) {
+        await sequence.update(data);
+      } else {
+        sequence = await NumberSequence.create({
+          ...NumberSequence.DEFAULTS[type],
+          ...data,
+          tenantKey,
+          type,
+          location
+        });
+      }
+
+      // Log de alteração
+      await securityService.logSecurityEvent({
+        userId,
+        action: 'NUMBER_SEQUENCE_UPDATED',
+        description: `Numeração de ${type} configurada${location ? ` para ${location}` : ''}`,
+        ipAddress: req.ip,
+        details: {
+          sequenceId: sequence.id,
+          type,
+          location,
+          settings: sequence.getSettings()
+        }
+      });
+
+      res.json({
+        message: 'Numeração configurada com sucesso!',
+        sequence,
+        nextNumber: await sequenceService.preview(type, { userId, location })
+      });
+
+    } catch (error) {
+      if (error.name === 'SequelizeValidationError') {
+        return res.status(400).json({
+          error: 'Dados inválidos',
+          details: error.errors.map(err => err.message)
+        });
+      }
+
+      logger.error('Erro ao configurar numeração:', error);
+      res.status(500).json({
+        error: 'Erro ao configurar numeração.'
+      });
+    }
+  }
+
+  // Remover configuração (volta ao padrão da empresa ou do sistema; os contadores são mantidos)
+  async deleteSequence(req, res) {
+    try {
+      const userId = req.user.userId;
+      const { id } = req.params;
+      const tenantKey = await sequenceService.getTenantKey(userId);
+
+      const sequence = await NumberSequence.findOne({
+        where: { id, tenantKey }
+      });
+
+      if (!sequence) {
+        return res.status(404).json({
+          error: 'Configuração de numeração não encontrada.'
+        });
+      }
+
+      await sequence.destroy();
+
+      await securityService.logSecurityEvent({
+        userId,
+        action: 'NUMBER_SEQUENCE_DELETED',
+        description: `Numeração de ${sequence.type} removida${sequence.location ? ` para ${sequence.location}` : ''}`,
+        ipAddress: req.ip,
+        details: {
+          sequenceId: sequence.id,
+          type: sequence.type,
+          location: sequence.location
+        }
+      });
+
+      res.json({
+        message: 'Configuração de numeração removida com sucesso!'
+      });
+
+    } catch (error) {
+      logger.error('Erro ao remover numeração:', error);
+      res.status(500).json({
+        error: 'Erro ao remover numeração.'
+      });
+    }
+  }
+}
+
+module.exports = new SequenceController();
@@ -0,0 +1,217 @@
+const StoreCredit = require('../models/StoreCredit');
+const StoreCreditMovement = require('../models/StoreCreditMovement');
+const Customer = require('../models/Customer');
+const storeCreditService = require('../services/storeCreditService');
+const sequenceService = require('../services/sequenceService');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+// Dados do vale exibidos na consulta de saldo
+function toBalance(credit) {
+  return {
+    id: credit.id,
+    code: credit.code,
+    type: credit.type,
+    status: credit.isExpired() && credit.status === 'active' ? 'expired' : credit.status,
+    balance: credit.getAvailableBalance(),
+    initialAmount: parseFloat(credit.initialAmount),
+    expiresAt: credit.expiresAt,
+    customer: credit.customer ? { id: credit.customer.id, name: credit.customer.name } : null
+  };
+}
+
+class StoreCreditController {
+  // Listar vales da empresa (filtros por cliente, tipo e status)
+  async listStoreCredits(req, res) {
+    try {
+      const userId = req.user.userId;
+      const { customerId, type, status, page = 1, limit = 20 } = req.query;
+      const tenantKey = await sequenceService.getTenantKey(userId);
+
+      const where = { tenantKey };
+      if (customerId) where.customerId = customerId;
+      if (type) where.type = type;
+      if (status) where.status = status;
+
+      const { count, rows: storeCredits } = await StoreCredit.findAndCountAll({
+        where,
+        include: [{
+          model: Customer,
+          as: 'customer',
+          attributes: ['id', 'name']
+        }],
+        order: [['createdAt', 'DESC']],
+        limit: parseInt(limit),
+        offset: (parseInt(page) - 1) * parseInt(limit)
+      });
+
+      res.json({
+        storeCredits,
+        pagination: {
+          total: count,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          totalPages: Math.ceil(count / parseInt(limit))
+        }
+      });
+
+    } catch (error) {
+      logger.error('Erro ao listar vales:', error);
+      res.status(500).json({
+        error: 'Erro ao listar vales.'
+      });
+    }
+  }
+
+  // Consultar saldo pelo código (no caixa, antes do pagamento)
+  async getBalance(req, res) {
+    try {
+      const userId = req.user.userId;
+      const credit = await storeCreditService.findByCode(userId, req.params.code);
+
+      if (!credit) {
+        return res.status(404).json({
+          error: 'Vale não encontrado.'
+        });
+      }
+
+      await credit.reload({
+        include: [{ model: Customer, as: 'customer', attributes: ['id', 'name'] }]
+      });
+
+      res.json({ storeCredit: toBalance(credit) });
+
+    } catch (error) {
+      logger.error('Erro ao consultar saldo do vale:', error);
+      res.status(500).json({
+        error: 'Erro ao consultar saldo do vale.'
+      });
+    }
+  }
+
+  // Saldo total dos vales ativos de um cliente
+  async getCustomerBalance(req, res) {
+    try {
+      const userId = req.user.userId;
+      const { customerId } = req.params;
+      const tenantKey = await sequenceService.getTenantKey(userId);
+
+      const credits = await StoreCredit.findAll({
+        where: { tenantKey, customerId, status: 'active' },
+        order: [['expiresAt', 'ASC']]
+      });
+
+      const storeCredits = credits.map(toBalance).filter(credit => credit.balance > 0);
+      const balance = storeCredits.reduce((sum, credit) => sum + credit.balance, 0);
+
+      res.json({
+        customerId,
+        balance: Math.round(balance * 100) / 100,
+        storeCredits
+      });
+
+    } catch (error) {
+      logger.error('Erro ao consultar saldo do cliente:', error);
+      res.status(500).json({
+        error: 'Erro ao consultar saldo do cliente.'
+      });
+    }
+  }
+
+  // Buscar vale com o extrato
+  async getStoreCredit(req, res) {
+    try {
+      const userId = req.user.userId;
+      const tenantKey = await sequenceService.getTenantKey(userId);
+
+      const storeCredit = await StoreCredit.findOne({
+        where: { id: req.params.id, tenantKey },
+        include: [
+          {
+            model: Customer,
+            as: 'customer',
+            attributes: ['id', 'name', 'email']
+          },
+          {
+            model: StoreCreditMovement,
+            as: 'movements'
+          }
+        ],
+        order: [[{ model: StoreCreditMovement, as: 'movements' }, 'createdAt', 'ASC']]
+      });
+
+      if (!storeCredit) {
+        return res.status(404).json({
+          error: 'Vale não encontrado.'
+        });
+      }
+
+      res.json({ storeCredit });
+
+    } catch (error) {
+      logger.error('Erro ao buscar vale:', error);
+      res.status(500).json({
+        error: 'Erro ao buscar vale.'
+      });
+    }
+  }
+
+  // Vender vale-presente
+  async sellGiftCard(req, res) {
+    try {
+      const userId = req.user.userId;
+
+      const storeCredit = await storeCreditService.sellGiftCard(userId, req.body, {
+        ipAddress: req.ip
+      });
+
+      res.status(201).json({
+        message: 'Vale-presente emitido com sucesso!',
+        storeCredit
+      });
+
+    } catch (error) {
+      if (error instanceof AppError) {
+        return res.status(error.statusCode).json({
+          error: error.message
+        });
+      }
+
+      logger.error('Erro ao vender vale-presente:', error);
+      res.status(500).json({
+        error: 'Erro ao vender vale-presente.'
+      });
+    }
+  }
+
+  // Cancelar vale (zera o saldo)
+  async voidStoreCredit(req, res) {
+    try {
+      const userId = req.user.userId;
+
+      const storeCredit = await storeCreditService.void(req.params.id, userId, {
+        reason: req.body.reason,
+        ipAddress: req.ip
+      });
+
+      res.json({
+        message: 'Vale cancelado com sucesso!',
+        storeCredit
+      });
+
+    } catch (error) {
+      if (error instanceof AppError) {
+        return res.status(error.statusCode).json({
+          error: error.message
+        });
+      }
+
+      logger.error('Erro ao cancelar vale:', error);
+      res.status(500).json({
+        error: 'Erro ao cancelar vale.'
+      });
+    }
+  }
+}
+
+module.exports = new StoreCreditController();
@@ -0,0 +1,315 @@
+const Supplier = require('../models/Supplier');
+const SupplierProduct = require('../models/SupplierProduct');
+const Product = require('../models/Product');
+const ProductVariant = require('../models/ProductVariant');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const supplierService = require('../services/supplierService');
+const securityService = require('../services/securityService');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+const { Op } = require('sequelize');
+
+// Campos editáveis do cadastro (CNPJ vazio é gravado como nulo)
+function supplierFields(data) {
+  const fields = {};
+  const allowed = [
+    'name', 'tradeName', 'cnpj', 'email', 'phone', 'address', 'city', 'state', 'zipCode',
+    'contacts', 'paymentTermDays', 'leadTimeDays', 'status', 'notes'
+  ];
+
+  for (const field of allowed) {
+    if (data[field] !== undefined) fields[field] = data[field];
+  }
+  if (fields.cnpj === '') fields.cnpj = null;
+
+  return fields;
+}
+
+class SupplierController {
+  // Listar fornecedores (busca por razão social, nome fantasia ou CNPJ)
+  async listSuppliers(req, res) {
+    try {
+      const userId = req.user.userId;
+      const { status, search, page = 1, limit = 50 } = req.query;
+
+      const where = { userId };
+      if (status) where.status = status;
+      if (search) {
+        where[Op.or] = [
+          { name: { [Op.iLike]: `%${search}%` } },
+          { tradeName: { [Op.iLike]: `%${search}%` } },
+          { cnpj: { [Op.iLike]: `%${search}%` } }
+        ];
+      }
+
+      const { count, rows: suppliers } = await Supplier.findAndCountAll({
+        where,
+        order: [['name', 'ASC']],
+        limit: parseInt(limit),
+        offset: (parseInt(page) - 1) * parseInt(limit)
+      });
+
+      res.json({
+        suppliers,
+        pagination: {
+          total: count,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          totalPages: Math.ceil(count / parseInt(limit))
+        }
+      });
+
+    } catch (error) {
+      logger.error('Erro ao listar fornecedores:', error);
+      res.status(500).json({
+        error: 'Erro ao listar fornecedores.'
+      });
+    }
+  }
+
+  // Fornecedor com os produtos vinculados
+  async getSupplier(req, res) {
+    try {
+      const userId = req.user.userId;
+      const supplier = await Supplier.findOne({
+        where: { id: req.params.id, userId },
+        include: [{
+          model: SupplierProduct,
+          as: 'products',
+          include: [
+            { model: Product, as: 'product', attributes: ['id', 'name', 'sku', 'cost', 'stock'] },
+            { model: ProductVariant, as: 'variant', attributes: ['id', 'name', 'sku'] }
+          ]
+        }]
+      });
+
+      if (!supplier) {
+        return res.status(404).json({
+          error: 'Fornecedor não encontrado.'
+        });
+      }
+
+      res.json({ supplier });
+
+    } catch (error) {
+      logger.error('Erro ao buscar fornecedor:', error);
+      res.status(500).json({
+        error: 'Erro ao buscar fornecedor.'
+      });
+    }
+  }
+
+  // Cadastrar fornecedor
+  async createSupplier(req, res) {
+    try {
+      const userId = req.user.userId;
+      const fields = supplierFields(req.body);
+
+      if (fields.cnpj) {
+        const existing = await Supplier.findOne({ where: { cnpj: fields.cnpj, userId } });
+        if (existing) {
+          return res.status(400).json({
+            error: 'Já existe um fornecedor com este CNPJ.'
+          });
+        }
+      }
+
+      const supplier = await Supplier.create({ ...fields, userId });
+
+      await securityService.logSecurityEvent({
+        userId,
+        action: 'SUPPLIER_CREATED',
+        description: `Fornecedor cadastrado: ${supplier.name}`,
+        ipAddress: req.ip,
+        details: { supplierId: supplier.id, cnpj: supplier.cnpj }
+      });
+
+      res.status(201).json({
+        message: 'Fornecedor cadastrado com sucesso!',
+        supplier
+      });
+
+    } catch (error) {
+      logger.error('Erro ao cadastrar fornecedor:', error);
+      res.status(500).json({
+        error: 'Erro ao cadastrar fornecedor.'
+      });
+    }
+  }
+
+  // Atualizar fornecedor
+  async updateSupplier(req, res) {
+    try {
+      const userId = req.user.userId;
+      const supplier = await Supplier.findOne({ where: { id: req.params.id, userId } });
+
+      if (!supplier) {
+        return res.status(404).json({
+          error: 'Fornecedor não encontrado.'
+        });
+      }
+
+      const fields = supplierFields(req.body);
+
+      if (fields.cnpj && fields.cnpj !== supplier.cnpj) {
+        const existing = await Supplier.findOne({
+          where: { cnpj: fields.cnpj, userId, id: { [Op.ne]: supplier.id } }
+        });
+        if (existing) {
+          return res.status(400).json({
+            error: 'Já existe um fornecedor com este CNPJ.'
+          });
+        }
+      }
+
+      await supplier.update(fields);
+
+      await securityService.logSecurityEvent({
+        userId,
+        action: 'SUPPLIER_UPDATED',
+        description: `Fornecedor atualizado: ${supplier.name}`,
+        ipAddress: req.ip,
+        details: { supplierId: supplier.id, fields: Object.keys(fields) }
+      });
+
+      res.json({
+        message: 'Fornecedor atualizado com sucesso!',
+        supplier
+      });
+
+    } catch (error) {
+      logger.error('Erro ao atualizar fornecedor:', error);
+      res.status(500).json({
+        error: 'Erro ao atualizar fornecedor.'
+      });
+    }
+  }
+
+  // Excluir fornecedor (com histórico de compras é apenas inativado)
+  async deleteSupplier(req, res) {
+    try {
+      const userId = req.user.userId;
+      const supplier = await Supplier.findOne({ where: { id: req.params.id, userId } });
+
+      if (!supplier) {
+        return res.status(404).json({
+          error: 'Fornecedor não encontrado.'
+        });
+      }
+
+      const hasOrders = await PurchaseOrder.count({ where: { supplierId: supplier.id, userId } });
+
+      if (hasOrders > 0) {
+        await supplier.update({ status: 'inactive' });
+
+        await securityService.logSecurityEvent({
+          userId,
+          action: 'SUPPLIER_DEACTIVATED',
+          description: `Fornecedor marcado como inativo: ${supplier.name}`,
+          ipAddress: req.ip,
+          details: { supplierId: supplier.id, reason: 'Possui histórico de compras' }
+        });
+
+        return res.json({
+          message: 'Fornecedor marcado como inativo (não pode ser excluído por ter histórico de compras).',
+          supplier
+        });
+      }
+
+      await SupplierProduct.destroy({ where: { supplierId: supplier.id } });
+      await Product.update({ supplierId: null }, { where: { supplierId: supplier.id, userId } });
+      await supplier.destroy();
+
+      await securityService.logSecurityEvent({
+        userId,
+        action: 'SUPPLIER_DELETED',
+        description: `Fornecedor excluído: ${supplier.name}`,
+        ipAddress: req.ip,
+        details: { supplierId: supplier.id }
+      });
+
+      res.json({
+        message: 'Fornecedor excluído com sucesso!'
+      });
+
+    } catch (error) {
+      logger.error('Erro ao excluir fornecedor:', error);
+      res.status(500).json({
+        error: 'Erro ao excluir fornecedor.'
+      });
+    }
+  }
+
+  // Vincular produto ao fornecedor (código do fornecedor, último preço e prazo de entrega)
+  async saveProduct(req, res) {
+    try {
+      const userId = req.user.userId;
+      const { link, created } = await supplierService.saveProductLink(userId, req.params.id, req.body);
+
+      res.status(created ? 201 : 200).json({
+        message: created ? 'Produto vinculado ao fornecedor!' : 'Vínculo atualizado com sucesso!',
+        link
+      });
+
+    } catch (error) {
+      if (error instanceof AppError) {
+        return res.status(error.statusCode).json({
+          error: error.message
+        });
+      }
+
+      logger.error('Erro ao vincular produto ao fornecedor:', error);
+      res.status(500).json({
+        error: 'Erro ao vincular produto ao fornecedor.'
+      });
+    }
+  }
+
+  // Desvincular produto do fornecedor
+  async deleteProduct(req, res) {
+    try {
+      const userId = req.user.userId;
+      await supplierService.deleteProductLink(userId, req.params.id, req.params.linkId);
+
+      res.json({
+        message: 'Produto desvinculado do fornecedor!'
+      });
+
+    } catch (error) {
+      if (error instanceof AppError) {
+        return res.status(error.statusCode).json({
+          error: error.message
+        });
+      }
+
+      logger.error('Erro ao desvincular produto do fornecedor:', error);
+      res.status(500).json({
+        error: 'Erro ao desvincular produto do fornecedor.'
+      });
+    }
+  }
+
+  // Desempenho do fornecedor: entregas no prazo e evolução de preços
+  async getPerformance(req, res) {
+    try {
+      const userId = req.user.userId;
+      const performance = await supplierService.getPerformance(userId, req.params.id, req.query);
+
+      res.json(performance);
+
+    } catch (error) {
+      if (error instanceof AppError) {
+        return res.status(error.statusCode).json({
+          error: error.message
+        });
+      }
+
+      logger.error('Erro ao calcular desempenho do fornecedor:', error);
+      res.status(500).json({
+        error: 'Erro ao calcular desempenho do fornecedor.'
+      });
+    }
+  }
+}
+
+module.exports = new SupplierController();
@@ -677,6 +677,51 @@ class UserController {
     }
   }
   
+  // Definir o próprio PIN de gerente (aprovação de cancelamentos no PDV); exige a senha atual
+  async setManagerPin(req, res) {
+    try {
+      const userId = req.user.userId;
+      const { pin, currentPassword } = req.body;
+      
+      const user = await User.findByPk(userId);
+      
+      if (!user || !(await user.comparePassword(currentPassword))) {
+        await securityService.logSecurityEvent({
+          userId,
+          action: 'MANAGER_PIN_UPDATE_FAILED',
+          description: 'Senha incorreta ao definir PIN de gerente',
+          ipAddress: req.ip,
+          severity: 'medium'
+        });
+        
+        return res.status(401).json({
+          error: 'Senha atual incorreta.'
+        });
+      }
+      
+      user.managerPin = pin;
+      await user.save();
+      
+      await securityService.logSecurityEvent({
+        userId,
+        action: 'MANAGER_PIN_UPDATED',
+        description: 'PIN de gerente definido',
+        ipAddress: req.ip,
+        severity: 'high'
+      });
+      
+      res.json({
+        message: 'PIN de gerente definido com sucesso!'
+      });
+      
+    } catch (error) {
+      logger.error('Erro ao definir PIN de gerente:', error);
+      res.status(500).json({
+        error: 'Erro ao definir PIN de gerente.'
+      });
+    }
+  }
+  
   // Dashboard de usuários (admin)
   async getUsersDashboard(req, res) {
     try {
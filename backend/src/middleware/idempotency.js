@@ -0,0 +1,132 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const logger = require('../utils/logger');
+
+// Janela de validade das chaves (horas)
+const IDEMPOTENCY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_TTL_HOURS) || 24;
+
+// Hash da requisição para detectar a mesma chave usada com outro conteúdo
+const hashRequest = (req) => {
+  return crypto
+    .createHash('sha256')
+    .update(`${req.method}:${req.originalUrl}:${JSON.stringify(req.body || {})}`)
+    .digest('hex');
+};
+
+// Middleware para honrar o cabeçalho Idempotency-Key em rotas que movimentam dinheiro
+// Uma chave repetida devolve a resposta original em vez de executar de novo
+const idempotency = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+
+  // Cabeçalho opcional: sem chave, a requisição segue normalmente
+  if (!key) {
+    return next();
+  }
+
+  if (key.length > 255) {
+    return res.status(400).json({
+      error: 'Idempotency-Key deve ter no máximo 255 caracteres.'
+    });
+  }
+
+  try {
+    const userId = req.user.userId;
+    const requestHash = hashRequest(req);
+
+    let record = await IdempotencyKey.findOne({
+      where: { userId, key }
+    });
+
+    // Chave expirada pode ser reutilizada
+    if (record && record.isExpired()) {
+      await record.destroy();
+      record = null;
+    }
+
+    if (record) {
+      if (record.requestHash !== requestHash) {
+        return res.status(422).json({
+          error: 'Idempotency-Key já utilizada em outra requisição.'
+        });
+      }
+
+      if (record.status === 'processing') {
+        return res.status(409).json({
+          error: 'Requisição com esta Idempotency-Key ainda está em processamento.'
+        });
+      }
+
+      // Repetir a resposta original
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(record.responseStatus).json(record.responseBody);
+    }
+
+    try {
+      record = await IdempotencyKey.create({
+        userId,
+        key,
+        method: req.method,
+        path: req.originalUrl,
+        requestHash,
+        status: 'processing',
+        expiresAt: new Date(Date.now() + IDEMPOTENCY_TTL_HOURS * 60 * 60 * 1000)
+      });
+    } catch (error) {
+      // Requisição concorrente com a mesma chave registrou primeiro
+      if (error.name === 'SequelizeUniqueConstraintError') {
+        return res.status(409).json({
+          error: 'Requisição com esta Idempotency-Key ainda está em processamento.'
+        });
+      }
+      throw error;
+    }
+
+    // Capturar a resposta para armazená-la junto com a chave
+    let captured = false;
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      captured = true;
+
+      // Só respostas de sucesso ficam gravadas; erros liberam a chave para uma nova tentativa
+      const succeeded = res.statusCode >= 200 && res.statusCode < 300;
+      const persist = succeeded
+        ? record.update({
+          status: 'completed',
+          responseStatus: res.statusCode,
+          responseBody: body
+        })
+        : record.destroy();
+
+      // A resposta sai depois de gravar a chave, para que uma repetição imediata já a encontre
+      persist
+        .then(() => originalJson(body))
+        .catch((error) => {
+          logger.error('Erro ao salvar resposta idempotente:', error);
+          if (!res.headersSent) {
+            originalJson(body);
+          }
+        });
+
+      return res;
+    };
+
+    // Respostas que não passam por res.json (ou conexão encerrada) não ficam presas em processamento
+    res.on('close', () => {
+      if (!captured) {
+        record.destroy().catch(error => logger.error('Erro ao liberar Idempotency-Key:', error));
+      }
+    });
+
+    next();
+  } catch (error) {
+    logger.error('Erro no controle de idempotência:', error);
+    res.status(500).json({
+      error: 'Erro ao processar Idempotency-Key.'
+    });
+  }
+};
+
+module.exports = {
+  idempotency,
+  IDEMPOTENCY_TTL_HOURS
+};
@@ -0,0 +1,238 @@
+const { DataTypes, Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const CashDrawerMovement = require('./CashDrawerMovement');
+
+// Cédulas e moedas aceitas na contagem do fechamento
+const DENOMINATIONS = ['200', '100', '50', '20', '10', '5', '2', '1', '0.50', '0.25', '0.10', '0.05', '0.01'];
+
+const CashDrawer = sequelize.define('CashDrawer', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  location: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  openingBalance: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: 0
+    }
+  },
+  closingBalance: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true
+  },
+  expectedBalance: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true
+  },
+  difference: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true
+  },
+  openedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  closedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  closedBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  status: {
+    type: DataTypes.ENUM('open', 'closed'),
+    defaultValue: 'open'
+  },
+  countedDenominations: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  },
+  blindClose: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  },
+  zReport: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  tableName: 'cash_drawers',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['userId']
+    },
+    {
+      fields: ['status']
+    },
+    {
+      fields: ['openedAt']
+    },
+    {
+      fields: ['location']
+    }
+  ]
+});
+
+CashDrawer.hasMany(CashDrawerMovement, {
+  foreignKey: 'cashDrawerId',
+  as: 'movements'
+});
+
+CashDrawerMovement.belongsTo(CashDrawer, {
+  foreignKey: 'cashDrawerId',
+  as: 'cashDrawer'
+});
+
+CashDrawer.DENOMINATIONS = DENOMINATIONS;
+
+// Método para somar a contagem de cédulas e moedas
+CashDrawer.countDenominations = function(denominations = {}) {
+  const invalid = Object.keys(denominations).filter(value => !DENOMINATIONS.includes(value));
+  if (invalid.length > 0) {
+    throw new Error(`Denominações inválidas: ${invalid.join(', ')}`);
+  }
+
+  const totalCents = Object.entries(denominations).reduce((sum, [value, count]) => {
+    const quantity = parseInt(count) || 0;
+    if (quantity < 0) {
+      throw new Error(`Quantidade negativa para a denominação ${value}`);
+    }
+    return sum + Math.round(parseFloat(value) * 100) * quantity;
+  }, 0);
+
+  return totalCents / 100;
+};
+
+// Método para calcular o resumo do turno (vendas, suprimentos, sangrias e devoluções)
+CashDrawer.prototype.calculateSummary = async function(options = {}) {
+  const Sale = require('./Sale');
+  const { transaction } = options;
+
+  const sales = await Sale.findAll({
+    where: {
+      cashDrawerId: this.id,
+      status: { [Op.in]: ['completed', 'partially_refunded', 'refunded'] }
+    },
+    attributes: ['id', 'total', 'paymentMethod', 'tenders', 'currency', 'exchangeRate', 'baseTotal'],
+    transaction
+  });
+
+  const cancelledSales = await Sale.count({
+    where: { cashDrawerId: this.id, status: 'cancelled' },
+    transaction
+  });
+
+  const movements = await CashDrawerMovement.findAll({
+    where: { cashDrawerId: this.id },
+    order: [['createdAt', 'ASC']],
+    transaction
+  });
+
+  const paymentTotals = {};
+  const cashByCurrency = {};
+  let salesTotal = 0;
+
+  // Totais por forma de pagamento em moeda base (vendas divididas contam em cada forma usada)
+  sales.forEach(sale => {
+    const rate = parseFloat(sale.exchangeRate || 1);
+    salesTotal += parseFloat(sale.baseTotal ?? sale.total);
+
+    Object.entries(sale.getTenderTotals()).forEach(([method, amount]) => {
+      if (!paymentTotals[method]) {
+        paymentTotals[method] = { count: 0, total: 0 };
+      }
+      paymentTotals[method].count++;
+      paymentTotals[method].total = Math.round((paymentTotals[method].total + amount * rate) * 100) / 100;
+
+      // Dinheiro de vendas por moeda recebida (conferência das cédulas na gaveta)
+      if (method === 'cash') {
+        cashByCurrency[sale.currency] = Math.round(((cashByCurrency[sale.currency] || 0) + amount) * 100) / 100;
+      }
+    });
+  });
+
+  const sumByType = type => movements
+    .filter(movement => movement.type === type)
+    .reduce((sum, movement) => sum + parseFloat(movement.amount), 0);
+
+  const cashSales = paymentTotals.cash?.total || 0;
+  const cashIn = sumByType('cash_in');
+  const cashOut = sumByType('cash_out');
+  const cashRefunds = sumByType('refund');
+  const layawayPayments = sumByType('layaway_payment');
+  const exchangePayments = sumByType('exchange_payment');
+  const giftCardSales = sumByType('gift_card_sale');
+  const openingBalance = parseFloat(this.openingBalance);
+  const expectedBalance = Math.round((openingBalance + cashSales + layawayPayments + exchangePayments + giftCardSales + cashIn - cashOut - cashRefunds) * 100) / 100;
+
+  return {
+    openingBalance,
+    salesCount: sales.length,
+    salesTotal: Math.round(salesTotal * 100) / 100,
+    cancelledSales,
+    paymentTotals,
+    cashSales,
+    cashByCurrency,
+    cashIn,
+    cashOut,
+    cashRefunds,
+    layawayPayments,
+    exchangePayments,
+    giftCardSales,
+    expectedBalance,
+    movements: movements.map(movement => ({
+      id: movement.id,
+      type: movement.type,
+      amount: parseFloat(movement.amount),
+      reason: movement.reason,
+      userId: movement.userId,
+      createdAt: movement.createdAt
+    }))
+  };
+};
+
+// Método para montar o relatório Z do turno
+CashDrawer.prototype.buildZReport = function(summary) {
+  return {
+    drawerId: this.id,
+    location: this.location,
+    operatorId: this.userId,
+    closedBy: this.closedBy,
+    openedAt: this.openedAt,
+    closedAt: this.closedAt,
+    blindClose: this.blindClose,
+    ...summary,
+    countedDenominations: this.countedDenominations,
+    closingBalance: this.closingBalance !== null ? parseFloat(this.closingBalance) : null,
+    difference: this.difference !== null ? parseFloat(this.difference) : null,
+    generatedAt: new Date()
+  };
+};
+
+module.exports = CashDrawer;
@@ -0,0 +1,80 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const CashDrawerMovement = sequelize.define('CashDrawerMovement', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  cashDrawerId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'cash_drawers',
+      key: 'id'
+    }
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  // cash_in = suprimento, cash_out = sangria, refund = devolução em dinheiro,
+  // layaway_payment = entrada ou parcela de venda parcelada recebida em dinheiro,
+  // exchange_payment = diferença de troca recebida em dinheiro, gift_card_sale = vale-presente vendido em dinheiro
+  type: {
+    type: DataTypes.ENUM('cash_in', 'cash_out', 'refund', 'layaway_payment', 'exchange_payment', 'gift_card_sale'),
+    allowNull: false
+  },
+  amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    validate: {
+      isDecimal: true,
+      min: 0.01
+    }
+  },
+  reason: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    validate: {
+      notEmpty: true,
+      len: [3, 255]
+    }
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  referenceId: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  referenceType: {
+    type: DataTypes.STRING,
+    allowNull: true
+  }
+}, {
+  tableName: 'cash_drawer_movements',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['cashDrawerId']
+    },
+    {
+      fields: ['type']
+    }
+  ]
+});
+
+// Sinal da movimentação no saldo do caixa
+CashDrawerMovement.prototype.getSignedAmount = function() {
+  const amount = parseFloat(this.amount);
+  return ['cash_in', 'layaway_payment', 'exchange_payment', 'gift_card_sale'].includes(this.type) ? amount : -amount;
+};
+
+module.exports = CashDrawerMovement;
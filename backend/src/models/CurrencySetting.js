@@ -0,0 +1,27 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Moeda base da empresa (relatórios e painéis financeiros são convertidos para ela)
+const CurrencySetting = sequelize.define('CurrencySetting', {
+  // Empresa (companyName do usuário ou o id do usuário sem empresa)
+  tenantKey: {
+    type: DataTypes.STRING,
+    primaryKey: true
+  },
+  baseCurrency: {
+    type: DataTypes.STRING(3),
+    allowNull: false,
+    defaultValue: 'BRL',
+    validate: {
+      is: /^[A-Z]{3}$/
+    }
+  }
+}, {
+  tableName: 'currency_settings',
+  timestamps: true
+});
+
+// Moeda base de empresas sem configuração própria
+CurrencySetting.DEFAULT_CURRENCY = process.env.DEFAULT_CURRENCY || 'BRL';
+
+module.exports = CurrencySetting;
@@ -75,6 +75,15 @@ const Customer = sequelize.define('Customer', {
     type: DataTypes.DATE,
     allowNull: true
   },
+  // Saldo de pontos do programa de fidelidade
+  loyaltyPoints: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    allowNull: false,
+    validate: {
+      min: 0
+    }
+  },
   status: {
     type: DataTypes.ENUM('active', 'inactive', 'blocked'),
     defaultValue: 'active'
@@ -125,6 +134,19 @@ Customer.prototype.getClassification = function() {
   return 'New';
 };
 
+// Multiplicador de pontos de fidelidade por classificação
+Customer.LOYALTY_MULTIPLIERS = {
+  VIP: 2,
+  Premium: 1.5,
+  Regular: 1.25,
+  New: 1
+};
+
+// Método para obter o multiplicador de pontos da classificação atual
+Customer.prototype.getLoyaltyMultiplier = function() {
+  return Customer.LOYALTY_MULTIPLIERS[this.getClassification()] || 1;
+};
+
 // Método para obter estatísticas
 Customer.getStatistics = async function(userId) {
   const totalCustomers = await Customer.count({ where: { userId } });
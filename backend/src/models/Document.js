@@ -1,6 +1,8 @@
 const { DataTypes } = require('sequelize');
 const { sequelize } = require('../config/database');
 const crypto = require('crypto');
+const sequenceService = require('../services/sequenceService');
+const currencyService = require('../services/currencyService');
 
 const Document = sequelize.define('Document', {
   id: {
@@ -11,7 +13,6 @@ const Document = sequelize.define('Document', {
   documentNumber: {
     type: DataTypes.STRING,
     allowNull: false,
-    unique: true,
     validate: {
       notEmpty: true
     }
@@ -53,6 +54,24 @@ const Document = sequelize.define('Document', {
       min: 0.01
     }
   },
+  // Moeda do documento (ISO 4217; padrão = moeda base da empresa)
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false,
+    validate: {
+      is: /^[A-Z]{3}$/
+    }
+  },
+  // Cotação para a moeda base no momento do lançamento
+  exchangeRate: {
+    type: DataTypes.DECIMAL(18, 8),
+    allowNull: false
+  },
+  // Valor convertido para a moeda base
+  baseAmount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true
+  },
   description: {
     type: DataTypes.TEXT,
     allowNull: false,
@@ -102,13 +121,22 @@ const Document = sequelize.define('Document', {
   notes: {
     type: DataTypes.TEXT,
     allowNull: true
+  },
+  // Registro de origem do documento (ex.: venda que gerou a fatura)
+  referenceId: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  referenceType: {
+    type: DataTypes.STRING(50),
+    allowNull: true
   }
 }, {
   tableName: 'documents',
   timestamps: true,
   indexes: [
     {
-      fields: ['documentNumber'],
+      fields: ['userId', 'documentNumber'],
       unique: true
     },
     {
@@ -135,43 +163,31 @@ const Document = sequelize.define('Document', {
     {
       fields: ['signatureHash'],
       unique: true
+    },
+    {
+      fields: ['referenceType', 'referenceId']
     }
   ]
 });
 
-// Hook para gerar número do documento
-Document.beforeCreate(async (document) => {
-  if (!document.documentNumber) {
-    const prefix = {
-      'invoice': 'INV',
-      'purchase_order': 'PO',
-      'requisition': 'REQ',
-      'contract': 'CTR',
-      'other': 'DOC'
-    }[document.type] || 'DOC';
-    
-    const year = new Date().getFullYear();
-    const month = (new Date().getMonth() + 1).toString().padStart(2, '0');
-    
-    // Buscar último documento do mesmo tipo no ano/mês
-    const lastDocument = await Document.findOne({
-      where: {
-        type: document.type,
-        documentNumber: {
-          [sequelize.Sequelize.Op.like]: `${prefix}${year}${month}%`
-        }
-      },
-      order: [['documentNumber', 'DESC']]
+// Hook para gerar número do documento pela sequência da empresa
+// Gerado antes da validação porque documentNumber é obrigatório
+Document.beforeValidate(async (document, options) => {
+  if (document.isNewRecord && !document.documentNumber) {
+    document.documentNumber = await sequenceService.next(document.type, {
+      userId: document.userId,
+      location: document.metadata?.location,
+      transaction: options.transaction
     });
-    
-    let sequence = 1;
-    if (lastDocument && lastDocument.documentNumber) {
-      const lastSequence = parseInt(lastDocument.documentNumber.slice(-4));
-      sequence = lastSequence + 1;
-    }
-    
-    document.documentNumber = `${prefix}${year}${month}${sequence.toString().padStart(4, '0')}`;
   }
+
+  // Moeda e cotação da data do documento e valor convertido
+  await currencyService.applyToRecord(document, {
+    amountField: 'amount',
+    baseField: 'baseAmount',
+    date: document.date,
+    transaction: options.transaction
+  });
 });
 
 // Método para assinar documento
@@ -279,7 +295,7 @@ Document.getStats = async function(userId) {
       type,
       status,
       COUNT(*) as count,
-      SUM(amount) as total_amount
+      SUM(base_amount) as total_amount
     FROM documents
     WHERE user_id = :userId
     GROUP BY type, status
@@ -0,0 +1,77 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Cotação mantida manualmente: 1 unidade de currency = rate unidades da moeda base, a partir de effectiveDate
+const ExchangeRate = sequelize.define('ExchangeRate', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  // Empresa dona da cotação (companyName do usuário ou o id do usuário sem empresa)
+  tenantKey: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false,
+    validate: {
+      is: /^[A-Z]{3}$/
+    }
+  },
+  baseCurrency: {
+    type: DataTypes.STRING(3),
+    allowNull: false,
+    validate: {
+      is: /^[A-Z]{3}$/
+    }
+  },
+  rate: {
+    type: DataTypes.DECIMAL(18, 8),
+    allowNull: false,
+    validate: {
+      isDecimal: true,
+      min: 0.00000001
+    }
+  },
+  effectiveDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  // Usuário que registrou a cotação
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  tableName: 'exchange_rates',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['tenantKey', 'currency', 'baseCurrency', 'effectiveDate'],
+      unique: true
+    }
+  ]
+});
+
+// Converter um valor pela cotação (arredondado ao centavo)
+ExchangeRate.convert = function(amount, rate) {
+  return Math.round(parseFloat(amount || 0) * parseFloat(rate || 1) * 100) / 100;
+};
+
+// Normalizar código de moeda digitado (ISO 4217, maiúsculas)
+ExchangeRate.normalizeCurrency = function(currency) {
+  return String(currency || '').trim().toUpperCase();
+};
+
+module.exports = ExchangeRate;
@@ -0,0 +1,99 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const PurchaseOrder = require('./PurchaseOrder');
+
+// Recebimento de mercadoria de um pedido de compra (um pedido pode ter vários recebimentos parciais)
+const GoodsReceipt = sequelize.define('GoodsReceipt', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  purchaseOrderId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'purchase_orders',
+      key: 'id'
+    }
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  location: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  // Linhas recebidas: item do pedido, produto, quantidade e custo unitário do recebimento
+  items: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: []
+  },
+  total: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+  // pending = aguardando a nota do fornecedor, matched = conferido com a nota
+  status: {
+    type: DataTypes.ENUM('pending', 'matched'),
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+  invoiceNumber: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  // Despesa a pagar lançada na conferência da nota
+  transactionId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'transactions',
+      key: 'id'
+    }
+  },
+  receivedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  matchedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  tableName: 'goods_receipts',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['purchaseOrderId']
+    },
+    {
+      fields: ['status']
+    }
+  ]
+});
+
+// Associations
+GoodsReceipt.belongsTo(PurchaseOrder, {
+  foreignKey: 'purchaseOrderId',
+  as: 'purchaseOrder'
+});
+
+PurchaseOrder.hasMany(GoodsReceipt, {
+  foreignKey: 'purchaseOrderId',
+  as: 'receipts'
+});
+
+module.exports = GoodsReceipt;
@@ -0,0 +1,79 @@
+const { DataTypes, Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const IdempotencyKey = sequelize.define('IdempotencyKey', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  key: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  method: {
+    type: DataTypes.STRING(10),
+    allowNull: false
+  },
+  path: {
+    type: DataTypes.STRING(500),
+    allowNull: false
+  },
+  // Hash do método, rota e corpo para detectar reuso da chave em outra requisição
+  requestHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('processing', 'completed'),
+    defaultValue: 'processing'
+  },
+  responseStatus: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  responseBody: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  }
+}, {
+  tableName: 'idempotency_keys',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['userId', 'key'],
+      unique: true
+    },
+    {
+      fields: ['expiresAt']
+    }
+  ]
+});
+
+// Método para verificar se a chave expirou
+IdempotencyKey.prototype.isExpired = function() {
+  return new Date() > this.expiresAt;
+};
+
+// Método para remover chaves expiradas
+IdempotencyKey.cleanupExpired = async function() {
+  return this.destroy({
+    where: {
+      expiresAt: { [Op.lt]: new Date() }
+    }
+  });
+};
+
+module.exports = IdempotencyKey;
@@ -1,5 +1,5 @@
-const { DataTypes } = require('sequelize');
-const sequelize = require('../config/database');
+const { DataTypes, Op } = require('sequelize');
+const { sequelize } = require('../config/database');
 const Product = require('./Product');
 const User = require('./User');
 
@@ -26,26 +26,38 @@ const Inventory = sequelize.define('Inventory', {
         }
     },
     quantity: {
-        type: DataTypes.INTEGER,
+        type: DataTypes.DECIMAL(12, 3),
         allowNull: false,
         defaultValue: 0,
         validate: {
             min: 0
+        },
+        get() {
+            const value = this.getDataValue('quantity');
+            return value === null || value === undefined ? value : parseFloat(value);
         }
     },
     minStock: {
-        type: DataTypes.INTEGER,
+        type: DataTypes.DECIMAL(12, 3),
         allowNull: false,
         defaultValue: 5,
         validate: {
             min: 0
+        },
+        get() {
+            const value = this.getDataValue('minStock');
+            return value === null || value === undefined ? value : parseFloat(value);
         }
     },
     maxStock: {
-        type: DataTypes.INTEGER,
+        type: DataTypes.DECIMAL(12, 3),
         allowNull: true,
         validate: {
             min: 0
+        },
+        get() {
+            const value = this.getDataValue('maxStock');
+            return value === null || value === undefined ? value : parseFloat(value);
         }
     },
     location: {
@@ -178,96 +190,116 @@ Inventory.prototype.checkAvailability = function(requiredQuantity) {
     };
 };
 
+// Stock changes go through the stock ledger (location, variant and product totals stay in sync)
 Inventory.prototype.adjustQuantity = async function(adjustment, reason, reference = null) {
-    const oldQuantity = this.quantity;
-    this.quantity += adjustment;
-    
-    await this.save();
+    const stockLedgerService = require('../services/stockLedgerService');
     
-    // Log the movement
-    const InventoryMovement = require('./InventoryMovement');
-    await InventoryMovement.create({
-        inventoryId: this.id,
+    await sequelize.transaction(transaction => stockLedgerService.record({
         productId: this.productId,
+        inventoryId: this.id,
         userId: this.userId,
         type: adjustment > 0 ? 'entry' : 'withdrawal',
-        quantity: Math.abs(adjustment),
-        previousQuantity: oldQuantity,
-        newQuantity: this.quantity,
-        unitCost: this.cost || 0,
-        totalValue: Math.abs(adjustment) * (this.cost || 0),
+        quantity: adjustment,
+        unitCost: parseFloat(this.cost || 0),
         notes: reason,
         referenceId: reference?.id,
         referenceType: reference?.type
-    });
+    }, { transaction }));
     
-    return this;
+    return this.reload();
 };
 
 Inventory.prototype.transfer = async function(toLocation, quantity, notes = '') {
-    if (quantity > this.quantity) {
-        throw new Error('Quantidade insuficiente em estoque');
-    }
-    
-    // Reduce current inventory
-    this.quantity -= quantity;
-    await this.save();
+    const stockLedgerService = require('../services/stockLedgerService');
     
-    // Find or create inventory at destination
-    let destinationInventory = await Inventory.findOne({
-        where: {
-            productId: this.productId,
-            userId: this.userId,
-            location: toLocation
-        }
+    const result = await stockLedgerService.transfer(this.id, toLocation, quantity, {
+        userId: this.userId,
+        notes
     });
     
-    if (!destinationInventory) {
-        destinationInventory = await Inventory.create({
-            productId: this.productId,
-            userId: this.userId,
-            location: toLocation,
-            quantity: 0,
-            minStock: this.minStock,
-            cost: this.cost
-        });
+    await this.reload();
+    
+    return {
+        from: this,
+        to: result.to
+    };
+};
+
+// Static methods
+
+// Weighted average unit cost after receiving goods at a new unit cost
+Inventory.getWeightedAverageCost = function(currentQuantity, currentCost, receivedQuantity, unitCost) {
+    const onHand = Math.max(0, parseFloat(currentQuantity || 0));
+    const received = parseFloat(receivedQuantity || 0);
+    
+    if (onHand + received <= 0) {
+        return Math.round(parseFloat(unitCost || 0) * 100) / 100;
     }
     
-    // Add to destination
-    destinationInventory.quantity += quantity;
-    await destinationInventory.save();
+    const value = onHand * parseFloat(currentCost || 0) + received * parseFloat(unitCost || 0);
+    return Math.round((value / (onHand + received)) * 100) / 100;
+};
+
+// Replenishment settings: sales history window, safety stock and coverage (days)
+// and the lead time used when the product has no supplier
+Inventory.REPLENISHMENT = {
+    lookbackDays: parseInt(process.env.REPLENISHMENT_LOOKBACK_DAYS) || 30,
+    safetyDays: parseInt(process.env.REPLENISHMENT_SAFETY_DAYS ?? 3),
+    coverageDays: parseInt(process.env.REPLENISHMENT_COVERAGE_DAYS) || 30,
+    defaultLeadTimeDays: parseInt(process.env.REPLENISHMENT_DEFAULT_LEAD_TIME_DAYS ?? 7)
+};
+
+// Reorder point and order quantity from sales velocity
+// The reorder point covers demand during the lead time plus safety stock (never below minStock);
+// the order tops stock up to the reorder point plus the coverage period, capped at maxStock
+Inventory.calculateReplenishment = function(params) {
+    const {
+        averageDailySales,
+        leadTimeDays,
+        onHand,
+        onOrder = 0,
+        minStock = 0,
+        maxStock = null,
+        safetyDays = Inventory.REPLENISHMENT.safetyDays,
+        coverageDays = Inventory.REPLENISHMENT.coverageDays
+    } = params;
     
-    // Log the transfer
-    const InventoryMovement = require('./InventoryMovement');
-    await InventoryMovement.create({
-        inventoryId: this.id,
-        productId: this.productId,
-        userId: this.userId,
-        type: 'transfer',
-        quantity: quantity,
-        previousQuantity: this.quantity + quantity,
-        newQuantity: this.quantity,
-        unitCost: this.cost || 0,
-        totalValue: quantity * (this.cost || 0),
-        notes: `Transferido para ${toLocation}. ${notes}`.trim(),
-        metadata: {
-            fromLocation: this.location,
-            toLocation: toLocation
-        }
-    });
+    const reorderPoint = Math.max(
+        Math.ceil(minStock || 0),
+        Math.ceil(averageDailySales * (leadTimeDays + safetyDays))
+    );
+    
+    let target = reorderPoint + averageDailySales * coverageDays;
+    if (maxStock) {
+        target = Math.min(target, maxStock);
+    }
+    
+    const available = onHand + onOrder;
+    const orderQuantity = available <= reorderPoint ? Math.max(0, Math.ceil(target - available)) : 0;
     
     return {
-        from: this,
-        to: destinationInventory
+        reorderPoint,
+        orderQuantity,
+        needsReorder: orderQuantity > 0,
+        daysOfStock: averageDailySales > 0 ? Math.floor(onHand / averageDailySales) : null,
+        // Days until the goods should arrive if ordered when stock reaches the reorder point
+        restockInDays: averageDailySales > 0
+            ? Math.max(0, Math.floor((available - reorderPoint) / averageDailySales)) + leadTimeDays
+            : null
     };
 };
 
-// Static methods
+// Items at or below their reorder point (computed from sales velocity) or minimum stock
 Inventory.getLowStockItems = async function(userId) {
     return await Inventory.findAll({
         where: {
             userId,
-            status: 'low'
+            quantity: { [Op.gt]: 0 },
+            [Op.and]: sequelize.where(
+                sequelize.col('quantity'),
+                Op.lte,
+                sequelize.fn('GREATEST', sequelize.col('minStock'), sequelize.fn('COALESCE', sequelize.col('reorderPoint'), 0))
+            )
         },
         include: [{
             model: Product,
@@ -293,25 +325,59 @@ Inventory.getOutOfStockItems = async function(userId) {
     });
 };
 
+// Stock expiring within the given days, reported per lot (FEFO order)
+// Items without lots still report the expiry date set on the inventory record
 Inventory.getExpiringItems = async function(userId, days = 30) {
+    const InventoryLot = require('./InventoryLot');
     const expiryDate = new Date();
     expiryDate.setDate(expiryDate.getDate() + days);
     
-    return await Inventory.findAll({
+    const lots = await InventoryLot.getExpiring(userId, days);
+    
+    const rows = await Inventory.findAll({
         where: {
             userId,
+            quantity: { [Op.gt]: 0 },
             expiryDate: {
-                [DataTypes.Op.lte]: expiryDate,
-                [DataTypes.Op.gt]: new Date()
+                [Op.lte]: expiryDate,
+                [Op.gt]: new Date()
             }
         },
-        include: [{
-            model: Product,
-            as: 'product',
-            attributes: ['id', 'name', 'sku', 'category']
-        }],
+        include: [
+            {
+                model: Product,
+                as: 'product',
+                attributes: ['id', 'name', 'sku', 'category']
+            },
+            {
+                model: InventoryLot,
+                as: 'lots',
+                attributes: ['id'],
+                required: false
+            }
+        ],
         order: [['expiryDate', 'ASC']]
     });
+    
+    const untracked = rows
+        .filter(row => row.lots.length === 0)
+        .map(row => ({
+            lotId: null,
+            lotNumber: null,
+            inventoryId: row.id,
+            location: row.location,
+            productId: row.productId,
+            product: row.product,
+            variantId: null,
+            variant: null,
+            quantity: row.quantity,
+            expiryDate: row.expiryDate,
+            daysToExpiry: Math.ceil((new Date(row.expiryDate) - new Date()) / (24 * 60 * 60 * 1000)),
+            expired: false
+        }));
+    
+    return [...lots, ...untracked]
+        .sort((a, b) => new Date(a.expiryDate) - new Date(b.expiryDate));
 };
 
 Inventory.getInventoryValue = async function(userId) {
@@ -0,0 +1,221 @@
+const { DataTypes, Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const Inventory = require('./Inventory');
+const InventoryMovement = require('./InventoryMovement');
+const Product = require('./Product');
+const ProductVariant = require('./ProductVariant');
+const Helpers = require('../utils/helpers');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Data no formato do DATEONLY (AAAA-MM-DD)
+const toDateOnly = date => new Date(date).toISOString().split('T')[0];
+
+// Lote de um item de inventário: quantidade e validade próprias (a soma dos lotes nunca passa do saldo do local)
+const InventoryLot = sequelize.define('InventoryLot', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  inventoryId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'inventory',
+      key: 'id'
+    }
+  },
+  productId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'products',
+      key: 'id'
+    }
+  },
+  variantId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'product_variants',
+      key: 'id'
+    }
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  lotNumber: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    validate: {
+      notEmpty: true
+    }
+  },
+  quantity: {
+    type: DataTypes.DECIMAL(12, 3),
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: 0
+    },
+    get() {
+      const value = this.getDataValue('quantity');
+      return value === null || value === undefined ? value : parseFloat(value);
+    }
+  },
+  expiryDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: true
+  },
+  manufactureDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: true
+  },
+  unitCost: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true
+  },
+  receivedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  tableName: 'inventory_lots',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['inventoryId', 'variantId', 'lotNumber']
+    },
+    {
+      fields: ['userId', 'lotNumber']
+    },
+    {
+      fields: ['expiryDate']
+    }
+  ]
+});
+
+// Associations
+InventoryLot.belongsTo(Inventory, {
+  foreignKey: 'inventoryId',
+  as: 'inventory'
+});
+
+Inventory.hasMany(InventoryLot, {
+  foreignKey: 'inventoryId',
+  as: 'lots'
+});
+
+InventoryLot.belongsTo(Product, {
+  foreignKey: 'productId',
+  as: 'product'
+});
+
+InventoryLot.belongsTo(ProductVariant, {
+  foreignKey: 'variantId',
+  as: 'variant'
+});
+
+InventoryMovement.belongsTo(InventoryLot, {
+  foreignKey: 'lotId',
+  as: 'lot'
+});
+
+InventoryLot.hasMany(InventoryMovement, {
+  foreignKey: 'lotId',
+  as: 'movements'
+});
+
+// Lote vencido (a validade é o último dia de uso)
+InventoryLot.prototype.isExpired = function(date = new Date()) {
+  return Boolean(this.expiryDate) && this.expiryDate < toDateOnly(date);
+};
+
+// Dias até o vencimento (negativo = vencido)
+InventoryLot.prototype.getDaysToExpiry = function(date = new Date()) {
+  if (!this.expiryDate) return null;
+  return Math.round((new Date(this.expiryDate) - new Date(toDateOnly(date))) / DAY);
+};
+
+// Ordem FEFO: primeiro o que vence antes; lotes sem validade por último, do mais antigo para o mais novo
+InventoryLot.sortFefo = function(lots) {
+  return [...lots].sort((a, b) => {
+    if (a.expiryDate !== b.expiryDate) {
+      if (!a.expiryDate) return 1;
+      if (!b.expiryDate) return -1;
+      return a.expiryDate < b.expiryDate ? -1 : 1;
+    }
+    return new Date(a.receivedAt) - new Date(b.receivedAt);
+  });
+};
+
+// Separar a quantidade entre os lotes em ordem FEFO
+// skipExpired = venda não usa lote vencido; remaining = quantidade que os lotes não cobriram
+InventoryLot.pick = function(lots, quantity, options = {}) {
+  const { skipExpired = false, date = new Date() } = options;
+  const picks = [];
+  let remaining = Helpers.roundQuantity(quantity);
+
+  for (const lot of InventoryLot.sortFefo(lots)) {
+    if (remaining <= 0) break;
+    if (lot.quantity <= 0 || (skipExpired && lot.isExpired(date))) continue;
+
+    const taken = Math.min(lot.quantity, remaining);
+    picks.push({ lot, quantity: taken });
+    remaining = Helpers.roundQuantity(remaining - taken);
+  }
+
+  return { picks, remaining };
+};
+
+// Lotes com saldo que vencem nos próximos dias (já vencidos com includeExpired)
+InventoryLot.getExpiring = async function(userId, days = 30, options = {}) {
+  const { includeExpired = false } = options;
+  const today = toDateOnly(new Date());
+  const limit = toDateOnly(Date.now() + days * DAY);
+
+  const lots = await InventoryLot.findAll({
+    where: {
+      userId,
+      quantity: { [Op.gt]: 0 },
+      expiryDate: includeExpired
+        ? { [Op.lte]: limit }
+        : { [Op.gte]: today, [Op.lte]: limit }
+    },
+    include: [
+      { model: Inventory, as: 'inventory', attributes: ['id', 'location'] },
+      { model: Product, as: 'product', attributes: ['id', 'name', 'sku', 'category'] },
+      { model: ProductVariant, as: 'variant', attributes: ['id', 'name', 'sku'] }
+    ],
+    order: [['expiryDate', 'ASC'], ['receivedAt', 'ASC']]
+  });
+
+  return lots.map(lot => ({
+    lotId: lot.id,
+    lotNumber: lot.lotNumber,
+    inventoryId: lot.inventoryId,
+    location: lot.inventory?.location || null,
+    productId: lot.productId,
+    product: lot.product,
+    variantId: lot.variantId,
+    variant: lot.variant,
+    quantity: lot.quantity,
+    expiryDate: lot.expiryDate,
+    daysToExpiry: lot.getDaysToExpiry(),
+    expired: lot.isExpired()
+  }));
+};
+
+module.exports = InventoryLot;
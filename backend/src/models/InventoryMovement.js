@@ -1,5 +1,5 @@
 const { DataTypes } = require('sequelize');
-const sequelize = require('../config/database');
+const { sequelize } = require('../config/database');
 const Product = require('./Product');
 const User = require('./User');
 const Inventory = require('./Inventory');
@@ -26,6 +26,23 @@ const InventoryMovement = sequelize.define('InventoryMovement', {
             key: 'id'
         }
     },
+    variantId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+            model: 'product_variants',
+            key: 'id'
+        }
+    },
+    // Lot consumed or received (one movement per lot)
+    lotId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+            model: 'inventory_lots',
+            key: 'id'
+        }
+    },
     userId: {
         type: DataTypes.UUID,
         allowNull: false,
@@ -38,20 +55,32 @@ const InventoryMovement = sequelize.define('InventoryMovement', {
         type: DataTypes.STRING,
         allowNull: false,
         validate: {
-            isIn: [['entry', 'withdrawal', 'adjustment', 'initial', 'sale', 'return', 'transfer', 'damage', 'expired']]
+            isIn: [['entry', 'withdrawal', 'adjustment', 'initial', 'sale', 'return', 'transfer', 'damage', 'expired', 'purchase']]
         }
     },
     quantity: {
-        type: DataTypes.INTEGER,
-        allowNull: false
+        type: DataTypes.DECIMAL(12, 3),
+        allowNull: false,
+        get() {
+            const value = this.getDataValue('quantity');
+            return value === null || value === undefined ? value : parseFloat(value);
+        }
     },
     previousQuantity: {
-        type: DataTypes.INTEGER,
-        allowNull: false
+        type: DataTypes.DECIMAL(12, 3),
+        allowNull: false,
+        get() {
+            const value = this.getDataValue('previousQuantity');
+            return value === null || value === undefined ? value : parseFloat(value);
+        }
     },
     newQuantity: {
-        type: DataTypes.INTEGER,
-        allowNull: false
+        type: DataTypes.DECIMAL(12, 3),
+        allowNull: false,
+        get() {
+            const value = this.getDataValue('newQuantity');
+            return value === null || value === undefined ? value : parseFloat(value);
+        }
     },
     unitCost: {
         type: DataTypes.DECIMAL(10, 2),
@@ -103,6 +132,10 @@ const InventoryMovement = sequelize.define('InventoryMovement', {
             unique: false,
             fields: ['referenceId', 'referenceType']
         },
+        {
+            unique: false,
+            fields: ['lotId']
+        },
         {
             unique: false,
             fields: ['createdAt']
@@ -152,7 +185,8 @@ InventoryMovement.beforeCreate(async (movement) => {
             'return': 'Devolução',
             'transfer': 'Transferência',
             'damage': 'Danificado',
-            'expired': 'Vencido'
+            'expired': 'Vencido',
+            'purchase': 'Recebimento de compra'
         };
         
         movement.reason = reasonMap[movement.type] || 'Movimentação de estoque';
@@ -0,0 +1,150 @@
+const { DataTypes, Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const Customer = require('./Customer');
+
+// Extrato de pontos de fidelidade do cliente
+// Pontos ganhos (earn) e devolvidos (restore) formam lotes com saldo restante e validade próprios
+const LoyaltyMovement = sequelize.define('LoyaltyMovement', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  customerId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'customers',
+      key: 'id'
+    }
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  saleId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'sales',
+      key: 'id'
+    }
+  },
+  // earn = pontos ganhos em venda, redeem = resgate como desconto, expire = pontos vencidos,
+  // reversal = estorno de pontos ganhos (reembolso/cancelamento), restore = devolução de pontos resgatados
+  type: {
+    type: DataTypes.ENUM('earn', 'redeem', 'expire', 'reversal', 'restore'),
+    allowNull: false
+  },
+  // Positivo = crédito de pontos, negativo = débito
+  points: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  balanceAfter: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  // Pontos do lote ainda não usados (apenas earn/restore)
+  remaining: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  description: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  }
+}, {
+  tableName: 'loyalty_movements',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['customerId', 'createdAt']
+    },
+    {
+      fields: ['saleId']
+    }
+  ]
+});
+
+// Associations
+LoyaltyMovement.belongsTo(Customer, {
+  foreignKey: 'customerId',
+  as: 'customer'
+});
+
+Customer.hasMany(LoyaltyMovement, {
+  foreignKey: 'customerId',
+  as: 'loyaltyMovements'
+});
+
+// Regras do programa (pontos por unidade de moeda, valor do ponto no resgate, validade em dias e limites de resgate)
+LoyaltyMovement.SETTINGS = {
+  pointsPerUnit: parseFloat(process.env.LOYALTY_POINTS_PER_UNIT) || 1,
+  pointValue: parseFloat(process.env.LOYALTY_POINT_VALUE) || 0.05,
+  expiryDays: parseInt(process.env.LOYALTY_POINTS_EXPIRY_DAYS ?? 365),
+  minRedeemPoints: parseInt(process.env.LOYALTY_MIN_REDEEM_POINTS) || 100,
+  maxRedeemPercent: parseInt(process.env.LOYALTY_MAX_REDEEM_PERCENT) || 50
+};
+
+// Pontos ganhos por um valor pago, com o multiplicador da classificação do cliente (arredondado para baixo)
+LoyaltyMovement.calculateEarnedPoints = function(amount, multiplier = 1) {
+  const points = parseFloat(amount || 0) * LoyaltyMovement.SETTINGS.pointsPerUnit * multiplier;
+  return Math.max(0, Math.floor(Math.round(points * 100) / 100));
+};
+
+// Valor em dinheiro de uma quantidade de pontos
+LoyaltyMovement.getPointsValue = function(points) {
+  return Math.round(points * LoyaltyMovement.SETTINGS.pointValue * 100) / 100;
+};
+
+// Máximo de pontos resgatáveis em uma venda pelo limite percentual do valor
+LoyaltyMovement.getMaxRedeemablePoints = function(amount) {
+  const maxValue = parseFloat(amount || 0) * LoyaltyMovement.SETTINGS.maxRedeemPercent / 100;
+  return Math.floor(Math.round(maxValue / LoyaltyMovement.SETTINGS.pointValue * 100) / 100);
+};
+
+// Data de expiração dos pontos ganhos (0 = sem validade)
+LoyaltyMovement.getDefaultExpiry = function(now = new Date()) {
+  const days = LoyaltyMovement.SETTINGS.expiryDays;
+  if (!days) return null;
+
+  const expiresAt = new Date(now);
+  expiresAt.setDate(expiresAt.getDate() + days);
+  return expiresAt;
+};
+
+// Lotes de pontos com saldo e ainda válidos, do que vence primeiro para o último
+LoyaltyMovement.findOpenLots = function(customerId, options = {}) {
+  const { now = new Date(), transaction } = options;
+
+  return LoyaltyMovement.findAll({
+    where: {
+      customerId,
+      type: { [Op.in]: ['earn', 'restore'] },
+      remaining: { [Op.gt]: 0 },
+      [Op.or]: [
+        { expiresAt: null },
+        { expiresAt: { [Op.gt]: now } }
+      ]
+    },
+    // Lotes sem validade ficam por último (NULLS LAST no ASC)
+    order: [
+      ['expiresAt', 'ASC'],
+      ['createdAt', 'ASC']
+    ],
+    lock: transaction ? transaction.LOCK.UPDATE : undefined,
+    transaction
+  });
+};
+
+module.exports = LoyaltyMovement;
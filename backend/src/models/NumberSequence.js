@@ -0,0 +1,109 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Tokens de data que o formato precisa ter para o reinício não repetir números (um de cada grupo)
+const RESET_TOKENS = {
+  never: [],
+  yearly: [['{yyyy}', '{yy}']],
+  monthly: [['{yyyy}', '{yy}'], ['{mm}']],
+  daily: [['{yyyy}', '{yy}'], ['{mm}'], ['{dd}']]
+};
+
+const NumberSequence = sequelize.define('NumberSequence', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  // Empresa dona da numeração (companyName do usuário ou o id do usuário sem empresa)
+  tenantKey: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  type: {
+    type: DataTypes.ENUM('sale', 'invoice', 'purchase_order', 'requisition', 'contract', 'exchange', 'other'),
+    allowNull: false
+  },
+  // null = configuração padrão da empresa; preenchido = série própria do local
+  location: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  prefix: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: ''
+  },
+  // Tokens: {prefix} {location} {yyyy} {yy} {mm} {dd} {seq}
+  format: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    validate: {
+      hasSequence(value) {
+        if (!value.includes('{seq}')) {
+          throw new Error('O formato deve conter {seq}');
+        }
+      }
+    }
+  },
+  resetPeriod: {
+    type: DataTypes.ENUM('never', 'daily', 'monthly', 'yearly'),
+    allowNull: false,
+    defaultValue: 'never'
+  },
+  padding: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 4,
+    validate: {
+      min: 1,
+      max: 10
+    }
+  }
+}, {
+  tableName: 'number_sequences',
+  timestamps: true,
+  validate: {
+    formatMatchesReset() {
+      const missing = (RESET_TOKENS[this.resetPeriod] || [])
+        .filter(group => !group.some(token => this.format?.includes(token)));
+
+      if (missing.length > 0) {
+        throw new Error(`O formato deve conter ${missing.map(group => group.join(' ou ')).join(', ')} para o reinício ${this.resetPeriod}`);
+      }
+    }
+  },
+  indexes: [
+    {
+      fields: ['tenantKey', 'type', 'location'],
+      unique: true
+    }
+  ]
+});
+
+// Numeração usada quando a empresa não configurou o tipo (mantém o formato anterior)
+NumberSequence.DEFAULTS = {
+  sale: { prefix: 'V', format: '{prefix}{yyyy}{mm}{dd}-{seq}', resetPeriod: 'daily', padding: 4 },
+  invoice: { prefix: 'INV', format: '{prefix}{yyyy}{mm}{seq}', resetPeriod: 'monthly', padding: 4 },
+  purchase_order: { prefix: 'PO', format: '{prefix}{yyyy}{mm}{seq}', resetPeriod: 'monthly', padding: 4 },
+  requisition: { prefix: 'REQ', format: '{prefix}{yyyy}{mm}{seq}', resetPeriod: 'monthly', padding: 4 },
+  contract: { prefix: 'CTR', format: '{prefix}{yyyy}{mm}{seq}', resetPeriod: 'monthly', padding: 4 },
+  exchange: { prefix: 'T', format: '{prefix}{yyyy}{mm}{dd}-{seq}', resetPeriod: 'daily', padding: 4 },
+  other: { prefix: 'DOC', format: '{prefix}{yyyy}{mm}{seq}', resetPeriod: 'monthly', padding: 4 }
+};
+
+NumberSequence.TYPES = Object.keys(NumberSequence.DEFAULTS);
+
+NumberSequence.RESET_TOKENS = RESET_TOKENS;
+
+// Método para obter a configuração efetiva
+NumberSequence.prototype.getSettings = function() {
+  return {
+    prefix: this.prefix,
+    format: this.format,
+    resetPeriod: this.resetPeriod,
+    padding: this.padding
+  };
+};
+
+module.exports = NumberSequence;
@@ -0,0 +1,37 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Contador de uma série de numeração em um período (incrementado com lock da linha)
+const NumberSequenceCounter = sequelize.define('NumberSequenceCounter', {
+  tenantKey: {
+    type: DataTypes.STRING,
+    primaryKey: true
+  },
+  type: {
+    type: DataTypes.STRING(30),
+    primaryKey: true
+  },
+  // Local da série ('' = série única da empresa)
+  series: {
+    type: DataTypes.STRING(100),
+    primaryKey: true,
+    defaultValue: ''
+  },
+  // AAAAMMDD, AAAAMM, AAAA ou '' (nunca reinicia)
+  period: {
+    type: DataTypes.STRING(8),
+    primaryKey: true,
+    defaultValue: ''
+  },
+  lastValue: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  }
+}, {
+  tableName: 'number_sequence_counters',
+  timestamps: true,
+  createdAt: false
+});
+
+module.exports = NumberSequenceCounter;
@@ -1,5 +1,6 @@
 const { DataTypes } = require('sequelize');
 const { sequelize } = require('../config/database');
+const currencyService = require('../services/currencyService');
 
 const Product = sequelize.define('Product', {
   id: {
@@ -49,26 +50,38 @@ const Product = sequelize.define('Product', {
     }
   },
   stock: {
-    type: DataTypes.INTEGER,
+    type: DataTypes.DECIMAL(12, 3),
     allowNull: false,
     defaultValue: 0,
     validate: {
       min: 0
+    },
+    get() {
+      const value = this.getDataValue('stock');
+      return value === null || value === undefined ? value : parseFloat(value);
     }
   },
   minStock: {
-    type: DataTypes.INTEGER,
+    type: DataTypes.DECIMAL(12, 3),
     allowNull: false,
     defaultValue: 5,
     validate: {
       min: 0
+    },
+    get() {
+      const value = this.getDataValue('minStock');
+      return value === null || value === undefined ? value : parseFloat(value);
     }
   },
   maxStock: {
-    type: DataTypes.INTEGER,
+    type: DataTypes.DECIMAL(12, 3),
     allowNull: true,
     validate: {
       min: 0
+    },
+    get() {
+      const value = this.getDataValue('maxStock');
+      return value === null || value === undefined ? value : parseFloat(value);
     }
   },
   barcode: {
@@ -110,6 +123,20 @@ const Product = sequelize.define('Product', {
     type: DataTypes.STRING,
     allowNull: true
   },
+  // Produto com variações: o estoque é a soma do estoque das variações
+  hasVariants: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  // Moeda dos preços de venda e custo (ISO 4217; padrão = moeda base da empresa)
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false,
+    validate: {
+      is: /^[A-Z]{3}$/
+    }
+  },
   userId: {
     type: DataTypes.UUID,
     allowNull: false,
@@ -138,6 +165,15 @@ const Product = sequelize.define('Product', {
   ]
 });
 
+// Hook para assumir a moeda base da empresa quando a moeda não for informada
+Product.beforeValidate(async (product, options) => {
+  if (product.isNewRecord && !product.currency && product.userId) {
+    product.currency = await currencyService.getBaseCurrency(product.userId, {
+      transaction: options.transaction
+    });
+  }
+});
+
 // Método para verificar se o estoque está baixo
 Product.prototype.isLowStock = function() {
   return this.stock <= this.minStock;
@@ -154,4 +190,18 @@ Product.prototype.getProfitMargin = function() {
   return (((this.price - this.cost) / this.cost) * 100).toFixed(2);
 };
 
+// Unidades vendidas por peso ou medida (aceitam quantidade fracionada)
+Product.FRACTIONAL_UNITS = ['kg', 'g', 'l', 'ml', 'm', 'cm', 'm2', 'm3'];
+
+// Etiquetas de balança (EAN-13 iniciado em 2): tamanho do código do produto e valor codificado (price ou weight)
+Product.SCALE_BARCODE = {
+  pluLength: parseInt(process.env.SCALE_BARCODE_PLU_LENGTH) || 5,
+  mode: process.env.SCALE_BARCODE_MODE === 'weight' ? 'weight' : 'price'
+};
+
+// Método para verificar se o produto aceita quantidade fracionada
+Product.prototype.allowsFractionalQuantity = function() {
+  return Product.FRACTIONAL_UNITS.includes(String(this.unit || '').toLowerCase());
+};
+
 module.exports = Product;
@@ -0,0 +1,80 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const Product = require('./Product');
+
+const ProductModifier = sequelize.define('ProductModifier', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  productId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'products',
+      key: 'id'
+    }
+  },
+  // Grupo exibido no PDV, ex.: 'Adicionais', 'Ponto da carne'
+  groupName: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    defaultValue: 'Adicionais'
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    validate: {
+      notEmpty: true
+    }
+  },
+  // Acréscimo no preço unitário do item (0 = opção sem custo)
+  price: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: 0
+    }
+  },
+  maxQuantity: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1,
+    validate: {
+      min: 1
+    }
+  },
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  },
+  sortOrder: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  }
+}, {
+  tableName: 'product_modifiers',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['productId']
+    }
+  ]
+});
+
+// Associations
+ProductModifier.belongsTo(Product, {
+  foreignKey: 'productId',
+  as: 'product'
+});
+
+Product.hasMany(ProductModifier, {
+  foreignKey: 'productId',
+  as: 'modifiers'
+});
+
+module.exports = ProductModifier;
@@ -0,0 +1,139 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const Product = require('./Product');
+
+const ProductVariant = sequelize.define('ProductVariant', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  productId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'products',
+      key: 'id'
+    }
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    validate: {
+      notEmpty: true
+    }
+  },
+  // Atributos da variação, ex.: { tamanho: 'M', cor: 'Azul' }
+  attributes: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: {}
+  },
+  sku: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    unique: true,
+    validate: {
+      notEmpty: true
+    }
+  },
+  barcode: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    unique: true
+  },
+  // Preço e custo próprios (null = usa os do produto)
+  price: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true,
+    validate: {
+      min: 0.01
+    }
+  },
+  cost: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true,
+    validate: {
+      min: 0
+    }
+  },
+  stock: {
+    type: DataTypes.DECIMAL(12, 3),
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: 0
+    },
+    get() {
+      const value = this.getDataValue('stock');
+      return value === null || value === undefined ? value : parseFloat(value);
+    }
+  },
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  },
+  sortOrder: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  }
+}, {
+  tableName: 'product_variants',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['productId']
+    },
+    {
+      fields: ['sku'],
+      unique: true
+    },
+    {
+      fields: ['barcode'],
+      unique: true
+    }
+  ]
+});
+
+// Associations
+ProductVariant.belongsTo(Product, {
+  foreignKey: 'productId',
+  as: 'product'
+});
+
+Product.hasMany(ProductVariant, {
+  foreignKey: 'productId',
+  as: 'variants'
+});
+
+// Método para obter o preço efetivo da variação
+ProductVariant.prototype.getPrice = function(product) {
+  return parseFloat(this.price ?? product.price);
+};
+
+// Método para obter o custo efetivo da variação
+ProductVariant.prototype.getCost = function(product) {
+  return parseFloat(this.cost ?? product.cost);
+};
+
+// Método para recalcular o estoque total do produto a partir das variações
+ProductVariant.syncProductStock = async function(productId, options = {}) {
+  const { transaction } = options;
+
+  // SUM de NUMERIC pode vir como texto
+  const total = parseFloat(await ProductVariant.sum('stock', {
+    where: { productId },
+    transaction
+  })) || 0;
+
+  await Product.update({ stock: total }, {
+    where: { id: productId },
+    transaction
+  });
+
+  return total;
+};
+
+module.exports = ProductVariant;
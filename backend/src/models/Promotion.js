@@ -0,0 +1,188 @@
+const { DataTypes, Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const Promotion = sequelize.define('Promotion', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    validate: {
+      notEmpty: true,
+      len: [2, 255]
+    }
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  // percentage = % de desconto, fixed = valor fixo, buy_x_get_y = leve X pague Y
+  type: {
+    type: DataTypes.ENUM('percentage', 'fixed', 'buy_x_get_y'),
+    allowNull: false
+  },
+  // order = venda inteira, products = produtos selecionados, category = categoria inteira
+  scope: {
+    type: DataTypes.ENUM('order', 'products', 'category'),
+    defaultValue: 'order'
+  },
+  value: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: 0
+    }
+  },
+  productIds: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: []
+  },
+  category: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  buyQuantity: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: 1
+    }
+  },
+  getQuantity: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: 1
+    }
+  },
+  minPurchase: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+  couponCode: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    set(value) {
+      this.setDataValue('couponCode', value ? value.trim().toUpperCase() : null);
+    }
+  },
+  usageLimit: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: 1
+    }
+  },
+  usageCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  startsAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  endsAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  priority: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  stackable: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  },
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  }
+}, {
+  tableName: 'promotions',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['userId', 'isActive']
+    },
+    {
+      fields: ['userId', 'couponCode']
+    }
+  ],
+  validate: {
+    buyXGetYQuantities() {
+      if (this.type === 'buy_x_get_y' && (!this.buyQuantity || !this.getQuantity)) {
+        throw new Error('Promoções leve X pague Y exigem as quantidades de compra e de brinde');
+      }
+    },
+    scopeTarget() {
+      if (this.scope === 'category' && !this.category) {
+        throw new Error('Promoções por categoria exigem a categoria');
+      }
+      if (this.scope === 'products' && (!this.productIds || this.productIds.length === 0)) {
+        throw new Error('Promoções por produto exigem pelo menos um produto');
+      }
+    },
+    period() {
+      if (this.startsAt && this.endsAt && new Date(this.endsAt) <= new Date(this.startsAt)) {
+        throw new Error('A data final deve ser posterior à data inicial');
+      }
+    }
+  }
+});
+
+// Método para buscar promoções automáticas vigentes (sem cupom)
+Promotion.findActive = async function(userId, options = {}) {
+  const now = options.now || new Date();
+
+  return this.findAll({
+    where: {
+      userId,
+      isActive: true,
+      couponCode: null,
+      [Op.and]: [
+        { [Op.or]: [{ startsAt: null }, { startsAt: { [Op.lte]: now } }] },
+        { [Op.or]: [{ endsAt: null }, { endsAt: { [Op.gte]: now } }] }
+      ]
+    },
+    order: [['priority', 'DESC'], ['createdAt', 'ASC']],
+    transaction: options.transaction
+  });
+};
+
+// Método para verificar se a promoção pode ser aplicada agora
+Promotion.prototype.isAvailable = function(now = new Date()) {
+  if (!this.isActive) return false;
+  if (this.startsAt && now < new Date(this.startsAt)) return false;
+  if (this.endsAt && now > new Date(this.endsAt)) return false;
+  if (this.usageLimit && this.usageCount >= this.usageLimit) return false;
+  return true;
+};
+
+// Método para verificar se a promoção se aplica a um item
+Promotion.prototype.appliesTo = function(line) {
+  if (this.scope === 'products') {
+    return (this.productIds || []).includes(line.productId);
+  }
+  if (this.scope === 'category') {
+    return line.category === this.category;
+  }
+  return true;
+};
+
+module.exports = Promotion;
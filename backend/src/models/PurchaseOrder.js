@@ -0,0 +1,145 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const sequenceService = require('../services/sequenceService');
+
+// Pedido de compra ao fornecedor, com linhas de produto e custo previsto
+const PurchaseOrder = sequelize.define('PurchaseOrder', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  orderNumber: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  supplierId: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  supplierName: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    validate: {
+      notEmpty: true
+    }
+  },
+  // draft = em edição, ordered = enviado ao fornecedor, partially_received = recebido em parte
+  status: {
+    type: DataTypes.ENUM('draft', 'ordered', 'partially_received', 'received', 'cancelled'),
+    allowNull: false,
+    defaultValue: 'draft'
+  },
+  // Local que recebe a mercadoria (pode ser trocado em cada recebimento)
+  location: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  expectedDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: true
+  },
+  // Valor previsto (quantidade x custo previsto das linhas)
+  total: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+  // Valor recebido (quantidade recebida x custo do recebimento)
+  receivedTotal: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+  // Valor das notas do fornecedor já conferidas
+  invoicedTotal: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+  orderedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  receivedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  cancelledAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  cancelReason: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  tableName: 'purchase_orders',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['userId', 'orderNumber'],
+      unique: true
+    },
+    {
+      fields: ['userId', 'status']
+    },
+    {
+      fields: ['supplierId']
+    }
+  ]
+});
+
+// Hook para gerar o número do pedido pela sequência da empresa/local
+PurchaseOrder.beforeValidate(async (order, options) => {
+  if (order.isNewRecord && !order.orderNumber) {
+    order.orderNumber = await sequenceService.next('purchase_order', {
+      userId: order.userId,
+      location: order.location,
+      transaction: options.transaction
+    });
+  }
+});
+
+// Tolerância na conferência da nota (% sobre o valor recebido) e prazo padrão de pagamento (dias)
+PurchaseOrder.SETTINGS = {
+  invoiceTolerancePercent: parseFloat(process.env.PURCHASE_INVOICE_TOLERANCE_PERCENT ?? 1),
+  paymentTermDays: parseInt(process.env.PURCHASE_PAYMENT_TERM_DAYS ?? 30)
+};
+
+// Pedidos que ainda aceitam recebimento
+PurchaseOrder.RECEIVABLE_STATUSES = ['ordered', 'partially_received'];
+
+// Situação do pedido pelas quantidades recebidas das linhas
+PurchaseOrder.getReceiptStatus = function(items) {
+  const pending = items.some(item => item.receivedQuantity < item.quantity);
+  return pending ? 'partially_received' : 'received';
+};
+
+// Conferência da nota do fornecedor com o valor recebido
+PurchaseOrder.matchInvoice = function(expected, invoiced) {
+  const difference = Math.round((invoiced - expected) * 100) / 100;
+  const tolerance = Math.round(expected * PurchaseOrder.SETTINGS.invoiceTolerancePercent) / 100;
+
+  return {
+    expected,
+    invoiced,
+    difference,
+    tolerance,
+    matched: Math.abs(difference) <= tolerance
+  };
+};
+
+module.exports = PurchaseOrder;
@@ -0,0 +1,115 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const PurchaseOrder = require('./PurchaseOrder');
+const Product = require('./Product');
+const ProductVariant = require('./ProductVariant');
+const Helpers = require('../utils/helpers');
+
+// Linha do pedido de compra: quantidade pedida, recebida e custo previsto
+const PurchaseOrderItem = sequelize.define('PurchaseOrderItem', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  purchaseOrderId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'purchase_orders',
+      key: 'id'
+    }
+  },
+  productId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'products',
+      key: 'id'
+    }
+  },
+  variantId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'product_variants',
+      key: 'id'
+    }
+  },
+  // Nome e SKU no momento do pedido
+  productName: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  sku: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  quantity: {
+    type: DataTypes.DECIMAL(12, 3),
+    allowNull: false,
+    get() {
+      const value = this.getDataValue('quantity');
+      return value === null || value === undefined ? value : parseFloat(value);
+    }
+  },
+  receivedQuantity: {
+    type: DataTypes.DECIMAL(12, 3),
+    allowNull: false,
+    defaultValue: 0,
+    get() {
+      const value = this.getDataValue('receivedQuantity');
+      return value === null || value === undefined ? value : parseFloat(value);
+    }
+  },
+  // Custo unitário previsto
+  unitCost: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+  total: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0
+  }
+}, {
+  tableName: 'purchase_order_items',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['purchaseOrderId']
+    },
+    {
+      fields: ['productId']
+    }
+  ]
+});
+
+// Associations
+PurchaseOrderItem.belongsTo(PurchaseOrder, {
+  foreignKey: 'purchaseOrderId',
+  as: 'purchaseOrder'
+});
+
+PurchaseOrder.hasMany(PurchaseOrderItem, {
+  foreignKey: 'purchaseOrderId',
+  as: 'items'
+});
+
+PurchaseOrderItem.belongsTo(Product, {
+  foreignKey: 'productId',
+  as: 'product'
+});
+
+PurchaseOrderItem.belongsTo(ProductVariant, {
+  foreignKey: 'variantId',
+  as: 'variant'
+});
+
+// Quantidade ainda não recebida
+PurchaseOrderItem.prototype.getPendingQuantity = function() {
+  return Math.max(0, Helpers.roundQuantity(this.quantity - this.receivedQuantity));
+};
+
+module.exports = PurchaseOrderItem;
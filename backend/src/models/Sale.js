@@ -1,5 +1,9 @@
 const { DataTypes } = require('sequelize');
 const { sequelize } = require('../config/database');
+const Customer = require('./Customer');
+const Helpers = require('../utils/helpers');
+const sequenceService = require('../services/sequenceService');
+const currencyService = require('../services/currencyService');
 
 const Sale = sequelize.define('Sale', {
   id: {
@@ -7,10 +11,10 @@ const Sale = sequelize.define('Sale', {
     defaultValue: DataTypes.UUIDV4,
     primaryKey: true
   },
+  // Único por usuário: cada empresa tem a sua numeração
   saleNumber: {
     type: DataTypes.STRING,
-    allowNull: false,
-    unique: true
+    allowNull: false
   },
   customerId: {
     type: DataTypes.UUID,
@@ -57,18 +61,76 @@ const Sale = sequelize.define('Sale', {
       min: 0.01
     }
   },
+  // Moeda da venda (ISO 4217; padrão = moeda base da empresa)
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false,
+    validate: {
+      is: /^[A-Z]{3}$/
+    }
+  },
+  // Cotação para a moeda base no momento do lançamento
+  exchangeRate: {
+    type: DataTypes.DECIMAL(18, 8),
+    allowNull: false
+  },
+  // Total convertido para a moeda base (relatórios)
+  baseTotal: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true
+  },
   paymentMethod: {
-    type: DataTypes.ENUM('cash', 'card', 'transfer', 'pix', 'multiple'),
+    type: DataTypes.ENUM('cash', 'card', 'transfer', 'pix', 'store_credit', 'multiple'),
     allowNull: false
   },
   paymentDetails: {
     type: DataTypes.JSONB,
     allowNull: true
   },
+  tenders: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: []
+  },
+  changeAmount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+  couponCode: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  },
   status: {
-    type: DataTypes.ENUM('pending', 'completed', 'cancelled', 'refunded'),
+    type: DataTypes.ENUM('pending', 'completed', 'cancelled', 'partially_refunded', 'refunded', 'layaway'),
     defaultValue: 'completed'
   },
+  refundedAmount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+  // Pontos de fidelidade ganhos e resgatados (e o desconto concedido pelo resgate)
+  loyaltyPointsEarned: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  loyaltyPointsRedeemed: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  loyaltyDiscount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+  refunds: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: []
+  },
   notes: {
     type: DataTypes.TEXT,
     allowNull: true
@@ -81,16 +143,43 @@ const Sale = sequelize.define('Sale', {
     type: DataTypes.STRING,
     allowNull: true
   },
+  idempotencyKey: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  offlineCreatedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
   deviceInfo: {
     type: DataTypes.JSONB,
     allowNull: true
+  },
+  // Venda suspensa (status pending): reserva o estoque até expirar
+  parkedUntil: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  parkedLabel: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  // Venda parcelada (status layaway): entrada, parcelas e juros; reserva o estoque até a quitação
+  installmentPlan: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  },
+  balanceDue: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0
   }
 }, {
   tableName: 'sales',
   timestamps: true,
   indexes: [
     {
-      fields: ['saleNumber'],
+      fields: ['userId', 'saleNumber'],
       unique: true
     },
     {
@@ -104,37 +193,48 @@ const Sale = sequelize.define('Sale', {
     },
     {
       fields: ['status']
+    },
+    {
+      fields: ['userId', 'idempotencyKey'],
+      unique: true
+    },
+    {
+      fields: ['location', 'parkedUntil']
+    },
+    {
+      fields: ['customerId', 'status']
     }
   ]
 });
 
-// Método para gerar número de venda
-Sale.beforeCreate(async (sale) => {
-  if (!sale.saleNumber) {
-    const date = new Date();
-    const year = date.getFullYear();
-    const month = (date.getMonth() + 1).toString().padStart(2, '0');
-    const day = date.getDate().toString().padStart(2, '0');
-    
-    // Buscar última venda do dia
-    const lastSale = await Sale.findOne({
-      where: {
-        createdAt: {
-          [sequelize.Sequelize.Op.gte]: new Date(date.setHours(0, 0, 0, 0)),
-          [sequelize.Sequelize.Op.lt]: new Date(date.setHours(23, 59, 59, 999))
-        }
-      },
-      order: [['saleNumber', 'DESC']]
+// Associations
+Sale.belongsTo(Customer, {
+  foreignKey: 'customerId',
+  as: 'customer'
+});
+
+Customer.hasMany(Sale, {
+  foreignKey: 'customerId',
+  as: 'sales'
+});
+
+// Hook para gerar número de venda pela sequência da empresa/local
+// Gerado antes da validação porque saleNumber é obrigatório (vendas suspensas já chegam com número próprio)
+Sale.beforeValidate(async (sale, options) => {
+  if (sale.isNewRecord && !sale.saleNumber) {
+    sale.saleNumber = await sequenceService.next('sale', {
+      userId: sale.userId,
+      location: sale.location,
+      transaction: options.transaction
     });
-    
-    let sequence = 1;
-    if (lastSale && lastSale.saleNumber) {
-      const lastSequence = parseInt(lastSale.saleNumber.split('-').pop());
-      sequence = lastSequence + 1;
-    }
-    
-    sale.saleNumber = `V${year}${month}${day}-${sequence.toString().padStart(4, '0')}`;
   }
+
+  // Moeda e cotação (moeda base quando não informadas) e total convertido
+  await currencyService.applyToRecord(sale, {
+    amountField: 'total',
+    baseField: 'baseTotal',
+    transaction: options.transaction
+  });
 });
 
 // Método para calcular totais
@@ -159,9 +259,362 @@ Sale.prototype.getSummary = function() {
     discount: this.discount,
     total: this.total,
     paymentMethod: this.paymentMethod,
+    tenders: this.tenders,
+    changeAmount: this.changeAmount,
     status: this.status,
+    refundedAmount: this.refundedAmount,
     createdAt: this.createdAt
   };
 };
 
+// Quantidade do item que já voltou para a loja (reembolsos e trocas)
+Sale.getReturnedQuantity = function(item) {
+  return Helpers.roundQuantity((item.refundedQuantity || 0) + (item.exchangedQuantity || 0));
+};
+
+// Método para obter os itens que ainda podem ser reembolsados ou trocados
+Sale.prototype.getRefundableItems = function() {
+  return (this.items || [])
+    .map(item => ({
+      ...item,
+      refundableQuantity: Helpers.roundQuantity(item.quantity - Sale.getReturnedQuantity(item))
+    }))
+    .filter(item => item.refundableQuantity > 0);
+};
+
+// Método para obter o valor unitário pago por um item (base do reembolso e do crédito da troca)
+// Itens precificados com promoções já trazem o total líquido da linha; nas vendas antigas
+// o desconto da venda é rateado proporcionalmente entre os itens
+Sale.prototype.getItemUnitAmount = function(item) {
+  if (item.total !== undefined) {
+    return parseFloat(item.total) / item.quantity;
+  }
+
+  const grossTotal = parseFloat(this.subtotal) + parseFloat(this.tax);
+  const discountRatio = grossTotal > 0 ? parseFloat(this.discount) / grossTotal : 0;
+
+  return (parseFloat(item.subtotal) + parseFloat(item.tax || 0)) / item.quantity * (1 - discountRatio);
+};
+
+// Formas de pagamento aceitas em uma venda dividida (store_credit = vale-crédito ou vale-presente)
+Sale.TENDER_METHODS = ['cash', 'card', 'transfer', 'pix', 'store_credit'];
+
+// Rótulos das formas de pagamento em recibos e relatórios impressos
+Sale.PAYMENT_METHOD_LABELS = {
+  cash: 'Dinheiro',
+  card: 'Cartão',
+  pix: 'PIX',
+  transfer: 'Transferência',
+  store_credit: 'Vale',
+  multiple: 'Múltiplas'
+};
+
+// Método para montar as formas de pagamento de uma venda e calcular o troco
+// O valor excedente só pode ser devolvido como troco da parte em dinheiro
+Sale.buildTenders = function(payments = [], total) {
+  if (!Array.isArray(payments) || payments.length === 0) {
+    throw new Error('Informe pelo menos uma forma de pagamento.');
+  }
+
+  const toCents = value => Math.round(parseFloat(value) * 100);
+  const totalCents = toCents(total);
+
+  const tenders = payments.map(payment => {
+    if (!Sale.TENDER_METHODS.includes(payment.method)) {
+      throw new Error(`Forma de pagamento inválida: ${payment.method}`);
+    }
+
+    const amountCents = toCents(payment.amount);
+    if (!(amountCents > 0)) {
+      throw new Error('O valor de cada pagamento deve ser maior que 0.');
+    }
+
+    // O código do vale identifica o saldo a resgatar
+    if (payment.method === 'store_credit' && !payment.reference) {
+      throw new Error('Informe o código do vale no pagamento.');
+    }
+
+    return {
+      method: payment.method,
+      amountCents,
+      reference: payment.reference || null
+    };
+  });
+
+  const tenderedCents = tenders.reduce((sum, tender) => sum + tender.amountCents, 0);
+  const nonCashCents = tenders
+    .filter(tender => tender.method !== 'cash')
+    .reduce((sum, tender) => sum + tender.amountCents, 0);
+
+  if (tenderedCents < totalCents) {
+    throw new Error(`Pagamento insuficiente. Total: ${(totalCents / 100).toFixed(2)}, Pago: ${(tenderedCents / 100).toFixed(2)}`);
+  }
+
+  if (nonCashCents > totalCents) {
+    throw new Error('Pagamentos que não são em dinheiro não podem exceder o total da venda.');
+  }
+
+  // Troco abatido das parcelas em dinheiro, da última para a primeira
+  let remainingChange = tenderedCents - totalCents;
+  for (let i = tenders.length - 1; i >= 0 && remainingChange > 0; i--) {
+    const tender = tenders[i];
+    if (tender.method !== 'cash') continue;
+
+    tender.changeCents = Math.min(tender.amountCents, remainingChange);
+    remainingChange -= tender.changeCents;
+  }
+
+  const result = tenders.map(tender => ({
+    method: tender.method,
+    tendered: tender.amountCents / 100,
+    change: (tender.changeCents || 0) / 100,
+    amount: (tender.amountCents - (tender.changeCents || 0)) / 100,
+    reference: tender.reference
+  }));
+
+  const methods = [...new Set(result.map(tender => tender.method))];
+
+  return {
+    tenders: result,
+    paymentMethod: methods.length > 1 ? 'multiple' : methods[0],
+    changeAmount: (tenderedCents - totalCents) / 100,
+    cashAmount: result
+      .filter(tender => tender.method === 'cash')
+      .reduce((sum, tender) => sum + Math.round(tender.amount * 100), 0) / 100
+  };
+};
+
+// Método para obter o valor recebido por forma de pagamento
+Sale.prototype.getTenderTotals = function() {
+  const tenders = this.tenders && this.tenders.length > 0
+    ? this.tenders
+    : [{ method: this.paymentMethod, amount: parseFloat(this.total) }];
+
+  return tenders.reduce((totals, tender) => {
+    totals[tender.method] = Math.round(((totals[tender.method] || 0) + parseFloat(tender.amount)) * 100) / 100;
+    return totals;
+  }, {});
+};
+
+// Tempo máximo que uma venda suspensa reserva o estoque
+Sale.PARKED_SALE_TTL_MINUTES = parseInt(process.env.PARKED_SALE_TTL_MINUTES) || 120;
+
+// Condição das vendas suspensas ainda válidas
+Sale.activeParkedWhere = function(now = new Date()) {
+  return {
+    status: 'pending',
+    parkedUntil: { [sequelize.Sequelize.Op.gt]: now }
+  };
+};
+
+// Método para somar as quantidades reservadas por vendas suspensas válidas e vendas parceladas em aberto
+// Chave: variantId para itens com variação, productId para os demais
+Sale.getReservedQuantities = async function(productIds, options = {}) {
+  const { transaction, now = new Date() } = options;
+  const { Op } = sequelize.Sequelize;
+  const ids = new Set(productIds);
+  if (ids.size === 0) return {};
+
+  const parked = await Sale.findAll({
+    where: {
+      [Op.and]: [
+        { [Op.or]: [Sale.activeParkedWhere(now), { status: 'layaway' }] },
+        {
+          [Op.or]: [...ids].map(productId => ({
+            items: { [Op.contains]: [{ productId }] }
+          }))
+        }
+      ]
+    },
+    attributes: ['id', 'items'],
+    transaction
+  });
+
+  return parked.reduce((reserved, sale) => {
+    sale.items
+      .filter(item => ids.has(item.productId))
+      .forEach(item => {
+        const key = item.variantId || item.productId;
+        reserved[key] = Helpers.roundQuantity((reserved[key] || 0) + item.quantity);
+      });
+    return reserved;
+  }, {});
+};
+
+// Método para remover vendas suspensas expiradas (libera a reserva de estoque)
+Sale.expireParkedSales = async function(now = new Date()) {
+  return Sale.destroy({
+    where: {
+      status: 'pending',
+      parkedUntil: { [sequelize.Sequelize.Op.lte]: now }
+    }
+  });
+};
+
+// Cancelamentos que exigem aprovação (PIN) de um gerente: acima do valor ou após N horas da venda
+Sale.CANCELLATION_APPROVAL = {
+  amount: parseFloat(process.env.SALE_CANCEL_APPROVAL_AMOUNT) || 500,
+  hours: parseInt(process.env.SALE_CANCEL_APPROVAL_HOURS) || 24
+};
+
+// Método para listar os motivos que exigem aprovação do cancelamento (vazio = operador pode cancelar)
+Sale.prototype.getCancellationApprovalReasons = function(now = new Date()) {
+  const { amount, hours } = Sale.CANCELLATION_APPROVAL;
+  const reasons = [];
+  const hoursSinceSale = (now - new Date(this.createdAt)) / (1000 * 60 * 60);
+
+  if (parseFloat(this.total) > amount) {
+    reasons.push(`Valor acima de R$ ${amount.toFixed(2)}`);
+  }
+
+  if (hoursSinceSale > hours) {
+    reasons.push(`Venda com mais de ${hours} horas`);
+  }
+
+  return reasons;
+};
+
+// Número máximo de parcelas de uma venda parcelada
+Sale.MAX_INSTALLMENTS = parseInt(process.env.MAX_SALE_INSTALLMENTS) || 12;
+
+// Datas de vencimento gravadas como DATEONLY (AAAA-MM-DD no fuso local)
+const toDateOnly = date => [
+  date.getFullYear(),
+  String(date.getMonth() + 1).padStart(2, '0'),
+  String(date.getDate()).padStart(2, '0')
+].join('-');
+
+// Mesmo dia nos meses seguintes, limitado ao último dia do mês (31/01 -> 28/02)
+const addMonths = (date, months) => {
+  const result = new Date(date.getFullYear(), date.getMonth() + months, 1);
+  const lastDay = new Date(result.getFullYear(), result.getMonth() + 1, 0).getDate();
+  result.setDate(Math.min(date.getDate(), lastDay));
+  return result;
+};
+
+// Método para montar as parcelas mensais do saldo de uma venda parcelada
+// interestRate = juros ao ano (%), como em Helpers.calculateInstallment; sem juros a última parcela absorve o arredondamento
+Sale.buildInstallmentSchedule = function(balance, options = {}) {
+  const { installments, interestRate = 0, firstDueDate, now = new Date() } = options;
+  const count = parseInt(installments);
+  const rate = parseFloat(interestRate) || 0;
+  const balanceCents = Math.round(parseFloat(balance) * 100);
+
+  if (!(count >= 1 && count <= Sale.MAX_INSTALLMENTS)) {
+    throw new Error(`O número de parcelas deve estar entre 1 e ${Sale.MAX_INSTALLMENTS}.`);
+  }
+
+  if (!(balanceCents > 0)) {
+    throw new Error('O saldo a parcelar deve ser maior que 0.');
+  }
+
+  if (rate < 0) {
+    throw new Error('A taxa de juros não pode ser negativa.');
+  }
+
+  const installmentCents = Math.round(Helpers.calculateInstallment(balanceCents / 100, count, rate) * 100);
+  const totalCents = rate > 0 ? installmentCents * count : balanceCents;
+
+  // Sem data informada, a primeira parcela vence um mês após a venda
+  const anchor = firstDueDate ? new Date(`${String(firstDueDate).slice(0, 10)}T00:00:00`) : now;
+  const offset = firstDueDate ? 0 : 1;
+
+  if (isNaN(anchor.getTime())) {
+    throw new Error('Data do primeiro vencimento inválida.');
+  }
+
+  if (toDateOnly(addMonths(anchor, offset)) <= toDateOnly(now)) {
+    throw new Error('O primeiro vencimento deve ser posterior à data da venda.');
+  }
+
+  const schedule = Array.from({ length: count }, (_, index) => ({
+    number: index + 1,
+    amount: (index === count - 1 ? totalCents - installmentCents * (count - 1) : installmentCents) / 100,
+    dueDate: toDateOnly(addMonths(anchor, index + offset))
+  }));
+
+  return {
+    installments: schedule,
+    installmentAmount: installmentCents / 100,
+    totalPayable: totalCents / 100,
+    interestAmount: (totalCents - balanceCents) / 100
+  };
+};
+
+// Método para resumir as parcelas em aberto de um cliente (saldo devedor e parcelas vencidas)
+Sale.getInstallmentSummary = async function(customerId, options = {}) {
+  const Transaction = require('./Transaction');
+  const { now = new Date() } = options;
+
+  const sales = await Sale.findAll({
+    where: { customerId, status: 'layaway' },
+    attributes: ['id', 'saleNumber', 'total', 'balanceDue', 'createdAt'],
+    order: [['createdAt', 'ASC']]
+  });
+
+  const installments = sales.length > 0
+    ? await Transaction.findAll({
+      where: {
+        referenceId: sales.map(sale => sale.id),
+        referenceType: 'sale_installment',
+        status: 'pending'
+      },
+      attributes: ['id', 'referenceId', 'description', 'amount', 'dueDate'],
+      order: [['dueDate', 'ASC']]
+    })
+    : [];
+
+  const today = toDateOnly(now);
+  const saleNumbers = sales.reduce((acc, sale) => {
+    acc[sale.id] = sale.saleNumber;
+    return acc;
+  }, {});
+  const toInstallment = installment => ({
+    id: installment.id,
+    saleId: installment.referenceId,
+    saleNumber: saleNumbers[installment.referenceId],
+    description: installment.description,
+    amount: parseFloat(installment.amount),
+    dueDate: installment.dueDate,
+    daysOverdue: Math.max(0, Math.floor((new Date(`${today}T00:00:00`) - new Date(`${installment.dueDate}T00:00:00`)) / 86400000))
+  });
+
+  const overdue = installments.filter(installment => installment.dueDate < today).map(toInstallment);
+  const upcoming = installments.find(installment => installment.dueDate >= today);
+  const sumCents = list => list.reduce((sum, item) => sum + Math.round(parseFloat(item.amount) * 100), 0) / 100;
+
+  return {
+    openSales: sales.map(sale => ({
+      id: sale.id,
+      saleNumber: sale.saleNumber,
+      total: sale.total,
+      balanceDue: sale.balanceDue,
+      createdAt: sale.createdAt
+    })),
+    balanceDue: sumCents(installments),
+    overdueInstallments: overdue,
+    overdueAmount: sumCents(overdue),
+    nextInstallment: upcoming ? toInstallment(upcoming) : null
+  };
+};
+
+// Método para devolver o carrinho de uma venda suspensa ao PDV
+Sale.prototype.toCart = function() {
+  return {
+    items: this.items.map(item => ({
+      productId: item.productId,
+      variantId: item.variantId,
+      modifiers: item.modifiers,
+      name: item.name,
+      price: item.price,
+      quantity: item.quantity
+    })),
+    customerId: this.customerId,
+    couponCode: this.couponCode,
+    notes: this.notes,
+    label: this.parkedLabel,
+    location: this.location
+  };
+};
+
 module.exports = Sale;
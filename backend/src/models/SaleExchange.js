@@ -0,0 +1,167 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const Sale = require('./Sale');
+const sequenceService = require('../services/sequenceService');
+
+// Documento de troca: devolução de itens de uma venda e nova venda na mesma operação
+const SaleExchange = sequelize.define('SaleExchange', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  exchangeNumber: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  saleId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'sales',
+      key: 'id'
+    }
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  customerId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'customers',
+      key: 'id'
+    }
+  },
+  cashDrawerId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'cash_drawers',
+      key: 'id'
+    }
+  },
+  // Linhas devolvidas com o valor líquido pago na venda original
+  returnedItems: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: []
+  },
+  // Novas linhas precificadas no momento da troca
+  newItems: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: []
+  },
+  returnedTotal: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+  newTotal: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+  // Positivo = cobrado do cliente, negativo = devolvido ao cliente
+  difference: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+  paymentMethod: {
+    type: DataTypes.STRING(20),
+    allowNull: true
+  },
+  tenders: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: []
+  },
+  changeAmount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+  reason: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  location: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  }
+}, {
+  tableName: 'sale_exchanges',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['userId', 'exchangeNumber'],
+      unique: true
+    },
+    {
+      fields: ['saleId']
+    },
+    {
+      fields: ['cashDrawerId']
+    }
+  ]
+});
+
+// Associations
+SaleExchange.belongsTo(Sale, {
+  foreignKey: 'saleId',
+  as: 'sale'
+});
+
+Sale.hasMany(SaleExchange, {
+  foreignKey: 'saleId',
+  as: 'exchanges'
+});
+
+// Hook para gerar o número da troca pela sequência da empresa/local
+SaleExchange.beforeValidate(async (exchange, options) => {
+  if (exchange.isNewRecord && !exchange.exchangeNumber) {
+    exchange.exchangeNumber = await sequenceService.next('exchange', {
+      userId: exchange.userId,
+      location: exchange.location,
+      transaction: options.transaction
+    });
+  }
+});
+
+// Resumo da diferença: cobrança, crédito ou troca sem diferença
+SaleExchange.getSettlement = function(returnedTotal, newTotal) {
+  const difference = Math.round((newTotal - returnedTotal) * 100) / 100;
+
+  return {
+    difference,
+    type: difference > 0 ? 'charge' : difference < 0 ? 'credit' : 'even',
+    amount: Math.abs(difference)
+  };
+};
+
+// Filtros dos movimentos de estoque de uma venda para devoluções: a saída da venda e o que já voltou
+// (reembolsos, cancelamento e itens devolvidos nas trocas); exchangeId inclui a troca em andamento
+SaleExchange.getStockReferences = async function(saleId, options = {}) {
+  const { exchangeId, transaction } = options;
+
+  const exchanges = await SaleExchange.findAll({
+    where: { saleId },
+    attributes: ['id'],
+    transaction
+  });
+  const exchangeIds = [...exchanges.map(exchange => exchange.id), ...(exchangeId ? [exchangeId] : [])];
+
+  return [
+    { referenceType: ['sale', 'sale_refund', 'sale_cancellation'], referenceId: saleId },
+    ...(exchangeIds.length > 0 ? [{ type: 'return', referenceType: 'sale_exchange', referenceId: exchangeIds }] : [])
+  ];
+};
+
+module.exports = SaleExchange;
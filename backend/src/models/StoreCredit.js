@@ -0,0 +1,183 @@
+const { DataTypes, Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const crypto = require('crypto');
+const Customer = require('./Customer');
+
+// Saldo de vale-crédito (emitido em devoluções) ou vale-presente (vendido), identificado pelo código
+const StoreCredit = sequelize.define('StoreCredit', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  // Empresa dona do saldo (companyName do usuário ou o id do usuário sem empresa)
+  tenantKey: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  code: {
+    type: DataTypes.STRING(30),
+    allowNull: false,
+    unique: true
+  },
+  type: {
+    type: DataTypes.ENUM('credit_note', 'gift_card'),
+    allowNull: false
+  },
+  customerId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'customers',
+      key: 'id'
+    }
+  },
+  // Usuário que emitiu o vale
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  initialAmount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    validate: {
+      min: 0.01
+    }
+  },
+  balance: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    validate: {
+      min: 0
+    }
+  },
+  status: {
+    type: DataTypes.ENUM('active', 'redeemed', 'expired', 'void'),
+    allowNull: false,
+    defaultValue: 'active'
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // Venda que originou o vale-crédito (devolução)
+  sourceSaleId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'sales',
+      key: 'id'
+    }
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  tableName: 'store_credits',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['code'],
+      unique: true
+    },
+    {
+      fields: ['tenantKey', 'customerId']
+    },
+    {
+      fields: ['status', 'expiresAt']
+    }
+  ]
+});
+
+// Associations
+StoreCredit.belongsTo(Customer, {
+  foreignKey: 'customerId',
+  as: 'customer'
+});
+
+Customer.hasMany(StoreCredit, {
+  foreignKey: 'customerId',
+  as: 'storeCredits'
+});
+
+// Validade padrão em dias por tipo (0 = sem validade)
+StoreCredit.EXPIRY_DAYS = {
+  credit_note: parseInt(process.env.CREDIT_NOTE_EXPIRY_DAYS ?? 180),
+  gift_card: parseInt(process.env.GIFT_CARD_EXPIRY_DAYS ?? 365)
+};
+
+const CODE_PREFIXES = { credit_note: 'VC', gift_card: 'VP' };
+// Sem caracteres ambíguos (0/O, 1/I) para digitação no caixa
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+// Gerar código do vale (ex.: VP-7KQ2-M9XD-4TRA)
+StoreCredit.generateCode = function(type) {
+  const chars = Array.from(crypto.randomBytes(12), byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+  return `${CODE_PREFIXES[type]}-${chars.match(/.{4}/g).join('-')}`;
+};
+
+// Normalizar código digitado (maiúsculas, sem espaços)
+StoreCredit.normalizeCode = function(code) {
+  return String(code || '').trim().toUpperCase().replace(/\s+/g, '');
+};
+
+// Data de expiração padrão a partir da emissão
+StoreCredit.getDefaultExpiry = function(type, now = new Date()) {
+  const days = StoreCredit.EXPIRY_DAYS[type];
+  if (!days) return null;
+
+  const expiresAt = new Date(now);
+  expiresAt.setDate(expiresAt.getDate() + days);
+  return expiresAt;
+};
+
+// Método para verificar se o vale está vencido
+StoreCredit.prototype.isExpired = function(now = new Date()) {
+  return Boolean(this.expiresAt) && new Date(this.expiresAt) <= now;
+};
+
+// Método para obter o saldo que ainda pode ser usado
+StoreCredit.prototype.getAvailableBalance = function(now = new Date()) {
+  if (this.status !== 'active' || this.isExpired(now)) return 0;
+  return parseFloat(this.balance);
+};
+
+// Vales ativos com validade vencida (zerados pelo job de expiração)
+StoreCredit.expiredWhere = function(now = new Date()) {
+  return {
+    status: 'active',
+    expiresAt: { [Op.lte]: now }
+  };
+};
+
+// Saldo disponível do cliente em vales ativos e não vencidos
+StoreCredit.getCustomerBalance = async function(customerId, options = {}) {
+  const { now = new Date(), transaction } = options;
+
+  const credits = await StoreCredit.findAll({
+    where: {
+      customerId,
+      status: 'active',
+      [Op.or]: [
+        { expiresAt: null },
+        { expiresAt: { [Op.gt]: now } }
+      ]
+    },
+    attributes: ['id', 'code', 'type', 'balance', 'expiresAt'],
+    order: [['expiresAt', 'ASC']],
+    transaction
+  });
+
+  return {
+    balance: Math.round(credits.reduce((sum, credit) => sum + parseFloat(credit.balance), 0) * 100) / 100,
+    nextExpiry: credits.find(credit => credit.expiresAt)?.expiresAt || null,
+    count: credits.length
+  };
+};
+
+module.exports = StoreCredit;
@@ -0,0 +1,79 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const StoreCredit = require('./StoreCredit');
+
+// Extrato do vale: cada alteração de saldo gera um lançamento
+const StoreCreditMovement = sequelize.define('StoreCreditMovement', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  storeCreditId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'store_credits',
+      key: 'id'
+    }
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  // issue = emissão, redeem = resgate em venda, reversal = estorno de resgate (venda cancelada),
+  // expire = saldo vencido, void = vale cancelado
+  type: {
+    type: DataTypes.ENUM('issue', 'redeem', 'reversal', 'expire', 'void'),
+    allowNull: false
+  },
+  // Positivo = crédito no saldo, negativo = débito
+  amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false
+  },
+  balanceAfter: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false
+  },
+  saleId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'sales',
+      key: 'id'
+    }
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  tableName: 'store_credit_movements',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['storeCreditId']
+    },
+    {
+      fields: ['saleId']
+    }
+  ]
+});
+
+// Associations
+StoreCreditMovement.belongsTo(StoreCredit, {
+  foreignKey: 'storeCreditId',
+  as: 'storeCredit'
+});
+
+StoreCredit.hasMany(StoreCreditMovement, {
+  foreignKey: 'storeCreditId',
+  as: 'movements'
+});
+
+module.exports = StoreCreditMovement;
@@ -0,0 +1,204 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const Product = require('./Product');
+const PurchaseOrder = require('./PurchaseOrder');
+const Helpers = require('../utils/helpers');
+
+const round = value => Math.round(value * 100) / 100;
+
+// Fornecedor da empresa: cadastro, contatos, prazo de pagamento e prazo de entrega
+const Supplier = sequelize.define('Supplier', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  // Razão social
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    validate: {
+      notEmpty: true,
+      len: [2, 255]
+    }
+  },
+  tradeName: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  cnpj: {
+    type: DataTypes.STRING(18),
+    allowNull: true,
+    validate: {
+      isValidCNPJ(value) {
+        if (value && !Helpers.validateCNPJ(value)) {
+          throw new Error('CNPJ inválido');
+        }
+      }
+    }
+  },
+  email: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    validate: {
+      isEmail: true
+    }
+  },
+  phone: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  address: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  city: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  state: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  zipCode: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  // Contatos do fornecedor: [{ name, role, email, phone }]
+  contacts: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: []
+  },
+  // Prazo de pagamento das notas (dias após a emissão)
+  paymentTermDays: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: PurchaseOrder.SETTINGS.paymentTermDays,
+    validate: {
+      min: 0
+    }
+  },
+  // Prazo de entrega prometido (dias entre o pedido e o recebimento)
+  leadTimeDays: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 7,
+    validate: {
+      min: 0
+    }
+  },
+  status: {
+    type: DataTypes.ENUM('active', 'inactive'),
+    allowNull: false,
+    defaultValue: 'active'
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  tableName: 'suppliers',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['userId', 'cnpj'],
+      unique: true
+    },
+    {
+      fields: ['userId', 'status']
+    },
+    {
+      fields: ['name']
+    }
+  ]
+});
+
+// Associations
+Product.belongsTo(Supplier, {
+  foreignKey: 'supplierId',
+  as: 'supplier'
+});
+
+PurchaseOrder.belongsTo(Supplier, {
+  foreignKey: 'supplierId',
+  as: 'supplier'
+});
+
+Supplier.hasMany(PurchaseOrder, {
+  foreignKey: 'supplierId',
+  as: 'purchaseOrders'
+});
+
+// Entregas no prazo: pedidos recebidos por completo até a data prevista
+// Sem data prevista no pedido, o prazo é a data do pedido mais o prazo de entrega do fornecedor
+Supplier.prototype.getDeliveryStats = function(orders) {
+  const day = 24 * 60 * 60 * 1000;
+  const delivered = orders.filter(order => order.status === 'received' && order.receivedAt);
+
+  let measured = 0;
+  let onTime = 0;
+  let leadTimeTotal = 0;
+  let leadTimeCount = 0;
+
+  for (const order of delivered) {
+    const receivedAt = new Date(order.receivedAt);
+    let deadline = null;
+
+    if (order.expectedDate) {
+      deadline = new Date(`${order.expectedDate}T23:59:59`);
+    } else if (order.orderedAt) {
+      deadline = new Date(new Date(order.orderedAt).getTime() + this.leadTimeDays * day);
+    }
+
+    if (deadline) {
+      measured++;
+      if (receivedAt <= deadline) onTime++;
+    }
+
+    if (order.orderedAt) {
+      leadTimeTotal += (receivedAt - new Date(order.orderedAt)) / day;
+      leadTimeCount++;
+    }
+  }
+
+  return {
+    delivered: delivered.length,
+    onTime,
+    late: measured - onTime,
+    onTimeRate: measured > 0 ? round((onTime / measured) * 100) : null,
+    averageLeadTimeDays: leadTimeCount > 0 ? round(leadTimeTotal / leadTimeCount) : null,
+    promisedLeadTimeDays: this.leadTimeDays
+  };
+};
+
+// Evolução do custo de um produto nas compras: [{ date, unitCost }] em ordem cronológica
+Supplier.getPriceTrend = function(points) {
+  if (points.length === 0) return null;
+
+  const first = points[0].unitCost;
+  const last = points[points.length - 1].unitCost;
+  const average = points.reduce((sum, point) => sum + point.unitCost, 0) / points.length;
+  const changePercent = first > 0 ? round(((last - first) / first) * 100) : null;
+
+  return {
+    first,
+    last,
+    average: round(average),
+    min: Math.min(...points.map(point => point.unitCost)),
+    max: Math.max(...points.map(point => point.unitCost)),
+    changePercent,
+    direction: last > first ? 'up' : last < first ? 'down' : 'stable',
+    history: points
+  };
+};
+
+module.exports = Supplier;
@@ -0,0 +1,113 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const Supplier = require('./Supplier');
+const Product = require('./Product');
+const ProductVariant = require('./ProductVariant');
+
+// Produto fornecido pelo fornecedor: código no catálogo do fornecedor e último preço de compra
+const SupplierProduct = sequelize.define('SupplierProduct', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  supplierId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'suppliers',
+      key: 'id'
+    }
+  },
+  productId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'products',
+      key: 'id'
+    }
+  },
+  variantId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'product_variants',
+      key: 'id'
+    }
+  },
+  supplierSku: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  // Atualizado a cada recebimento de compra
+  lastPurchasePrice: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true,
+    validate: {
+      min: 0
+    }
+  },
+  lastPurchaseAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // Prazo de entrega específico do produto (null = prazo do fornecedor)
+  leadTimeDays: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: 0
+    }
+  },
+  // Fornecedor principal do produto
+  isPreferred: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  }
+}, {
+  tableName: 'supplier_products',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['supplierId', 'productId', 'variantId'],
+      unique: true
+    },
+    {
+      fields: ['productId']
+    }
+  ]
+});
+
+// Associations
+SupplierProduct.belongsTo(Supplier, {
+  foreignKey: 'supplierId',
+  as: 'supplier'
+});
+
+Supplier.hasMany(SupplierProduct, {
+  foreignKey: 'supplierId',
+  as: 'products'
+});
+
+SupplierProduct.belongsTo(Product, {
+  foreignKey: 'productId',
+  as: 'product'
+});
+
+Product.hasMany(SupplierProduct, {
+  foreignKey: 'productId',
+  as: 'supplierLinks'
+});
+
+SupplierProduct.belongsTo(ProductVariant, {
+  foreignKey: 'variantId',
+  as: 'variant'
+});
+
+// Prazo de entrega do produto neste fornecedor
+SupplierProduct.prototype.getLeadTimeDays = function(supplier) {
+  return this.leadTimeDays ?? supplier.leadTimeDays;
+};
+
+module.exports = SupplierProduct;
@@ -1,5 +1,6 @@
 const { DataTypes } = require('sequelize');
 const { sequelize } = require('../config/database');
+const currencyService = require('../services/currencyService');
 
 const Transaction = sequelize.define('Transaction', {
   id: {
@@ -40,6 +41,24 @@ const Transaction = sequelize.define('Transaction', {
     type: DataTypes.ENUM('income', 'expense'),
     allowNull: false
   },
+  // Moeda do lançamento (ISO 4217; padrão = moeda base da empresa)
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false,
+    validate: {
+      is: /^[A-Z]{3}$/
+    }
+  },
+  // Cotação para a moeda base no momento do lançamento
+  exchangeRate: {
+    type: DataTypes.DECIMAL(18, 8),
+    allowNull: false
+  },
+  // Valor convertido para a moeda base (painéis e relatórios financeiros)
+  baseAmount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true
+  },
   notes: {
     type: DataTypes.TEXT,
     allowNull: true
@@ -145,8 +164,8 @@ Transaction.getStatsByPeriod = async function(userId, startDate, endDate) {
     SELECT 
       type,
       COUNT(*) as count,
-      SUM(amount) as total,
-      AVG(amount) as average
+      SUM(base_amount) as total,
+      AVG(base_amount) as average
     FROM transactions
     WHERE 
       user_id = :userId 
@@ -185,7 +204,7 @@ Transaction.getByCategory = async function(userId, startDate, endDate) {
       category,
       type,
       COUNT(*) as count,
-      SUM(amount) as total
+      SUM(base_amount) as total
     FROM transactions
     WHERE 
       user_id = :userId 
@@ -210,6 +229,16 @@ Transaction.getPendingTransactions = async function(userId) {
   });
 };
 
+// Hook para preencher moeda, cotação da data do lançamento e valor convertido
+Transaction.beforeValidate(async (transaction, options) => {
+  await currencyService.applyToRecord(transaction, {
+    amountField: 'amount',
+    baseField: 'baseAmount',
+    date: transaction.date,
+    transaction: options.transaction
+  });
+});
+
 // Hook para registrar criação de transação
 Transaction.afterCreate(async (transaction, options) => {
   if (transaction.type === 'expense' && transaction.status === 'completed') {
@@ -69,6 +69,11 @@ const User = sequelize.define('User', {
   verificationToken: {
     type: DataTypes.STRING,
     allowNull: true
+  },
+  // PIN (hash) usado por gerentes para aprovar operações de outros usuários no PDV
+  managerPin: {
+    type: DataTypes.STRING,
+    allowNull: true
   }
 }, {
   tableName: 'users',
@@ -85,6 +90,10 @@ const User = sequelize.define('User', {
         const salt = await bcrypt.genSalt(10);
         user.password = await bcrypt.hash(user.password, salt);
       }
+      if (user.changed('managerPin') && user.managerPin) {
+        const salt = await bcrypt.genSalt(10);
+        user.managerPin = await bcrypt.hash(user.managerPin, salt);
+      }
     }
   }
 });
@@ -94,6 +103,12 @@ User.prototype.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Método para verificar o PIN de gerente
+User.prototype.compareManagerPin = async function(candidatePin) {
+  if (!this.managerPin || !candidatePin) return false;
+  return await bcrypt.compare(String(candidatePin), this.managerPin);
+};
+
 // Método para gerar token JWT
 User.prototype.generateAuthToken = function() {
   const jwt = require('jsonwebtoken');
@@ -133,6 +148,7 @@ User.prototype.toJSON = function() {
   delete values.resetPasswordToken;
   delete values.resetPasswordExpires;
   delete values.verificationToken;
+  delete values.managerPin;
   return values;
 };
 
@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const currencyController = require('../controllers/currencyController');
+const { authenticate, authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validation');
+const {
+  setBaseCurrencySchema,
+  saveExchangeRateSchema,
+  listExchangeRatesSchema,
+  uuidParamSchema
+} = require('../utils/validators');
+
+router.use(authenticate);
+
+// Moeda base e cotações de câmbio (cadastradas manualmente)
+router.get('/', currencyController.getCurrencies);
+router.put('/base', authorize('admin'), validate(setBaseCurrencySchema), currencyController.setBaseCurrency);
+router.get('/rates', validate(listExchangeRatesSchema), currencyController.listRates);
+router.post('/rates', authorize('manager'), validate(saveExchangeRateSchema), currencyController.saveRate);
+router.delete('/rates/:id', authorize('admin'), validate(uuidParamSchema), currencyController.deleteRate);
+
+module.exports = router;
@@ -17,6 +17,7 @@ router.get('/dashboard', authorize('manager'), customerController.getDashboard);
 router.get('/export', authorize('manager'), customerController.exportCustomers);
 router.get('/email/:email', authorize('manager'), customerController.findByEmail);
 router.get('/:id', authorize('manager'), customerController.getCustomer);
+router.get('/:id/loyalty', authorize('manager'), customerController.getLoyalty);
 router.post('/', authorize('manager'), validate(createCustomerSchema), customerController.createCustomer);
 router.put('/:id', authorize('manager'), validate(updateCustomerSchema), customerController.updateCustomer);
 router.delete('/:id', authorize('admin'), customerController.deleteCustomer);
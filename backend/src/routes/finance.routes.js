@@ -3,6 +3,7 @@ const router = express.Router();
 const financeController = require('../controllers/financeController');
 const { authenticate, authorize } = require('../middleware/auth');
 const { validate } = require('../middleware/validation');
+const { idempotency } = require('../middleware/idempotency');
 const { 
   createTransactionSchema, 
   updateTransactionSchema 
@@ -16,7 +17,7 @@ router.get('/dashboard', authorize('manager'), financeController.getDashboard);
 router.get('/report', authorize('manager'), financeController.getReport);
 router.get('/export', authorize('manager'), financeController.exportTransactions);
 router.get('/:id', authorize('manager'), financeController.getTransaction);
-router.post('/', authorize('manager'), validate(createTransactionSchema), financeController.createTransaction);
+router.post('/', authorize('manager'), idempotency, validate(createTransactionSchema), financeController.createTransaction);
 router.put('/:id', authorize('manager'), validate(updateTransactionSchema), financeController.updateTransaction);
 router.delete('/:id', authorize('admin'), financeController.deleteTransaction);
 
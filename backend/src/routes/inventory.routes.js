@@ -1,8 +1,13 @@
 const express = require('express');
 const router = express.Router();
 const inventoryController = require('../controllers/inventoryController');
-const { authenticate } = require('../middleware/auth');
-const { validateInventory } = require('../middleware/validation');
+const { authenticate, authorize } = require('../middleware/auth');
+const { validateInventory, validate } = require('../middleware/validation');
+const {
+  receiveInventoryLotSchema,
+  lotRecallSchema,
+  expiringInventorySchema
+} = require('../utils/validators');
 
 // All routes require authentication
 router.use(authenticate);
@@ -69,6 +74,111 @@ router.get('/', inventoryController.getInventory);
  */
 router.get('/stats', inventoryController.getStats);
 
+/**
+ * @swagger
+ * /api/inventory/reconciliation:
+ *   get:
+ *     summary: Report drift between product stock, location balances and the stock ledger
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Products with stock drift
+ *   post:
+ *     summary: Fix stock drift with ledger adjustments
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Reconciliation result
+ */
+router.get('/reconciliation', authorize('manager'), inventoryController.getReconciliation);
+router.post('/reconciliation', authorize('manager'), inventoryController.reconcile);
+
+/**
+ * @swagger
+ * /api/inventory/ledger/{productId}:
+ *   get:
+ *     summary: Get product balances per location derived from the stock ledger
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: productId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Ledger balances
+ */
+router.get('/ledger/:productId', inventoryController.getLedgerBalances);
+
+/**
+ * @swagger
+ * /api/inventory/expiring:
+ *   get:
+ *     summary: Get lots expiring within the given days
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Expiring lots
+ */
+router.get('/expiring', validate(expiringInventorySchema), inventoryController.getExpiring);
+
+/**
+ * @swagger
+ * /api/inventory/lots:
+ *   post:
+ *     summary: Receive stock into a lot
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Lot received
+ */
+router.post('/lots', authorize('manager'), validate(receiveInventoryLotSchema), inventoryController.receiveLot);
+
+/**
+ * @swagger
+ * /api/inventory/lots/recall:
+ *   get:
+ *     summary: Sales that consumed a lot
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Recall lookup
+ */
+router.get('/lots/recall', authorize('manager'), validate(lotRecallSchema), inventoryController.getLotRecall);
+
+/**
+ * @swagger
+ * /api/inventory/{id}/lots:
+ *   get:
+ *     summary: Get the lots of an inventory item
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Lots in FEFO order
+ */
+router.get('/:id/lots', inventoryController.getLots);
+
 /**
  * @swagger
  * /api/inventory/{id}:
@@ -266,7 +376,7 @@ router.get('/low-stock', async (req, res) => {
     try {
         const inventory = await Inventory.findAll({
             where: {
-                userId: req.user.id,
+                userId: req.user.userId,
                 quantity: {
                     [Op.lte]: sequelize.literal('"Inventory"."minStock"')
                 }
@@ -307,7 +417,7 @@ router.get('/out-of-stock', async (req, res) => {
     try {
         const inventory = await Inventory.findAll({
             where: {
-                userId: req.user.id,
+                userId: req.user.userId,
                 quantity: 0
             },
             include: [{
@@ -364,79 +474,7 @@ router.get('/out-of-stock', async (req, res) => {
  *       200:
  *         description: Inventory bulk updated
  */
-router.post('/bulk-update', async (req, res) => {
-    try {
-        const { updates } = req.body;
-        
-        if (!Array.isArray(updates) || updates.length === 0) {
-            return res.status(400).json({
-                success: false,
-                message: 'No updates provided'
-            });
-        }
-        
-        const results = [];
-        
-        for (const update of updates) {
-            const inventory = await Inventory.findOne({
-                where: { id: update.id, userId: req.user.id }
-            });
-            
-            if (inventory) {
-                const oldQuantity = inventory.quantity;
-                
-                if (update.quantity !== undefined) {
-                    inventory.quantity = update.quantity;
-                }
-                
-                if (update.cost !== undefined) {
-                    inventory.cost = update.cost;
-                }
-                
-                if (update.location !== undefined) {
-                    inventory.location = update.location;
-                }
-                
-                await inventory.save();
-                
-                // Log adjustment
-                await InventoryLog.create({
-                    inventoryId: inventory.id,
-                    productId: inventory.productId,
-                    userId: req.user.id,
-                    type: 'bulk_update',
-                    adjustment: update.quantity - oldQuantity,
-                    previousQuantity: oldQuantity,
-                    newQuantity: inventory.quantity,
-                    notes: 'Bulk update'
-                });
-                
-                results.push({
-                    id: inventory.id,
-                    success: true
-                });
-            } else {
-                results.push({
-                    id: update.id,
-                    success: false,
-                    error: 'Not found'
-                });
-            }
-        }
-        
-        res.json({
-            success: true,
-            message: 'Bulk update completed',
-            data: results
-        });
-        
-    } catch (error) {
-        res.status(500).json({
-            success: false,
-            message: 'Error in bulk update'
-        });
-    }
-});
+router.post('/bulk-update', inventoryController.bulkUpdate);
 
 /**
  * @swagger
@@ -453,7 +491,7 @@ router.post('/bulk-update', async (req, res) => {
 router.get('/export', async (req, res) => {
     try {
         const inventory = await Inventory.findAll({
-            where: { userId: req.user.id },
+            where: { userId: req.user.userId },
             include: [{
                 model: Product,
                 as: 'product',
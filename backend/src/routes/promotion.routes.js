@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const promotionController = require('../controllers/promotionController');
+const { authenticate, authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validation');
+const {
+  createPromotionSchema,
+  updatePromotionSchema
+} = require('../utils/validators');
+
+router.use(authenticate);
+
+// Rotas principais
+router.get('/', authorize('manager'), promotionController.listPromotions);
+router.get('/:id', authorize('manager'), promotionController.getPromotion);
+router.get('/:id/stats', authorize('manager'), promotionController.getPromotionStats);
+router.post('/', authorize('manager'), validate(createPromotionSchema), promotionController.createPromotion);
+router.put('/:id', authorize('manager'), validate(updatePromotionSchema), promotionController.updatePromotion);
+router.delete('/:id', authorize('admin'), promotionController.deletePromotion);
+
+module.exports = router;
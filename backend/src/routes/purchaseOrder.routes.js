@@ -0,0 +1,29 @@
+const express = require('express');
+const router = express.Router();
+const purchaseOrderController = require('../controllers/purchaseOrderController');
+const { authenticate, authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validation');
+const { idempotency } = require('../middleware/idempotency');
+const {
+  createPurchaseOrderSchema,
+  updatePurchaseOrderSchema,
+  cancelPurchaseOrderSchema,
+  receivePurchaseOrderSchema,
+  matchPurchaseInvoiceSchema,
+  listPurchaseOrdersSchema,
+  uuidParamSchema
+} = require('../utils/validators');
+
+router.use(authenticate);
+
+// Pedidos de compra, recebimento de mercadoria e conferência da nota do fornecedor
+router.get('/', validate(listPurchaseOrdersSchema), purchaseOrderController.listOrders);
+router.get('/:id', validate(uuidParamSchema), purchaseOrderController.getOrder);
+router.post('/', authorize('manager'), validate(createPurchaseOrderSchema), purchaseOrderController.createOrder);
+router.put('/:id', authorize('manager'), validate(updatePurchaseOrderSchema), purchaseOrderController.updateOrder);
+router.post('/:id/place', authorize('manager'), validate(uuidParamSchema), purchaseOrderController.placeOrder);
+router.post('/:id/cancel', authorize('manager'), validate(cancelPurchaseOrderSchema), purchaseOrderController.cancelOrder);
+router.post('/:id/receipts', authorize('manager'), idempotency, validate(receivePurchaseOrderSchema), purchaseOrderController.receiveOrder);
+router.post('/:id/invoice', authorize('manager'), idempotency, validate(matchPurchaseInvoiceSchema), purchaseOrderController.matchInvoice);
+
+module.exports = router;
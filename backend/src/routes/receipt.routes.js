@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const saleController = require('../controllers/saleController');
+
+// Recibos públicos: o token assinado do link substitui a autenticação
+router.get('/:token', saleController.getPublicReceipt);
+router.get('/:token/pdf', saleController.downloadPublicReceipt);
+
+module.exports = router;
@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const replenishmentController = require('../controllers/replenishmentController');
+const { authenticate, authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validation');
+const { idempotency } = require('../middleware/idempotency');
+const {
+  replenishmentSuggestionsSchema,
+  createReplenishmentOrdersSchema
+} = require('../utils/validators');
+
+router.use(authenticate);
+
+// Sugestões de reposição pela média de vendas e prazo do fornecedor
+router.get('/suggestions', authorize('manager'), validate(replenishmentSuggestionsSchema), replenishmentController.getSuggestions);
+router.post('/reorder-points', authorize('manager'), replenishmentController.recalculate);
+
+// Sugestões aprovadas viram pedidos de compra em rascunho
+router.post('/purchase-orders', authorize('manager'), idempotency, validate(createReplenishmentOrdersSchema), replenishmentController.createPurchaseOrders);
+
+module.exports = router;
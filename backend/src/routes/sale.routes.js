@@ -3,7 +3,23 @@ const router = express.Router();
 const saleController = require('../controllers/saleController');
 const { authenticate, authorize, authorizeAny } = require('../middleware/auth');
 const { validate } = require('../middleware/validation');
-const { createSaleSchema, cancelSaleSchema } = require('../utils/validators');
+const { idempotency } = require('../middleware/idempotency');
+const {
+  createSaleSchema,
+  cancelSaleSchema,
+  refundSaleSchema,
+  exchangeSaleSchema,
+  posQuoteSchema,
+  parkSaleSchema,
+  layawaySaleSchema,
+  payInstallmentSchema,
+  syncOfflineSalesSchema,
+  cashMovementSchema,
+  closeCashDrawerSchema,
+  printReceiptSchema,
+  emailReceiptSchema,
+  salesReportSchema
+} = require('../utils/validators');
 
 router.use(authenticate);
 
@@ -13,26 +29,41 @@ router.get('/dashboard', authorizeAny(['admin', 'manager']), saleController.getD
 router.get('/today', authorizeAny(['admin', 'manager', 'cashier']), saleController.getTodaySales);
 router.get('/:id', authorizeAny(['admin', 'manager', 'cashier']), saleController.getSale);
 router.get('/:id/receipt', authorizeAny(['admin', 'manager', 'cashier']), saleController.generateReceipt);
+router.get('/:id/receipt/print', authorizeAny(['admin', 'manager', 'cashier']), validate(printReceiptSchema), saleController.printReceipt);
+router.post('/:id/receipt/email', authorizeAny(['admin', 'manager', 'cashier']), validate(emailReceiptSchema), saleController.emailReceipt);
 
 // POS - Ponto de Venda
-router.post('/pos/checkout', authorizeAny(['admin', 'cashier']), validate(createSaleSchema), saleController.createSale);
-router.post('/pos/open-cash-drawer', authorizeAny(['admin', 'cashier']), saleController.openCashDrawer);
-router.post('/pos/close-cash-drawer', authorizeAny(['admin', 'cashier']), saleController.closeCashDrawer);
+router.post('/pos/checkout', authorizeAny(['admin', 'cashier']), idempotency, validate(createSaleSchema), saleController.createSale);
+router.post('/pos/quote', authorizeAny(['admin', 'cashier']), validate(posQuoteSchema), saleController.quoteSale);
+router.post('/pos/park', authorizeAny(['admin', 'cashier']), idempotency, validate(parkSaleSchema), saleController.parkSale);
+router.get('/pos/parked', authorizeAny(['admin', 'cashier']), saleController.listParkedSales);
+router.post('/pos/parked/:id/resume', authorizeAny(['admin', 'cashier']), idempotency, saleController.resumeParkedSale);
+router.delete('/pos/parked/:id', authorizeAny(['admin', 'cashier']), saleController.discardParkedSale);
+router.post('/pos/layaway', authorizeAny(['admin', 'cashier']), idempotency, validate(layawaySaleSchema), saleController.createLayawaySale);
+router.post('/pos/sync', authorizeAny(['admin', 'cashier']), idempotency, validate(syncOfflineSalesSchema), saleController.syncOfflineSales);
+router.post('/pos/open-cash-drawer', authorizeAny(['admin', 'cashier']), idempotency, saleController.openCashDrawer);
+router.post('/pos/close-cash-drawer', authorizeAny(['admin', 'cashier']), idempotency, validate(closeCashDrawerSchema), saleController.closeCashDrawer);
 router.get('/pos/cash-drawer/status', authorizeAny(['admin', 'cashier']), saleController.getCashDrawerStatus);
+router.post('/pos/cash-drawer/cash-in', authorizeAny(['admin', 'cashier']), idempotency, validate(cashMovementSchema), saleController.addCashIn);
+router.post('/pos/cash-drawer/cash-out', authorizeAny(['admin', 'cashier']), idempotency, validate(cashMovementSchema), saleController.addCashOut);
+router.get('/pos/cash-drawers', authorizeAny(['admin', 'manager']), saleController.listCashDrawers);
+router.get('/pos/cash-drawer/:id/z-report', authorizeAny(['admin', 'manager']), saleController.getZReport);
 
 // Gestão de vendas
-router.post('/:id/cancel', authorizeAny(['admin', 'manager']), validate(cancelSaleSchema), saleController.cancelSale);
-router.post('/:id/refund', authorize('admin'), saleController.refundSale);
+router.post('/:id/cancel', authorizeAny(['admin', 'manager', 'cashier']), idempotency, validate(cancelSaleSchema), saleController.cancelSale);
+router.post('/:id/refund', authorize('admin'), idempotency, validate(refundSaleSchema), saleController.refundSale);
+router.post('/:id/exchange', authorizeAny(['admin', 'cashier']), idempotency, validate(exchangeSaleSchema), saleController.exchangeSale);
+router.post('/:id/installments/:installmentId/pay', authorizeAny(['admin', 'cashier']), idempotency, validate(payInstallmentSchema), saleController.payInstallment);
 router.get('/:id/invoice', authorizeAny(['admin', 'manager']), saleController.generateInvoice);
 
 // Relatórios
 router.get('/reports/daily', authorizeAny(['admin', 'manager']), saleController.getDailyReport);
-router.get('/reports/monthly', authorizeAny(['admin', 'manager']), saleController.getMonthlyReport);
-router.get('/reports/top-products', authorizeAny(['admin', 'manager']), saleController.getTopProducts);
-router.get('/reports/top-customers', authorizeAny(['admin', 'manager']), saleController.getTopCustomers);
+router.get('/reports/monthly', authorizeAny(['admin', 'manager']), validate(salesReportSchema), saleController.getMonthlyReport);
+router.get('/reports/top-products', authorizeAny(['admin', 'manager']), validate(salesReportSchema), saleController.getTopProducts);
+router.get('/reports/top-customers', authorizeAny(['admin', 'manager']), validate(salesReportSchema), saleController.getTopCustomers);
 
 // Exportação
 router.get('/export/csv', authorizeAny(['admin', 'manager']), saleController.exportSalesCSV);
-router.get('/export/pdf', authorizeAny(['admin', 'manager']), saleController.exportSalesPDF);
+router.get('/export/pdf', authorizeAny(['admin', 'manager']), validate(salesReportSchema), saleController.exportSalesPDF);
 
 module.exports = router;
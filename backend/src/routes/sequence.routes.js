@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const sequenceController = require('../controllers/sequenceController');
+const { authenticate, authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validation');
+const {
+  saveSequenceSchema,
+  uuidParamSchema
+} = require('../utils/validators');
+
+router.use(authenticate);
+
+// Numeração de vendas e documentos da empresa
+router.get('/', authorize('manager'), sequenceController.listSequences);
+router.put('/:type', authorize('admin'), validate(saveSequenceSchema), sequenceController.saveSequence);
+router.delete('/:id', authorize('admin'), validate(uuidParamSchema), sequenceController.deleteSequence);
+
+module.exports = router;
@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const storeCreditController = require('../controllers/storeCreditController');
+const { authenticate, authorize, authorizeAny } = require('../middleware/auth');
+const { validate } = require('../middleware/validation');
+const { idempotency } = require('../middleware/idempotency');
+const {
+  sellGiftCardSchema,
+  voidStoreCreditSchema,
+  listStoreCreditsSchema,
+  uuidParamSchema
+} = require('../utils/validators');
+
+router.use(authenticate);
+
+// Vales-crédito e vales-presente
+router.get('/', authorizeAny(['admin', 'manager', 'cashier']), validate(listStoreCreditsSchema), storeCreditController.listStoreCredits);
+router.get('/balance/:code', authorizeAny(['admin', 'manager', 'cashier']), storeCreditController.getBalance);
+router.get('/customer/:customerId', authorizeAny(['admin', 'manager', 'cashier']), storeCreditController.getCustomerBalance);
+router.get('/:id', authorizeAny(['admin', 'manager', 'cashier']), validate(uuidParamSchema), storeCreditController.getStoreCredit);
+router.post('/gift-cards', authorizeAny(['admin', 'cashier']), idempotency, validate(sellGiftCardSchema), storeCreditController.sellGiftCard);
+router.post('/:id/void', authorize('manager'), validate(voidStoreCreditSchema), storeCreditController.voidStoreCredit);
+
+module.exports = router;
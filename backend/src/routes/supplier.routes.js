@@ -0,0 +1,29 @@
+const express = require('express');
+const router = express.Router();
+const supplierController = require('../controllers/supplierController');
+const { authenticate, authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validation');
+const {
+  createSupplierSchema,
+  updateSupplierSchema,
+  saveSupplierProductSchema,
+  listSuppliersSchema,
+  supplierPerformanceSchema,
+  uuidParamSchema
+} = require('../utils/validators');
+
+router.use(authenticate);
+
+// Cadastro de fornecedores
+router.get('/', validate(listSuppliersSchema), supplierController.listSuppliers);
+router.get('/:id', validate(uuidParamSchema), supplierController.getSupplier);
+router.get('/:id/performance', authorize('manager'), validate(supplierPerformanceSchema), supplierController.getPerformance);
+router.post('/', authorize('manager'), validate(createSupplierSchema), supplierController.createSupplier);
+router.put('/:id', authorize('manager'), validate(updateSupplierSchema), supplierController.updateSupplier);
+router.delete('/:id', authorize('admin'), validate(uuidParamSchema), supplierController.deleteSupplier);
+
+// Produtos fornecidos (código do fornecedor e último preço de compra)
+router.put('/:id/products', authorize('manager'), validate(saveSupplierProductSchema), supplierController.saveProduct);
+router.delete('/:id/products/:linkId', authorize('manager'), validate(uuidParamSchema), supplierController.deleteProduct);
+
+module.exports = router;
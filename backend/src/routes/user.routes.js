@@ -7,6 +7,7 @@ const {
   createUserSchema, 
   updateUserSchema,
   changeUserPasswordSchema,
+  setManagerPinSchema,
   toggleUserStatusSchema 
 } = require('../utils/validators');
 
@@ -17,6 +18,7 @@ router.get('/', authorize('admin'), userController.listUsers);
 router.get('/dashboard', authorize('admin'), userController.getUsersDashboard);
 router.get('/export', authorize('admin'), userController.exportUsers);
 router.get('/company/:companyName', authorize('manager'), userController.getUsersByCompany);
+router.put('/me/manager-pin', authorize('manager'), validate(setManagerPinSchema), userController.setManagerPin);
 router.get('/:id/audit-log', userController.getUserAuditLog);
 router.get('/:id', userController.getUser);
 router.post('/', authorize('admin'), validate(createUserSchema), userController.createUser);
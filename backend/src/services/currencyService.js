@@ -0,0 +1,191 @@
+const CurrencySetting = require('../models/CurrencySetting');
+const ExchangeRate = require('../models/ExchangeRate');
+const sequenceService = require('./sequenceService');
+const { AppError } = require('../middleware/errorHandler');
+const { Op } = require('sequelize');
+
+const pad = value => String(value).padStart(2, '0');
+
+// Data local AAAA-MM-DD (datas sem hora, como as de lançamentos, são mantidas)
+const toDateOnly = date => {
+  if (typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date)) return date;
+
+  const value = new Date(date);
+  return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+};
+
+class CurrencyService {
+  // Moeda base da empresa (padrão do sistema quando não configurada)
+  async getBaseCurrency(userId, options = {}) {
+    const tenantKey = options.tenantKey || await sequenceService.getTenantKey(userId, options);
+    const setting = await CurrencySetting.findByPk(tenantKey, { transaction: options.transaction });
+
+    return setting?.baseCurrency || CurrencySetting.DEFAULT_CURRENCY;
+  }
+
+  // Alterar a moeda base (vale para novos lançamentos; cotações são registradas por par de moedas)
+  async setBaseCurrency(userId, currency) {
+    const tenantKey = await sequenceService.getTenantKey(userId);
+    const baseCurrency = ExchangeRate.normalizeCurrency(currency);
+
+    const [setting] = await CurrencySetting.upsert({ tenantKey, baseCurrency });
+    return setting;
+  }
+
+  // Cotação vigente na data: a mais recente com início até a data informada
+  async findRate(tenantKey, currency, baseCurrency, options = {}) {
+    const { date = new Date(), transaction } = options;
+
+    return ExchangeRate.findOne({
+      where: {
+        tenantKey,
+        currency,
+        baseCurrency,
+        effectiveDate: { [Op.lte]: toDateOnly(date) }
+      },
+      order: [['effectiveDate', 'DESC']],
+      transaction
+    });
+  }
+
+  // Moeda e cotação para a moeda base (sem moeda informada = moeda base, cotação 1)
+  // Lança EXCHANGE_RATE_MISSING quando não há cotação cadastrada para a moeda estrangeira
+  async resolve(userId, currency, options = {}) {
+    const { date, transaction } = options;
+    const tenantKey = await sequenceService.getTenantKey(userId, { transaction });
+    const baseCurrency = await this.getBaseCurrency(userId, { tenantKey, transaction });
+    const code = currency ? ExchangeRate.normalizeCurrency(currency) : baseCurrency;
+
+    if (code === baseCurrency) {
+      return { currency: code, baseCurrency, exchangeRate: 1 };
+    }
+
+    const rate = await this.findRate(tenantKey, code, baseCurrency, { date, transaction });
+
+    if (!rate) {
+      const error = new AppError(`Cotação de ${code} para ${baseCurrency} não cadastrada.`, 400);
+      error.code = 'EXCHANGE_RATE_MISSING';
+      error.details = { currency: code, baseCurrency };
+      throw error;
+    }
+
+    return { currency: code, baseCurrency, exchangeRate: parseFloat(rate.rate) };
+  }
+
+  // Preencher moeda, cotação e valor convertido de um registro (hooks dos models)
+  // amountField = valor na moeda do registro, baseField = valor convertido para a moeda base
+  async applyToRecord(record, options = {}) {
+    const { amountField, baseField, date, transaction } = options;
+    if (!record.userId) return;
+
+    // Registros existentes só são revistos quando a moeda muda (podem ter sido carregados sem esses campos)
+    const needsRate = record.isNewRecord
+      ? !record.currency || record.exchangeRate == null
+      : record.changed('currency') && !record.changed('exchangeRate');
+
+    if (needsRate) {
+      const resolved = await this.resolve(record.userId, record.currency, { date, transaction });
+      record.currency = resolved.currency;
+      record.exchangeRate = resolved.exchangeRate;
+    }
+
+    const amountChanged = record.isNewRecord || record.changed(amountField) || record.changed('exchangeRate');
+    if (baseField && amountChanged && record.exchangeRate != null) {
+      record[baseField] = ExchangeRate.convert(record[amountField], record.exchangeRate);
+    }
+  }
+
+  // Cotações vigentes de cada moeda
+  async getCurrentRates(userId, options = {}) {
+    const tenantKey = await sequenceService.getTenantKey(userId);
+    const baseCurrency = await this.getBaseCurrency(userId, { tenantKey });
+    const today = toDateOnly(options.date || new Date());
+
+    const rates = await ExchangeRate.findAll({
+      where: {
+        tenantKey,
+        baseCurrency,
+        effectiveDate: { [Op.lte]: today }
+      },
+      order: [['currency', 'ASC'], ['effectiveDate', 'DESC']]
+    });
+
+    const current = rates.filter((rate, index) => index === 0 || rates[index - 1].currency !== rate.currency);
+
+    return { baseCurrency, rates: current };
+  }
+
+  // Histórico de cotações da empresa
+  async listRates(userId, filters = {}) {
+    const { currency, page = 1, limit = 50 } = filters;
+    const tenantKey = await sequenceService.getTenantKey(userId);
+
+    const where = { tenantKey };
+    if (currency) where.currency = ExchangeRate.normalizeCurrency(currency);
+
+    const { count, rows: rates } = await ExchangeRate.findAndCountAll({
+      where,
+      order: [['effectiveDate', 'DESC'], ['currency', 'ASC']],
+      limit: parseInt(limit),
+      offset: (parseInt(page) - 1) * parseInt(limit)
+    });
+
+    return {
+      rates,
+      pagination: {
+        total: count,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(count / parseInt(limit))
+      }
+    };
+  }
+
+  // Registrar cotação do dia (substitui a da mesma data)
+  async saveRate(userId, data) {
+    const tenantKey = await sequenceService.getTenantKey(userId);
+    const baseCurrency = await this.getBaseCurrency(userId, { tenantKey });
+    const currency = ExchangeRate.normalizeCurrency(data.currency);
+    const effectiveDate = toDateOnly(data.effectiveDate || new Date());
+
+    if (currency === baseCurrency) {
+      throw new AppError(`${currency} já é a moeda base da empresa.`, 400);
+    }
+
+    const existing = await ExchangeRate.findOne({
+      where: { tenantKey, currency, baseCurrency, effectiveDate }
+    });
+
+    if (existing) {
+      await existing.update({ rate: data.rate, userId, notes: data.notes || null });
+      return { rate: existing, created: false };
+    }
+
+    const rate = await ExchangeRate.create({
+      tenantKey,
+      currency,
+      baseCurrency,
+      rate: data.rate,
+      effectiveDate,
+      userId,
+      notes: data.notes || null
+    });
+
+    return { rate, created: true };
+  }
+
+  // Excluir cotação registrada por engano (vendas já gravadas mantêm a cotação usada)
+  async deleteRate(userId, id) {
+    const tenantKey = await sequenceService.getTenantKey(userId);
+    const rate = await ExchangeRate.findOne({ where: { id, tenantKey } });
+
+    if (!rate) {
+      throw new AppError('Cotação não encontrada.', 404);
+    }
+
+    await rate.destroy();
+    return rate;
+  }
+}
+
+module.exports = new CurrencyService();
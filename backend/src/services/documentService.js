@@ -111,28 +111,38 @@ class DocumentService {
 
     /**
      * Generate invoice from sale
+     * When the invoice Document record is given, its number and id are printed on the PDF
      */
-    async generateInvoiceFromSale(sale, customer, user) {
+    async generateInvoiceFromSale(sale, customer, user, invoice = null) {
         const items = sale.items.map(item => ({
-            description: item.productName,
+            description: item.name,
             quantity: item.quantity,
-            price: item.unitPrice,
-            discount: item.discount || 0,
-            total: item.totalPrice
+            price: parseFloat(item.price),
+            discount: parseFloat(item.discount || 0),
+            total: parseFloat(item.subtotal ?? item.price * item.quantity) - parseFloat(item.discount || 0)
         }));
 
+        const tenderTotals = typeof sale.getTenderTotals === 'function' ? sale.getTenderTotals() : {};
+        const paymentLines = Object.entries(tenderTotals).map(([method, amount]) =>
+            `${method}: R$ ${amount.toFixed(2)}`);
+
         const document = {
-            number: `INV-${sale.saleNumber}`,
+            id: invoice?.id || sale.id,
+            number: invoice?.documentNumber || `INV-${sale.saleNumber}`,
             type: 'invoice',
-            issueDate: new Date(),
-            dueDate: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000), // 30 days
+            issueDate: invoice?.date || new Date(),
+            dueDate: null, // Sale is paid at checkout
+            customerId: customer?.id || null,
             items,
-            subtotal: sale.subtotal,
-            tax: sale.taxAmount,
-            discount: sale.discountAmount,
-            total: sale.totalAmount,
-            notes: sale.notes,
-            terms: 'Pagamento em até 30 dias. Multa de 2% ao mês por atraso.'
+            subtotal: parseFloat(sale.subtotal),
+            tax: parseFloat(sale.tax),
+            discount: parseFloat(sale.discount),
+            total: parseFloat(sale.total),
+            notes: [
+                `Referente à venda ${sale.saleNumber}`,
+                paymentLines.length ? `Pagamento: ${paymentLines.join(', ')}` : null,
+                sale.notes
+            ].filter(Boolean).join('\n')
         };
 
         return this.generatePDF(document, customer, user);
@@ -491,8 +501,9 @@ ${sender.phone || ''}
         doc.fontSize(20).text('BIZFLOW', { align: 'center' });
         doc.fontSize(12).text('Sistema de Gestão Integrado', { align: 'center' });
         
-        if (user?.company) {
-            doc.fontSize(10).text(user.company, { align: 'center' });
+        const companyName = user?.companyName || user?.company;
+        if (companyName) {
+            doc.fontSize(10).text(companyName, { align: 'center' });
         }
         
         doc.moveDown();
@@ -569,7 +580,8 @@ ${sender.phone || ''}
                 y = 50;
             }
             
-            const itemTotal = (item.quantity * item.price) * (1 - (item.discount || 0) / 100);
+            // Sale items carry their net total; other documents use a percentage discount
+            const itemTotal = item.total ?? (item.quantity * item.price) * (1 - (item.discount || 0) / 100);
             
             doc.text(item.description || item.name, 50, y, { width: descWidth });
             doc.text(item.quantity.toString(), 50 + descWidth, y, { width: qtyWidth, align: 'right' });
@@ -76,22 +76,27 @@ class EmailService {
     }
   }
   
-  // Enviar notificação de nova venda
+  // Enviar recibo da venda ao cliente (link público e PDF em anexo)
   async sendSaleNotification(email, name, saleData) {
     try {
       const html = await this.loadTemplate('sale-notification', {
         name,
         saleNumber: saleData.saleNumber,
-        total: saleData.total.toFixed(2),
+        total: parseFloat(saleData.total).toFixed(2),
         date: saleData.date,
         items: saleData.items,
+        receiptUrl: saleData.receiptUrl,
+        companyName: saleData.companyName || 'BizFlow',
         year: new Date().getFullYear()
       });
       
       await this.sendEmail({
         to: email,
-        subject: `Nova venda realizada: ${saleData.saleNumber}`,
-        html
+        subject: `Recibo da sua compra: ${saleData.saleNumber}`,
+        html,
+        attachments: saleData.pdf
+          ? [{ filename: `recibo_${saleData.saleNumber}.pdf`, content: saleData.pdf, contentType: 'application/pdf' }]
+          : []
       });
       
       logger.info(`✅ Notificação de venda enviada para: ${email}`);
@@ -245,6 +250,17 @@ class EmailService {
         <p>Se você não solicitou esta redefinição, ignore este e-mail.</p>
         <p>© ${data.year} BizFlow - Todos os direitos reservados</p>
       `,
+      'sale-notification': `
+        <h1>Recibo da compra ${data.saleNumber}</h1>
+        <p>Olá ${data.name},</p>
+        <p>Obrigado pela sua compra em ${data.companyName}!</p>
+        <ul>
+          ${(data.items || []).map(item => `<li>${item.quantity} x ${item.name} - R$ ${parseFloat(item.total ?? item.subtotal ?? 0).toFixed(2)}</li>`).join('')}
+        </ul>
+        <p><strong>Total: R$ ${data.total}</strong></p>
+        ${data.receiptUrl ? `<p><a href="${data.receiptUrl}">Ver recibo e baixar o PDF</a></p>` : ''}
+        <p>© ${data.year} BizFlow - Todos os direitos reservados</p>
+      `,
       'default': `
         <p>Olá ${data.name || 'usuário'},</p>
         <p>${data.message || 'Esta é uma notificação do sistema BizFlow.'}</p>
@@ -0,0 +1,191 @@
+const Inventory = require('../models/Inventory');
+const InventoryLot = require('../models/InventoryLot');
+const InventoryMovement = require('../models/InventoryMovement');
+const Product = require('../models/Product');
+const ProductVariant = require('../models/ProductVariant');
+const Sale = require('../models/Sale');
+const SaleExchange = require('../models/SaleExchange');
+const Customer = require('../models/Customer');
+const stockLedgerService = require('./stockLedgerService');
+const { sequelize } = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+const Helpers = require('../utils/helpers');
+const { Op } = require('sequelize');
+
+// Movimentos de venda apontam para a venda ou para a troca (a troca aponta para a venda original);
+// reembolsos e cancelamentos devolvem ao lote o que a venda consumiu
+const SALE_REFERENCES = ['sale', 'sale_exchange', 'sale_refund', 'sale_cancellation'];
+const SALE_MOVEMENT_TYPES = ['sale', 'return'];
+
+class LotService {
+  // Entrada de estoque em lote (cria o lote no local ou soma ao lote existente)
+  async receiveLot(userId, data) {
+    const product = await Product.findOne({ where: { id: data.productId, userId } });
+    if (!product) {
+      throw new AppError('Produto não encontrado.', 404);
+    }
+
+    if (product.hasVariants && !data.variantId) {
+      const error = new AppError(`Informe a variação de ${product.name}.`, 400);
+      error.code = 'VARIANT_REQUIRED';
+      throw error;
+    }
+
+    const { movements } = await sequelize.transaction(transaction => stockLedgerService.record({
+      productId: product.id,
+      variantId: data.variantId,
+      userId,
+      type: 'entry',
+      quantity: data.quantity,
+      unitCost: data.unitCost,
+      location: data.location,
+      lotNumber: data.lotNumber,
+      expiryDate: data.expiryDate,
+      manufactureDate: data.manufactureDate,
+      notes: data.notes || `Entrada do lote ${data.lotNumber}`
+    }, { transaction }));
+
+    return InventoryLot.findByPk(movements[0].lotId, {
+      include: [{ model: Inventory, as: 'inventory', attributes: ['id', 'location', 'quantity'] }]
+    });
+  }
+
+  // Lotes de um item de inventário em ordem FEFO (com all, também os zerados)
+  async listLots(userId, inventoryId, options = {}) {
+    const inventory = await Inventory.findOne({ where: { id: inventoryId, userId } });
+    if (!inventory) {
+      throw new AppError('Item de inventário não encontrado.', 404);
+    }
+
+    const where = { inventoryId };
+    if (!options.all) where.quantity = { [Op.gt]: 0 };
+
+    const lots = await InventoryLot.findAll({
+      where,
+      include: [{ model: ProductVariant, as: 'variant', attributes: ['id', 'name', 'sku'] }]
+    });
+
+    const sorted = InventoryLot.sortFefo(lots);
+    const lotted = Helpers.roundQuantity(sorted.reduce((sum, lot) => sum + lot.quantity, 0));
+
+    return {
+      inventory: { id: inventory.id, productId: inventory.productId, location: inventory.location, quantity: inventory.quantity },
+      lots: sorted.map(lot => ({
+        ...lot.toJSON(),
+        daysToExpiry: lot.getDaysToExpiry(),
+        expired: lot.isExpired()
+      })),
+      untrackedQuantity: Math.max(0, Helpers.roundQuantity(inventory.quantity - lotted))
+    };
+  }
+
+  // Recall: vendas que consumiram o lote (em qualquer local), com cliente e quantidade líquida de devoluções
+  async getRecall(userId, filters) {
+    const { lotNumber, productId } = filters;
+
+    const where = { userId, lotNumber };
+    if (productId) where.productId = productId;
+
+    const lots = await InventoryLot.findAll({
+      where,
+      include: [
+        { model: Inventory, as: 'inventory', attributes: ['id', 'location'] },
+        { model: Product, as: 'product', attributes: ['id', 'name', 'sku'] },
+        { model: ProductVariant, as: 'variant', attributes: ['id', 'name', 'sku'] }
+      ]
+    });
+
+    if (lots.length === 0) {
+      throw new AppError('Lote não encontrado.', 404);
+    }
+
+    const movements = await InventoryMovement.findAll({
+      where: { lotId: { [Op.in]: lots.map(lot => lot.id) } },
+      order: [['createdAt', 'ASC']]
+    });
+
+    const saleMovements = movements.filter(movement =>
+      SALE_MOVEMENT_TYPES.includes(movement.type) && SALE_REFERENCES.includes(movement.referenceType)
+    );
+
+    const exchangeIds = saleMovements
+      .filter(movement => movement.referenceType === 'sale_exchange')
+      .map(movement => movement.referenceId);
+    const exchanges = exchangeIds.length > 0
+      ? await SaleExchange.findAll({
+        where: { id: { [Op.in]: exchangeIds }, userId },
+        attributes: ['id', 'saleId', 'exchangeNumber']
+      })
+      : [];
+
+    const saleIdOf = movement => movement.referenceType === 'sale_exchange'
+      ? exchanges.find(exchange => exchange.id === movement.referenceId)?.saleId
+      : movement.referenceId;
+
+    const saleIds = [...new Set(saleMovements.map(saleIdOf).filter(Boolean))];
+    const sales = saleIds.length > 0
+      ? await Sale.findAll({
+        where: { id: { [Op.in]: saleIds }, userId },
+        attributes: ['id', 'saleNumber', 'status', 'location', 'customerId', 'createdAt'],
+        include: [{ model: Customer, as: 'customer', attributes: ['id', 'name', 'email', 'phone'] }]
+      })
+      : [];
+
+    // Quantidade do lote por venda, menos o que voltou ao lote (trocas entram na venda original)
+    const consumption = new Map();
+    for (const movement of saleMovements) {
+      const sale = sales.find(candidate => candidate.id === saleIdOf(movement));
+      if (!sale) continue;
+
+      if (!consumption.has(sale.id)) {
+        consumption.set(sale.id, {
+          saleId: sale.id,
+          saleNumber: sale.saleNumber,
+          status: sale.status,
+          location: sale.location,
+          soldAt: movement.createdAt,
+          customer: sale.customer,
+          exchangeNumbers: [],
+          quantity: 0
+        });
+      }
+
+      const entry = consumption.get(sale.id);
+      entry.quantity = Helpers.roundQuantity(entry.quantity - movement.quantity);
+      if (movement.referenceType === 'sale_exchange') {
+        const exchange = exchanges.find(candidate => candidate.id === movement.referenceId);
+        if (exchange && !entry.exchangeNumbers.includes(exchange.exchangeNumber)) {
+          entry.exchangeNumbers.push(exchange.exchangeNumber);
+        }
+      }
+    }
+
+    const received = Helpers.roundQuantity(movements
+      .filter(movement => movement.quantity > 0 && !['transfer', 'return'].includes(movement.type))
+      .reduce((sum, movement) => sum + movement.quantity, 0));
+    const soldSales = [...consumption.values()].filter(sale => sale.quantity > 0);
+
+    return {
+      lotNumber,
+      lots: lots.map(lot => ({
+        id: lot.id,
+        product: lot.product,
+        variant: lot.variant,
+        location: lot.inventory?.location || null,
+        expiryDate: lot.expiryDate,
+        manufactureDate: lot.manufactureDate,
+        quantity: lot.quantity
+      })),
+      summary: {
+        received,
+        sold: Helpers.roundQuantity(soldSales.reduce((sum, sale) => sum + sale.quantity, 0)),
+        onHand: Helpers.roundQuantity(lots.reduce((sum, lot) => sum + lot.quantity, 0)),
+        sales: soldSales.length,
+        customers: new Set(soldSales.filter(sale => sale.customer).map(sale => sale.customer.id)).size
+      },
+      sales: soldSales
+    };
+  }
+}
+
+module.exports = new LotService();
@@ -0,0 +1,298 @@
+const LoyaltyMovement = require('../models/LoyaltyMovement');
+const Customer = require('../models/Customer');
+const { sequelize } = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+const { Op } = require('sequelize');
+
+// Lançar movimento de pontos e atualizar o saldo do cliente (já bloqueado na transação)
+async function applyMovement(customer, type, points, context, transaction) {
+  const balanceAfter = Math.max(0, (customer.loyaltyPoints || 0) + points);
+
+  customer.loyaltyPoints = balanceAfter;
+  await customer.save({ transaction });
+
+  return LoyaltyMovement.create({
+    customerId: customer.id,
+    userId: context.userId || null,
+    saleId: context.saleId || null,
+    type,
+    points,
+    balanceAfter,
+    remaining: context.remaining || 0,
+    expiresAt: context.expiresAt || null,
+    description: context.description || null
+  }, { transaction });
+}
+
+// Consumir pontos dos lotes em aberto (primeiro os que vencem antes)
+// preferSaleId = consumir antes o lote ganho nessa venda (estorno de pontos)
+async function consumeLots(customerId, points, transaction, preferSaleId = null) {
+  const lots = await LoyaltyMovement.findOpenLots(customerId, { transaction });
+  const ordered = preferSaleId
+    ? [...lots.filter(lot => lot.saleId === preferSaleId), ...lots.filter(lot => lot.saleId !== preferSaleId)]
+    : lots;
+
+  let pending = points;
+  let firstExpiry = null;
+
+  for (const lot of ordered) {
+    if (pending <= 0) break;
+
+    const used = Math.min(lot.remaining, pending);
+    lot.remaining -= used;
+    pending -= used;
+    await lot.save({ transaction });
+
+    if (lot.expiresAt && (!firstExpiry || lot.expiresAt < firstExpiry)) {
+      firstExpiry = lot.expiresAt;
+    }
+  }
+
+  return { consumed: points - pending, firstExpiry };
+}
+
+// Soma dos pontos já lançados na venda por tipo
+async function sumSalePoints(saleId, type, transaction) {
+  return Math.abs(parseInt(await LoyaltyMovement.sum('points', {
+    where: { saleId, type },
+    transaction
+  }) || 0));
+}
+
+class LoyaltyService {
+  // Validar resgate de pontos antes da venda e retornar o desconto correspondente
+  async prepareRedemption(customerId, points, options = {}) {
+    const { userId, transaction } = options;
+    const { minRedeemPoints } = LoyaltyMovement.SETTINGS;
+    const requested = parseInt(points);
+
+    if (!customerId) {
+      throw new AppError('Informe o cliente para resgatar pontos de fidelidade.', 400);
+    }
+
+    if (!Number.isInteger(requested) || requested < minRedeemPoints) {
+      const error = new AppError(`O resgate mínimo é de ${minRedeemPoints} pontos.`, 400);
+      error.code = 'LOYALTY_MIN_REDEEM';
+      throw error;
+    }
+
+    const customer = await Customer.findOne({
+      where: { id: customerId, userId },
+      lock: transaction ? transaction.LOCK.UPDATE : undefined,
+      transaction
+    });
+
+    if (!customer) {
+      throw new AppError('Cliente não encontrado.', 404);
+    }
+
+    if (requested > customer.loyaltyPoints) {
+      const error = new AppError(`Pontos insuficientes. Disponível: ${customer.loyaltyPoints}`, 400);
+      error.code = 'LOYALTY_INSUFFICIENT_POINTS';
+      error.details = { available: customer.loyaltyPoints, requested };
+      throw error;
+    }
+
+    return {
+      customer,
+      points: requested,
+      discount: LoyaltyMovement.getPointsValue(requested)
+    };
+  }
+
+  // Conferir o limite percentual do resgate sobre o valor da venda já precificada
+  assertRedemptionLimit(pricing, points) {
+    // Valor da venda antes do desconto de pontos (sem impostos), na moeda base
+    const baseAmount = (pricing.subtotal - pricing.discount + pricing.loyaltyDiscount) * (pricing.exchangeRate || 1);
+    const maxPoints = LoyaltyMovement.getMaxRedeemablePoints(baseAmount);
+
+    if (points > maxPoints) {
+      const error = new AppError(`Resgate acima do limite de ${LoyaltyMovement.SETTINGS.maxRedeemPercent}% da venda. Máximo: ${maxPoints} pontos`, 400);
+      error.code = 'LOYALTY_REDEEM_LIMIT';
+      error.details = { maxPoints, requested: points };
+      throw error;
+    }
+  }
+
+  // Debitar os pontos resgatados na venda
+  async redeem(customer, points, context) {
+    const { sale, userId, transaction } = context;
+    const { consumed, firstExpiry } = await consumeLots(customer.id, points, transaction);
+
+    if (consumed < points) {
+      const error = new AppError(`Pontos insuficientes. Disponível: ${consumed}`, 400);
+      error.code = 'LOYALTY_INSUFFICIENT_POINTS';
+      throw error;
+    }
+
+    // expiresAt do resgate guarda a validade mais próxima dos lotes usados (usada se os pontos forem devolvidos)
+    return applyMovement(customer, 'redeem', -points, {
+      userId,
+      saleId: sale.id,
+      expiresAt: firstExpiry,
+      description: `Resgate na venda ${sale.saleNumber}`
+    }, transaction);
+  }
+
+  // Creditar os pontos de uma venda concluída com o multiplicador da classificação do cliente
+  // Deve ser chamado antes de somar a venda ao total de compras (classificação no momento da compra)
+  async earn(sale, customer, context) {
+    const { userId, transaction } = context;
+    const multiplier = customer.getLoyaltyMultiplier();
+    const points = LoyaltyMovement.calculateEarnedPoints(sale.baseTotal ?? sale.total, multiplier);
+
+    if (points <= 0) return null;
+
+    const movement = await applyMovement(customer, 'earn', points, {
+      userId,
+      saleId: sale.id,
+      remaining: points,
+      expiresAt: LoyaltyMovement.getDefaultExpiry(),
+      description: `Venda ${sale.saleNumber} (${customer.getClassification()} x${multiplier})`
+    }, transaction);
+
+    sale.loyaltyPointsEarned = points;
+    return movement;
+  }
+
+  // Estornar pontos de uma venda reembolsada ou cancelada
+  // share = fração acumulada da venda devolvida (1 = cancelamento ou reembolso total)
+  async reverseSale(sale, context) {
+    const { share = 1, userId, reason, transaction } = context;
+    const earned = sale.loyaltyPointsEarned || 0;
+    const redeemed = sale.loyaltyPointsRedeemed || 0;
+
+    if (!sale.customerId || (earned === 0 && redeemed === 0)) {
+      return { reversed: 0, restored: 0 };
+    }
+
+    const customer = await Customer.findByPk(sale.customerId, {
+      lock: transaction.LOCK.UPDATE,
+      transaction
+    });
+    if (!customer) return { reversed: 0, restored: 0 };
+
+    const ratio = Math.min(1, Math.max(0, share));
+    const description = `${ratio >= 1 ? 'Estorno' : 'Estorno parcial'} venda ${sale.saleNumber}${reason ? `: ${reason}` : ''}`;
+
+    // Pontos ganhos: retira do lote da venda e, se já usados, dos demais lotes (até zerar o saldo)
+    const toReverse = Math.round(earned * ratio) - await sumSalePoints(sale.id, 'reversal', transaction);
+    let reversed = 0;
+
+    if (toReverse > 0) {
+      ({ consumed: reversed } = await consumeLots(customer.id, Math.min(toReverse, customer.loyaltyPoints), transaction, sale.id));
+
+      if (reversed > 0) {
+        await applyMovement(customer, 'reversal', -reversed, {
+          userId,
+          saleId: sale.id,
+          description
+        }, transaction);
+      }
+    }
+
+    // Pontos resgatados: voltam ao cliente com a validade original do resgate
+    const toRestore = Math.round(redeemed * ratio) - await sumSalePoints(sale.id, 'restore', transaction);
+
+    if (toRestore > 0) {
+      const redemption = await LoyaltyMovement.findOne({
+        where: { saleId: sale.id, type: 'redeem' },
+        transaction
+      });
+
+      await applyMovement(customer, 'restore', toRestore, {
+        userId,
+        saleId: sale.id,
+        remaining: toRestore,
+        expiresAt: redemption?.expiresAt || LoyaltyMovement.getDefaultExpiry(),
+        description
+      }, transaction);
+    }
+
+    return { reversed, restored: Math.max(0, toRestore) };
+  }
+
+  // Zerar os lotes de pontos vencidos (job periódico)
+  async expirePoints(now = new Date()) {
+    const transaction = await sequelize.transaction();
+
+    try {
+      const lots = await LoyaltyMovement.findAll({
+        where: {
+          type: { [Op.in]: ['earn', 'restore'] },
+          remaining: { [Op.gt]: 0 },
+          expiresAt: { [Op.lte]: now }
+        },
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+
+      const byCustomer = new Map();
+      for (const lot of lots) {
+        byCustomer.set(lot.customerId, (byCustomer.get(lot.customerId) || 0) + lot.remaining);
+        lot.remaining = 0;
+        await lot.save({ transaction });
+      }
+
+      for (const [customerId, points] of byCustomer) {
+        const customer = await Customer.findByPk(customerId, {
+          lock: transaction.LOCK.UPDATE,
+          transaction
+        });
+        if (!customer) continue;
+
+        await applyMovement(customer, 'expire', -Math.min(points, customer.loyaltyPoints), {
+          description: 'Pontos vencidos'
+        }, transaction);
+      }
+
+      await transaction.commit();
+      return lots.length;
+
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+
+  // Saldo, classificação e extrato paginado de pontos do cliente
+  async getHistory(customer, options = {}) {
+    const { page = 1, limit = 20, now = new Date() } = options;
+
+    const { count, rows: movements } = await LoyaltyMovement.findAndCountAll({
+      where: { customerId: customer.id },
+      order: [['createdAt', 'DESC']],
+      limit: parseInt(limit),
+      offset: (parseInt(page) - 1) * parseInt(limit)
+    });
+
+    const nextExpiring = await LoyaltyMovement.findOne({
+      where: {
+        customerId: customer.id,
+        type: { [Op.in]: ['earn', 'restore'] },
+        remaining: { [Op.gt]: 0 },
+        expiresAt: { [Op.gt]: now }
+      },
+      order: [['expiresAt', 'ASC']]
+    });
+
+    return {
+      balance: customer.loyaltyPoints,
+      balanceValue: LoyaltyMovement.getPointsValue(customer.loyaltyPoints),
+      classification: customer.getClassification(),
+      multiplier: customer.getLoyaltyMultiplier(),
+      nextExpiry: nextExpiring
+        ? { points: nextExpiring.remaining, expiresAt: nextExpiring.expiresAt }
+        : null,
+      movements,
+      pagination: {
+        total: count,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(count / parseInt(limit))
+      }
+    };
+  }
+}
+
+module.exports = new LoyaltyService();
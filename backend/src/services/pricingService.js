@@ -0,0 +1,329 @@
+const Product = require('../models/Product');
+const ProductVariant = require('../models/ProductVariant');
+const ProductModifier = require('../models/ProductModifier');
+const Promotion = require('../models/Promotion');
+const currencyService = require('./currencyService');
+const { AppError } = require('../middleware/errorHandler');
+const Helpers = require('../utils/helpers');
+
+const toCents = value => Math.round(parseFloat(value || 0) * 100);
+const fromCents = cents => cents / 100;
+
+class PricingService {
+  // Carregar promoções automáticas vigentes e o cupom informado
+  async loadPromotions(userId, options = {}) {
+    const { couponCode, transaction, now = new Date() } = options;
+
+    const promotions = (await Promotion.findActive(userId, { now, transaction }))
+      .filter(promotion => promotion.isAvailable(now));
+
+    if (couponCode) {
+      const coupon = await Promotion.findOne({
+        where: { userId, couponCode: couponCode.trim().toUpperCase() },
+        lock: transaction ? transaction.LOCK.UPDATE : undefined,
+        transaction
+      });
+
+      if (!coupon || !coupon.isAvailable(now)) {
+        const exhausted = coupon && coupon.usageLimit && coupon.usageCount >= coupon.usageLimit;
+        throw new AppError(exhausted ? 'Cupom esgotado.' : 'Cupom inválido ou expirado.', 400);
+      }
+
+      promotions.push(coupon);
+    }
+
+    return promotions.sort((a, b) => b.priority - a.priority);
+  }
+
+  // Calcular descontos, impostos e totais de cada item (valores em centavos internamente)
+  // Promoções por item são aplicadas primeiro; promoções da venda são rateadas no valor restante
+  // loyaltyDiscount = valor dos pontos de fidelidade resgatados, rateado por último (acumula com promoções)
+  // amountFactor converte valores fixos da moeda base (promoções e pontos) para a moeda da venda
+  calculate(items, promotions = [], options = {}) {
+    const { amountFactor = 1 } = options;
+    const fromBase = value => Math.round(toCents(value) * amountFactor);
+
+    const lines = items.map(item => ({
+      ...item,
+      subtotalCents: Math.round(parseFloat(item.price) * item.quantity * 100),
+      discountCents: 0,
+      promotions: []
+    }));
+
+    const cartSubtotalCents = lines.reduce((sum, line) => sum + line.subtotalCents, 0);
+    const remaining = line => line.subtotalCents - line.discountCents;
+
+    // Promoções não cumulativas não se combinam com outras no mesmo item
+    const canStack = (line, promotion) => line.promotions.length === 0 ||
+      (promotion.stackable && line.promotions.every(applied => applied.stackable));
+
+    const applyTo = (line, promotion, cents) => {
+      if (cents <= 0) return;
+      line.discountCents += cents;
+      line.promotions.push({
+        promotionId: promotion.id,
+        name: promotion.name,
+        type: promotion.type,
+        couponCode: promotion.couponCode || null,
+        stackable: promotion.stackable,
+        discount: cents
+      });
+    };
+
+    const eligible = promotions.filter(promotion =>
+      cartSubtotalCents >= fromBase(promotion.minPurchase));
+
+    // Promoções por item (produtos, categoria e leve X pague Y)
+    eligible
+      .filter(promotion => promotion.scope !== 'order' || promotion.type === 'buy_x_get_y')
+      .forEach(promotion => {
+        lines
+          .filter(line => promotion.appliesTo(line) && canStack(line, promotion))
+          .forEach(line => {
+            let cents = 0;
+
+            if (promotion.type === 'percentage') {
+              cents = Math.round(remaining(line) * parseFloat(promotion.value) / 100);
+            } else if (promotion.type === 'fixed') {
+              cents = Math.round(fromBase(promotion.value) * line.quantity);
+            } else if (promotion.type === 'buy_x_get_y') {
+              const groupSize = promotion.buyQuantity + promotion.getQuantity;
+              const freeUnits = Math.floor(line.quantity / groupSize) * promotion.getQuantity;
+              cents = toCents(line.price) * freeUnits;
+            }
+
+            applyTo(line, promotion, Math.min(cents, remaining(line)));
+          });
+      });
+
+    // Promoções da venda inteira (rateadas proporcionalmente entre os itens)
+    eligible
+      .filter(promotion => promotion.scope === 'order' && promotion.type !== 'buy_x_get_y')
+      .forEach(promotion => {
+        const targets = lines.filter(line => canStack(line, promotion) && remaining(line) > 0);
+        const baseCents = targets.reduce((sum, line) => sum + remaining(line), 0);
+        if (baseCents === 0) return;
+
+        const totalCents = Math.min(baseCents, promotion.type === 'percentage'
+          ? Math.round(baseCents * parseFloat(promotion.value) / 100)
+          : fromBase(promotion.value));
+
+        let allocated = 0;
+        targets.forEach((line, index) => {
+          const share = index === targets.length - 1
+            ? totalCents - allocated
+            : Math.floor(totalCents * remaining(line) / baseCents);
+          allocated += share;
+          applyTo(line, promotion, share);
+        });
+      });
+
+    // Resgate de pontos de fidelidade: limitado ao valor restante da venda
+    const loyaltyBaseCents = lines.reduce((sum, line) => sum + remaining(line), 0);
+    const loyaltyCents = Math.min(fromBase(options.loyaltyDiscount), loyaltyBaseCents);
+    let loyaltyAllocated = 0;
+    lines.filter(line => remaining(line) > 0).forEach((line, index, targets) => {
+      const share = index === targets.length - 1
+        ? loyaltyCents - loyaltyAllocated
+        : Math.floor(loyaltyCents * remaining(line) / loyaltyBaseCents);
+      loyaltyAllocated += share;
+      line.discountCents += share;
+      if (share > 0) line.loyaltyDiscountCents = share;
+    });
+
+    // Impostos sobre o valor líquido de cada item
+    const priced = lines.map(line => {
+      const netCents = line.subtotalCents - line.discountCents;
+      const taxCents = Math.round(netCents * parseFloat(line.taxRate || 0) / 100);
+      const { subtotalCents, discountCents, loyaltyDiscountCents, ...item } = line;
+
+      return {
+        ...item,
+        subtotal: fromCents(subtotalCents),
+        discount: fromCents(discountCents),
+        ...(loyaltyDiscountCents && { loyaltyDiscount: fromCents(loyaltyDiscountCents) }),
+        tax: fromCents(taxCents),
+        total: fromCents(netCents + taxCents),
+        promotions: line.promotions.map(({ stackable, ...applied }) => ({
+          ...applied,
+          discount: fromCents(applied.discount)
+        }))
+      };
+    });
+
+    // Resumo das promoções aplicadas na venda
+    const applied = {};
+    lines.forEach(line => line.promotions.forEach(promotion => {
+      if (!applied[promotion.promotionId]) {
+        applied[promotion.promotionId] = {
+          promotionId: promotion.promotionId,
+          name: promotion.name,
+          couponCode: promotion.couponCode,
+          discount: 0
+        };
+      }
+      applied[promotion.promotionId].discount += promotion.discount;
+    }));
+
+    const sum = field => Math.round(priced.reduce((total, line) => total + line[field] * 100, 0)) / 100;
+
+    return {
+      items: priced,
+      subtotal: sum('subtotal'),
+      discount: sum('discount'),
+      tax: sum('tax'),
+      total: sum('total'),
+      loyaltyDiscount: fromCents(loyaltyCents),
+      appliedPromotions: Object.values(applied).map(promotion => ({
+        ...promotion,
+        discount: fromCents(promotion.discount)
+      }))
+    };
+  }
+
+  // Precificar itens do carrinho com produtos, promoções e cupom do usuário
+  // Itens podem indicar a variação (variantId) e adicionais (modifiers: [{ modifierId, quantity }])
+  // currency = moeda da venda (padrão: moeda base); preços em outra moeda são convertidos pelas cotações vigentes
+  async priceItems(userId, items, options = {}) {
+    const { couponCode, loyaltyDiscount, currency, transaction, lock = false } = options;
+    const rowLock = lock && transaction ? transaction.LOCK.UPDATE : undefined;
+
+    const products = [];
+    const variants = [];
+    for (const item of items) {
+      const product = await Product.findOne({
+        where: { id: item.productId, userId },
+        lock: rowLock,
+        transaction
+      });
+
+      if (!product) {
+        throw new AppError(`Produto não encontrado: ${item.productId}`, 404);
+      }
+
+      let variant = null;
+      if (item.variantId) {
+        variant = await ProductVariant.findOne({
+          where: { id: item.variantId, productId: product.id, isActive: true },
+          lock: rowLock,
+          transaction
+        });
+
+        if (!variant) {
+          throw new AppError(`Variação não encontrada para ${product.name}: ${item.variantId}`, 404);
+        }
+      } else if (product.hasVariants) {
+        throw new AppError(`Selecione a variação de ${product.name}.`, 400);
+      }
+
+      // Quantidade fracionada apenas para produtos vendidos por peso ou medida
+      const quantity = Helpers.roundQuantity(item.quantity);
+      if (quantity <= 0) {
+        throw new AppError(`Quantidade inválida para ${product.name}.`, 400);
+      }
+      if (!Number.isInteger(quantity) && !product.allowsFractionalQuantity()) {
+        throw new AppError(`${product.name} é vendido por unidade: informe uma quantidade inteira.`, 400);
+      }
+
+      products.push(product);
+      variants.push(variant);
+    }
+
+    // Cotação de cada moeda para a moeda base; preço convertido = preço x cotação do produto / cotação da venda
+    const saleCurrency = await currencyService.resolve(userId, currency, { transaction });
+    const rates = { [saleCurrency.currency]: saleCurrency.exchangeRate };
+    for (const product of products) {
+      if (product.currency && rates[product.currency] === undefined) {
+        rates[product.currency] = (await currencyService.resolve(userId, product.currency, { transaction })).exchangeRate;
+      }
+    }
+    const convert = (value, product) =>
+      fromCents(Math.round(toCents(value) * (rates[product.currency] ?? 1) / saleCurrency.exchangeRate));
+
+    const modifierIds = items.flatMap(item => (item.modifiers || []).map(selected => selected.modifierId));
+    const modifiers = modifierIds.length > 0
+      ? await ProductModifier.findAll({
+        where: { id: modifierIds, isActive: true },
+        transaction
+      })
+      : [];
+
+    const lines = items.map((item, index) => {
+      const product = products[index];
+      const variant = variants[index];
+
+      // Adicionais somam ao preço unitário do item
+      const selectedModifiers = (item.modifiers || []).map(selected => {
+        const modifier = modifiers.find(candidate =>
+          candidate.id === selected.modifierId && candidate.productId === product.id);
+
+        if (!modifier) {
+          throw new AppError(`Adicional não disponível para ${product.name}: ${selected.modifierId}`, 400);
+        }
+
+        const quantity = selected.quantity || 1;
+        if (quantity > modifier.maxQuantity) {
+          throw new AppError(`Quantidade máxima de ${modifier.name}: ${modifier.maxQuantity}`, 400);
+        }
+
+        return {
+          modifierId: modifier.id,
+          name: modifier.name,
+          price: convert(modifier.price, product),
+          quantity
+        };
+      });
+
+      const basePrice = convert(variant ? variant.getPrice(product) : product.price, product);
+      const modifiersCents = selectedModifiers.reduce((sum, modifier) =>
+        sum + toCents(modifier.price) * modifier.quantity, 0);
+
+      return {
+        productId: product.id,
+        ...(variant && { variantId: variant.id, variantName: variant.name }),
+        sku: variant ? variant.sku : product.sku,
+        name: variant ? `${product.name} (${variant.name})` : product.name,
+        category: product.category,
+        price: fromCents(toCents(basePrice) + modifiersCents),
+        quantity: Helpers.roundQuantity(item.quantity),
+        unit: product.unit,
+        taxRate: parseFloat(product.taxRate || 0),
+        ...(selectedModifiers.length > 0 && { modifiers: selectedModifiers })
+      };
+    });
+
+    const promotions = await this.loadPromotions(userId, { couponCode, transaction });
+    const pricing = this.calculate(lines, promotions, {
+      loyaltyDiscount,
+      amountFactor: 1 / saleCurrency.exchangeRate
+    });
+
+    const couponApplied = !couponCode || pricing.appliedPromotions.some(promotion =>
+      promotion.couponCode === couponCode.trim().toUpperCase());
+
+    return {
+      ...pricing,
+      currency: saleCurrency.currency,
+      baseCurrency: saleCurrency.baseCurrency,
+      exchangeRate: saleCurrency.exchangeRate,
+      products,
+      variants,
+      couponCode: couponCode ? couponCode.trim().toUpperCase() : null,
+      couponApplied
+    };
+  }
+
+  // Registrar o uso das promoções aplicadas em uma venda
+  async registerUsage(appliedPromotions, transaction) {
+    const ids = appliedPromotions.map(promotion => promotion.promotionId);
+    if (ids.length === 0) return;
+
+    await Promotion.increment('usageCount', {
+      by: 1,
+      where: { id: ids },
+      transaction
+    });
+  }
+}
+
+module.exports = new PricingService();
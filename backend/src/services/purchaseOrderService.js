@@ -0,0 +1,484 @@
+const PurchaseOrder = require('../models/PurchaseOrder');
+const PurchaseOrderItem = require('../models/PurchaseOrderItem');
+const GoodsReceipt = require('../models/GoodsReceipt');
+const Supplier = require('../models/Supplier');
+const Product = require('../models/Product');
+const ProductVariant = require('../models/ProductVariant');
+const Inventory = require('../models/Inventory');
+const Transaction = require('../models/Transaction');
+const stockLedgerService = require('./stockLedgerService');
+const supplierService = require('./supplierService');
+const { sequelize } = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+const Helpers = require('../utils/helpers');
+const { Op } = require('sequelize');
+
+const round = value => Math.round(value * 100) / 100;
+
+function purchaseError(message, code, details) {
+  const error = new AppError(message, 400);
+  error.code = code;
+  error.details = details;
+  return error;
+}
+
+// Linhas do pedido a partir dos produtos da empresa (nome, SKU e custo previsto no momento do pedido)
+// Sem custo informado, vale o último preço pago ao fornecedor e depois o custo do produto
+async function buildItems(userId, items, supplierId, transaction) {
+  const productIds = [...new Set(items.map(item => item.productId))];
+  const products = await Product.findAll({
+    where: { id: { [Op.in]: productIds }, userId },
+    include: [{ model: ProductVariant, as: 'variants' }],
+    transaction
+  });
+  const links = supplierId
+    ? await supplierService.findProductLinks(supplierId, productIds, { transaction })
+    : [];
+
+  return items.map(item => {
+    const product = products.find(candidate => candidate.id === item.productId);
+    if (!product) {
+      throw new AppError(`Produto ${item.productId} não encontrado.`, 404);
+    }
+
+    const variant = item.variantId
+      ? product.variants.find(candidate => candidate.id === item.variantId)
+      : null;
+
+    if (item.variantId && !variant) {
+      throw new AppError(`Variação do produto ${product.name} não encontrada.`, 404);
+    }
+
+    if (product.hasVariants && !variant) {
+      throw purchaseError(`Informe a variação de ${product.name}.`, 'VARIANT_REQUIRED', { productId: product.id });
+    }
+
+    const link = links.find(candidate => candidate.productId === product.id && candidate.variantId === (variant?.id || null));
+    const lastPrice = link?.lastPurchasePrice != null ? parseFloat(link.lastPurchasePrice) : null;
+
+    const quantity = Helpers.roundQuantity(item.quantity);
+    const unitCost = round(item.unitCost ?? lastPrice ?? (variant ? variant.getCost(product) : parseFloat(product.cost)));
+
+    return {
+      productId: product.id,
+      variantId: variant?.id || null,
+      productName: variant ? `${product.name} - ${variant.name}` : product.name,
+      sku: variant?.sku || product.sku,
+      quantity,
+      unitCost,
+      total: round(quantity * unitCost)
+    };
+  });
+}
+
+// Buscar o pedido da empresa bloqueado para alteração
+async function findOrderForUpdate(userId, id, transaction) {
+  const order = await PurchaseOrder.findOne({
+    where: { id, userId },
+    lock: transaction.LOCK.UPDATE,
+    transaction
+  });
+
+  if (!order) {
+    throw new AppError('Pedido de compra não encontrado.', 404);
+  }
+
+  return order;
+}
+
+// Custo médio ponderado e data de reposição do local que recebeu a mercadoria
+async function updateLocationCost(movement, unitCost, transaction) {
+  const row = await Inventory.findByPk(movement.inventoryId, { transaction });
+  if (!row) return;
+
+  const previousQuantity = Helpers.roundQuantity(row.quantity - movement.quantity);
+  row.cost = Inventory.getWeightedAverageCost(previousQuantity, row.cost, movement.quantity, unitCost);
+  row.lastRestock = new Date();
+  await row.save({ transaction });
+}
+
+class PurchaseOrderService {
+  // Criar pedido em rascunho
+  async createOrder(userId, data) {
+    const transaction = await sequelize.transaction();
+
+    try {
+      const supplier = data.supplierId
+        ? await supplierService.findActiveSupplier(userId, data.supplierId, { transaction })
+        : null;
+      const items = await buildItems(userId, data.items, supplier?.id, transaction);
+
+      const order = await PurchaseOrder.create({
+        userId,
+        supplierId: supplier?.id || null,
+        supplierName: data.supplierName || supplier?.tradeName || supplier?.name,
+        location: data.location || null,
+        expectedDate: data.expectedDate || null,
+        total: round(items.reduce((sum, item) => sum + item.total, 0)),
+        notes: data.notes || null
+      }, { transaction });
+
+      await PurchaseOrderItem.bulkCreate(items.map(item => ({
+        ...item,
+        purchaseOrderId: order.id
+      })), { transaction });
+
+      await transaction.commit();
+      return this.getOrder(userId, order.id);
+
+    } catch (error) {
+      if (!transaction.finished) await transaction.rollback();
+      throw error;
+    }
+  }
+
+  // Editar pedido (somente em rascunho; as linhas informadas substituem as atuais)
+  async updateOrder(userId, id, data) {
+    const transaction = await sequelize.transaction();
+
+    try {
+      const order = await findOrderForUpdate(userId, id, transaction);
+
+      if (order.status !== 'draft') {
+        throw purchaseError('Somente pedidos em rascunho podem ser editados.', 'PURCHASE_ORDER_LOCKED', { status: order.status });
+      }
+
+      const fields = ['supplierName', 'location', 'expectedDate', 'notes'];
+      for (const field of fields) {
+        if (data[field] !== undefined) order[field] = data[field];
+      }
+
+      if (data.supplierId !== undefined && data.supplierId !== order.supplierId) {
+        const supplier = data.supplierId
+          ? await supplierService.findActiveSupplier(userId, data.supplierId, { transaction })
+          : null;
+
+        order.supplierId = supplier?.id || null;
+        if (supplier && data.supplierName === undefined) {
+          order.supplierName = supplier.tradeName || supplier.name;
+        }
+      }
+
+      if (Array.isArray(data.items)) {
+        const items = await buildItems(userId, data.items, order.supplierId, transaction);
+
+        await PurchaseOrderItem.destroy({ where: { purchaseOrderId: order.id }, transaction });
+        await PurchaseOrderItem.bulkCreate(items.map(item => ({
+          ...item,
+          purchaseOrderId: order.id
+        })), { transaction });
+
+        order.total = round(items.reduce((sum, item) => sum + item.total, 0));
+      }
+
+      await order.save({ transaction });
+      await transaction.commit();
+      return this.getOrder(userId, order.id);
+
+    } catch (error) {
+      if (!transaction.finished) await transaction.rollback();
+      throw error;
+    }
+  }
+
+  // Enviar pedido ao fornecedor (passa a aceitar recebimentos)
+  async placeOrder(userId, id) {
+    const transaction = await sequelize.transaction();
+
+    try {
+      const order = await findOrderForUpdate(userId, id, transaction);
+
+      if (order.status !== 'draft') {
+        throw purchaseError('O pedido já foi enviado ao fornecedor.', 'PURCHASE_ORDER_LOCKED', { status: order.status });
+      }
+
+      order.status = 'ordered';
+      order.orderedAt = new Date();
+
+      // Sem data prevista, a entrega é esperada no prazo do fornecedor
+      if (!order.expectedDate && order.supplierId) {
+        const supplier = await supplierService.findSupplier(userId, order.supplierId, { transaction });
+        const expected = new Date(order.orderedAt.getTime() + supplier.leadTimeDays * 24 * 60 * 60 * 1000);
+        order.expectedDate = expected.toISOString().slice(0, 10);
+      }
+
+      await order.save({ transaction });
+
+      await transaction.commit();
+      return order;
+
+    } catch (error) {
+      if (!transaction.finished) await transaction.rollback();
+      throw error;
+    }
+  }
+
+  // Cancelar pedido ainda sem recebimentos
+  async cancelOrder(userId, id, reason) {
+    const transaction = await sequelize.transaction();
+
+    try {
+      const order = await findOrderForUpdate(userId, id, transaction);
+
+      if (!['draft', 'ordered'].includes(order.status)) {
+        throw purchaseError('Pedidos com mercadoria recebida não podem ser cancelados.', 'PURCHASE_ORDER_LOCKED', { status: order.status });
+      }
+
+      order.status = 'cancelled';
+      order.cancelledAt = new Date();
+      order.cancelReason = reason;
+      await order.save({ transaction });
+
+      await transaction.commit();
+      return order;
+
+    } catch (error) {
+      if (!transaction.finished) await transaction.rollback();
+      throw error;
+    }
+  }
+
+  // Receber mercadoria (total ou parcial): entrada no livro de estoque, custo médio do local e saldo do pedido
+  // data.items = [{ itemId, quantity, unitCost?, lotNumber?, expiryDate?, manufactureDate? }]
+  // sem unitCost vale o custo previsto da linha; com lotNumber a quantidade entra no lote
+  async receive(userId, id, data) {
+    const transaction = await sequelize.transaction();
+
+    try {
+      const order = await findOrderForUpdate(userId, id, transaction);
+
+      if (!PurchaseOrder.RECEIVABLE_STATUSES.includes(order.status)) {
+        throw purchaseError('O pedido não está aguardando recebimento.', 'PURCHASE_ORDER_NOT_RECEIVABLE', { status: order.status });
+      }
+
+      const orderItems = await PurchaseOrderItem.findAll({
+        where: { purchaseOrderId: order.id },
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+
+      // A mesma linha do pedido pode vir mais de uma vez (um lote por linha): o pendente vale para a soma
+      const requestedByItem = new Map();
+
+      const lines = data.items.map(line => {
+        const item = orderItems.find(candidate => candidate.id === line.itemId);
+        if (!item) {
+          throw new AppError('Item do pedido não encontrado.', 404);
+        }
+
+        const quantity = Helpers.roundQuantity(line.quantity);
+        const requested = Helpers.roundQuantity((requestedByItem.get(item.id) || 0) + quantity);
+        const pending = item.getPendingQuantity();
+
+        if (requested > pending) {
+          throw purchaseError(`Quantidade acima do pendente para ${item.productName}. Pendente: ${pending}`, 'PURCHASE_OVER_RECEIPT', {
+            itemId: item.id,
+            pending,
+            requested
+          });
+        }
+        requestedByItem.set(item.id, requested);
+
+        const unitCost = round(line.unitCost ?? parseFloat(item.unitCost));
+        return { item, quantity, unitCost, total: round(quantity * unitCost), lot: line };
+      });
+
+      const location = data.location !== undefined ? data.location : order.location;
+
+      const receipt = await GoodsReceipt.create({
+        purchaseOrderId: order.id,
+        userId,
+        location,
+        items: lines.map(({ item, quantity, unitCost, total, lot }) => ({
+          purchaseOrderItemId: item.id,
+          productId: item.productId,
+          variantId: item.variantId,
+          productName: item.productName,
+          quantity,
+          unitCost,
+          total,
+          lotNumber: lot.lotNumber || null,
+          expiryDate: lot.expiryDate || null
+        })),
+        total: round(lines.reduce((sum, line) => sum + line.total, 0)),
+        notes: data.notes || null
+      }, { transaction });
+
+      for (const { item, quantity, unitCost, lot } of lines) {
+        const { movements } = await stockLedgerService.record({
+          productId: item.productId,
+          variantId: item.variantId,
+          userId,
+          type: 'purchase',
+          quantity,
+          unitCost,
+          location,
+          lotNumber: lot.lotNumber,
+          expiryDate: lot.expiryDate,
+          manufactureDate: lot.manufactureDate,
+          referenceId: receipt.id,
+          referenceType: 'goods_receipt',
+          notes: `Pedido ${order.orderNumber} - ${order.supplierName}`
+        }, { transaction });
+
+        for (const movement of movements) {
+          await updateLocationCost(movement, unitCost, transaction);
+        }
+
+        if (order.supplierId) {
+          await supplierService.recordPurchasePrice(order.supplierId, {
+            productId: item.productId,
+            variantId: item.variantId,
+            unitCost
+          }, { receivedAt: receipt.receivedAt, transaction });
+        }
+
+        item.receivedQuantity = Helpers.roundQuantity(item.receivedQuantity + quantity);
+        await item.save({ transaction });
+      }
+
+      order.status = PurchaseOrder.getReceiptStatus(orderItems);
+      order.receivedTotal = round(parseFloat(order.receivedTotal) + parseFloat(receipt.total));
+      if (order.status === 'received') order.receivedAt = new Date();
+      await order.save({ transaction });
+
+      await transaction.commit();
+      return { order: await this.getOrder(userId, order.id), receipt };
+
+    } catch (error) {
+      if (!transaction.finished) await transaction.rollback();
+      throw error;
+    }
+  }
+
+  // Conferir a nota do fornecedor com os recebimentos pendentes e lançar a despesa a pagar
+  // receiptIds limita a conferência a recebimentos específicos (padrão: todos os pendentes)
+  async matchInvoice(userId, id, data) {
+    const transaction = await sequelize.transaction();
+
+    try {
+      const order = await findOrderForUpdate(userId, id, transaction);
+
+      const where = { purchaseOrderId: order.id, status: 'pending' };
+      if (Array.isArray(data.receiptIds) && data.receiptIds.length > 0) {
+        where.id = { [Op.in]: data.receiptIds };
+      }
+
+      const receipts = await GoodsReceipt.findAll({
+        where,
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+
+      if (receipts.length === 0) {
+        throw purchaseError('Não há recebimentos aguardando nota neste pedido.', 'PURCHASE_NOTHING_TO_MATCH');
+      }
+
+      const expected = round(receipts.reduce((sum, receipt) => sum + parseFloat(receipt.total), 0));
+      const match = PurchaseOrder.matchInvoice(expected, round(data.amount));
+
+      if (!match.matched) {
+        throw purchaseError(
+          `Valor da nota diverge do recebido em ${match.difference.toFixed(2)} (tolerância ${match.tolerance.toFixed(2)}).`,
+          'PURCHASE_INVOICE_MISMATCH',
+          match
+        );
+      }
+
+      // Vencimento padrão pelo prazo de pagamento do fornecedor
+      const supplier = order.supplierId
+        ? await supplierService.findSupplier(userId, order.supplierId, { transaction })
+        : null;
+      const paymentTermDays = supplier?.paymentTermDays ?? PurchaseOrder.SETTINGS.paymentTermDays;
+
+      const invoiceDate = data.invoiceDate ? new Date(data.invoiceDate) : new Date();
+      const dueDate = data.dueDate
+        ? new Date(data.dueDate)
+        : new Date(invoiceDate.getTime() + paymentTermDays * 24 * 60 * 60 * 1000);
+
+      const expense = await Transaction.create({
+        userId,
+        date: invoiceDate,
+        description: `NF ${data.invoiceNumber} - ${order.supplierName} (Pedido ${order.orderNumber})`,
+        category: 'Compras',
+        amount: match.invoiced,
+        type: 'expense',
+        status: 'pending',
+        dueDate,
+        referenceId: order.id,
+        referenceType: 'purchase_order',
+        notes: data.notes || null
+      }, { transaction });
+
+      const matchedAt = new Date();
+      for (const receipt of receipts) {
+        receipt.status = 'matched';
+        receipt.invoiceNumber = data.invoiceNumber;
+        receipt.transactionId = expense.id;
+        receipt.matchedAt = matchedAt;
+        await receipt.save({ transaction });
+      }
+
+      order.invoicedTotal = round(parseFloat(order.invoicedTotal) + match.invoiced);
+      await order.save({ transaction });
+
+      await transaction.commit();
+      return { order, receipts, expense, match };
+
+    } catch (error) {
+      if (!transaction.finished) await transaction.rollback();
+      throw error;
+    }
+  }
+
+  // Pedido com linhas e recebimentos
+  async getOrder(userId, id) {
+    const order = await PurchaseOrder.findOne({
+      where: { id, userId },
+      include: [
+        { model: Supplier, as: 'supplier', attributes: ['id', 'name', 'tradeName', 'cnpj', 'leadTimeDays', 'paymentTermDays'] },
+        { model: PurchaseOrderItem, as: 'items', separate: true, order: [['createdAt', 'ASC']] },
+        { model: GoodsReceipt, as: 'receipts', separate: true, order: [['receivedAt', 'ASC']] }
+      ]
+    });
+
+    if (!order) {
+      throw new AppError('Pedido de compra não encontrado.', 404);
+    }
+
+    return order;
+  }
+
+  // Listar pedidos (filtros por situação, fornecedor e período)
+  async listOrders(userId, filters = {}) {
+    const { status, supplierId, startDate, endDate, page = 1, limit = 20 } = filters;
+
+    const where = { userId };
+    if (status) where.status = status;
+    if (supplierId) where.supplierId = supplierId;
+    if (startDate || endDate) {
+      where.createdAt = {};
+      if (startDate) where.createdAt[Op.gte] = new Date(startDate);
+      if (endDate) where.createdAt[Op.lte] = new Date(endDate);
+    }
+
+    const { count, rows: orders } = await PurchaseOrder.findAndCountAll({
+      where,
+      order: [['createdAt', 'DESC']],
+      limit: parseInt(limit),
+      offset: (parseInt(page) - 1) * parseInt(limit)
+    });
+
+    return {
+      orders,
+      pagination: {
+        total: count,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(count / parseInt(limit))
+      }
+    };
+  }
+}
+
+module.exports = new PurchaseOrderService();
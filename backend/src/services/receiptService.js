@@ -0,0 +1,348 @@
+const { loadImage, createCanvas } = require('canvas');
+const PDFDocument = require('pdfkit');
+const Sale = require('../models/Sale');
+const User = require('../models/User');
+const Helpers = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+// Larguras de papel suportadas: colunas da fonte A e pontos por linha da impressora
+const PAPER_WIDTHS = {
+  58: { columns: 32, dots: 384 },
+  80: { columns: 48, dots: 576 }
+};
+
+// Comandos ESC/POS
+const ESC = 0x1b;
+const GS = 0x1d;
+const COMMANDS = {
+  init: [ESC, 0x40],
+  alignLeft: [ESC, 0x61, 0],
+  alignCenter: [ESC, 0x61, 1],
+  boldOn: [ESC, 0x45, 1],
+  boldOff: [ESC, 0x45, 0],
+  doubleSize: [GS, 0x21, 0x11],
+  normalSize: [GS, 0x21, 0x00],
+  cut: [GS, 0x56, 0x42, 0x00],
+  openDrawer: [ESC, 0x70, 0x00, 0x19, 0xfa]
+};
+
+const formatMoney = value => parseFloat(value || 0).toLocaleString('pt-BR', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+});
+
+// Símbolo do real ou código ISO das demais moedas (as fontes da impressora não têm todos os símbolos)
+const currencyLabel = currency => (!currency || currency === 'BRL' ? 'R$' : currency);
+
+// Quantidade com a unidade para itens pesados ou medidos (ex.: 0,455 kg)
+const formatQuantity = item => {
+  if (!item.unit || item.unit === 'un') return String(item.quantity);
+  return `${parseFloat(item.quantity).toLocaleString('pt-BR', { maximumFractionDigits: 3 })} ${item.unit}`;
+};
+
+// Link público do recibo: token assinado com validade (finalidade própria para não valer como login)
+const RECEIPT_LINK_PURPOSE = 'receipt';
+const RECEIPT_LINK_TTL_DAYS = parseInt(process.env.RECEIPT_LINK_TTL_DAYS) || 90;
+const getReceiptLinkSecret = () => process.env.RECEIPT_LINK_SECRET || process.env.JWT_SECRET;
+
+// Texto em ASCII para impressoras sem página de código com acentuação
+const toPrinterText = text => text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^\x20-\x7e\n]/g, '?');
+
+class ReceiptService {
+  // Dados do recibo de uma venda (empresa, itens, totais, pagamentos e link público)
+  async buildReceiptData(sale) {
+    const company = await User.findByPk(sale.userId, {
+      attributes: ['companyName', 'email', 'phone']
+    });
+
+    return {
+      company: {
+        name: company?.companyName || 'BizFlow',
+        email: company?.email,
+        phone: company?.phone
+      },
+      sale: {
+        id: sale.id,
+        number: sale.saleNumber,
+        date: sale.createdAt,
+        location: sale.location,
+        customer: sale.customer?.name || 'Cliente não identificado',
+        items: sale.items,
+        subtotal: sale.subtotal,
+        tax: sale.tax,
+        discount: sale.discount,
+        loyaltyDiscount: sale.loyaltyDiscount,
+        loyaltyPointsRedeemed: sale.loyaltyPointsRedeemed,
+        loyaltyPointsEarned: sale.loyaltyPointsEarned,
+        total: sale.total,
+        currency: sale.currency,
+        paymentMethod: sale.paymentMethod,
+        tenders: sale.tenders,
+        change: sale.changeAmount
+      },
+      publicUrl: this.getPublicUrl(sale),
+      footer: 'Obrigado pela preferência!'
+    };
+  }
+
+  // Token assinado que dá acesso somente leitura ao recibo da venda
+  createPublicToken(sale) {
+    return Helpers.generateJWT(
+      { saleId: sale.id, purpose: RECEIPT_LINK_PURPOSE },
+      getReceiptLinkSecret(),
+      `${RECEIPT_LINK_TTL_DAYS}d`
+    );
+  }
+
+  // Validar o token do link público (null se inválido ou expirado)
+  verifyPublicToken(token) {
+    const payload = Helpers.verifyJWT(token, getReceiptLinkSecret());
+    return payload?.purpose === RECEIPT_LINK_PURPOSE ? payload.saleId : null;
+  }
+
+  // Página pública do recibo no frontend (não exige login)
+  getPublicUrl(sale) {
+    return `${process.env.FRONTEND_URL || 'http://localhost:8080'}/r/${this.createPublicToken(sale)}`;
+  }
+
+  // Configuração da largura do papel (58mm ou 80mm)
+  getPaper(paperWidth = 80) {
+    const paper = PAPER_WIDTHS[paperWidth];
+    if (!paper) {
+      throw new Error(`Largura de papel não suportada: ${paperWidth}mm`);
+    }
+    return paper;
+  }
+
+  // Conteúdo codificado no QR code do recibo: o link público, ou os dados da venda sem link
+  getQRCodeContent(receipt) {
+    if (receipt.publicUrl) return receipt.publicUrl;
+
+    return JSON.stringify({
+      id: receipt.sale.id,
+      number: receipt.sale.number,
+      date: receipt.sale.date,
+      total: parseFloat(receipt.sale.total)
+    });
+  }
+
+  // Montar as linhas do recibo, independentes do formato de saída
+  buildLines(receipt, columns) {
+    const { company, sale } = receipt;
+    const lines = [];
+    const divider = '-'.repeat(columns);
+
+    const add = (text, style = {}) => lines.push({ text, ...style });
+    const pair = (left, right, style = {}) => {
+      const space = Math.max(1, columns - left.length - right.length);
+      add(`${left}${' '.repeat(space)}${right}`.slice(0, columns), style);
+    };
+    const wrap = (text, indent = '') => {
+      const words = String(text).split(/\s+/);
+      let current = '';
+      words.forEach(word => {
+        if (current && (current + ' ' + word).length > columns) {
+          add(current);
+          current = indent + word;
+        } else {
+          current = current ? `${current} ${word}` : word;
+        }
+      });
+      if (current) add(current);
+    };
+
+    // Cabeçalho da loja
+    add(company.name, { align: 'center', bold: true, double: true });
+    if (company.phone) add(`Tel: ${company.phone}`, { align: 'center' });
+    if (company.email) add(company.email, { align: 'center' });
+    if (sale.location) add(sale.location, { align: 'center' });
+    add(divider);
+    add(`Venda: ${sale.number}`);
+    add(`Data: ${new Date(sale.date).toLocaleString('pt-BR')}`);
+    add(`Cliente: ${sale.customer}`);
+    add(divider);
+
+    // Itens
+    (sale.items || []).forEach(item => {
+      const subtotal = parseFloat(item.subtotal ?? item.price * item.quantity);
+      wrap(item.name);
+      pair(`  ${formatQuantity(item)} x ${formatMoney(item.price)}`, formatMoney(subtotal));
+
+      if (parseFloat(item.discount) > 0) {
+        pair('  Desconto', `-${formatMoney(item.discount)}`);
+      }
+    });
+    add(divider);
+
+    // Totais e impostos
+    pair('Subtotal', formatMoney(sale.subtotal));
+    if (parseFloat(sale.discount) > 0) {
+      pair('Descontos', `-${formatMoney(sale.discount)}`);
+    }
+    if (sale.loyaltyPointsRedeemed > 0) {
+      pair(`  Pontos resgatados (${sale.loyaltyPointsRedeemed})`, `-${formatMoney(sale.loyaltyDiscount)}`);
+    }
+    pair('Impostos', formatMoney(sale.tax));
+    pair('TOTAL', `${currencyLabel(sale.currency)} ${formatMoney(sale.total)}`, { bold: true });
+    add(divider);
+
+    // Formas de pagamento
+    const tenders = sale.tenders && sale.tenders.length > 0
+      ? sale.tenders
+      : [{ method: sale.paymentMethod, tendered: sale.total, amount: sale.total }];
+
+    tenders.forEach(tender => {
+      pair(Sale.PAYMENT_METHOD_LABELS[tender.method] || tender.method, formatMoney(tender.tendered ?? tender.amount));
+    });
+    if (parseFloat(sale.change) > 0) {
+      pair('Troco', formatMoney(sale.change));
+    }
+    add(divider);
+
+    if (sale.loyaltyPointsEarned > 0) {
+      add(`Pontos ganhos nesta compra: ${sale.loyaltyPointsEarned}`, { align: 'center' });
+    }
+
+    add(receipt.footer, { align: 'center' });
+    if (receipt.publicUrl) add('Consulte seu recibo pelo QR code', { align: 'center' });
+
+    return lines;
+  }
+
+  // Recibo em texto puro (fallback para impressoras sem ESC/POS e pré-visualização)
+  renderText(receipt, options = {}) {
+    const { columns } = this.getPaper(options.paperWidth);
+
+    return this.buildLines(receipt, columns)
+      .map(line => {
+        if (line.align !== 'center') return line.text;
+        const padding = Math.max(0, Math.floor((columns - line.text.length) / 2));
+        return ' '.repeat(padding) + line.text;
+      })
+      .join('\n') + '\n';
+  }
+
+  // Recibo em ESC/POS para impressoras térmicas de 58mm ou 80mm
+  async renderEscPos(receipt, options = {}) {
+    const { cut = true, openDrawer = false, qrCode = true } = options;
+    const paper = this.getPaper(options.paperWidth);
+    const chunks = [Buffer.from(COMMANDS.init)];
+    const push = (...commands) => commands.forEach(command => chunks.push(Buffer.from(command)));
+
+    this.buildLines(receipt, paper.columns).forEach(line => {
+      push(line.align === 'center' ? COMMANDS.alignCenter : COMMANDS.alignLeft);
+      if (line.bold) push(COMMANDS.boldOn);
+      if (line.double) push(COMMANDS.doubleSize);
+
+      chunks.push(Buffer.from(`${toPrinterText(line.text)}\n`, 'ascii'));
+
+      if (line.double) push(COMMANDS.normalSize);
+      if (line.bold) push(COMMANDS.boldOff);
+    });
+
+    if (qrCode) {
+      const raster = await this.buildQRCodeRaster(this.getQRCodeContent(receipt), paper.dots / 2);
+      if (raster) {
+        push(COMMANDS.alignCenter);
+        chunks.push(raster, Buffer.from('\n'));
+        push(COMMANDS.alignLeft);
+      }
+    }
+
+    chunks.push(Buffer.from('\n\n\n'));
+    if (openDrawer) push(COMMANDS.openDrawer);
+    if (cut) push(COMMANDS.cut);
+
+    return Buffer.concat(chunks);
+  }
+
+  // Recibo em PDF (mesmo layout do cupom, em página de 80mm) para download pelo cliente
+  async renderPdf(receipt) {
+    const { columns } = this.getPaper(80);
+    const lines = this.buildLines(receipt, columns);
+    const fontSize = 7;
+    const margin = 12;
+    const qrSize = 120;
+    const width = 226.77; // 80mm
+    const sizeOf = line => (line.double ? fontSize * 1.4 : fontSize);
+    const qrCode = await Helpers.generateQRCodeDataURL(this.getQRCodeContent(receipt));
+    const textHeight = lines.reduce((sum, line) => sum + sizeOf(line) * 1.35, 0);
+    const height = margin * 2 + textHeight + (qrCode ? qrSize + margin : 0);
+
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ size: [width, height], margin });
+      const chunks = [];
+      let y = margin;
+
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      lines.forEach(line => {
+        doc
+          .font(line.bold ? 'Courier-Bold' : 'Courier')
+          .fontSize(sizeOf(line))
+          .text(line.text, margin, y, {
+            width: width - margin * 2,
+            align: line.align === 'center' ? 'center' : 'left',
+            lineBreak: false
+          });
+        y += sizeOf(line) * 1.35;
+      });
+
+      if (qrCode) {
+        doc.image(Buffer.from(qrCode.split(',')[1], 'base64'), (width - qrSize) / 2, y + margin / 2, {
+          width: qrSize
+        });
+      }
+
+      doc.end();
+    });
+  }
+
+  // Converter o QR code (PNG gerado pelo helper) em imagem raster ESC/POS (GS v 0)
+  async buildQRCodeRaster(content, maxDots) {
+    const dataURL = await Helpers.generateQRCodeDataURL(content);
+    if (!dataURL) return null;
+
+    try {
+      const image = await loadImage(dataURL);
+      const scale = Math.max(1, Math.floor(maxDots / image.width));
+      const width = image.width * scale;
+      const height = image.height * scale;
+
+      const canvas = createCanvas(width, height);
+      const context = canvas.getContext('2d');
+      context.imageSmoothingEnabled = false;
+      context.drawImage(image, 0, 0, width, height);
+
+      const { data } = context.getImageData(0, 0, width, height);
+      const bytesPerRow = Math.ceil(width / 8);
+      const bitmap = Buffer.alloc(bytesPerRow * height);
+
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          const offset = (y * width + x) * 4;
+          const luminance = 0.299 * data[offset] + 0.587 * data[offset + 1] + 0.114 * data[offset + 2];
+          if (data[offset + 3] > 127 && luminance < 128) {
+            bitmap[y * bytesPerRow + (x >> 3)] |= 0x80 >> (x % 8);
+          }
+        }
+      }
+
+      const header = Buffer.from([
+        GS, 0x76, 0x30, 0x00,
+        bytesPerRow & 0xff, (bytesPerRow >> 8) & 0xff,
+        height & 0xff, (height >> 8) & 0xff
+      ]);
+
+      return Buffer.concat([header, bitmap]);
+
+    } catch (error) {
+      logger.error('Erro ao gerar QR code do recibo:', error);
+      return null;
+    }
+  }
+}
+
+module.exports = new ReceiptService();
@@ -0,0 +1,272 @@
+const Inventory = require('../models/Inventory');
+const InventoryMovement = require('../models/InventoryMovement');
+const Product = require('../models/Product');
+const ProductVariant = require('../models/ProductVariant');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const PurchaseOrderItem = require('../models/PurchaseOrderItem');
+const Supplier = require('../models/Supplier');
+const SupplierProduct = require('../models/SupplierProduct');
+const purchaseOrderService = require('./purchaseOrderService');
+const { sequelize } = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+const Helpers = require('../utils/helpers');
+const { Op } = require('sequelize');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Pedidos que ainda vão trazer mercadoria (rascunhos contam para não sugerir em dobro)
+const OPEN_ORDER_STATUSES = ['draft', 'ordered', 'partially_received'];
+
+const sameLocation = (a, b) => (a || null) === (b || null);
+
+// Vendas do período por local e variação (movimentos de venda têm quantidade negativa)
+async function findSales(rowIds, since) {
+  if (rowIds.length === 0) return [];
+
+  const sales = await InventoryMovement.findAll({
+    where: {
+      inventoryId: { [Op.in]: rowIds },
+      type: 'sale',
+      createdAt: { [Op.gte]: since }
+    },
+    attributes: ['inventoryId', 'variantId', [sequelize.fn('SUM', sequelize.col('quantity')), 'total']],
+    group: ['inventoryId', 'variantId'],
+    raw: true
+  });
+
+  return sales.map(sale => ({ ...sale, quantity: -Helpers.roundQuantity(sale.total) }));
+}
+
+// Quantidades pendentes de pedidos de compra em aberto
+async function findOpenOrderLines(userId, productIds) {
+  if (productIds.length === 0) return [];
+
+  const items = await PurchaseOrderItem.findAll({
+    where: { productId: { [Op.in]: productIds } },
+    include: [{
+      model: PurchaseOrder,
+      as: 'purchaseOrder',
+      where: { userId, status: { [Op.in]: OPEN_ORDER_STATUSES } },
+      attributes: ['id', 'location']
+    }]
+  });
+
+  return items.map(item => ({
+    productId: item.productId,
+    variantId: item.variantId,
+    location: item.purchaseOrder.location,
+    pending: item.getPendingQuantity()
+  }));
+}
+
+// Fornecedor de reposição do produto: o principal, o do cadastro do produto ou o único vinculado
+function pickSupplierLink(product, variantId, links) {
+  const candidates = links.filter(link =>
+    link.productId === product.id && (!link.variantId || link.variantId === variantId)
+  );
+
+  return candidates.find(link => link.isPreferred)
+    || candidates.find(link => link.supplierId === product.supplierId)
+    || (candidates.length === 1 ? candidates[0] : null);
+}
+
+class ReplenishmentService {
+  // Sugestões de reposição por produto e local a partir da média diária de vendas
+  // Produtos com variações são sugeridos por variação (o estoque da variação não é separado por local)
+  async getSuggestions(userId, filters = {}) {
+    const { location, productId, supplierId, all = false } = filters;
+    const now = new Date();
+    const days = parseInt(filters.days) || Inventory.REPLENISHMENT.lookbackDays;
+    const since = new Date(now.getTime() - days * DAY);
+
+    const productWhere = { userId, status: 'active' };
+    if (productId) productWhere.id = productId;
+
+    const products = await Product.findAll({
+      where: productWhere,
+      include: [{ model: ProductVariant, as: 'variants', separate: true }]
+    });
+    const productIds = products.map(product => product.id);
+
+    const rows = productIds.length > 0
+      ? await Inventory.findAll({
+        where: { userId, productId: { [Op.in]: productIds } },
+        order: [['createdAt', 'ASC']]
+      })
+      : [];
+
+    const [sales, openLines, links] = await Promise.all([
+      findSales(rows.map(row => row.id), since),
+      findOpenOrderLines(userId, productIds),
+      productIds.length > 0
+        ? SupplierProduct.findAll({
+          where: { productId: { [Op.in]: productIds } },
+          include: [{ model: Supplier, as: 'supplier', where: { userId, status: 'active' } }]
+        })
+        : []
+    ]);
+
+    const suggestions = [];
+
+    const build = (product, variant, row, onHand, sold, minStock, maxStock) => {
+      const link = pickSupplierLink(product, variant?.id || null, links);
+      const supplier = link?.supplier || null;
+      const leadTimeDays = link ? link.getLeadTimeDays(supplier) : Inventory.REPLENISHMENT.defaultLeadTimeDays;
+
+      // Pedido sem local vai para o local principal do produto
+      const primaryRow = rows.find(candidate => candidate.productId === product.id);
+      const onOrder = Helpers.roundQuantity(openLines
+        .filter(line => line.productId === product.id && line.variantId === (variant?.id || null))
+        .filter(line => !row || sameLocation(line.location ?? primaryRow?.location, row.location))
+        .reduce((sum, line) => sum + line.pending, 0));
+
+      const averageDailySales = Math.round((sold / days) * 1000) / 1000;
+      const result = Inventory.calculateReplenishment({
+        averageDailySales,
+        leadTimeDays,
+        onHand,
+        onOrder,
+        minStock,
+        maxStock
+      });
+
+      return {
+        inventoryId: row?.id || null,
+        productId: product.id,
+        variantId: variant?.id || null,
+        productName: variant ? `${product.name} - ${variant.name}` : product.name,
+        sku: variant?.sku || product.sku,
+        location: row ? row.location : primaryRow?.location || null,
+        onHand,
+        onOrder,
+        soldInPeriod: sold,
+        averageDailySales,
+        leadTimeDays,
+        supplier: supplier ? { id: supplier.id, name: supplier.tradeName || supplier.name } : null,
+        unitCost: link?.lastPurchasePrice != null
+          ? parseFloat(link.lastPurchasePrice)
+          : variant ? variant.getCost(product) : parseFloat(product.cost),
+        ...result,
+        nextRestock: result.restockInDays !== null ? new Date(now.getTime() + result.restockInDays * DAY) : null
+      };
+    };
+
+    for (const product of products) {
+      const productRows = rows.filter(row => row.productId === product.id);
+
+      if (product.hasVariants) {
+        for (const variant of product.variants) {
+          const sold = Helpers.roundQuantity(sales
+            .filter(sale => sale.variantId === variant.id)
+            .reduce((sum, sale) => sum + sale.quantity, 0));
+
+          suggestions.push(build(product, variant, null, variant.stock, sold, 0, null));
+        }
+        continue;
+      }
+
+      for (const row of productRows) {
+        const sold = Helpers.roundQuantity(sales
+          .filter(sale => sale.inventoryId === row.id)
+          .reduce((sum, sale) => sum + sale.quantity, 0));
+
+        suggestions.push(build(product, null, row, row.quantity, sold, row.minStock, row.maxStock));
+      }
+    }
+
+    const filtered = suggestions.filter(suggestion =>
+      (all || suggestion.needsReorder)
+      && (!location || sameLocation(suggestion.location, location))
+      && (!supplierId || suggestion.supplier?.id === supplierId)
+    );
+
+    return {
+      settings: { ...Inventory.REPLENISHMENT, lookbackDays: days },
+      suggestions: filtered.sort((a, b) => (a.daysOfStock ?? Infinity) - (b.daysOfStock ?? Infinity))
+    };
+  }
+
+  // Gravar ponto de pedido e próxima reposição calculados em cada local (sem usuário = todas as empresas)
+  async applyReorderPoints(userId = null) {
+    const userIds = userId
+      ? [userId]
+      : (await Inventory.findAll({
+        attributes: [[sequelize.fn('DISTINCT', sequelize.col('userId')), 'userId']],
+        raw: true
+      })).map(row => row.userId);
+
+    let updated = 0;
+
+    for (const id of userIds) {
+      const { suggestions } = await this.getSuggestions(id, { all: true });
+
+      for (const suggestion of suggestions.filter(item => item.inventoryId)) {
+        const [count] = await Inventory.update({
+          reorderPoint: suggestion.reorderPoint,
+          nextRestock: suggestion.nextRestock
+        }, {
+          where: { id: suggestion.inventoryId }
+        });
+        updated += count;
+      }
+    }
+
+    return updated;
+  }
+
+  // Transformar sugestões aprovadas em pedidos de compra em rascunho (um por fornecedor e local)
+  // items = [{ productId, variantId?, location?, quantity?, supplierId? }]; sem quantidade vale a sugerida
+  async createPurchaseOrders(userId, items) {
+    const { suggestions } = await this.getSuggestions(userId, { all: true });
+    const groups = new Map();
+
+    for (const item of items) {
+      const suggestion = suggestions.find(candidate =>
+        candidate.productId === item.productId
+        && candidate.variantId === (item.variantId || null)
+        && (item.location === undefined || sameLocation(candidate.location, item.location))
+      );
+
+      if (!suggestion) {
+        throw new AppError('Sugestão de reposição não encontrada para o produto informado.', 404);
+      }
+
+      const supplierId = item.supplierId || suggestion.supplier?.id;
+      if (!supplierId) {
+        const error = new AppError(`Informe o fornecedor de ${suggestion.productName}.`, 400);
+        error.code = 'REPLENISHMENT_SUPPLIER_REQUIRED';
+        error.details = { productId: suggestion.productId, variantId: suggestion.variantId };
+        throw error;
+      }
+
+      const quantity = item.quantity ?? suggestion.orderQuantity;
+      if (!(quantity > 0)) continue;
+
+      const key = `${supplierId}:${suggestion.location || ''}`;
+      if (!groups.has(key)) {
+        groups.set(key, { supplierId, location: suggestion.location, items: [] });
+      }
+      groups.get(key).items.push({
+        productId: suggestion.productId,
+        variantId: suggestion.variantId,
+        quantity
+      });
+    }
+
+    if (groups.size === 0) {
+      throw new AppError('Nenhuma sugestão com quantidade a pedir.', 400);
+    }
+
+    const orders = [];
+    for (const group of groups.values()) {
+      orders.push(await purchaseOrderService.createOrder(userId, {
+        ...group,
+        notes: 'Gerado a partir das sugestões de reposição'
+      }));
+    }
+
+    return orders;
+  }
+}
+
+module.exports = new ReplenishmentService();
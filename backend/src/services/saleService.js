@@ -0,0 +1,1340 @@
+const Sale = require('../models/Sale');
+const SaleExchange = require('../models/SaleExchange');
+const Customer = require('../models/Customer');
+const Product = require('../models/Product');
+const User = require('../models/User');
+const SecurityLog = require('../models/SecurityLog');
+const Transaction = require('../models/Transaction');
+const CashDrawer = require('../models/CashDrawer');
+const CashDrawerMovement = require('../models/CashDrawerMovement');
+const ExchangeRate = require('../models/ExchangeRate');
+const pricingService = require('./pricingService');
+const storeCreditService = require('./storeCreditService');
+const loyaltyService = require('./loyaltyService');
+const stockLedgerService = require('./stockLedgerService');
+const { sequelize } = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+const Helpers = require('../utils/helpers');
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+
+// Tentativas de PIN erradas por aprovador antes do bloqueio temporário
+const CANCEL_OVERRIDE_MAX_FAILURES = 5;
+const CANCEL_OVERRIDE_LOCK_MINUTES = 15;
+
+// Verificar estoque disponível (estoque atual menos o reservado por vendas suspensas)
+// Itens com variação usam o estoque da variação
+async function assertStockAvailable(pricing, transaction) {
+  const reserved = await Sale.getReservedQuantities(
+    pricing.products.map(product => product.id),
+    { transaction }
+  );
+
+  // Quantidade total pedida por produto/variação (o mesmo item pode aparecer em várias linhas)
+  const requested = {};
+  pricing.items.forEach((item, index) => {
+    const key = pricing.variants[index]?.id || pricing.products[index].id;
+    requested[key] = Helpers.roundQuantity((requested[key] || 0) + item.quantity);
+  });
+
+  pricing.items.forEach((item, index) => {
+    const product = pricing.products[index];
+    const variant = pricing.variants[index];
+    const key = variant?.id || product.id;
+    const available = Helpers.roundQuantity((variant || product).stock - (reserved[key] || 0));
+
+    if (available < requested[key]) {
+      const error = new AppError(
+        `Estoque insuficiente para ${item.name}. Disponível: ${available}, Solicitado: ${requested[key]}`,
+        400
+      );
+      error.code = 'STOCK_CONFLICT';
+      error.details = {
+        productId: product.id,
+        variantId: variant?.id,
+        name: item.name,
+        available,
+        reserved: reserved[key] || 0,
+        requested: requested[key]
+      };
+      throw error;
+    }
+  });
+}
+
+// Registrar no caixa aberto o valor recebido em dinheiro de uma venda parcelada
+async function registerLayawayCash(userId, sale, amount, reason, transaction) {
+  const cashDrawer = await CashDrawer.findOne({
+    where: { userId, status: 'open' },
+    lock: transaction.LOCK.UPDATE,
+    transaction
+  });
+
+  if (!cashDrawer) {
+    throw new AppError('Caixa não está aberto. Abra o caixa antes de receber pagamentos em dinheiro.', 400);
+  }
+
+  await CashDrawerMovement.create({
+    cashDrawerId: cashDrawer.id,
+    userId,
+    type: 'layaway_payment',
+    amount,
+    reason,
+    referenceId: sale.id,
+    referenceType: 'sale_layaway'
+  }, { transaction });
+
+  cashDrawer.expectedBalance = parseFloat(cashDrawer.expectedBalance ?? cashDrawer.openingBalance) + amount;
+  await cashDrawer.save({ transaction });
+}
+
+// Baixar do estoque os itens de uma venda parcelada quitada (até aqui estavam apenas reservados)
+async function deductLayawayStock(sale, userId, transaction) {
+  for (const item of sale.items) {
+    const product = await Product.findByPk(item.productId, { transaction });
+    if (!product) continue;
+
+    await stockLedgerService.record({
+      productId: product.id,
+      variantId: item.variantId,
+      userId,
+      type: 'sale',
+      quantity: -item.quantity,
+      location: sale.location,
+      referenceId: sale.id,
+      referenceType: 'sale',
+      notes: `Venda parcelada quitada ${sale.saleNumber} - ${item.quantity} ${product.unit}${item.variantName ? ` (${item.variantName})` : ''}`
+    }, { transaction });
+  }
+}
+
+// Devolver ao estoque os itens de uma venda cancelada (nos lotes de onde saíram)
+async function restoreSaleStock(sale, userId, reason, transaction) {
+  const returnOf = await SaleExchange.getStockReferences(sale.id, { transaction });
+
+  for (const item of sale.items) {
+    const product = await Product.findByPk(item.productId, { transaction });
+    if (!product) continue;
+
+    await stockLedgerService.record({
+      productId: product.id,
+      variantId: item.variantId,
+      userId,
+      type: 'return',
+      quantity: item.quantity,
+      location: sale.location,
+      referenceId: sale.id,
+      referenceType: 'sale_cancellation',
+      returnOf,
+      notes: `Estorno - Cancelamento venda ${sale.saleNumber}: ${reason}`
+    }, { transaction });
+  }
+}
+
+// Devolver ao estoque uma linha trocada (entrada do movimento de troca, nos lotes vendidos)
+async function restoreExchangeLine(line, userId, exchange, transaction) {
+  const product = await Product.findByPk(line.productId, { transaction });
+  if (!product) return;
+
+  const returnOf = await SaleExchange.getStockReferences(exchange.saleId, {
+    exchangeId: exchange.id,
+    transaction
+  });
+
+  await stockLedgerService.record({
+    productId: product.id,
+    variantId: line.variantId,
+    userId,
+    type: 'return',
+    quantity: line.quantity,
+    location: exchange.location,
+    referenceId: exchange.id,
+    referenceType: 'sale_exchange',
+    returnOf,
+    notes: `Troca - devolução de ${line.quantity} ${product.unit} (${line.name})`
+  }, { transaction });
+}
+
+// Recarregar o estoque dos itens precificados (após devoluções na mesma transação)
+async function reloadPricingStock(pricing, transaction) {
+  for (const [index] of pricing.items.entries()) {
+    await pricing.products[index].reload({ transaction });
+    if (pricing.variants[index]) {
+      await pricing.variants[index].reload({ transaction });
+    }
+  }
+}
+
+// Validar o aprovador (gerente de outra conta da empresa) de um cancelamento fora da regra
+async function verifyCancellationApprover(userId, userIds, approverEmail, approverPin, reasons) {
+  if (!approverEmail || !approverPin) {
+    const error = new AppError('Cancelamento exige aprovação de um gerente (e-mail e PIN).', 403);
+    error.code = 'APPROVAL_REQUIRED';
+    error.details = { reasons };
+    throw error;
+  }
+
+  const approver = await User.findOne({
+    where: {
+      email: approverEmail,
+      id: { [Op.in]: userIds, [Op.ne]: userId },
+      role: ['manager', 'admin'],
+      isActive: true
+    }
+  });
+
+  const recentFailures = approver
+    ? await SecurityLog.count({
+      where: {
+        action: 'SALE_CANCEL_OVERRIDE_FAILED',
+        details: { approverId: approver.id },
+        createdAt: { [Op.gte]: new Date(Date.now() - CANCEL_OVERRIDE_LOCK_MINUTES * 60 * 1000) }
+      }
+    })
+    : 0;
+
+  if (recentFailures >= CANCEL_OVERRIDE_MAX_FAILURES) {
+    const error = new AppError(`Aprovações bloqueadas por ${CANCEL_OVERRIDE_LOCK_MINUTES} minutos após tentativas de PIN inválidas.`, 429);
+    error.code = 'APPROVAL_LOCKED';
+    error.details = { reasons };
+    throw error;
+  }
+
+  if (!approver || !(await approver.compareManagerPin(approverPin))) {
+    const error = new AppError('Aprovador ou PIN inválido. A aprovação deve ser de outro gerente da empresa.', 403);
+    error.code = 'APPROVAL_INVALID';
+    error.details = { reasons, approverId: approver?.id || null };
+    throw error;
+  }
+
+  return approver;
+}
+
+class SaleService {
+  // Buscar venda já registrada com a mesma chave de idempotência
+  async findByIdempotencyKey(userId, idempotencyKey) {
+    if (!idempotencyKey) return null;
+
+    return Sale.findOne({
+      where: { userId, idempotencyKey }
+    });
+  }
+
+  // Processar checkout: preços e promoções, estoque, pagamentos, caixa e cliente
+  // Lança AppError para falhas de negócio (produto, estoque, pagamento, caixa)
+  async checkout(userId, data, context = {}) {
+    const {
+      items,
+      customerId,
+      paymentMethod: requestedMethod,
+      paymentDetails,
+      payments,
+      notes,
+      location,
+      couponCode,
+      loyaltyPoints,
+      currency,
+      idempotencyKey,
+      offlineCreatedAt
+    } = data;
+
+    // Validar itens
+    if (!items || !Array.isArray(items) || items.length === 0) {
+      throw new AppError('A venda deve conter pelo menos um item.', 400);
+    }
+
+    const transaction = await sequelize.transaction();
+
+    try {
+      // Resgate de pontos de fidelidade: vira desconto rateado nos itens
+      const redemption = loyaltyPoints
+        ? await loyaltyService.prepareRedemption(customerId, loyaltyPoints, { userId, transaction })
+        : null;
+
+      // Precificar itens no servidor (promoções, cupom e impostos)
+      const pricing = await pricingService.priceItems(userId, items, {
+        couponCode,
+        loyaltyDiscount: redemption?.discount,
+        currency,
+        transaction,
+        lock: true
+      });
+
+      if (!pricing.couponApplied) {
+        throw new AppError('Cupom não aplicável a esta venda.', 400);
+      }
+
+      if (redemption) {
+        loyaltyService.assertRedemptionLimit(pricing, redemption.points);
+      }
+
+      const { subtotal, discount, tax, total } = pricing;
+
+      // Verificar estoque
+      await assertStockAvailable(pricing, transaction);
+
+      // Itens gravados na venda com as promoções aplicadas em cada linha
+      const processedItems = pricing.items.map(({ category, ...item }) => item);
+
+      // Formas de pagamento: lista de pagamentos divididos ou método único
+      if (!payments && requestedMethod === 'multiple') {
+        throw new AppError('Informe os pagamentos para vendas com múltiplas formas de pagamento.', 400);
+      }
+
+      let tendering;
+      try {
+        tendering = Sale.buildTenders(payments || [{
+          method: requestedMethod,
+          amount: requestedMethod === 'cash' && paymentDetails?.cashAmount
+            ? paymentDetails.cashAmount
+            : total
+        }], total);
+      } catch (tenderError) {
+        throw new AppError(tenderError.message, 400);
+      }
+
+      const { tenders, paymentMethod, changeAmount, cashAmount } = tendering;
+
+      // Saldo dos vales é controlado na moeda base
+      if (pricing.currency !== pricing.baseCurrency && tenders.some(tender => tender.method === 'store_credit')) {
+        throw new AppError(`Vales só podem ser usados em vendas em ${pricing.baseCurrency}.`, 400);
+      }
+
+      // Verificar se caixa está aberto para vendas em dinheiro
+      const cashDrawer = await CashDrawer.findOne({
+        where: { userId, status: 'open' },
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+
+      if (cashAmount > 0 && !cashDrawer) {
+        throw new AppError('Caixa não está aberto. Abra o caixa antes de processar vendas em dinheiro.', 400);
+      }
+
+      // Criar venda
+      const sale = await Sale.create({
+        customerId,
+        userId,
+        items: processedItems,
+        subtotal,
+        tax,
+        discount,
+        total,
+        couponCode: pricing.couponCode,
+        currency: pricing.currency,
+        exchangeRate: pricing.exchangeRate,
+        loyaltyPointsRedeemed: redemption?.points || 0,
+        loyaltyDiscount: pricing.loyaltyDiscount,
+        paymentMethod,
+        paymentDetails,
+        tenders,
+        changeAmount,
+        status: 'completed',
+        notes,
+        cashDrawerId: cashDrawer?.id,
+        location: location || cashDrawer?.location || 'PDV Principal',
+        idempotencyKey: idempotencyKey || null,
+        offlineCreatedAt: offlineCreatedAt || null,
+        deviceInfo: {
+          userAgent: context.userAgent,
+          ip: context.ipAddress
+        }
+      }, { transaction });
+
+      // Baixar o estoque pelo livro de estoque (local da venda primeiro)
+      for (const [index, item] of pricing.items.entries()) {
+        const product = pricing.products[index];
+        const variant = pricing.variants[index];
+
+        await stockLedgerService.record({
+          productId: product.id,
+          variantId: variant?.id,
+          userId,
+          type: 'sale',
+          quantity: -item.quantity, // Saída de estoque
+          location: sale.location,
+          referenceId: sale.id,
+          referenceType: 'sale',
+          notes: `Venda POS - ${item.quantity} ${product.unit}${variant ? ` (${variant.name})` : ''}`
+        }, { transaction });
+      }
+
+      // Debitar dos vales os pagamentos em vale-crédito/vale-presente (resgate parcial mantém o saldo)
+      await storeCreditService.redeemTenders(sale, {
+        userId,
+        ipAddress: context.ipAddress,
+        transaction
+      });
+
+      // Debitar os pontos resgatados
+      if (redemption) {
+        await loyaltyService.redeem(redemption.customer, redemption.points, { sale, userId, transaction });
+      }
+
+      // Contabilizar uso das promoções e cupons
+      await pricingService.registerUsage(pricing.appliedPromotions, transaction);
+
+      // Pontos de fidelidade (pela classificação antes desta compra) e total de compras do cliente
+      if (customerId) {
+        const customer = redemption?.customer || await Customer.findByPk(customerId, {
+          lock: transaction.LOCK.UPDATE,
+          transaction
+        });
+        if (customer) {
+          if (await loyaltyService.earn(sale, customer, { userId, transaction })) {
+            await sale.save({ transaction });
+          }
+
+          customer.totalPurchases = parseFloat(customer.totalPurchases || 0) + parseFloat(sale.baseTotal);
+          customer.lastPurchase = new Date();
+          await customer.save({ transaction });
+        }
+      }
+
+      // Atualizar caixa apenas com a parte paga em dinheiro (já descontado o troco), convertida para a moeda base
+      if (cashAmount > 0) {
+        cashDrawer.expectedBalance = parseFloat(cashDrawer.expectedBalance ?? cashDrawer.openingBalance) +
+          ExchangeRate.convert(cashAmount, pricing.exchangeRate);
+        await cashDrawer.save({ transaction });
+      }
+
+      // Commit da transação
+      await transaction.commit();
+
+      return sale;
+
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+
+  // Venda parcelada: entrada paga no ato e saldo em parcelas mensais (lançamentos pendentes com vencimento)
+  // O estoque fica reservado (status layaway) e só é baixado na quitação
+  async createLayaway(userId, data, context = {}) {
+    const {
+      items,
+      customerId,
+      deposit,
+      paymentMethod: requestedMethod,
+      payments,
+      installments,
+      interestRate = 0,
+      firstDueDate,
+      notes,
+      location,
+      couponCode,
+      idempotencyKey
+    } = data;
+
+    if (!items || !Array.isArray(items) || items.length === 0) {
+      throw new AppError('A venda deve conter pelo menos um item.', 400);
+    }
+
+    if (!customerId) {
+      throw new AppError('Informe o cliente da venda parcelada.', 400);
+    }
+
+    const transaction = await sequelize.transaction();
+
+    try {
+      const customer = await Customer.findOne({
+        where: { id: customerId, userId },
+        transaction
+      });
+
+      if (!customer) {
+        throw new AppError('Cliente não encontrado.', 404);
+      }
+
+      const pricing = await pricingService.priceItems(userId, items, {
+        couponCode,
+        transaction,
+        lock: true
+      });
+
+      if (!pricing.couponApplied) {
+        throw new AppError('Cupom não aplicável a esta venda.', 400);
+      }
+
+      await assertStockAvailable(pricing, transaction);
+
+      const { subtotal, discount, tax, total } = pricing;
+      const depositAmount = Math.round(parseFloat(deposit) * 100) / 100;
+
+      if (!(depositAmount > 0) || depositAmount >= total) {
+        throw new AppError(`A entrada deve ser maior que 0 e menor que o total da venda (${total.toFixed(2)}).`, 400);
+      }
+
+      let tendering;
+      let plan;
+      try {
+        tendering = Sale.buildTenders(payments || [{
+          method: requestedMethod,
+          amount: depositAmount
+        }], depositAmount);
+
+        plan = Sale.buildInstallmentSchedule(total - depositAmount, {
+          installments,
+          interestRate,
+          firstDueDate
+        });
+      } catch (planError) {
+        throw new AppError(planError.message, 400);
+      }
+
+      const { tenders, paymentMethod, changeAmount, cashAmount } = tendering;
+
+      // Sem vínculo com o caixa: o dinheiro recebido entra como movimentação layaway_payment,
+      // evitando contar a venda no turno em que for quitada
+      const sale = await Sale.create({
+        customerId,
+        userId,
+        items: pricing.items.map(({ category, ...item }) => item),
+        subtotal,
+        tax,
+        discount,
+        total,
+        couponCode: pricing.couponCode,
+        paymentMethod,
+        tenders,
+        changeAmount,
+        status: 'layaway',
+        notes,
+        location: location || 'PDV Principal',
+        idempotencyKey: idempotencyKey || null,
+        installmentPlan: {
+          deposit: depositAmount,
+          installments: plan.installments.length,
+          interestRate: parseFloat(interestRate) || 0,
+          installmentAmount: plan.installmentAmount,
+          interestAmount: plan.interestAmount,
+          totalPayable: Math.round((depositAmount + plan.totalPayable) * 100) / 100,
+          firstDueDate: plan.installments[0].dueDate
+        },
+        balanceDue: plan.totalPayable,
+        deviceInfo: {
+          userAgent: context.userAgent,
+          ip: context.ipAddress
+        }
+      }, { transaction });
+
+      // Entrada recebida e parcelas a receber no financeiro
+      await Transaction.create({
+        userId,
+        date: new Date(),
+        description: `Entrada - Venda ${sale.saleNumber}`,
+        category: 'Vendas',
+        amount: depositAmount,
+        type: 'income',
+        status: 'completed',
+        paymentMethod,
+        paidAt: new Date(),
+        referenceId: sale.id,
+        referenceType: 'sale_layaway'
+      }, { transaction });
+
+      await Transaction.bulkCreate(plan.installments.map(installment => ({
+        userId,
+        date: new Date(),
+        description: `Parcela ${installment.number}/${plan.installments.length} - Venda ${sale.saleNumber}`,
+        category: 'Vendas',
+        amount: installment.amount,
+        type: 'income',
+        status: 'pending',
+        dueDate: installment.dueDate,
+        referenceId: sale.id,
+        referenceType: 'sale_installment',
+        notes: `Cliente: ${customer.name}`
+      })), { transaction });
+
+      if (cashAmount > 0) {
+        await registerLayawayCash(userId, sale, cashAmount, `Entrada venda parcelada ${sale.saleNumber}`, transaction);
+      }
+
+      await pricingService.registerUsage(pricing.appliedPromotions, transaction);
+
+      await transaction.commit();
+
+      return sale;
+
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+
+  // Listar as parcelas (lançamentos) de uma venda parcelada
+  async getInstallments(saleId, options = {}) {
+    return Transaction.findAll({
+      where: {
+        referenceId: saleId,
+        referenceType: 'sale_installment'
+      },
+      order: [['dueDate', 'ASC']],
+      transaction: options.transaction
+    });
+  }
+
+  // Receber uma parcela; a última parcela quita a venda e baixa o estoque reservado
+  // userIds = operadores da mesma empresa que podem receber o pagamento
+  async payInstallment(saleId, installmentId, userIds, options = {}) {
+    const { userId, paymentMethod } = options;
+    const transaction = await sequelize.transaction();
+
+    try {
+      const sale = await Sale.findOne({
+        where: { id: saleId, userId: userIds, status: 'layaway' },
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+
+      if (!sale) {
+        throw new AppError('Venda parcelada não encontrada ou já quitada.', 404);
+      }
+
+      const installment = await Transaction.findOne({
+        where: {
+          id: installmentId,
+          referenceId: sale.id,
+          referenceType: 'sale_installment'
+        },
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+
+      if (!installment) {
+        throw new AppError('Parcela não encontrada.', 404);
+      }
+
+      if (installment.status !== 'pending') {
+        throw new AppError('Parcela já recebida ou cancelada.', 409);
+      }
+
+      const amount = parseFloat(installment.amount);
+
+      if (paymentMethod === 'cash') {
+        await registerLayawayCash(userId, sale, amount, installment.description, transaction);
+      }
+
+      installment.status = 'completed';
+      installment.paidAt = new Date();
+      installment.paymentMethod = paymentMethod;
+      await installment.save({ transaction });
+
+      sale.balanceDue = Math.max(0, Math.round((parseFloat(sale.balanceDue) - amount) * 100) / 100);
+
+      const pending = await Transaction.count({
+        where: {
+          referenceId: sale.id,
+          referenceType: 'sale_installment',
+          status: 'pending'
+        },
+        transaction
+      });
+
+      // Quitada: baixa o estoque reservado e conta a compra para o cliente
+      if (pending === 0) {
+        await deductLayawayStock(sale, userId, transaction);
+
+        sale.status = 'completed';
+        sale.balanceDue = 0;
+
+        if (sale.customerId) {
+          const customer = await Customer.findByPk(sale.customerId, {
+            lock: transaction.LOCK.UPDATE,
+            transaction
+          });
+          if (customer) {
+            await loyaltyService.earn(sale, customer, { userId, transaction });
+
+            customer.totalPurchases = parseFloat(customer.totalPurchases || 0) + parseFloat(sale.total);
+            customer.lastPurchase = new Date();
+            await customer.save({ transaction });
+          }
+        }
+      }
+
+      await sale.save({ transaction });
+      await transaction.commit();
+
+      return { sale, installment, paidOff: pending === 0 };
+
+    } catch (error) {
+      if (!transaction.finished) await transaction.rollback();
+      throw error;
+    }
+  }
+
+  // Cancelar venda concluída ou parcelada: estorna estoque, lançamentos financeiros e dinheiro do caixa
+  // Acima do valor ou após o prazo configurado exige o PIN de um gerente (outro usuário da empresa)
+  // userIds = operadores da mesma empresa que podem cancelar e aprovar
+  async cancel(saleId, userIds, options = {}) {
+    const { userId, reason, approverEmail, approverPin } = options;
+    const transaction = await sequelize.transaction();
+
+    try {
+      const sale = await Sale.findOne({
+        where: { id: saleId, userId: userIds, status: ['completed', 'layaway'] },
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+
+      if (!sale) {
+        throw new AppError('Venda não encontrada ou já cancelada.', 404);
+      }
+
+      // Itens trocados já foram devolvidos e os novos saíram do estoque pelo documento de troca
+      if ((sale.items || []).some(item => item.exchangedQuantity > 0)) {
+        throw new AppError('Venda com troca registrada não pode ser cancelada. Utilize o reembolso.', 400);
+      }
+
+      const approvalReasons = sale.getCancellationApprovalReasons();
+      const approver = approvalReasons.length > 0
+        ? await verifyCancellationApprover(userId, userIds, approverEmail, approverPin, approvalReasons)
+        : null;
+
+      const previousStatus = sale.status;
+
+      // Venda parcelada em aberto só reservava o estoque; a reserva cai com a mudança de status
+      if (previousStatus === 'completed') {
+        await restoreSaleStock(sale, userId, reason, transaction);
+      }
+
+      // Devolver aos vales o valor resgatado na venda
+      await storeCreditService.reverseRedemptions(sale, { userId, reason, transaction });
+
+      // Estornar os pontos ganhos e devolver os pontos resgatados
+      const loyalty = await loyaltyService.reverseSale(sale, { userId, reason, transaction });
+
+      // Anular os lançamentos financeiros da venda (entrada e parcelas recebidas ou pendentes)
+      const [voidedEntries] = await Transaction.update({
+        status: 'cancelled',
+        notes: `Cancelada: ${reason}`
+      }, {
+        where: {
+          referenceId: sale.id,
+          status: { [Op.ne]: 'cancelled' }
+        },
+        transaction
+      });
+
+      // Dinheiro a devolver: parte em dinheiro da venda no PDV e pagamentos em dinheiro do parcelamento
+      // Parte em dinheiro da venda convertida para a moeda base (saldo do caixa)
+      const saleCash = sale.cashDrawerId
+        ? ExchangeRate.convert(sale.getTenderTotals().cash || 0, sale.exchangeRate)
+        : 0;
+      const layawayCash = parseFloat(await CashDrawerMovement.sum('amount', {
+        where: { referenceId: sale.id, type: 'layaway_payment' },
+        transaction
+      }) || 0);
+
+      const saleDrawer = saleCash > 0
+        ? await CashDrawer.findOne({
+          where: { id: sale.cashDrawerId, status: 'open' },
+          lock: transaction.LOCK.UPDATE,
+          transaction
+        })
+        : null;
+
+      // Caixa da venda ainda aberto: a venda cancelada sai do resumo, basta ajustar o saldo esperado
+      if (saleDrawer) {
+        saleDrawer.expectedBalance = parseFloat(saleDrawer.expectedBalance ?? saleDrawer.openingBalance) - saleCash;
+        await saleDrawer.save({ transaction });
+      }
+
+      // Demais valores em dinheiro saem do caixa aberto de quem cancela
+      const cashRefund = Math.round(((saleDrawer ? 0 : saleCash) + layawayCash) * 100) / 100;
+
+      if (cashRefund > 0) {
+        const cashDrawer = await CashDrawer.findOne({
+          where: { userId, status: 'open' },
+          lock: transaction.LOCK.UPDATE,
+          transaction
+        });
+
+        if (!cashDrawer) {
+          throw new AppError('Caixa não está aberto. Abra o caixa para devolver o valor pago em dinheiro.', 400);
+        }
+
+        await CashDrawerMovement.create({
+          cashDrawerId: cashDrawer.id,
+          userId,
+          type: 'refund',
+          amount: cashRefund,
+          reason: `Cancelamento venda ${sale.saleNumber}`,
+          notes: reason,
+          referenceId: sale.id,
+          referenceType: 'sale_cancellation'
+        }, { transaction });
+
+        cashDrawer.expectedBalance = parseFloat(cashDrawer.expectedBalance ?? cashDrawer.openingBalance) - cashRefund;
+        await cashDrawer.save({ transaction });
+      }
+
+      // Só vendas concluídas contam no total de compras do cliente
+      if (previousStatus === 'completed' && sale.customerId) {
+        const customer = await Customer.findByPk(sale.customerId, { transaction });
+        if (customer) {
+          customer.totalPurchases = Math.max(0, parseFloat(customer.totalPurchases || 0) - parseFloat(sale.baseTotal ?? sale.total));
+          await customer.save({ transaction });
+        }
+      }
+
+      sale.status = 'cancelled';
+      sale.balanceDue = 0;
+      sale.notes = sale.notes ? `${sale.notes}\nCancelada: ${reason}` : `Cancelada: ${reason}`;
+      await sale.save({ transaction });
+
+      await transaction.commit();
+
+      return {
+        sale,
+        previousStatus,
+        approver,
+        approvalReasons,
+        voidedEntries,
+        cashReturned: Math.round((saleCash + layawayCash) * 100) / 100,
+        loyalty
+      };
+
+    } catch (error) {
+      if (!transaction.finished) await transaction.rollback();
+      throw error;
+    }
+  }
+
+  // Troca: devolve itens da venda e registra os novos na mesma transação, com um único documento
+  // Apenas a diferença é cobrada (payments/paymentMethod) ou devolvida (refundMethod)
+  // userIds = operadores da mesma empresa que podem registrar a troca
+  async exchange(saleId, userIds, data, context = {}) {
+    const {
+      returnItems,
+      newItems,
+      paymentMethod: requestedMethod,
+      payments,
+      refundMethod,
+      reason,
+      location
+    } = data;
+    const { userId } = context;
+
+    if (!Array.isArray(returnItems) || returnItems.length === 0) {
+      throw new AppError('Informe os itens devolvidos na troca.', 400);
+    }
+
+    if (!Array.isArray(newItems) || newItems.length === 0) {
+      throw new AppError('Informe os novos itens da troca. Para apenas devolver, utilize o reembolso.', 400);
+    }
+
+    const transaction = await sequelize.transaction();
+
+    try {
+      const sale = await Sale.findOne({
+        where: { id: saleId, userId: userIds, status: ['completed', 'partially_refunded'] },
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+
+      if (!sale) {
+        throw new AppError('Venda não encontrada ou não pode ser trocada.', 404);
+      }
+
+      // Linhas devolvidas: valor líquido pago na venda original
+      const saleItems = sale.items.map(item => ({ ...item }));
+      const returnedLines = [];
+
+      for (const requested of returnItems) {
+        const matches = item =>
+          item.productId === requested.productId &&
+          (item.variantId || null) === (requested.variantId || null);
+        const saleItem = saleItems.find(item =>
+          matches(item) && item.quantity - Sale.getReturnedQuantity(item) >= requested.quantity
+        ) || saleItems.find(matches);
+        const available = saleItem ? Helpers.roundQuantity(saleItem.quantity - Sale.getReturnedQuantity(saleItem)) : 0;
+
+        if (!saleItem || !(requested.quantity > 0) || requested.quantity > available) {
+          throw new AppError(
+            `Quantidade inválida para troca do produto ${saleItem?.name || requested.productId}. Disponível: ${available}`,
+            400
+          );
+        }
+
+        saleItem.exchangedQuantity = Helpers.roundQuantity((saleItem.exchangedQuantity || 0) + requested.quantity);
+
+        returnedLines.push({
+          productId: saleItem.productId,
+          variantId: saleItem.variantId,
+          name: saleItem.name,
+          quantity: requested.quantity,
+          amount: Math.round(sale.getItemUnitAmount(saleItem) * requested.quantity * 100) / 100
+        });
+      }
+
+      const returnedTotal = Math.round(returnedLines.reduce((sum, line) => sum + line.amount, 0) * 100) / 100;
+
+      // Novas linhas com preço atual na moeda da venda; os devolvidos voltam ao estoque antes da verificação
+      // (trocar pela mesma variação só exige o saldo líquido)
+      const pricing = await pricingService.priceItems(userId, newItems, {
+        currency: sale.currency,
+        transaction,
+        lock: true
+      });
+
+      const document = SaleExchange.build({
+        saleId: sale.id,
+        userId,
+        customerId: sale.customerId,
+        location: location || sale.location
+      });
+
+      for (const line of returnedLines) {
+        await restoreExchangeLine(line, userId, document, transaction);
+      }
+
+      await reloadPricingStock(pricing, transaction);
+      await assertStockAvailable(pricing, transaction);
+
+      for (const [index, item] of pricing.items.entries()) {
+        const product = pricing.products[index];
+        const variant = pricing.variants[index];
+
+        await stockLedgerService.record({
+          productId: product.id,
+          variantId: variant?.id,
+          userId,
+          type: 'sale',
+          quantity: -item.quantity,
+          location: document.location,
+          referenceId: document.id,
+          referenceType: 'sale_exchange',
+          notes: `Troca ${sale.saleNumber} - ${item.quantity} ${product.unit}${variant ? ` (${variant.name})` : ''}`
+        }, { transaction });
+      }
+
+      const newTotal = pricing.total;
+      const settlement = SaleExchange.getSettlement(returnedTotal, newTotal);
+
+      // Diferença a cobrar: formas de pagamento como no checkout
+      let tendering = { tenders: [], paymentMethod: null, changeAmount: 0, cashAmount: 0 };
+      if (settlement.type === 'charge') {
+        if (!payments && (!requestedMethod || requestedMethod === 'multiple')) {
+          throw new AppError('Informe a forma de pagamento da diferença da troca.', 400);
+        }
+
+        try {
+          tendering = Sale.buildTenders(payments || [{
+            method: requestedMethod,
+            amount: settlement.amount
+          }], settlement.amount);
+        } catch (tenderError) {
+          throw new AppError(tenderError.message, 400);
+        }
+      }
+
+      // Diferença a devolver: método informado ou o da venda original
+      const creditMethod = settlement.type === 'credit' ? (refundMethod || sale.paymentMethod) : null;
+      if (creditMethod === 'multiple') {
+        throw new AppError('Informe o método de devolução da diferença para vendas com múltiplas formas de pagamento.', 400);
+      }
+
+      const cashAmount = settlement.type === 'charge' ? tendering.cashAmount : (creditMethod === 'cash' ? settlement.amount : 0);
+      // Diferença convertida para a moeda base pela cotação atual (caixa e total de compras do cliente)
+      const baseCash = ExchangeRate.convert(cashAmount, pricing.exchangeRate);
+      const cashDrawer = cashAmount > 0
+        ? await CashDrawer.findOne({
+          where: { userId, status: 'open' },
+          lock: transaction.LOCK.UPDATE,
+          transaction
+        })
+        : null;
+
+      if (cashAmount > 0 && !cashDrawer) {
+        throw new AppError('Caixa não está aberto. Abra o caixa antes de trocar com diferença em dinheiro.', 400);
+      }
+
+      document.set({
+        cashDrawerId: cashDrawer?.id || null,
+        returnedItems: returnedLines,
+        newItems: pricing.items.map(({ category, ...item }) => item),
+        returnedTotal,
+        newTotal,
+        difference: settlement.difference,
+        paymentMethod: tendering.paymentMethod || creditMethod,
+        tenders: tendering.tenders,
+        changeAmount: tendering.changeAmount,
+        reason
+      });
+      await document.save({ transaction });
+
+      await pricingService.registerUsage(pricing.appliedPromotions, transaction);
+
+      // Diferença em dinheiro no caixa
+      if (cashDrawer) {
+        await CashDrawerMovement.create({
+          cashDrawerId: cashDrawer.id,
+          userId,
+          type: settlement.type === 'charge' ? 'exchange_payment' : 'refund',
+          amount: baseCash,
+          reason: `Troca ${document.exchangeNumber} - Venda ${sale.saleNumber}`,
+          notes: reason,
+          referenceId: document.id,
+          referenceType: 'sale_exchange'
+        }, { transaction });
+
+        const signedCash = settlement.type === 'charge' ? baseCash : -baseCash;
+        cashDrawer.expectedBalance = parseFloat(cashDrawer.expectedBalance ?? cashDrawer.openingBalance) + signedCash;
+        await cashDrawer.save({ transaction });
+      }
+
+      // Diferença no financeiro: receita cobrada ou despesa devolvida
+      if (settlement.type !== 'even') {
+        await Transaction.create({
+          userId,
+          date: new Date(),
+          description: `Troca ${document.exchangeNumber} - Venda ${sale.saleNumber}`,
+          category: settlement.type === 'charge' ? 'Vendas' : 'Reembolsos',
+          amount: settlement.amount,
+          currency: pricing.currency,
+          exchangeRate: pricing.exchangeRate,
+          type: settlement.type === 'charge' ? 'income' : 'expense',
+          status: 'completed',
+          paymentMethod: document.paymentMethod,
+          paidAt: new Date(),
+          referenceId: document.id,
+          referenceType: 'sale_exchange',
+          notes: reason
+        }, { transaction });
+      }
+
+      if (sale.customerId) {
+        const customer = await Customer.findByPk(sale.customerId, { transaction });
+        if (customer) {
+          customer.totalPurchases = Math.max(0, parseFloat(customer.totalPurchases || 0) +
+            ExchangeRate.convert(settlement.difference, pricing.exchangeRate));
+          await customer.save({ transaction });
+        }
+      }
+
+      sale.items = saleItems;
+      await sale.save({ transaction });
+
+      await transaction.commit();
+
+      return { exchange: document, sale, settlement };
+
+    } catch (error) {
+      if (!transaction.finished) await transaction.rollback();
+      throw error;
+    }
+  }
+
+  // Reembolsar venda (total ou parcial por item): devolve os itens ao estoque e o valor pelo método informado
+  // Sem itens informados, reembolsa tudo o que ainda não foi devolvido
+  // userIds = operadores da mesma empresa cujas vendas podem ser reembolsadas
+  async refund(saleId, userIds, data, context = {}) {
+    const { items, reason, refundMethod } = data;
+    const { userId } = context;
+    const transaction = await sequelize.transaction();
+
+    try {
+      const sale = await Sale.findOne({
+        where: { id: saleId, userId: userIds, status: ['completed', 'partially_refunded'] },
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+
+      if (!sale) {
+        throw new AppError('Venda não encontrada ou não pode ser reembolsada.', 404);
+      }
+
+      const refundableItems = sale.getRefundableItems();
+      const requestedItems = Array.isArray(items) && items.length > 0
+        ? items
+        : refundableItems.map(item => ({
+          productId: item.productId,
+          variantId: item.variantId,
+          quantity: item.refundableQuantity
+        }));
+
+      if (requestedItems.length === 0) {
+        throw new AppError('Não há itens disponíveis para reembolso nesta venda.', 400);
+      }
+
+      const saleItems = sale.items.map(item => ({ ...item }));
+      const refundedLines = [];
+      let refundAmount = 0;
+
+      // Movimentos da venda: os itens devolvidos voltam aos lotes de onde saíram
+      const returnOf = await SaleExchange.getStockReferences(sale.id, { transaction });
+
+      for (const requested of requestedItems) {
+        // Mesma variação pode estar em mais de uma linha (ex.: adicionais diferentes)
+        const matches = item =>
+          item.productId === requested.productId &&
+          (item.variantId || null) === (requested.variantId || null);
+        const saleItem = saleItems.find(item =>
+          matches(item) && item.quantity - Sale.getReturnedQuantity(item) >= requested.quantity
+        ) || saleItems.find(matches);
+        const available = saleItem ? Helpers.roundQuantity(saleItem.quantity - Sale.getReturnedQuantity(saleItem)) : 0;
+
+        if (!saleItem || requested.quantity > available) {
+          throw new AppError(
+            `Quantidade inválida para reembolso do produto ${saleItem?.name || requested.productId}. Disponível: ${available}`,
+            400
+          );
+        }
+
+        const lineAmount = Math.round(sale.getItemUnitAmount(saleItem) * requested.quantity * 100) / 100;
+
+        saleItem.refundedQuantity = Helpers.roundQuantity((saleItem.refundedQuantity || 0) + requested.quantity);
+        refundAmount += lineAmount;
+
+        // Devolver produto ao estoque (local da venda, nos lotes vendidos)
+        const product = await Product.findByPk(saleItem.productId, { transaction });
+        if (product) {
+          await stockLedgerService.record({
+            productId: product.id,
+            variantId: saleItem.variantId,
+            userId,
+            type: 'return',
+            quantity: requested.quantity,
+            location: sale.location,
+            referenceId: sale.id,
+            referenceType: 'sale_refund',
+            returnOf,
+            notes: `Reembolso venda ${sale.saleNumber}: ${reason}`
+          }, { transaction });
+        }
+
+        refundedLines.push({
+          productId: saleItem.productId,
+          variantId: saleItem.variantId,
+          name: saleItem.name,
+          quantity: requested.quantity,
+          amount: lineAmount
+        });
+      }
+
+      refundAmount = Math.round(refundAmount * 100) / 100;
+      const method = refundMethod || sale.paymentMethod;
+
+      // Valor na moeda base pela cotação da venda (caixa, vale-crédito e total de compras)
+      const baseRefundAmount = ExchangeRate.convert(refundAmount, sale.exchangeRate);
+
+      if (method === 'multiple') {
+        throw new AppError('Informe o método de reembolso para vendas com múltiplas formas de pagamento.', 400);
+      }
+
+      // Devoluções em dinheiro saem do caixa aberto
+      if (method === 'cash') {
+        const cashDrawer = await CashDrawer.findOne({
+          where: { userId, status: 'open' },
+          lock: transaction.LOCK.UPDATE,
+          transaction
+        });
+
+        if (!cashDrawer) {
+          throw new AppError('Caixa não está aberto. Abra o caixa antes de reembolsar em dinheiro.', 400);
+        }
+
+        cashDrawer.expectedBalance = parseFloat(cashDrawer.expectedBalance ?? cashDrawer.openingBalance) - baseRefundAmount;
+        await cashDrawer.save({ transaction });
+
+        await CashDrawerMovement.create({
+          cashDrawerId: cashDrawer.id,
+          userId,
+          type: 'refund',
+          amount: baseRefundAmount,
+          reason: `Reembolso venda ${sale.saleNumber}`,
+          notes: reason,
+          referenceId: sale.id,
+          referenceType: 'sale_refund'
+        }, { transaction });
+      }
+
+      // Devolução em vale-crédito: saldo para o cliente usar em compras futuras
+      const creditNote = method === 'store_credit'
+        ? await storeCreditService.issue({
+          userId,
+          type: 'credit_note',
+          amount: baseRefundAmount,
+          customerId: sale.customerId,
+          sourceSaleId: sale.id,
+          notes: `Reembolso venda ${sale.saleNumber}: ${reason}`
+        }, { transaction, ipAddress: context.ipAddress })
+        : null;
+
+      // Lançar despesa no financeiro
+      const expense = await Transaction.create({
+        userId,
+        date: new Date(),
+        description: `Reembolso venda ${sale.saleNumber}`,
+        category: 'Reembolsos',
+        amount: refundAmount,
+        currency: sale.currency,
+        exchangeRate: sale.exchangeRate,
+        type: 'expense',
+        status: 'completed',
+        paymentMethod: method,
+        paidAt: new Date(),
+        referenceId: sale.id,
+        referenceType: 'sale_refund',
+        notes: reason
+      }, { transaction });
+
+      // Estornar total de compras do cliente
+      if (sale.customerId) {
+        const customer = await Customer.findByPk(sale.customerId, { transaction });
+        if (customer) {
+          customer.totalPurchases = Math.max(0, parseFloat(customer.totalPurchases || 0) - baseRefundAmount);
+          await customer.save({ transaction });
+        }
+      }
+
+      // Estornar pontos de fidelidade na proporção do valor já devolvido
+      const refundedTotal = parseFloat(sale.refundedAmount || 0) + refundAmount;
+      const loyalty = await loyaltyService.reverseSale(sale, {
+        share: parseFloat(sale.total) > 0 ? refundedTotal / parseFloat(sale.total) : 1,
+        userId,
+        reason,
+        transaction
+      });
+
+      const refund = {
+        id: expense.id,
+        items: refundedLines,
+        amount: refundAmount,
+        method,
+        reason,
+        storeCreditCode: creditNote?.code,
+        loyaltyPointsReversed: loyalty.reversed,
+        loyaltyPointsRestored: loyalty.restored,
+        refundedBy: userId,
+        refundedAt: new Date()
+      };
+
+      const fullyRefunded = saleItems.every(item => Sale.getReturnedQuantity(item) >= item.quantity);
+
+      sale.items = saleItems;
+      sale.refundedAmount = Math.round((parseFloat(sale.refundedAmount || 0) + refundAmount) * 100) / 100;
+      sale.refunds = [...(sale.refunds || []), refund];
+      sale.status = fullyRefunded ? 'refunded' : 'partially_refunded';
+      await sale.save({ transaction });
+
+      await transaction.commit();
+
+      return { sale, refund, creditNote, fullyRefunded };
+
+    } catch (error) {
+      if (!transaction.finished) await transaction.rollback();
+      throw error;
+    }
+  }
+
+  // Suspender venda: grava o carrinho como venda pending, reservando o estoque sem baixá-lo
+  async park(userId, data, context = {}) {
+    const { items, customerId, couponCode, notes, label, location } = data;
+
+    if (!items || !Array.isArray(items) || items.length === 0) {
+      throw new AppError('A venda deve conter pelo menos um item.', 400);
+    }
+
+    const transaction = await sequelize.transaction();
+
+    try {
+      const pricing = await pricingService.priceItems(userId, items, {
+        couponCode,
+        transaction,
+        lock: true
+      });
+
+      await assertStockAvailable(pricing, transaction);
+
+      const cashDrawer = await CashDrawer.findOne({
+        where: { userId, status: 'open' },
+        transaction
+      });
+
+      const now = new Date();
+      const datePart = now.toISOString().slice(0, 10).replace(/-/g, '');
+
+      const sale = await Sale.create({
+        saleNumber: `P${datePart}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`,
+        customerId,
+        userId,
+        items: pricing.items.map(({ category, ...item }) => item),
+        subtotal: pricing.subtotal,
+        tax: pricing.tax,
+        discount: pricing.discount,
+        total: pricing.total,
+        couponCode: pricing.couponApplied ? pricing.couponCode : null,
+        paymentMethod: 'cash',
+        status: 'pending',
+        notes,
+        cashDrawerId: cashDrawer?.id,
+        location: location || cashDrawer?.location || 'PDV Principal',
+        parkedLabel: label || null,
+        parkedUntil: new Date(now.getTime() + Sale.PARKED_SALE_TTL_MINUTES * 60 * 1000),
+        deviceInfo: {
+          userAgent: context.userAgent,
+          ip: context.ipAddress
+        }
+      }, { transaction });
+
+      await transaction.commit();
+
+      return sale;
+
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+
+  // Retomar ou descartar venda suspensa: remove a venda pending e libera a reserva de estoque
+  // userIds = operadores da mesma empresa que podem retomar o carrinho
+  async releaseParked(id, userIds, options = {}) {
+    const { location } = options;
+
+    // O carrinho só é liberado no local em que foi suspenso
+    if (!location) {
+      throw new AppError('Informe o local da venda suspensa ou abra o caixa.', 400);
+    }
+
+    const transaction = await sequelize.transaction();
+
+    try {
+      const sale = await Sale.findOne({
+        where: { id, userId: userIds, status: 'pending' },
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+
+      if (!sale) {
+        throw new AppError('Venda suspensa não encontrada.', 404);
+      }
+
+      if (sale.parkedUntil && sale.parkedUntil <= new Date()) {
+        await sale.destroy({ transaction });
+        await transaction.commit();
+        throw new AppError('Venda suspensa expirada. O estoque reservado foi liberado.', 410);
+      }
+
+      if (sale.location !== location) {
+        throw new AppError('Venda suspensa pertence a outro local.', 403);
+      }
+
+      await sale.destroy({ transaction });
+      await transaction.commit();
+
+      return sale;
+
+    } catch (error) {
+      if (!transaction.finished) await transaction.rollback();
+      throw error;
+    }
+  }
+}
+
+module.exports = new SaleService();
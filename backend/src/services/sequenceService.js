@@ -0,0 +1,140 @@
+const NumberSequence = require('../models/NumberSequence');
+const NumberSequenceCounter = require('../models/NumberSequenceCounter');
+const User = require('../models/User');
+const { sequelize } = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+
+const pad = (value, length) => String(value).padStart(length, '0');
+
+class SequenceService {
+  // Empresa dona da numeração: usuários da mesma empresa compartilham as séries
+  async getTenantKey(userId, options = {}) {
+    const user = await User.findByPk(userId, {
+      attributes: ['id', 'companyName'],
+      transaction: options.transaction
+    });
+
+    if (!user) {
+      throw new AppError('Usuário não encontrado para gerar a numeração.', 404);
+    }
+
+    return user.companyName?.trim() || user.id;
+  }
+
+  // Configuração efetiva: série do local, padrão da empresa ou padrão do sistema
+  // Só locais com configuração própria têm contador separado
+  async resolveSettings(tenantKey, type, location, options = {}) {
+    if (!NumberSequence.DEFAULTS[type]) {
+      throw new AppError(`Tipo de numeração inválido: ${type}`, 400);
+    }
+
+    const configured = await NumberSequence.findAll({
+      where: { tenantKey, type },
+      transaction: options.transaction
+    });
+
+    const forLocation = location && configured.find(sequence => sequence.location === location);
+    const companyDefault = configured.find(sequence => !sequence.location);
+
+    return {
+      ...(forLocation || companyDefault)?.getSettings() || NumberSequence.DEFAULTS[type],
+      series: forLocation ? location : ''
+    };
+  }
+
+  // Período do contador conforme o reinício configurado
+  getPeriod(resetPeriod, date = new Date()) {
+    const yyyy = String(date.getFullYear());
+    const mm = pad(date.getMonth() + 1, 2);
+    const dd = pad(date.getDate(), 2);
+
+    return {
+      daily: `${yyyy}${mm}${dd}`,
+      monthly: `${yyyy}${mm}`,
+      yearly: yyyy,
+      never: ''
+    }[resetPeriod] ?? '';
+  }
+
+  // Montar o número a partir do formato ({prefix} {location} {yyyy} {yy} {mm} {dd} {seq})
+  format(settings, { sequence, date = new Date(), location = '' }) {
+    const yyyy = String(date.getFullYear());
+    const tokens = {
+      prefix: settings.prefix || '',
+      location: location || '',
+      yyyy,
+      yy: yyyy.slice(-2),
+      mm: pad(date.getMonth() + 1, 2),
+      dd: pad(date.getDate(), 2),
+      seq: pad(sequence, settings.padding || 4)
+    };
+
+    return settings.format.replace(/\{(\w+)\}/g, (match, token) => tokens[token] ?? match);
+  }
+
+  // Próximo número da série (o contador fica bloqueado até o fim da transação)
+  async next(type, options = {}) {
+    const { userId, location, date = new Date(), transaction } = options;
+
+    const run = async (t) => {
+      const tenantKey = await this.getTenantKey(userId, { transaction: t });
+      const settings = await this.resolveSettings(tenantKey, type, location, { transaction: t });
+      const key = {
+        tenantKey,
+        type,
+        series: settings.series,
+        period: this.getPeriod(settings.resetPeriod, date)
+      };
+
+      // Criar o contador do período se ainda não existir (ON CONFLICT DO NOTHING)
+      await NumberSequenceCounter.bulkCreate([{ ...key, lastValue: 0 }], {
+        ignoreDuplicates: true,
+        transaction: t
+      });
+
+      // UPDATE atômico: vendas simultâneas esperam o lock da linha e recebem números distintos
+      await NumberSequenceCounter.increment('lastValue', {
+        by: 1,
+        where: key,
+        transaction: t
+      });
+
+      const counter = await NumberSequenceCounter.findOne({
+        where: key,
+        transaction: t
+      });
+
+      return this.format(settings, {
+        sequence: counter.lastValue,
+        date,
+        location: settings.series || location
+      });
+    };
+
+    return transaction ? run(transaction) : sequelize.transaction(run);
+  }
+
+  // Pré-visualizar o próximo número sem consumir a sequência
+  async preview(type, options = {}) {
+    const { userId, location, date = new Date() } = options;
+    const tenantKey = await this.getTenantKey(userId);
+    const settings = await this.resolveSettings(tenantKey, type, location);
+
+    const counter = await NumberSequenceCounter.findOne({
+      where: {
+        tenantKey,
+        type,
+        series: settings.series,
+        period: this.getPeriod(settings.resetPeriod, date)
+      }
+    });
+
+    return this.format(settings, {
+      sequence: (counter?.lastValue || 0) + 1,
+      date,
+      location: settings.series || location
+    });
+  }
+}
+
+module.exports = new SequenceService();
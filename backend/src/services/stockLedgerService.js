@@ -0,0 +1,741 @@
+const Product = require('../models/Product');
+const ProductVariant = require('../models/ProductVariant');
+const Inventory = require('../models/Inventory');
+const InventoryMovement = require('../models/InventoryMovement');
+const InventoryLot = require('../models/InventoryLot');
+const { sequelize } = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+const Helpers = require('../utils/helpers');
+const logger = require('../utils/logger');
+const { Op } = require('sequelize');
+
+const RECONCILIATION_REFERENCE = 'stock_reconciliation';
+
+const sumQuantities = rows => Helpers.roundQuantity(rows.reduce((sum, row) => sum + row.quantity, 0));
+
+const sameLocation = (row, location) => (row.location || null) === (location || null);
+
+function stockError(message, details) {
+  const error = new AppError(message, 400);
+  error.code = 'STOCK_CONFLICT';
+  error.details = details;
+  return error;
+}
+
+// Saldos fora do livro não são corrigidos no lançamento: a conciliação é feita pelo gerente
+function driftError(product, issues) {
+  const error = new AppError(
+    `Estoque de ${product.name} divergente do livro de estoque. Concilie o produto antes de movimentá-lo.`,
+    409
+  );
+  error.code = 'STOCK_DRIFT';
+  error.details = { productId: product.id, issues };
+  return error;
+}
+
+function lotError(message, code, details) {
+  const error = new AppError(message, 400);
+  error.code = code;
+  error.details = details;
+  return error;
+}
+
+// Saldos por local do produto (o mais antigo é o local principal)
+async function findLocationRows(productId, transaction) {
+  return Inventory.findAll({
+    where: { productId },
+    order: [['createdAt', 'ASC']],
+    lock: transaction.LOCK.UPDATE,
+    transaction
+  });
+}
+
+// Saldo de cada local pelo livro de estoque (soma das movimentações do local)
+async function findLedgerBalances(productId, rows, transaction) {
+  if (rows.length === 0) return {};
+
+  const ledger = await InventoryMovement.findAll({
+    where: {
+      productId,
+      inventoryId: { [Op.in]: rows.map(row => row.id) }
+    },
+    attributes: ['inventoryId', [sequelize.fn('SUM', sequelize.col('quantity')), 'total']],
+    group: ['inventoryId'],
+    raw: true,
+    transaction
+  });
+
+  return Object.fromEntries(ledger.map(entry => [entry.inventoryId, Helpers.roundQuantity(entry.total)]));
+}
+
+// Divergências entre o livro e o saldo de cada local e entre a soma dos locais e o total do produto
+function findDrift(product, rows, ledgerByRow) {
+  const issues = [];
+
+  for (const row of rows) {
+    const ledgerQuantity = ledgerByRow[row.id] || 0;
+    if (ledgerQuantity === Helpers.roundQuantity(row.quantity)) continue;
+
+    issues.push({
+      type: 'location_ledger',
+      inventoryId: row.id,
+      location: row.location,
+      expected: ledgerQuantity,
+      actual: row.quantity,
+      difference: Helpers.roundQuantity(row.quantity - ledgerQuantity)
+    });
+  }
+
+  const locationsTotal = sumQuantities(rows);
+  const productStock = Helpers.roundQuantity(product.stock);
+
+  if (locationsTotal !== productStock) {
+    issues.push({
+      type: 'total',
+      expected: productStock,
+      actual: locationsTotal,
+      difference: Helpers.roundQuantity(productStock - locationsTotal)
+    });
+  }
+
+  return issues;
+}
+
+// Lançar só sobre saldos que o livro explica
+async function assertInSync(product, rows, transaction) {
+  const issues = findDrift(product, rows, await findLedgerBalances(product.id, rows, transaction));
+
+  if (issues.length > 0) {
+    logger.warn(`Estoque do produto ${product.sku} divergente do livro de estoque; lançamento recusado`);
+    throw driftError(product, issues);
+  }
+}
+
+// Criar o saldo de um local ainda sem estoque do produto
+async function createLocationRow(product, location, transaction, defaults = {}) {
+  return Inventory.create({
+    productId: product.id,
+    userId: product.userId,
+    location: location || null,
+    quantity: 0,
+    minStock: defaults.minStock ?? product.minStock ?? 5,
+    cost: defaults.cost ?? product.cost
+  }, { transaction });
+}
+
+// Distribuir a quantidade entre os locais
+// Entradas vão para o local informado (criado se preciso) ou o principal; saídas começam pelo local
+// informado e completam com os demais, do maior saldo para o menor
+async function allocate(product, rows, target, quantity, transaction) {
+  const { inventoryId, location } = target;
+  const preferred = inventoryId
+    ? rows.find(row => row.id === inventoryId)
+    : rows.find(row => sameLocation(row, location)) || (location ? null : rows[0]);
+
+  if (inventoryId && !preferred) {
+    throw new AppError('Item de inventário não encontrado.', 404);
+  }
+
+  if (quantity > 0) {
+    const row = preferred || await createLocationRow(product, location, transaction);
+    if (!rows.includes(row)) rows.push(row);
+    return [{ row, quantity }];
+  }
+
+  // Saída de um item de inventário específico não passa para outros locais
+  const candidates = inventoryId
+    ? [preferred]
+    : [
+      ...(preferred ? [preferred] : []),
+      ...rows.filter(row => row !== preferred).sort((a, b) => b.quantity - a.quantity)
+    ];
+
+  const allocations = [];
+  let pending = Helpers.roundQuantity(-quantity);
+
+  for (const row of candidates) {
+    if (pending <= 0) break;
+    const taken = Math.min(row.quantity, pending);
+    if (taken <= 0) continue;
+
+    allocations.push({ row, quantity: -taken });
+    pending = Helpers.roundQuantity(pending - taken);
+  }
+
+  if (pending > 0) {
+    const available = sumQuantities(candidates);
+    throw stockError(
+      `Estoque insuficiente em ${preferred?.location || 'estoque'} para ${product.name}. Disponível: ${available}`,
+      { productId: product.id, location: preferred?.location || null, available, requested: -quantity }
+    );
+  }
+
+  return allocations;
+}
+
+// Entrada em lotes do local: base.lots = [{ lotNumber, quantity, expiryDate, manufactureDate, variantId }]
+// ou base.lotNumber para a quantidade toda; o que não tiver lote entra sem lote
+async function receiveLots(product, row, base, quantity, transaction) {
+  const entries = base.lots || (base.lotNumber
+    ? [{ lotNumber: base.lotNumber, quantity, expiryDate: base.expiryDate, manufactureDate: base.manufactureDate }]
+    : []);
+  const parts = [];
+  let rest = quantity;
+
+  for (const entry of entries) {
+    const lotQuantity = Helpers.roundQuantity(entry.quantity);
+    if (lotQuantity <= 0) continue;
+
+    const [lot] = await InventoryLot.findOrCreate({
+      where: { inventoryId: row.id, variantId: entry.variantId || base.variantId || null, lotNumber: entry.lotNumber },
+      defaults: {
+        productId: product.id,
+        userId: product.userId,
+        expiryDate: entry.expiryDate || null,
+        manufactureDate: entry.manufactureDate || null,
+        unitCost: base.unitCost ?? null
+      },
+      lock: transaction.LOCK.UPDATE,
+      transaction
+    });
+
+    if (entry.expiryDate && lot.expiryDate && entry.expiryDate !== lot.expiryDate) {
+      throw lotError(`O lote ${lot.lotNumber} já está cadastrado com validade ${lot.expiryDate}.`, 'LOT_EXPIRY_MISMATCH', {
+        lotNumber: lot.lotNumber,
+        expiryDate: lot.expiryDate
+      });
+    }
+
+    lot.quantity = Helpers.roundQuantity(lot.quantity + lotQuantity);
+    if (!lot.expiryDate && entry.expiryDate) lot.expiryDate = entry.expiryDate;
+    await lot.save({ transaction });
+
+    parts.push({ lot, quantity: lotQuantity });
+    rest = Helpers.roundQuantity(rest - lotQuantity);
+  }
+
+  if (rest < 0) {
+    throw new AppError('A soma dos lotes é maior que a quantidade da entrada.', 400);
+  }
+  if (rest > 0) parts.push({ lot: null, quantity: rest });
+
+  return parts;
+}
+
+// Devolução: lotes que os movimentos de base.returnOf tiraram do estoque e ainda não voltaram
+// (mesmo número e validade, entram no local da devolução); o que saiu sem lote volta sem lote
+async function findReturnLots(product, base, quantity, transaction) {
+  const movements = await InventoryMovement.findAll({
+    where: {
+      productId: product.id,
+      variantId: base.variantId || null,
+      lotId: { [Op.ne]: null },
+      [Op.or]: base.returnOf
+    },
+    include: [{ model: InventoryLot, as: 'lot' }],
+    order: [['createdAt', 'ASC']],
+    transaction
+  });
+
+  // Saldo a devolver por número de lote (a devolução em outro local fica em outro registro do mesmo lote)
+  const outstanding = new Map();
+  for (const movement of movements) {
+    const entry = outstanding.get(movement.lot.lotNumber) || { lot: movement.lot, quantity: 0 };
+    entry.quantity = Helpers.roundQuantity(entry.quantity - movement.quantity);
+    outstanding.set(movement.lot.lotNumber, entry);
+  }
+
+  const lots = [];
+  let rest = quantity;
+
+  for (const { lot, quantity: pending } of outstanding.values()) {
+    const part = Helpers.roundQuantity(Math.min(pending, rest));
+    if (part <= 0) continue;
+
+    lots.push({
+      lotNumber: lot.lotNumber,
+      variantId: lot.variantId,
+      expiryDate: lot.expiryDate,
+      manufactureDate: lot.manufactureDate,
+      quantity: part
+    });
+    rest = Helpers.roundQuantity(rest - part);
+  }
+
+  return lots;
+}
+
+// Saída dos lotes do local em ordem FEFO (primeiro o que vence antes); base.lotId baixa um lote específico
+// Venda não usa lote vencido; a parte sem lote do saldo (anterior ao controle de lotes) sai por último
+async function pickLots(product, row, base, quantity, transaction) {
+  const lots = await InventoryLot.findAll({
+    where: { inventoryId: row.id, quantity: { [Op.gt]: 0 } },
+    lock: transaction.LOCK.UPDATE,
+    transaction
+  });
+  const requested = Helpers.roundQuantity(-quantity);
+
+  if (lots.length === 0 && !base.lotId) {
+    return [{ lot: null, quantity }];
+  }
+
+  let picks;
+  let remaining;
+
+  if (base.lotId) {
+    const lot = lots.find(candidate => candidate.id === base.lotId);
+    if (!lot || lot.quantity < requested) {
+      throw lotError(`Saldo insuficiente no lote informado para ${product.name}.`, 'LOT_INSUFFICIENT', {
+        lotId: base.lotId,
+        available: lot?.quantity || 0,
+        requested
+      });
+    }
+    picks = [{ lot, quantity: requested }];
+    remaining = 0;
+  } else {
+    // Saída de uma variação usa só os lotes dela; saídas do local inteiro (transferência) usam todos
+    const candidates = base.variantId ? lots.filter(lot => lot.variantId === base.variantId) : lots;
+    ({ picks, remaining } = InventoryLot.pick(candidates, requested, { skipExpired: base.type === 'sale' }));
+
+    const untracked = Math.max(0, Helpers.roundQuantity(row.quantity - sumQuantities(lots)));
+    const expired = candidates.filter(lot => lot.isExpired());
+    if (base.type === 'sale' && remaining > untracked && expired.length > 0) {
+      throw lotError(
+        `Estoque de ${product.name} em ${row.location || 'estoque'} disponível apenas em lotes vencidos.`,
+        'LOT_EXPIRED',
+        {
+          productId: product.id,
+          lots: expired.map(lot => lot.lotNumber),
+          available: Helpers.roundQuantity(requested - remaining + untracked),
+          requested
+        }
+      );
+    }
+  }
+
+  const parts = [];
+  for (const { lot, quantity: taken } of picks) {
+    lot.quantity = Helpers.roundQuantity(lot.quantity - taken);
+    await lot.save({ transaction });
+    parts.push({ lot, quantity: -taken });
+  }
+  if (remaining > 0) parts.push({ lot: null, quantity: -remaining });
+
+  return parts;
+}
+
+// Validade do local = a do lote com saldo que vence primeiro (locais sem lote mantêm a validade informada)
+async function syncRowExpiry(row, transaction) {
+  const lots = await InventoryLot.findAll({
+    where: { inventoryId: row.id, quantity: { [Op.gt]: 0 } },
+    transaction
+  });
+  const [first] = InventoryLot.sortFefo(lots);
+  row.expiryDate = first?.expiryDate ? new Date(first.expiryDate) : null;
+}
+
+// Aplicar a quantidade aos saldos por local e lançar um movimento por local (e por lote)
+// base = dados do movimento; stockBefore = estoque do produto/variação antes do lançamento
+async function postToLocations(product, rows, base, quantity, stockBefore, transaction) {
+  const allocations = await allocate(product, rows, base, quantity, transaction);
+  const movements = [];
+  let running = stockBefore;
+
+  for (const { row, quantity: allocated } of allocations) {
+    const parts = allocated > 0
+      ? await receiveLots(product, row, base, allocated, transaction)
+      : await pickLots(product, row, base, allocated, transaction);
+
+    row.quantity = Helpers.roundQuantity(row.quantity + allocated);
+    if (parts.some(part => part.lot)) {
+      await syncRowExpiry(row, transaction);
+    }
+    await row.save({ transaction });
+
+    for (const { lot, quantity: part } of parts) {
+      const previousQuantity = running;
+      running = Helpers.roundQuantity(running + part);
+
+      movements.push(await InventoryMovement.create({
+        inventoryId: row.id,
+        productId: product.id,
+        variantId: base.variantId || null,
+        lotId: lot?.id || null,
+        userId: base.userId || product.userId,
+        type: base.type,
+        quantity: part,
+        previousQuantity,
+        newQuantity: running,
+        unitCost: base.unitCost ?? 0,
+        reason: base.reason,
+        notes: base.notes,
+        referenceId: base.referenceId,
+        referenceType: base.referenceType,
+        metadata: {
+          ...base.metadata,
+          location: row.location || null,
+          ...(lot && { lotNumber: lot.lotNumber, expiryDate: lot.expiryDate })
+        }
+      }, { transaction }));
+    }
+  }
+
+  return movements;
+}
+
+class StockLedgerService {
+  // Lançar uma movimentação de estoque: todo estoque muda por aqui
+  // entry.quantity tem sinal (saída negativa); o movimento é gravado em InventoryMovement e as
+  // quantidades derivadas (saldo do local, estoque da variação e total do produto) são atualizadas juntas
+  // entry.location escolhe o local; entry.inventoryId fixa o item de inventário
+  // Entradas com entry.lotNumber (ou entry.lots) ficam em lotes com validade; saídas consomem os lotes
+  // em ordem FEFO e entry.lotId (com entry.inventoryId) baixa um lote específico
+  // Devoluções com entry.returnOf (filtros dos movimentos de origem e das devoluções anteriores)
+  // voltam aos lotes de onde saíram
+  async record(entry, options = {}) {
+    const { transaction } = options;
+    const quantity = Helpers.roundQuantity(entry.quantity);
+
+    const product = await Product.findByPk(entry.productId, {
+      lock: transaction.LOCK.UPDATE,
+      transaction
+    });
+
+    if (!product) {
+      throw new AppError('Produto não encontrado.', 404);
+    }
+
+    const variant = entry.variantId
+      ? await ProductVariant.findOne({
+        where: { id: entry.variantId, productId: product.id },
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      })
+      : null;
+
+    if (entry.variantId && !variant) {
+      throw new AppError('Variação do produto não encontrada.', 404);
+    }
+
+    const stockSource = variant || product;
+    const previousStock = Helpers.roundQuantity(stockSource.stock);
+    const newStock = Helpers.roundQuantity(previousStock + quantity);
+
+    if (quantity === 0) {
+      return { movements: [], product, variant, stock: previousStock };
+    }
+
+    if (newStock < 0) {
+      throw stockError(`Estoque insuficiente para ${product.name}. Disponível: ${previousStock}`, {
+        productId: product.id,
+        variantId: variant?.id,
+        available: previousStock,
+        requested: -quantity
+      });
+    }
+
+    // Produto sem saldo por local (anterior ao livro): o estoque atual entra como saldo inicial do local principal
+    const rows = await findLocationRows(product.id, transaction);
+    if (rows.length === 0 && Helpers.roundQuantity(product.stock) !== 0) {
+      await postToLocations(product, rows, {
+        type: 'initial',
+        unitCost: parseFloat(product.cost || 0),
+        notes: 'Saldo de abertura do produto no livro de estoque'
+      }, Helpers.roundQuantity(product.stock), 0, transaction);
+    }
+
+    // Saldos por local e total do produto precisam bater com o livro (divergência = STOCK_DRIFT)
+    await assertInSync(product, rows, transaction);
+
+    const lots = entry.returnOf && quantity > 0
+      ? await findReturnLots(product, entry, quantity, transaction)
+      : entry.lots;
+
+    const movements = await postToLocations(product, rows, {
+      ...entry,
+      lots,
+      unitCost: entry.unitCost ?? (variant ? variant.getCost(product) : parseFloat(product.cost))
+    }, quantity, previousStock, transaction);
+
+    if (variant) {
+      await variant.increment('stock', { by: quantity, transaction });
+      variant.stock = newStock;
+    }
+
+    // O increment pode recarregar o registro (RETURNING): o saldo final é calculado antes
+    const productStock = Helpers.roundQuantity(product.stock + quantity);
+    await product.increment('stock', { by: quantity, transaction });
+    product.stock = productStock;
+
+    return { movements, product, variant, stock: newStock };
+  }
+
+  // Ajustar um item de inventário para a quantidade contada (gera o movimento da diferença)
+  async setLocationQuantity(inventory, quantity, context) {
+    const { userId, reason, notes, transaction } = context;
+
+    return this.record({
+      productId: inventory.productId,
+      inventoryId: inventory.id,
+      userId,
+      type: 'adjustment',
+      quantity: Helpers.roundQuantity(quantity - inventory.quantity),
+      unitCost: parseFloat(inventory.cost || 0),
+      reason,
+      notes
+    }, { transaction });
+  }
+
+  // Transferir entre locais (total do produto não muda: saída na origem e entrada no destino)
+  async transfer(inventoryId, toLocation, quantity, context = {}) {
+    const { userId, notes = '' } = context;
+    const transaction = await sequelize.transaction();
+
+    try {
+      const source = await Inventory.findOne({
+        where: { id: inventoryId, userId },
+        transaction
+      });
+
+      if (!source) {
+        throw new AppError('Item de inventário não encontrado.', 404);
+      }
+
+      if (sameLocation(source, toLocation)) {
+        throw new AppError('O destino deve ser diferente do local de origem.', 400);
+      }
+
+      const product = await Product.findByPk(source.productId, {
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+      const rows = await findLocationRows(product.id, transaction);
+      await assertInSync(product, rows, transaction);
+      const from = rows.find(row => row.id === source.id);
+
+      if (quantity > from.quantity) {
+        throw stockError('Quantidade insuficiente em estoque', {
+          productId: product.id,
+          location: from.location,
+          available: from.quantity,
+          requested: quantity
+        });
+      }
+
+      const base = {
+        userId,
+        type: 'transfer',
+        unitCost: parseFloat(from.cost || product.cost || 0),
+        metadata: { fromLocation: from.location, toLocation }
+      };
+
+      const outgoing = await postToLocations(product, rows, {
+        ...base,
+        inventoryId: from.id,
+        notes: `Transferido para ${toLocation}. ${notes}`.trim()
+      }, -quantity, product.stock, transaction);
+
+      // Os lotes retirados da origem entram no destino com o mesmo número e validade
+      const lotIds = outgoing.filter(movement => movement.lotId).map(movement => movement.lotId);
+      const sourceLots = lotIds.length > 0
+        ? await InventoryLot.findAll({ where: { id: { [Op.in]: lotIds } }, transaction })
+        : [];
+      const lots = outgoing.filter(movement => movement.lotId).map(movement => {
+        const lot = sourceLots.find(candidate => candidate.id === movement.lotId);
+        return {
+          lotNumber: lot.lotNumber,
+          variantId: lot.variantId,
+          expiryDate: lot.expiryDate,
+          manufactureDate: lot.manufactureDate,
+          quantity: -movement.quantity
+        };
+      });
+
+      let to = rows.find(row => row.id !== from.id && sameLocation(row, toLocation));
+      if (!to) {
+        to = await createLocationRow(product, toLocation, transaction, { minStock: from.minStock, cost: from.cost });
+        rows.push(to);
+      }
+
+      await postToLocations(product, rows, {
+        ...base,
+        lots,
+        inventoryId: to.id,
+        notes: `Recebido de ${from.location || 'local principal'}. ${notes}`.trim()
+      }, quantity, Helpers.roundQuantity(product.stock - quantity), transaction);
+
+      await transaction.commit();
+      return { from, to };
+
+    } catch (error) {
+      if (!transaction.finished) await transaction.rollback();
+      throw error;
+    }
+  }
+
+  // Conferir os saldos por local de um produto contra o livro e contra o total do produto
+  // Com fix (ação do gerente), o livro passa a explicar o saldo de cada local e a diferença para o total
+  // é lançada no local principal
+  async reconcileLocations(product, rows, options = {}) {
+    const { fix = false, transaction } = options;
+    const ledgerByRow = await findLedgerBalances(product.id, rows, transaction);
+    const issues = findDrift(product, rows, ledgerByRow);
+    const locationsTotal = sumQuantities(rows);
+
+    if (fix) {
+      for (const issue of issues.filter(item => item.type === 'location_ledger')) {
+        const row = rows.find(candidate => candidate.id === issue.inventoryId);
+
+        // Saldo de abertura no livro: não altera o saldo do local
+        await InventoryMovement.create({
+          inventoryId: row.id,
+          productId: product.id,
+          userId: product.userId,
+          type: 'adjustment',
+          quantity: issue.difference,
+          previousQuantity: issue.expected,
+          newQuantity: row.quantity,
+          unitCost: parseFloat(row.cost || product.cost || 0),
+          reason: 'Conciliação de estoque',
+          notes: 'Saldo de abertura do local no livro de estoque',
+          referenceType: RECONCILIATION_REFERENCE,
+          metadata: { scope: 'location', location: row.location || null }
+        }, { transaction });
+      }
+
+      // O total do produto (base das vendas) prevalece; a diferença entra ou sai dos locais
+      const total = issues.find(item => item.type === 'total');
+      if (total) {
+        await postToLocations(product, rows, {
+          type: 'adjustment',
+          unitCost: parseFloat(product.cost || 0),
+          reason: 'Conciliação de estoque',
+          notes: `Diferença entre o estoque do produto (${total.expected}) e a soma dos locais (${total.actual})`,
+          referenceType: RECONCILIATION_REFERENCE,
+          metadata: { scope: 'total' }
+        }, total.difference, locationsTotal, transaction);
+      }
+    }
+
+    return { locationsTotal, issues };
+  }
+
+  // Conciliar um produto: total x variações, locais x livro e total x locais
+  async reconcileProduct(productId, options = {}) {
+    const { fix = false } = options;
+    const transaction = await sequelize.transaction();
+
+    try {
+      const product = await Product.findByPk(productId, {
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+
+      if (!product) {
+        throw new AppError('Produto não encontrado.', 404);
+      }
+
+      const issues = [];
+
+      // Produto com variações: o total é a soma das variações
+      if (product.hasVariants) {
+        const variantsTotal = Helpers.roundQuantity(await ProductVariant.sum('stock', {
+          where: { productId },
+          transaction
+        }));
+
+        if (variantsTotal !== Helpers.roundQuantity(product.stock)) {
+          issues.push({
+            type: 'variants',
+            expected: variantsTotal,
+            actual: product.stock,
+            difference: Helpers.roundQuantity(variantsTotal - product.stock)
+          });
+
+          if (fix) {
+            product.stock = await ProductVariant.syncProductStock(productId, { transaction });
+          }
+        }
+      }
+
+      const rows = await findLocationRows(productId, transaction);
+      const { locationsTotal, issues: locationIssues } = await this.reconcileLocations(product, rows, { fix, transaction });
+      issues.push(...locationIssues);
+
+      await transaction.commit();
+
+      return {
+        productId,
+        sku: product.sku,
+        name: product.name,
+        stock: product.stock,
+        locationsTotal,
+        issues,
+        fixed: fix && issues.length > 0
+      };
+
+    } catch (error) {
+      if (!transaction.finished) await transaction.rollback();
+      throw error;
+    }
+  }
+
+  // Relatório (e correção, com fix) de divergências de estoque dos produtos da conta ou de todas (job)
+  async reconcile(options = {}) {
+    const { userId, productId, fix = false } = options;
+
+    const where = {};
+    if (userId) where.userId = userId;
+    if (productId) where.id = productId;
+
+    const products = await Product.findAll({
+      where,
+      attributes: ['id'],
+      order: [['createdAt', 'ASC']]
+    });
+
+    const drifted = [];
+    for (const { id } of products) {
+      const result = await this.reconcileProduct(id, { fix });
+      if (result.issues.length > 0) drifted.push(result);
+    }
+
+    return {
+      checked: products.length,
+      drifted: drifted.length,
+      fixed: fix ? drifted.length : 0,
+      products: drifted
+    };
+  }
+
+  // Conferência periódica (job): relata as divergências e só as corrige com STOCK_RECONCILIATION_FIX=true
+  async runScheduledReconciliation() {
+    return this.reconcile({ fix: process.env.STOCK_RECONCILIATION_FIX === 'true' });
+  }
+
+  // Saldos do produto pelo livro de estoque: por local e total
+  async getBalances(productId) {
+    const rows = await Inventory.findAll({
+      where: { productId },
+      attributes: ['id', 'location', 'quantity'],
+      order: [['createdAt', 'ASC']]
+    });
+
+    const ledgerByRow = await findLedgerBalances(productId, rows);
+
+    const locations = rows.map(row => ({
+      inventoryId: row.id,
+      location: row.location,
+      quantity: row.quantity,
+      ledgerQuantity: ledgerByRow[row.id] || 0
+    }));
+
+    return {
+      locations,
+      total: Helpers.roundQuantity(locations.reduce((sum, location) => sum + location.ledgerQuantity, 0))
+    };
+  }
+}
+
+module.exports = new StockLedgerService();
@@ -0,0 +1,344 @@
+const StoreCredit = require('../models/StoreCredit');
+const StoreCreditMovement = require('../models/StoreCreditMovement');
+const Customer = require('../models/Customer');
+const Transaction = require('../models/Transaction');
+const CashDrawer = require('../models/CashDrawer');
+const CashDrawerMovement = require('../models/CashDrawerMovement');
+const sequenceService = require('./sequenceService');
+const securityService = require('./securityService');
+const { sequelize } = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+
+const round = value => Math.round(value * 100) / 100;
+
+const TYPE_LABELS = { credit_note: 'Vale-crédito', gift_card: 'Vale-presente' };
+
+const AUDIT_ACTIONS = {
+  issue: 'STORE_CREDIT_ISSUED',
+  redeem: 'STORE_CREDIT_REDEEMED',
+  reversal: 'STORE_CREDIT_REVERSED',
+  expire: 'STORE_CREDIT_EXPIRED',
+  void: 'STORE_CREDIT_VOIDED'
+};
+
+// Registrar a alteração de saldo no SecurityLog somente se a transação for confirmada
+function auditMovement(credit, movement, context, transaction) {
+  const log = () => securityService.logSecurityEvent({
+    userId: context.userId || null,
+    action: AUDIT_ACTIONS[movement.type],
+    description: `${TYPE_LABELS[credit.type]} ${credit.code}: ${movement.amount > 0 ? '+' : ''}${movement.amount.toFixed(2)} (saldo ${movement.balanceAfter.toFixed(2)})`,
+    ipAddress: context.ipAddress,
+    details: {
+      storeCreditId: credit.id,
+      code: credit.code,
+      type: credit.type,
+      customerId: credit.customerId,
+      movementId: movement.id,
+      movementType: movement.type,
+      amount: movement.amount,
+      balanceAfter: movement.balanceAfter,
+      saleId: movement.saleId || null
+    },
+    severity: movement.type === 'void' ? 'high' : 'medium'
+  });
+
+  if (transaction) {
+    transaction.afterCommit(log);
+  } else {
+    return log();
+  }
+}
+
+// Alterar o saldo do vale (já bloqueado na transação) e lançar no extrato
+async function applyMovement(credit, type, amount, context, transaction) {
+  const balanceAfter = round(parseFloat(credit.balance) + amount);
+
+  credit.balance = balanceAfter;
+  if (type === 'expire' || type === 'void') {
+    credit.status = type === 'expire' ? 'expired' : 'void';
+  } else {
+    credit.status = balanceAfter > 0 ? 'active' : 'redeemed';
+  }
+  await credit.save({ transaction });
+
+  const movement = await StoreCreditMovement.create({
+    storeCreditId: credit.id,
+    userId: context.userId || null,
+    type,
+    amount: round(amount),
+    balanceAfter,
+    saleId: context.saleId || null,
+    notes: context.notes || null
+  }, { transaction });
+
+  auditMovement(credit, {
+    id: movement.id,
+    type,
+    amount: round(amount),
+    balanceAfter,
+    saleId: movement.saleId
+  }, context, transaction);
+
+  return movement;
+}
+
+class StoreCreditService {
+  // Emitir vale-crédito (devolução) ou vale-presente (venda) com a validade padrão do tipo
+  async issue(data, options = {}) {
+    const { userId, type, amount, customerId, sourceSaleId, expiresAt, notes } = data;
+    const { transaction, ipAddress } = options;
+    const value = round(parseFloat(amount));
+
+    if (!(value > 0)) {
+      throw new AppError('O valor do vale deve ser maior que 0.', 400);
+    }
+
+    const tenantKey = await sequenceService.getTenantKey(userId, { transaction });
+
+    const credit = await StoreCredit.create({
+      tenantKey,
+      code: StoreCredit.generateCode(type),
+      type,
+      customerId: customerId || null,
+      userId,
+      initialAmount: value,
+      balance: 0,
+      expiresAt: expiresAt ? new Date(expiresAt) : StoreCredit.getDefaultExpiry(type),
+      sourceSaleId: sourceSaleId || null,
+      notes: notes || null
+    }, { transaction });
+
+    await applyMovement(credit, 'issue', value, {
+      userId,
+      ipAddress,
+      saleId: sourceSaleId,
+      notes
+    }, transaction);
+
+    return credit;
+  }
+
+  // Vender vale-presente: recebe o valor (dinheiro entra no caixa) e emite o saldo
+  async sellGiftCard(userId, data, context = {}) {
+    const { amount, customerId, paymentMethod, expiresAt, notes } = data;
+    const value = round(parseFloat(amount));
+    const transaction = await sequelize.transaction();
+
+    try {
+      if (customerId) {
+        const customer = await Customer.findOne({
+          where: { id: customerId, userId },
+          transaction
+        });
+
+        if (!customer) {
+          throw new AppError('Cliente não encontrado.', 404);
+        }
+      }
+
+      const credit = await this.issue({
+        userId,
+        type: 'gift_card',
+        amount: value,
+        customerId,
+        expiresAt,
+        notes
+      }, { transaction, ipAddress: context.ipAddress });
+
+      if (paymentMethod === 'cash') {
+        const cashDrawer = await CashDrawer.findOne({
+          where: { userId, status: 'open' },
+          lock: transaction.LOCK.UPDATE,
+          transaction
+        });
+
+        if (!cashDrawer) {
+          throw new AppError('Caixa não está aberto. Abra o caixa antes de vender em dinheiro.', 400);
+        }
+
+        await CashDrawerMovement.create({
+          cashDrawerId: cashDrawer.id,
+          userId,
+          type: 'gift_card_sale',
+          amount: value,
+          reason: `Vale-presente ${credit.code}`,
+          referenceId: credit.id,
+          referenceType: 'store_credit'
+        }, { transaction });
+
+        cashDrawer.expectedBalance = parseFloat(cashDrawer.expectedBalance ?? cashDrawer.openingBalance) + value;
+        await cashDrawer.save({ transaction });
+      }
+
+      // Receita da venda do vale no financeiro
+      await Transaction.create({
+        userId,
+        date: new Date(),
+        description: `Venda de vale-presente ${credit.code}`,
+        category: 'Vale-presente',
+        amount: value,
+        type: 'income',
+        status: 'completed',
+        paymentMethod,
+        paidAt: new Date(),
+        referenceId: credit.id,
+        referenceType: 'store_credit'
+      }, { transaction });
+
+      await transaction.commit();
+      return credit;
+
+    } catch (error) {
+      if (!transaction.finished) await transaction.rollback();
+      throw error;
+    }
+  }
+
+  // Buscar vale da empresa pelo código (bloqueado para alteração quando houver transação)
+  async findByCode(userId, code, options = {}) {
+    const { transaction } = options;
+    const tenantKey = await sequenceService.getTenantKey(userId, { transaction });
+
+    return StoreCredit.findOne({
+      where: { tenantKey, code: StoreCredit.normalizeCode(code) },
+      lock: transaction ? transaction.LOCK.UPDATE : undefined,
+      transaction
+    });
+  }
+
+  // Resgatar parte ou todo o saldo de um vale em uma venda
+  async redeem(code, amount, context) {
+    const { userId, sale, transaction } = context;
+    const value = round(parseFloat(amount));
+    const credit = await this.findByCode(userId, code, { transaction });
+
+    if (!credit) {
+      throw new AppError(`Vale não encontrado: ${StoreCredit.normalizeCode(code)}`, 404);
+    }
+
+    if (credit.status !== 'active' || credit.isExpired()) {
+      const error = new AppError(`Vale ${credit.code} ${credit.isExpired() ? 'vencido' : 'sem saldo ou cancelado'}.`, 400);
+      error.code = 'STORE_CREDIT_UNAVAILABLE';
+      throw error;
+    }
+
+    const available = credit.getAvailableBalance();
+    if (value > available) {
+      const error = new AppError(`Saldo insuficiente no vale ${credit.code}. Disponível: ${available.toFixed(2)}`, 400);
+      error.code = 'STORE_CREDIT_INSUFFICIENT';
+      error.details = { code: credit.code, available, requested: value };
+      throw error;
+    }
+
+    // Vale-crédito nominal só pode ser usado pelo próprio cliente
+    if (credit.type === 'credit_note' && credit.customerId && sale.customerId !== credit.customerId) {
+      throw new AppError(`O vale ${credit.code} pertence a outro cliente.`, 400);
+    }
+
+    await applyMovement(credit, 'redeem', -value, {
+      ...context,
+      saleId: sale.id,
+      notes: `Venda ${sale.saleNumber}`
+    }, transaction);
+
+    return credit;
+  }
+
+  // Resgatar os pagamentos em vale de uma venda (código informado na referência do pagamento)
+  async redeemTenders(sale, context) {
+    const tenders = (sale.tenders || []).filter(tender => tender.method === 'store_credit');
+
+    for (const tender of tenders) {
+      await this.redeem(tender.reference, tender.amount, { ...context, sale });
+    }
+  }
+
+  // Devolver aos vales o valor resgatado em uma venda cancelada
+  async reverseRedemptions(sale, context) {
+    const { transaction, reason } = context;
+    const redemptions = await StoreCreditMovement.findAll({
+      where: { saleId: sale.id, type: 'redeem' },
+      transaction
+    });
+
+    for (const redemption of redemptions) {
+      const credit = await StoreCredit.findByPk(redemption.storeCreditId, {
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+      if (!credit || credit.status === 'void') continue;
+
+      await applyMovement(credit, 'reversal', Math.abs(parseFloat(redemption.amount)), {
+        ...context,
+        saleId: sale.id,
+        notes: `Cancelamento venda ${sale.saleNumber}${reason ? `: ${reason}` : ''}`
+      }, transaction);
+    }
+
+    return redemptions.length;
+  }
+
+  // Zerar o saldo dos vales vencidos (job periódico)
+  async expireBalances(now = new Date()) {
+    const transaction = await sequelize.transaction();
+
+    try {
+      const credits = await StoreCredit.findAll({
+        where: StoreCredit.expiredWhere(now),
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+
+      for (const credit of credits) {
+        await applyMovement(credit, 'expire', -parseFloat(credit.balance), {
+          notes: 'Validade vencida'
+        }, transaction);
+      }
+
+      await transaction.commit();
+      return credits.length;
+
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+
+  // Cancelar um vale com saldo (ex.: emitido por engano)
+  async void(id, userId, options = {}) {
+    const { reason, ipAddress } = options;
+    const transaction = await sequelize.transaction();
+
+    try {
+      const tenantKey = await sequenceService.getTenantKey(userId, { transaction });
+      const credit = await StoreCredit.findOne({
+        where: { id, tenantKey },
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+
+      if (!credit) {
+        throw new AppError('Vale não encontrado.', 404);
+      }
+
+      if (credit.status !== 'active') {
+        throw new AppError('Apenas vales ativos podem ser cancelados.', 400);
+      }
+
+      await applyMovement(credit, 'void', -parseFloat(credit.balance), {
+        userId,
+        ipAddress,
+        notes: reason
+      }, transaction);
+
+      await transaction.commit();
+      return credit;
+
+    } catch (error) {
+      if (!transaction.finished) await transaction.rollback();
+      throw error;
+    }
+  }
+}
+
+module.exports = new StoreCreditService();
@@ -0,0 +1,184 @@
+const Supplier = require('../models/Supplier');
+const SupplierProduct = require('../models/SupplierProduct');
+const Product = require('../models/Product');
+const ProductVariant = require('../models/ProductVariant');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const GoodsReceipt = require('../models/GoodsReceipt');
+const { AppError } = require('../middleware/errorHandler');
+const { Op } = require('sequelize');
+
+const round = value => Math.round(value * 100) / 100;
+
+class SupplierService {
+  // Fornecedor da empresa (404 se não existir)
+  async findSupplier(userId, id, options = {}) {
+    const supplier = await Supplier.findOne({
+      where: { id, userId },
+      transaction: options.transaction
+    });
+
+    if (!supplier) {
+      throw new AppError('Fornecedor não encontrado.', 404);
+    }
+
+    return supplier;
+  }
+
+  // Fornecedor ativo para um novo pedido de compra
+  async findActiveSupplier(userId, id, options = {}) {
+    const supplier = await this.findSupplier(userId, id, options);
+
+    if (supplier.status !== 'active') {
+      const error = new AppError(`O fornecedor ${supplier.name} está inativo.`, 400);
+      error.code = 'SUPPLIER_INACTIVE';
+      throw error;
+    }
+
+    return supplier;
+  }
+
+  // Vínculos do fornecedor com os produtos informados (custo previsto das linhas do pedido)
+  async findProductLinks(supplierId, productIds, options = {}) {
+    return SupplierProduct.findAll({
+      where: { supplierId, productId: { [Op.in]: productIds } },
+      transaction: options.transaction
+    });
+  }
+
+  // Criar ou atualizar o vínculo fornecedor-produto
+  async saveProductLink(userId, supplierId, data) {
+    await this.findSupplier(userId, supplierId);
+
+    const product = await Product.findOne({ where: { id: data.productId, userId } });
+    if (!product) {
+      throw new AppError('Produto não encontrado.', 404);
+    }
+
+    if (data.variantId) {
+      const variant = await ProductVariant.findOne({ where: { id: data.variantId, productId: product.id } });
+      if (!variant) {
+        throw new AppError('Variação do produto não encontrada.', 404);
+      }
+    }
+
+    const fields = {};
+    for (const field of ['supplierSku', 'lastPurchasePrice', 'leadTimeDays', 'isPreferred']) {
+      if (data[field] !== undefined) fields[field] = data[field];
+    }
+
+    const [link, created] = await SupplierProduct.findOrCreate({
+      where: { supplierId, productId: product.id, variantId: data.variantId || null },
+      defaults: fields
+    });
+
+    if (!created) {
+      await link.update(fields);
+    }
+
+    // Fornecedor principal: único por produto e também gravado no produto
+    if (link.isPreferred) {
+      await SupplierProduct.update({ isPreferred: false }, {
+        where: { productId: product.id, id: { [Op.ne]: link.id } }
+      });
+      await product.update({ supplierId });
+    }
+
+    return { link, created };
+  }
+
+  // Remover vínculo fornecedor-produto
+  async deleteProductLink(userId, supplierId, linkId) {
+    await this.findSupplier(userId, supplierId);
+
+    const link = await SupplierProduct.findOne({ where: { id: linkId, supplierId } });
+    if (!link) {
+      throw new AppError('Produto não vinculado a este fornecedor.', 404);
+    }
+
+    await link.destroy();
+    return link;
+  }
+
+  // Atualizar o último preço de compra no recebimento (cria o vínculo na primeira compra)
+  async recordPurchasePrice(supplierId, line, options = {}) {
+    const { receivedAt = new Date(), transaction } = options;
+
+    const [link] = await SupplierProduct.findOrCreate({
+      where: { supplierId, productId: line.productId, variantId: line.variantId || null },
+      defaults: { lastPurchasePrice: line.unitCost, lastPurchaseAt: receivedAt },
+      transaction
+    });
+
+    link.lastPurchasePrice = line.unitCost;
+    link.lastPurchaseAt = receivedAt;
+    await link.save({ transaction });
+
+    return link;
+  }
+
+  // Desempenho do fornecedor pelo histórico de compras: entregas no prazo e evolução de preços
+  async getPerformance(userId, supplierId, filters = {}) {
+    const { startDate, endDate } = filters;
+    const supplier = await this.findSupplier(userId, supplierId);
+
+    const where = { userId, supplierId, status: { [Op.ne]: 'cancelled' } };
+    if (startDate || endDate) {
+      where.createdAt = {};
+      if (startDate) where.createdAt[Op.gte] = new Date(startDate);
+      if (endDate) where.createdAt[Op.lte] = new Date(endDate);
+    }
+
+    const orders = await PurchaseOrder.findAll({
+      where,
+      order: [['createdAt', 'ASC']]
+    });
+
+    const receipts = orders.length > 0
+      ? await GoodsReceipt.findAll({
+        where: { purchaseOrderId: { [Op.in]: orders.map(order => order.id) } },
+        order: [['receivedAt', 'ASC']]
+      })
+      : [];
+
+    // Custo de cada produto em cada recebimento, em ordem cronológica
+    const pricesByProduct = new Map();
+    for (const receipt of receipts) {
+      for (const line of receipt.items) {
+        const key = `${line.productId}:${line.variantId || ''}`;
+        if (!pricesByProduct.has(key)) {
+          pricesByProduct.set(key, {
+            productId: line.productId,
+            variantId: line.variantId || null,
+            productName: line.productName,
+            points: []
+          });
+        }
+        pricesByProduct.get(key).points.push({ date: receipt.receivedAt, unitCost: line.unitCost });
+      }
+    }
+
+    const priceTrends = [...pricesByProduct.values()].map(({ points, ...product }) => ({
+      ...product,
+      ...Supplier.getPriceTrend(points)
+    }));
+
+    return {
+      supplier: {
+        id: supplier.id,
+        name: supplier.name,
+        leadTimeDays: supplier.leadTimeDays,
+        paymentTermDays: supplier.paymentTermDays
+      },
+      orders: {
+        total: orders.length,
+        open: orders.filter(order => PurchaseOrder.RECEIVABLE_STATUSES.includes(order.status)).length,
+        orderedValue: round(orders.reduce((sum, order) => sum + parseFloat(order.total), 0)),
+        receivedValue: round(orders.reduce((sum, order) => sum + parseFloat(order.receivedTotal), 0))
+      },
+      delivery: supplier.getDeliveryStats(orders),
+      priceTrends
+    };
+  }
+}
+
+module.exports = new SupplierService();
@@ -264,6 +264,52 @@ class Helpers {
         return prefix + company + product + check;
     }
 
+    /**
+     * Calculate EAN-13 check digit from the first 12 digits
+     */
+    static calculateEAN13CheckDigit(digits) {
+        const sum = digits
+            .slice(0, 12)
+            .split('')
+            .reduce((total, digit, index) => total + parseInt(digit) * (index % 2 === 0 ? 1 : 3), 0);
+        return (10 - (sum % 10)) % 10;
+    }
+
+    /**
+     * Validate EAN-13 barcode
+     */
+    static validateEAN13(code) {
+        if (!/^\d{13}$/.test(code)) return false;
+        return Helpers.calculateEAN13CheckDigit(code) === parseInt(code[12]);
+    }
+
+    /**
+     * Decode an in-store scale barcode (EAN-13 starting with 2)
+     * Layout: 2 + product code (pluLength digits) + value + check digit
+     * The value is the price in cents (mode 'price') or the weight in grams (mode 'weight')
+     */
+    static parseScaleBarcode(code, { pluLength = 5, mode = 'price' } = {}) {
+        if (!Helpers.validateEAN13(code) || code[0] !== '2') return null;
+
+        const plu = code.slice(1, 1 + pluLength);
+        const value = parseInt(code.slice(1 + pluLength, 12));
+
+        return {
+            plu,
+            mode,
+            ...(mode === 'weight'
+                ? { weight: value / 1000 }
+                : { amount: value / 100 })
+        };
+    }
+
+    /**
+     * Round a quantity to 3 decimal places (grams, milliliters)
+     */
+    static roundQuantity(value) {
+        return Math.round(parseFloat(value || 0) * 1000) / 1000;
+    }
+
     /**
      * Create directory if not exists
      */
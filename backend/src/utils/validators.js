@@ -1,4 +1,5 @@
 const { body, param, query, validationResult } = require('express-validator');
+const Helpers = require('./helpers');
 
 // Configuração de roles
 const roles = {
@@ -176,6 +177,15 @@ const changeUserPasswordSchema = [
     .withMessage('Nova senha deve conter pelo menos uma letra maiúscula, uma minúscula e um número')
 ];
 
+const setManagerPinSchema = [
+  body('pin')
+    .notEmpty().withMessage('PIN é obrigatório')
+    .matches(/^\d{4,8}$/).withMessage('PIN deve ter entre 4 e 8 dígitos'),
+  
+  body('currentPassword')
+    .notEmpty().withMessage('Senha atual é obrigatória')
+];
+
 const toggleUserStatusSchema = [
   body('action')
     .notEmpty().withMessage('Ação é obrigatória')
@@ -186,6 +196,89 @@ const toggleUserStatusSchema = [
 // VALIDAÇÕES DE PRODUTOS
 // ============================================
 
+// Variações e adicionais (criação e edição de produtos)
+const productOptionsRules = [
+  body('variants')
+    .optional()
+    .isArray({ max: 100 }).withMessage('Variações devem ser uma lista com no máximo 100 itens'),
+  
+  body('variants.*.id')
+    .optional()
+    .isUUID().withMessage('ID da variação inválido'),
+  
+  body('variants.*.name')
+    .notEmpty().withMessage('Nome da variação é obrigatório')
+    .isLength({ max: 100 }).withMessage('Nome da variação não pode exceder 100 caracteres')
+    .trim(),
+  
+  body('variants.*.attributes')
+    .optional()
+    .isObject().withMessage('Atributos da variação devem ser um objeto'),
+  
+  body('variants.*.sku')
+    .notEmpty().withMessage('SKU da variação é obrigatório')
+    .isLength({ min: 2, max: 100 }).withMessage('SKU da variação deve ter entre 2 e 100 caracteres')
+    .trim(),
+  
+  body('variants.*.barcode')
+    .optional({ checkFalsy: true })
+    .isLength({ max: 100 }).withMessage('Código de barras não pode exceder 100 caracteres')
+    .trim(),
+  
+  body('variants.*.price')
+    .optional({ nullable: true, checkFalsy: true })
+    .isFloat({ min: 0.01 }).withMessage('Preço da variação deve ser maior que 0')
+    .toFloat(),
+  
+  body('variants.*.cost')
+    .optional({ nullable: true, checkFalsy: true })
+    .isFloat({ min: 0 }).withMessage('Custo da variação não pode ser negativo')
+    .toFloat(),
+  
+  body('variants.*.stock')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('Estoque da variação não pode ser negativo')
+    .toFloat(),
+  
+  body('variants.*.isActive')
+    .optional()
+    .isBoolean().withMessage('Situação da variação inválida')
+    .toBoolean(),
+  
+  body('modifiers')
+    .optional()
+    .isArray({ max: 100 }).withMessage('Adicionais devem ser uma lista com no máximo 100 itens'),
+  
+  body('modifiers.*.id')
+    .optional()
+    .isUUID().withMessage('ID do adicional inválido'),
+  
+  body('modifiers.*.name')
+    .notEmpty().withMessage('Nome do adicional é obrigatório')
+    .isLength({ max: 100 }).withMessage('Nome do adicional não pode exceder 100 caracteres')
+    .trim(),
+  
+  body('modifiers.*.groupName')
+    .optional()
+    .isLength({ max: 100 }).withMessage('Grupo do adicional não pode exceder 100 caracteres')
+    .trim(),
+  
+  body('modifiers.*.price')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('Preço do adicional não pode ser negativo')
+    .toFloat(),
+  
+  body('modifiers.*.maxQuantity')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Quantidade máxima do adicional deve ser maior que 0')
+    .toInt(),
+  
+  body('modifiers.*.isActive')
+    .optional()
+    .isBoolean().withMessage('Situação do adicional inválida')
+    .toBoolean()
+];
+
 const createProductSchema = [
   body('sku')
     .notEmpty().withMessage('SKU é obrigatório')
@@ -212,6 +305,12 @@ const createProductSchema = [
     .isFloat({ min: 0.01 }).withMessage('Preço deve ser maior que 0')
     .toFloat(),
   
+  body('currency')
+    .optional()
+    .trim()
+    .toUpperCase()
+    .matches(/^[A-Z]{3}$/).withMessage('Moeda deve ser um código ISO de 3 letras (ex.: USD)'),
+  
   body('cost')
     .notEmpty().withMessage('Custo é obrigatório')
     .isFloat({ min: 0 }).withMessage('Custo não pode ser negativo')
@@ -219,18 +318,18 @@ const createProductSchema = [
   
   body('stock')
     .notEmpty().withMessage('Estoque é obrigatório')
-    .isInt({ min: 0 }).withMessage('Estoque não pode ser negativo')
-    .toInt(),
+    .isFloat({ min: 0 }).withMessage('Estoque não pode ser negativo')
+    .toFloat(),
   
   body('minStock')
     .optional()
-    .isInt({ min: 0 }).withMessage('Estoque mínimo não pode ser negativo')
-    .toInt(),
+    .isFloat({ min: 0 }).withMessage('Estoque mínimo não pode ser negativo')
+    .toFloat(),
   
   body('maxStock')
     .optional()
-    .isInt({ min: 0 }).withMessage('Estoque máximo não pode ser negativo')
-    .toInt(),
+    .isFloat({ min: 0 }).withMessage('Estoque máximo não pode ser negativo')
+    .toFloat(),
   
   body('barcode')
     .optional()
@@ -257,268 +356,1446 @@ const createProductSchema = [
     .isFloat({ min: 0, max: 100 }).withMessage('Taxa deve ser entre 0 e 100')
     .toFloat(),
   
-  body('status')
-    .optional()
-    .isIn(['active', 'inactive', 'discontinued']).withMessage('Status inválido'),
+  body('status')
+    .optional()
+    .isIn(['active', 'inactive', 'discontinued']).withMessage('Status inválido'),
+  
+  body('location')
+    .optional()
+    .isLength({ max: 100 }).withMessage('Localização não pode exceder 100 caracteres')
+    .trim(),
+  
+  body('imageUrl')
+    .optional()
+    .isURL().withMessage('URL da imagem inválida'),
+  
+  ...productOptionsRules
+];
+
+const updateProductSchema = [
+  body('sku')
+    .optional()
+    .isLength({ min: 2, max: 100 }).withMessage('SKU deve ter entre 2 e 100 caracteres')
+    .trim(),
+  
+  body('name')
+    .optional()
+    .isLength({ min: 2, max: 200 }).withMessage('Nome deve ter entre 2 e 200 caracteres')
+    .trim(),
+  
+  body('price')
+    .optional()
+    .isFloat({ min: 0.01 }).withMessage('Preço deve ser maior que 0')
+    .toFloat(),
+  
+  body('currency')
+    .optional()
+    .trim()
+    .toUpperCase()
+    .matches(/^[A-Z]{3}$/).withMessage('Moeda deve ser um código ISO de 3 letras (ex.: USD)'),
+  
+  body('cost')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('Custo não pode ser negativo')
+    .toFloat(),
+  
+  body('stock')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('Estoque não pode ser negativo')
+    .toFloat(),
+  
+  body('status')
+    .optional()
+    .isIn(['active', 'inactive', 'discontinued']).withMessage('Status inválido'),
+  
+  ...productOptionsRules
+];
+
+const adjustStockSchema = [
+  body('adjustment')
+    .notEmpty().withMessage('Ajuste é obrigatório')
+    .isFloat().withMessage('Ajuste deve ser um número')
+    .toFloat(),
+  
+  body('notes')
+    .optional()
+    .isLength({ max: 500 }).withMessage('Notas não podem exceder 500 caracteres')
+    .trim(),
+  
+  body('cost')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('Custo não pode ser negativo')
+    .toFloat(),
+  
+  body('variantId')
+    .optional()
+    .isUUID().withMessage('ID da variação inválido')
+];
+
+const importProductsSchema = [
+  body()
+    .isArray({ min: 1 }).withMessage('Array de produtos é obrigatório')
+    .custom((products) => products.length <= 100).withMessage('Máximo de 100 produtos por importação'),
+  
+  body('*.sku')
+    .notEmpty().withMessage('SKU é obrigatório')
+    .isLength({ min: 2, max: 100 }).withMessage('SKU deve ter entre 2 e 100 caracteres'),
+  
+  body('*.name')
+    .notEmpty().withMessage('Nome é obrigatório')
+    .isLength({ min: 2, max: 200 }).withMessage('Nome deve ter entre 2 e 200 caracteres'),
+  
+  body('*.price')
+    .notEmpty().withMessage('Preço é obrigatório')
+    .isFloat({ min: 0.01 }).withMessage('Preço deve ser maior que 0'),
+  
+  body('*.cost')
+    .notEmpty().withMessage('Custo é obrigatório')
+    .isFloat({ min: 0 }).withMessage('Custo não pode ser negativo'),
+  
+  body('*.stock')
+    .notEmpty().withMessage('Estoque é obrigatório')
+    .isFloat({ min: 0 }).withMessage('Estoque não pode ser negativo')
+];
+
+// ============================================
+// VALIDAÇÕES DE CLIENTES
+// ============================================
+
+const createCustomerSchema = [
+  body('name')
+    .notEmpty().withMessage('Nome é obrigatório')
+    .isLength({ min: 2, max: 200 }).withMessage('Nome deve ter entre 2 e 200 caracteres')
+    .trim(),
+  
+  body('email')
+    .notEmpty().withMessage('E-mail é obrigatório')
+    .isEmail().withMessage('E-mail inválido')
+    .normalizeEmail(),
+  
+  body('phone')
+    .optional()
+    .matches(/^\(?\d{2}\)?[\s-]?\d{4,5}-?\d{4}$/)
+    .withMessage('Telefone inválido')
+    .trim(),
+  
+  body('type')
+    .optional()
+    .isIn(['individual', 'company']).withMessage('Tipo deve ser individual ou company'),
+  
+  body('taxId')
+    .optional()
+    .custom((value, { req }) => {
+      if (req.body.type === 'company' && !value) {
+        throw new Error('CNPJ é obrigatório para pessoa jurídica');
+      }
+      return true;
+    })
+    .matches(/^\d{2}\.\d{3}\.\d{3}\/\d{4}-\d{2}$/)
+    .withMessage('CNPJ inválido (formato: 00.000.000/0000-00)')
+    .trim(),
+  
+  body('address')
+    .optional()
+    .isLength({ max: 500 }).withMessage('Endereço não pode exceder 500 caracteres')
+    .trim(),
+  
+  body('city')
+    .optional()
+    .isLength({ max: 100 }).withMessage('Cidade não pode exceder 100 caracteres')
+    .trim(),
+  
+  body('state')
+    .optional()
+    .isLength({ min: 2, max: 2 }).withMessage('Estado deve ter 2 caracteres')
+    .trim(),
+  
+  body('zipCode')
+    .optional()
+    .matches(/^\d{5}-\d{3}$/)
+    .withMessage('CEP inválido (formato: 00000-000)')
+    .trim(),
+  
+  body('notes')
+    .optional()
+    .isLength({ max: 1000 }).withMessage('Observações não podem exceder 1000 caracteres')
+    .trim()
+];
+
+const updateCustomerSchema = [
+  body('email')
+    .optional()
+    .isEmail().withMessage('E-mail inválido')
+    .normalizeEmail(),
+  
+  body('name')
+    .optional()
+    .isLength({ min: 2, max: 200 }).withMessage('Nome deve ter entre 2 e 200 caracteres')
+    .trim(),
+  
+  body('phone')
+    .optional()
+    .matches(/^\(?\d{2}\)?[\s-]?\d{4,5}-?\d{4}$/)
+    .withMessage('Telefone inválido')
+    .trim(),
+  
+  body('type')
+    .optional()
+    .isIn(['individual', 'company']).withMessage('Tipo deve ser individual ou company'),
+  
+  body('status')
+    .optional()
+    .isIn(['active', 'inactive', 'blocked']).withMessage('Status inválido'),
+  
+  body('address')
+    .optional()
+    .isLength({ max: 500 }).withMessage('Endereço não pode exceder 500 caracteres')
+    .trim()
+];
+
+const importCustomersSchema = [
+  body()
+    .isArray({ min: 1 }).withMessage('Array de clientes é obrigatório')
+    .custom((customers) => customers.length <= 100).withMessage('Máximo de 100 clientes por importação'),
+  
+  body('*.name')
+    .notEmpty().withMessage('Nome é obrigatório')
+    .isLength({ min: 2, max: 200 }).withMessage('Nome deve ter entre 2 e 200 caracteres'),
+  
+  body('*.email')
+    .notEmpty().withMessage('E-mail é obrigatório')
+    .isEmail().withMessage('E-mail inválido')
+    .normalizeEmail(),
+  
+  body('*.type')
+    .optional()
+    .isIn(['individual', 'company']).withMessage('Tipo deve ser individual ou company')
+];
+
+// ============================================
+// VALIDAÇÕES DE VENDAS
+// ============================================
+
+const createSaleSchema = [
+  body('items')
+    .notEmpty().withMessage('Itens são obrigatórios')
+    .isArray({ min: 1 }).withMessage('Deve conter pelo menos um item'),
+  
+  body('items.*.productId')
+    .notEmpty().withMessage('ID do produto é obrigatório')
+    .isUUID().withMessage('ID do produto inválido'),
+  
+  body('items.*.quantity')
+    .notEmpty().withMessage('Quantidade é obrigatória')
+    .isFloat({ gt: 0 }).withMessage('Quantidade deve ser maior que 0')
+    .toFloat(),
+  
+  body('items.*.variantId')
+    .optional({ nullable: true })
+    .isUUID().withMessage('ID da variação inválido'),
+  
+  body('items.*.modifiers')
+    .optional()
+    .isArray().withMessage('Adicionais devem ser uma lista'),
+  
+  body('items.*.modifiers.*.modifierId')
+    .notEmpty().withMessage('ID do adicional é obrigatório')
+    .isUUID().withMessage('ID do adicional inválido'),
+  
+  body('items.*.modifiers.*.quantity')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Quantidade do adicional deve ser maior que 0')
+    .toInt(),
+  
+  body('paymentMethod')
+    .if((value, { req }) => !req.body.payments)
+    .notEmpty().withMessage('Método de pagamento é obrigatório')
+    .isIn(['cash', 'card', 'transfer', 'pix', 'multiple']).withMessage('Método de pagamento inválido'),
+  
+  body('payments')
+    .optional()
+    .isArray({ min: 1 }).withMessage('Pagamentos devem ser uma lista com pelo menos um pagamento'),
+  
+  body('payments.*.method')
+    .notEmpty().withMessage('Forma de pagamento é obrigatória')
+    .isIn(['cash', 'card', 'transfer', 'pix', 'store_credit']).withMessage('Forma de pagamento inválida'),
+  
+  body('payments.*.amount')
+    .notEmpty().withMessage('Valor do pagamento é obrigatório')
+    .isFloat({ min: 0.01 }).withMessage('Valor do pagamento deve ser maior que 0')
+    .toFloat(),
+  
+  body('payments.*.reference')
+    .optional()
+    .isLength({ max: 100 }).withMessage('Referência do pagamento não pode exceder 100 caracteres')
+    .trim(),
+  
+  body('customerId')
+    .optional()
+    .isUUID().withMessage('ID do cliente inválido'),
+  
+  body('loyaltyPoints')
+    .optional({ nullable: true })
+    .isInt({ min: 1 }).withMessage('Pontos de fidelidade devem ser um número inteiro maior que 0')
+    .toInt(),
+  
+  body('currency')
+    .optional()
+    .trim()
+    .toUpperCase()
+    .matches(/^[A-Z]{3}$/).withMessage('Moeda deve ser um código ISO de 3 letras (ex.: USD)'),
+  
+  body('couponCode')
+    .optional()
+    .isLength({ min: 3, max: 50 }).withMessage('Cupom deve ter entre 3 e 50 caracteres')
+    .trim(),
+  
+  body('notes')
+    .optional()
+    .isLength({ max: 500 }).withMessage('Observações não podem exceder 500 caracteres')
+    .trim(),
+  
+  body('location')
+    .optional()
+    .isLength({ max: 100 }).withMessage('Localização não pode exceder 100 caracteres')
+    .trim(),
+  
+  body('idempotencyKey')
+    .optional()
+    .isLength({ min: 8, max: 100 }).withMessage('Chave de idempotência deve ter entre 8 e 100 caracteres')
+    .trim(),
+  
+  body('emailReceipt')
+    .optional()
+    .isBoolean().withMessage('Envio do recibo por e-mail deve ser verdadeiro ou falso')
+    .toBoolean(),
+  
+  body('receiptEmail')
+    .optional()
+    .isEmail().withMessage('E-mail do recibo inválido')
+    .normalizeEmail(),
+  
+  body('paymentDetails')
+    .optional()
+    .custom((value) => {
+      try {
+        if (typeof value === 'object' || value === null) {
+          return true;
+        }
+        return false;
+      } catch {
+        return false;
+      }
+    }).withMessage('Detalhes do pagamento devem ser um objeto válido')
+];
+
+const cancelSaleSchema = [
+  body('reason')
+    .notEmpty().withMessage('Motivo do cancelamento é obrigatório')
+    .isLength({ min: 5, max: 500 }).withMessage('Motivo deve ter entre 5 e 500 caracteres')
+    .trim(),
+  
+  body('approverEmail')
+    .optional()
+    .isEmail().withMessage('E-mail do aprovador inválido')
+    .normalizeEmail(),
+  
+  body('approverPin')
+    .if(body('approverEmail').exists())
+    .notEmpty().withMessage('PIN do aprovador é obrigatório')
+    .matches(/^\d{4,8}$/).withMessage('PIN deve ter entre 4 e 8 dígitos')
+];
+
+const quoteSaleSchema = [
+  body('items')
+    .isArray({ min: 1 }).withMessage('Informe pelo menos um item'),
+  
+  body('items.*.productId')
+    .notEmpty().withMessage('ID do produto é obrigatório')
+    .isUUID().withMessage('ID do produto inválido'),
+  
+  body('items.*.quantity')
+    .notEmpty().withMessage('Quantidade é obrigatória')
+    .isFloat({ gt: 0 }).withMessage('Quantidade deve ser maior que 0')
+    .toFloat(),
+  
+  body('items.*.variantId')
+    .optional({ nullable: true })
+    .isUUID().withMessage('ID da variação inválido'),
+  
+  body('items.*.modifiers')
+    .optional()
+    .isArray().withMessage('Adicionais devem ser uma lista'),
+  
+  body('items.*.modifiers.*.modifierId')
+    .notEmpty().withMessage('ID do adicional é obrigatório')
+    .isUUID().withMessage('ID do adicional inválido'),
+  
+  body('items.*.modifiers.*.quantity')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Quantidade do adicional deve ser maior que 0')
+    .toInt(),
+  
+  body('couponCode')
+    .optional()
+    .isLength({ min: 3, max: 50 }).withMessage('Cupom deve ter entre 3 e 50 caracteres')
+    .trim()
+];
+
+// Simulação no PDV com prévia dos pontos de fidelidade do cliente
+const posQuoteSchema = [
+  ...quoteSaleSchema,
+  
+  body('customerId')
+    .optional({ nullable: true })
+    .isUUID().withMessage('ID do cliente inválido'),
+  
+  body('loyaltyPoints')
+    .optional({ nullable: true })
+    .isInt({ min: 1 }).withMessage('Pontos de fidelidade devem ser um número inteiro maior que 0')
+    .toInt(),
+  
+  body('currency')
+    .optional()
+    .trim()
+    .toUpperCase()
+    .matches(/^[A-Z]{3}$/).withMessage('Moeda deve ser um código ISO de 3 letras (ex.: USD)')
+];
+
+const parkSaleSchema = [
+  ...quoteSaleSchema,
+  
+  body('customerId')
+    .optional({ nullable: true })
+    .isUUID().withMessage('ID do cliente inválido'),
+  
+  body('label')
+    .optional()
+    .isLength({ max: 100 }).withMessage('Identificação deve ter no máximo 100 caracteres')
+    .trim(),
+  
+  body('location')
+    .optional()
+    .isLength({ max: 100 }).withMessage('Localização não pode exceder 100 caracteres')
+    .trim(),
+  
+  body('notes')
+    .optional()
+    .isLength({ max: 1000 }).withMessage('Observações devem ter no máximo 1000 caracteres')
+    .trim()
+];
+
+const layawaySaleSchema = [
+  ...quoteSaleSchema,
+  
+  body('customerId')
+    .notEmpty().withMessage('Cliente é obrigatório em vendas parceladas')
+    .isUUID().withMessage('ID do cliente inválido'),
+  
+  body('deposit')
+    .notEmpty().withMessage('Valor da entrada é obrigatório')
+    .isFloat({ min: 0.01 }).withMessage('Entrada deve ser maior que 0')
+    .toFloat(),
+  
+  body('paymentMethod')
+    .if((value, { req }) => !req.body.payments)
+    .notEmpty().withMessage('Método de pagamento da entrada é obrigatório')
+    .isIn(['cash', 'card', 'transfer', 'pix']).withMessage('Método de pagamento inválido'),
+  
+  body('payments')
+    .optional()
+    .isArray({ min: 1 }).withMessage('Pagamentos devem ser uma lista com pelo menos um pagamento'),
+  
+  body('payments.*.method')
+    .notEmpty().withMessage('Forma de pagamento é obrigatória')
+    .isIn(['cash', 'card', 'transfer', 'pix']).withMessage('Forma de pagamento inválida'),
+  
+  body('payments.*.amount')
+    .notEmpty().withMessage('Valor do pagamento é obrigatório')
+    .isFloat({ min: 0.01 }).withMessage('Valor do pagamento deve ser maior que 0')
+    .toFloat(),
+  
+  body('installments')
+    .notEmpty().withMessage('Número de parcelas é obrigatório')
+    .isInt({ min: 1 }).withMessage('Número de parcelas deve ser maior que 0')
+    .toInt(),
+  
+  body('interestRate')
+    .optional()
+    .isFloat({ min: 0, max: 100 }).withMessage('Taxa de juros deve estar entre 0 e 100')
+    .toFloat(),
+  
+  body('firstDueDate')
+    .optional()
+    .isISO8601().withMessage('Data do primeiro vencimento inválida'),
+  
+  body('location')
+    .optional()
+    .isLength({ max: 100 }).withMessage('Localização não pode exceder 100 caracteres')
+    .trim(),
+  
+  body('idempotencyKey')
+    .optional()
+    .isLength({ min: 8, max: 100 }).withMessage('Chave de idempotência deve ter entre 8 e 100 caracteres')
+    .trim(),
+  
+  body('notes')
+    .optional()
+    .isLength({ max: 500 }).withMessage('Observações não podem exceder 500 caracteres')
+    .trim()
+];
+
+const payInstallmentSchema = [
+  param('id')
+    .isUUID().withMessage('ID da venda inválido'),
+  
+  param('installmentId')
+    .isUUID().withMessage('ID da parcela inválido'),
+  
+  body('paymentMethod')
+    .notEmpty().withMessage('Método de pagamento é obrigatório')
+    .isIn(['cash', 'card', 'transfer', 'pix']).withMessage('Método de pagamento inválido')
+];
+
+const syncOfflineSalesSchema = [
+  body('sales')
+    .isArray({ min: 1, max: 200 }).withMessage('Informe entre 1 e 200 vendas para sincronizar'),
+  
+  body('sales.*.idempotencyKey')
+    .notEmpty().withMessage('Chave de idempotência é obrigatória')
+    .isLength({ min: 8, max: 100 }).withMessage('Chave de idempotência deve ter entre 8 e 100 caracteres'),
+  
+  body('sales.*.createdAt')
+    .optional()
+    .isISO8601().withMessage('Data da venda offline inválida'),
+  
+  body('sales.*.items')
+    .isArray({ min: 1 }).withMessage('A venda deve conter pelo menos um item'),
+  
+  body('sales.*.items.*.productId')
+    .isUUID().withMessage('ID do produto inválido'),
+  
+  body('sales.*.items.*.quantity')
+    .isFloat({ gt: 0 }).withMessage('Quantidade deve ser maior que 0')
+    .toFloat(),
+  
+  body('sales.*.items.*.variantId')
+    .optional({ nullable: true })
+    .isUUID().withMessage('ID da variação inválido'),
+  
+  body('sales.*.items.*.modifiers')
+    .optional()
+    .isArray().withMessage('Adicionais devem ser uma lista'),
+  
+  body('sales.*.paymentMethod')
+    .optional()
+    .isIn(['cash', 'card', 'transfer', 'pix', 'multiple']).withMessage('Método de pagamento inválido'),
+  
+  body('sales.*.payments')
+    .optional()
+    .isArray({ min: 1 }).withMessage('Pagamentos devem ser uma lista com pelo menos um pagamento')
+];
+
+const refundSaleSchema = [
+  body('reason')
+    .notEmpty().withMessage('Motivo do reembolso é obrigatório')
+    .isLength({ min: 5, max: 500 }).withMessage('Motivo deve ter entre 5 e 500 caracteres')
+    .trim(),
+  
+  body('items')
+    .optional()
+    .isArray({ min: 1 }).withMessage('Itens devem ser uma lista com pelo menos um item'),
+  
+  body('items.*.productId')
+    .notEmpty().withMessage('ID do produto é obrigatório')
+    .isUUID().withMessage('ID do produto inválido'),
+  
+  body('items.*.quantity')
+    .notEmpty().withMessage('Quantidade é obrigatória')
+    .isFloat({ gt: 0 }).withMessage('Quantidade deve ser maior que 0')
+    .toFloat(),
+  
+  body('items.*.variantId')
+    .optional({ nullable: true })
+    .isUUID().withMessage('ID da variação inválido'),
+  
+  body('refundMethod')
+    .optional()
+    .isIn(['cash', 'card', 'transfer', 'pix', 'store_credit']).withMessage('Método de reembolso inválido')
+];
+
+const exchangeSaleSchema = [
+  body('reason')
+    .notEmpty().withMessage('Motivo da troca é obrigatório')
+    .isLength({ min: 5, max: 500 }).withMessage('Motivo deve ter entre 5 e 500 caracteres')
+    .trim(),
+  
+  body('returnItems')
+    .isArray({ min: 1 }).withMessage('Informe pelo menos um item devolvido'),
+  
+  body('returnItems.*.productId')
+    .notEmpty().withMessage('ID do produto é obrigatório')
+    .isUUID().withMessage('ID do produto inválido'),
+  
+  body('returnItems.*.quantity')
+    .notEmpty().withMessage('Quantidade é obrigatória')
+    .isFloat({ gt: 0 }).withMessage('Quantidade deve ser maior que 0')
+    .toFloat(),
+  
+  body('returnItems.*.variantId')
+    .optional({ nullable: true })
+    .isUUID().withMessage('ID da variação inválido'),
+  
+  body('newItems')
+    .isArray({ min: 1 }).withMessage('Informe pelo menos um novo item'),
+  
+  body('newItems.*.productId')
+    .notEmpty().withMessage('ID do produto é obrigatório')
+    .isUUID().withMessage('ID do produto inválido'),
+  
+  body('newItems.*.quantity')
+    .notEmpty().withMessage('Quantidade é obrigatória')
+    .isFloat({ gt: 0 }).withMessage('Quantidade deve ser maior que 0')
+    .toFloat(),
+  
+  body('newItems.*.variantId')
+    .optional({ nullable: true })
+    .isUUID().withMessage('ID da variação inválido'),
+  
+  body('newItems.*.modifiers')
+    .optional()
+    .isArray().withMessage('Adicionais devem ser uma lista'),
+  
+  body('newItems.*.modifiers.*.modifierId')
+    .notEmpty().withMessage('ID do adicional é obrigatório')
+    .isUUID().withMessage('ID do adicional inválido'),
+  
+  body('paymentMethod')
+    .optional()
+    .isIn(['cash', 'card', 'transfer', 'pix']).withMessage('Método de pagamento inválido'),
+  
+  body('payments')
+    .optional()
+    .isArray({ min: 1 }).withMessage('Pagamentos devem ser uma lista com pelo menos um pagamento'),
+  
+  body('payments.*.method')
+    .notEmpty().withMessage('Forma de pagamento é obrigatória')
+    .isIn(['cash', 'card', 'transfer', 'pix']).withMessage('Forma de pagamento inválida'),
+  
+  body('payments.*.amount')
+    .notEmpty().withMessage('Valor do pagamento é obrigatório')
+    .isFloat({ min: 0.01 }).withMessage('Valor do pagamento deve ser maior que 0')
+    .toFloat(),
+  
+  body('refundMethod')
+    .optional()
+    .isIn(['cash', 'card', 'transfer', 'pix']).withMessage('Método de devolução inválido'),
+  
+  body('location')
+    .optional()
+    .isLength({ max: 100 }).withMessage('Localização não pode exceder 100 caracteres')
+    .trim()
+];
+
+const cashMovementSchema = [
+  body('amount')
+    .notEmpty().withMessage('Valor é obrigatório')
+    .isFloat({ min: 0.01 }).withMessage('Valor deve ser maior que 0')
+    .toFloat(),
+  
+  body('reason')
+    .notEmpty().withMessage('Motivo é obrigatório')
+    .isLength({ min: 3, max: 255 }).withMessage('Motivo deve ter entre 3 e 255 caracteres')
+    .trim(),
+  
+  body('notes')
+    .optional()
+    .isLength({ max: 1000 }).withMessage('Observações devem ter no máximo 1000 caracteres')
+    .trim()
+];
+
+const closeCashDrawerSchema = [
+  body('countedDenominations')
+    .optional()
+    .isObject().withMessage('Contagem de cédulas e moedas inválida'),
+  
+  body('closingBalance')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('Saldo de fechamento deve ser maior ou igual a 0')
+    .toFloat(),
+  
+  body('blind')
+    .optional()
+    .isBoolean().withMessage('Fechamento cego deve ser verdadeiro ou falso')
+    .toBoolean(),
+  
+  body('notes')
+    .optional()
+    .isLength({ max: 1000 }).withMessage('Observações devem ter no máximo 1000 caracteres')
+    .trim()
+];
+
+const printReceiptSchema = [
+  query('format')
+    .optional()
+    .isIn(['escpos', 'text']).withMessage('Formato de impressão inválido'),
+  
+  query('paperWidth')
+    .optional()
+    .isIn(['58', '80']).withMessage('Largura do papel deve ser 58 ou 80 mm')
+    .toInt(),
+  
+  query('openDrawer')
+    .optional()
+    .isBoolean().withMessage('Abertura da gaveta deve ser verdadeiro ou falso')
+    .toBoolean()
+];
+
+const emailReceiptSchema = [
+  param('id')
+    .isUUID().withMessage('ID da venda inválido'),
+  
+  body('email')
+    .optional()
+    .isEmail().withMessage('E-mail inválido')
+    .normalizeEmail()
+];
+
+// ============================================
+// VALIDAÇÕES DE PROMOÇÕES
+// ============================================
+
+const promotionFields = (required) => {
+  const field = (name) => required ? body(name) : body(name).optional();
+  
+  return [
+    field('name')
+      .notEmpty().withMessage('Nome da promoção é obrigatório')
+      .isLength({ min: 2, max: 255 }).withMessage('Nome deve ter entre 2 e 255 caracteres')
+      .trim(),
+    
+    field('type')
+      .isIn(['percentage', 'fixed', 'buy_x_get_y']).withMessage('Tipo de promoção inválido'),
+    
+    body('scope')
+      .optional()
+      .isIn(['order', 'products', 'category']).withMessage('Abrangência da promoção inválida'),
+    
+    body('value')
+      .optional()
+      .isFloat({ min: 0 }).withMessage('Valor do desconto não pode ser negativo')
+      .toFloat()
+      .custom((value, { req }) => req.body.type !== 'percentage' || value <= 100)
+      .withMessage('Desconto percentual não pode exceder 100%'),
+    
+    body('productIds')
+      .optional()
+      .isArray().withMessage('Produtos devem ser uma lista'),
+    
+    body('productIds.*')
+      .isUUID().withMessage('ID do produto inválido'),
+    
+    body('category')
+      .optional({ nullable: true })
+      .isLength({ min: 2, max: 100 }).withMessage('Categoria deve ter entre 2 e 100 caracteres')
+      .trim(),
+    
+    body('buyQuantity')
+      .optional({ nullable: true })
+      .isInt({ min: 1 }).withMessage('Quantidade de compra deve ser maior que 0')
+      .toInt(),
+    
+    body('getQuantity')
+      .optional({ nullable: true })
+      .isInt({ min: 1 }).withMessage('Quantidade de brinde deve ser maior que 0')
+      .toInt(),
+    
+    body('minPurchase')
+      .optional()
+      .isFloat({ min: 0 }).withMessage('Compra mínima não pode ser negativa')
+      .toFloat(),
+    
+    body('couponCode')
+      .optional({ nullable: true })
+      .matches(/^[A-Za-z0-9_-]{3,50}$/).withMessage('Cupom deve ter entre 3 e 50 letras, números, hífen ou sublinhado'),
+    
+    body('usageLimit')
+      .optional({ nullable: true })
+      .isInt({ min: 1 }).withMessage('Limite de uso deve ser maior que 0')
+      .toInt(),
+    
+    body('startsAt')
+      .optional({ nullable: true })
+      .isISO8601().withMessage('Data inicial inválida'),
+    
+    body('endsAt')
+      .optional({ nullable: true })
+      .isISO8601().withMessage('Data final inválida'),
+    
+    body('priority')
+      .optional()
+      .isInt().withMessage('Prioridade deve ser um número inteiro')
+      .toInt(),
+    
+    body('stackable')
+      .optional()
+      .isBoolean().withMessage('Cumulativa deve ser verdadeiro ou falso')
+      .toBoolean(),
+    
+    body('isActive')
+      .optional()
+      .isBoolean().withMessage('Ativa deve ser verdadeiro ou falso')
+      .toBoolean()
+  ];
+};
+
+const createPromotionSchema = promotionFields(true);
+
+const updatePromotionSchema = promotionFields(false);
+
+// ============================================
+// VALIDAÇÕES DE NUMERAÇÃO
+// ============================================
+
+const saveSequenceSchema = [
+  param('type')
+    .isIn(['sale', 'invoice', 'purchase_order', 'requisition', 'contract', 'exchange', 'other']).withMessage('Tipo de numeração inválido'),
+  
+  body('location')
+    .optional({ nullable: true })
+    .isLength({ max: 100 }).withMessage('Localização não pode exceder 100 caracteres')
+    .trim(),
+  
+  body('prefix')
+    .optional()
+    .isLength({ max: 20 }).withMessage('Prefixo não pode exceder 20 caracteres')
+    .matches(/^[A-Za-z0-9_\-/.]*$/).withMessage('Prefixo deve conter apenas letras, números, -, _, / e .')
+    .trim(),
+  
+  body('format')
+    .optional()
+    .isLength({ min: 5, max: 100 }).withMessage('Formato deve ter entre 5 e 100 caracteres')
+    .contains('{seq}').withMessage('Formato deve conter {seq}')
+    .custom((value) => (value.match(/\{(\w+)\}/g) || [])
+      .every(token => ['{prefix}', '{location}', '{yyyy}', '{yy}', '{mm}', '{dd}', '{seq}'].includes(token)))
+    .withMessage('Formato aceita apenas {prefix}, {location}, {yyyy}, {yy}, {mm}, {dd} e {seq}'),
+  
+  body('resetPeriod')
+    .optional()
+    .isIn(['never', 'daily', 'monthly', 'yearly']).withMessage('Reinício deve ser never, daily, monthly ou yearly'),
+  
+  body('padding')
+    .optional()
+    .isInt({ min: 1, max: 10 }).withMessage('Quantidade de dígitos deve ser entre 1 e 10')
+    .toInt()
+];
+
+// ============================================
+// VALIDAÇÕES DE VALES (CRÉDITO E PRESENTE)
+// ============================================
+
+const sellGiftCardSchema = [
+  body('amount')
+    .notEmpty().withMessage('Valor do vale é obrigatório')
+    .isFloat({ min: 0.01, max: 100000 }).withMessage('Valor deve estar entre 0.01 e 100000')
+    .toFloat(),
+  
+  body('paymentMethod')
+    .notEmpty().withMessage('Método de pagamento é obrigatório')
+    .isIn(['cash', 'card', 'transfer', 'pix']).withMessage('Método de pagamento inválido'),
+  
+  body('customerId')
+    .optional({ nullable: true })
+    .isUUID().withMessage('ID do cliente inválido'),
+  
+  body('expiresAt')
+    .optional()
+    .isISO8601().withMessage('Data de validade inválida')
+    .custom(value => {
+      if (new Date(value) <= new Date()) {
+        throw new Error('A validade deve ser uma data futura');
+      }
+      return true;
+    }),
+  
+  body('notes')
+    .optional()
+    .isLength({ max: 500 }).withMessage('Observações não podem exceder 500 caracteres')
+    .trim()
+];
+
+const voidStoreCreditSchema = [
+  param('id')
+    .isUUID().withMessage('ID do vale inválido'),
+  
+  body('reason')
+    .notEmpty().withMessage('Motivo do cancelamento é obrigatório')
+    .isLength({ min: 5, max: 500 }).withMessage('Motivo deve ter entre 5 e 500 caracteres')
+    .trim()
+];
+
+const listStoreCreditsSchema = [
+  query('customerId')
+    .optional()
+    .isUUID().withMessage('ID do cliente inválido'),
+  
+  query('type')
+    .optional()
+    .isIn(['credit_note', 'gift_card']).withMessage('Tipo de vale inválido'),
+  
+  query('status')
+    .optional()
+    .isIn(['active', 'redeemed', 'expired', 'void']).withMessage('Status inválido'),
+  
+  query('page')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Página deve ser maior que 0')
+    .toInt(),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 }).withMessage('Limite deve estar entre 1 e 100')
+    .toInt()
+];
+
+// ============================================
+// VALIDAÇÕES DE MOEDAS E COTAÇÕES
+// ============================================
+
+const setBaseCurrencySchema = [
+  body('baseCurrency')
+    .notEmpty().withMessage('Moeda base é obrigatória')
+    .trim()
+    .toUpperCase()
+    .matches(/^[A-Z]{3}$/).withMessage('Moeda deve ser um código ISO de 3 letras (ex.: BRL)')
+];
+
+const saveExchangeRateSchema = [
+  body('currency')
+    .notEmpty().withMessage('Moeda é obrigatória')
+    .trim()
+    .toUpperCase()
+    .matches(/^[A-Z]{3}$/).withMessage('Moeda deve ser um código ISO de 3 letras (ex.: USD)'),
+  
+  body('rate')
+    .notEmpty().withMessage('Cotação é obrigatória')
+    .isFloat({ gt: 0 }).withMessage('Cotação deve ser maior que 0')
+    .toFloat(),
+  
+  body('effectiveDate')
+    .optional()
+    .isISO8601().withMessage('Data de vigência inválida'),
+  
+  body('notes')
+    .optional()
+    .isLength({ max: 500 }).withMessage('Observações não podem exceder 500 caracteres')
+    .trim()
+];
+
+const listExchangeRatesSchema = [
+  query('currency')
+    .optional()
+    .trim()
+    .toUpperCase()
+    .matches(/^[A-Z]{3}$/).withMessage('Moeda deve ser um código ISO de 3 letras (ex.: USD)'),
+  
+  query('page')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Página deve ser maior que 0')
+    .toInt(),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 }).withMessage('Limite deve estar entre 1 e 100')
+    .toInt()
+];
+
+// ============================================
+// VALIDAÇÕES DE FORNECEDORES
+// ============================================
+
+// Campos do cadastro de fornecedor (criação e edição)
+const supplierFieldsSchema = [
+  body('tradeName')
+    .optional({ nullable: true })
+    .isLength({ max: 255 }).withMessage('Nome fantasia não pode exceder 255 caracteres')
+    .trim(),
+  
+  body('cnpj')
+    .optional({ nullable: true, checkFalsy: true })
+    .matches(/^\d{2}\.\d{3}\.\d{3}\/\d{4}-\d{2}$/).withMessage('CNPJ inválido (formato: 00.000.000/0000-00)')
+    .custom(value => Helpers.validateCNPJ(value)).withMessage('CNPJ inválido (dígitos verificadores não conferem)'),
+  
+  body('email')
+    .optional({ nullable: true, checkFalsy: true })
+    .isEmail().withMessage('E-mail inválido')
+    .normalizeEmail(),
+  
+  body('phone')
+    .optional({ nullable: true })
+    .isLength({ max: 20 }).withMessage('Telefone não pode exceder 20 caracteres')
+    .trim(),
+  
+  body('address')
+    .optional({ nullable: true })
+    .isLength({ max: 500 }).withMessage('Endereço não pode exceder 500 caracteres')
+    .trim(),
+  
+  body('contacts')
+    .optional()
+    .isArray({ max: 20 }).withMessage('Contatos devem ser uma lista (máximo 20)'),
+  
+  body('contacts.*.name')
+    .notEmpty().withMessage('Nome do contato é obrigatório')
+    .isLength({ max: 100 }).withMessage('Nome do contato não pode exceder 100 caracteres')
+    .trim(),
+  
+  body('contacts.*.email')
+    .optional({ nullable: true, checkFalsy: true })
+    .isEmail().withMessage('E-mail do contato inválido'),
+  
+  body('contacts.*.phone')
+    .optional({ nullable: true })
+    .isLength({ max: 20 }).withMessage('Telefone do contato não pode exceder 20 caracteres'),
+  
+  body('contacts.*.role')
+    .optional({ nullable: true })
+    .isLength({ max: 100 }).withMessage('Cargo do contato não pode exceder 100 caracteres'),
+  
+  body('paymentTermDays')
+    .optional()
+    .isInt({ min: 0, max: 365 }).withMessage('Prazo de pagamento deve estar entre 0 e 365 dias')
+    .toInt(),
+  
+  body('leadTimeDays')
+    .optional()
+    .isInt({ min: 0, max: 365 }).withMessage('Prazo de entrega deve estar entre 0 e 365 dias')
+    .toInt(),
+  
+  body('status')
+    .optional()
+    .isIn(['active', 'inactive']).withMessage('Status inválido'),
+  
+  body('notes')
+    .optional()
+    .isLength({ max: 1000 }).withMessage('Observações não podem exceder 1000 caracteres')
+    .trim()
+];
+
+const createSupplierSchema = [
+  body('name')
+    .notEmpty().withMessage('Razão social é obrigatória')
+    .isLength({ min: 2, max: 255 }).withMessage('Razão social deve ter entre 2 e 255 caracteres')
+    .trim(),
+  
+  ...supplierFieldsSchema
+];
+
+const updateSupplierSchema = [
+  param('id')
+    .isUUID().withMessage('ID do fornecedor inválido'),
+  
+  body('name')
+    .optional()
+    .isLength({ min: 2, max: 255 }).withMessage('Razão social deve ter entre 2 e 255 caracteres')
+    .trim(),
+  
+  ...supplierFieldsSchema
+];
+
+const saveSupplierProductSchema = [
+  param('id')
+    .isUUID().withMessage('ID do fornecedor inválido'),
+  
+  body('productId')
+    .notEmpty().withMessage('ID do produto é obrigatório')
+    .isUUID().withMessage('ID do produto inválido'),
+  
+  body('variantId')
+    .optional({ nullable: true })
+    .isUUID().withMessage('ID da variação inválido'),
+  
+  body('supplierSku')
+    .optional({ nullable: true })
+    .isLength({ max: 100 }).withMessage('Código do fornecedor não pode exceder 100 caracteres')
+    .trim(),
+  
+  body('lastPurchasePrice')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 }).withMessage('Preço de compra não pode ser negativo')
+    .toFloat(),
+  
+  body('leadTimeDays')
+    .optional({ nullable: true })
+    .isInt({ min: 0, max: 365 }).withMessage('Prazo de entrega deve estar entre 0 e 365 dias')
+    .toInt(),
+  
+  body('isPreferred')
+    .optional()
+    .isBoolean().withMessage('Fornecedor principal deve ser verdadeiro ou falso')
+    .toBoolean()
+];
+
+const listSuppliersSchema = [
+  query('status')
+    .optional()
+    .isIn(['active', 'inactive']).withMessage('Status inválido'),
+  
+  query('search')
+    .optional()
+    .isLength({ max: 100 }).withMessage('Busca não pode exceder 100 caracteres')
+    .trim(),
+  
+  query('page')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Página deve ser maior que 0')
+    .toInt(),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 }).withMessage('Limite deve estar entre 1 e 100')
+    .toInt()
+];
+
+const supplierPerformanceSchema = [
+  param('id')
+    .isUUID().withMessage('ID do fornecedor inválido'),
+  
+  query('startDate')
+    .optional()
+    .isISO8601().withMessage('Data inicial inválida'),
+  
+  query('endDate')
+    .optional()
+    .isISO8601().withMessage('Data final inválida')
+];
+
+// ============================================
+// VALIDAÇÕES DE COMPRAS
+// ============================================
+
+// Linhas do pedido de compra (criação e edição)
+const purchaseOrderItemsSchema = [
+  body('items.*.productId')
+    .notEmpty().withMessage('ID do produto é obrigatório')
+    .isUUID().withMessage('ID do produto inválido'),
+  
+  body('items.*.variantId')
+    .optional({ nullable: true })
+    .isUUID().withMessage('ID da variação inválido'),
+  
+  body('items.*.quantity')
+    .notEmpty().withMessage('Quantidade é obrigatória')
+    .isFloat({ gt: 0 }).withMessage('Quantidade deve ser maior que 0')
+    .toFloat(),
+  
+  body('items.*.unitCost')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('Custo unitário não pode ser negativo')
+    .toFloat()
+];
+
+const createPurchaseOrderSchema = [
+  body('supplierName')
+    .if((value, { req }) => !req.body.supplierId)
+    .notEmpty().withMessage('Fornecedor é obrigatório')
+    .isLength({ max: 255 }).withMessage('Fornecedor não pode exceder 255 caracteres')
+    .trim(),
+  
+  body('supplierId')
+    .optional({ nullable: true })
+    .isUUID().withMessage('ID do fornecedor inválido'),
+  
+  body('location')
+    .optional({ nullable: true })
+    .isLength({ max: 100 }).withMessage('Localização não pode exceder 100 caracteres')
+    .trim(),
+  
+  body('expectedDate')
+    .optional({ nullable: true })
+    .isISO8601().withMessage('Data prevista inválida'),
+  
+  body('notes')
+    .optional()
+    .isLength({ max: 1000 }).withMessage('Observações não podem exceder 1000 caracteres')
+    .trim(),
+  
+  body('items')
+    .isArray({ min: 1 }).withMessage('Informe pelo menos um item'),
+  
+  ...purchaseOrderItemsSchema
+];
+
+const updatePurchaseOrderSchema = [
+  param('id')
+    .isUUID().withMessage('ID do pedido inválido'),
+  
+  body('supplierName')
+    .optional()
+    .notEmpty().withMessage('Fornecedor não pode ser vazio')
+    .isLength({ max: 255 }).withMessage('Fornecedor não pode exceder 255 caracteres')
+    .trim(),
+  
+  body('supplierId')
+    .optional({ nullable: true })
+    .isUUID().withMessage('ID do fornecedor inválido'),
+  
+  body('location')
+    .optional({ nullable: true })
+    .isLength({ max: 100 }).withMessage('Localização não pode exceder 100 caracteres')
+    .trim(),
+  
+  body('expectedDate')
+    .optional({ nullable: true })
+    .isISO8601().withMessage('Data prevista inválida'),
+  
+  body('notes')
+    .optional()
+    .isLength({ max: 1000 }).withMessage('Observações não podem exceder 1000 caracteres')
+    .trim(),
+  
+  body('items')
+    .optional()
+    .isArray({ min: 1 }).withMessage('Informe pelo menos um item'),
+  
+  ...purchaseOrderItemsSchema
+];
+
+const cancelPurchaseOrderSchema = [
+  param('id')
+    .isUUID().withMessage('ID do pedido inválido'),
+  
+  body('reason')
+    .notEmpty().withMessage('Motivo do cancelamento é obrigatório')
+    .isLength({ min: 5, max: 500 }).withMessage('Motivo deve ter entre 5 e 500 caracteres')
+    .trim()
+];
+
+const receivePurchaseOrderSchema = [
+  param('id')
+    .isUUID().withMessage('ID do pedido inválido'),
+  
+  body('items')
+    .isArray({ min: 1 }).withMessage('Informe pelo menos um item recebido'),
+  
+  body('items.*.itemId')
+    .notEmpty().withMessage('ID do item do pedido é obrigatório')
+    .isUUID().withMessage('ID do item do pedido inválido'),
+  
+  body('items.*.quantity')
+    .notEmpty().withMessage('Quantidade é obrigatória')
+    .isFloat({ gt: 0 }).withMessage('Quantidade deve ser maior que 0')
+    .toFloat(),
+  
+  body('items.*.unitCost')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('Custo unitário não pode ser negativo')
+    .toFloat(),
+  
+  body('items.*.lotNumber')
+    .optional({ nullable: true })
+    .isLength({ min: 1, max: 100 }).withMessage('Número do lote deve ter entre 1 e 100 caracteres')
+    .trim(),
+  
+  body('items.*.expiryDate')
+    .optional({ nullable: true })
+    .isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('Validade inválida (formato: AAAA-MM-DD)'),
+  
+  body('items.*.manufactureDate')
+    .optional({ nullable: true })
+    .isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('Data de fabricação inválida (formato: AAAA-MM-DD)'),
   
   body('location')
-    .optional()
+    .optional({ nullable: true })
     .isLength({ max: 100 }).withMessage('Localização não pode exceder 100 caracteres')
     .trim(),
   
-  body('imageUrl')
+  body('notes')
     .optional()
-    .isURL().withMessage('URL da imagem inválida')
+    .isLength({ max: 500 }).withMessage('Observações não podem exceder 500 caracteres')
+    .trim()
 ];
 
-const updateProductSchema = [
-  body('sku')
-    .optional()
-    .isLength({ min: 2, max: 100 }).withMessage('SKU deve ter entre 2 e 100 caracteres')
-    .trim(),
+const matchPurchaseInvoiceSchema = [
+  param('id')
+    .isUUID().withMessage('ID do pedido inválido'),
   
-  body('name')
-    .optional()
-    .isLength({ min: 2, max: 200 }).withMessage('Nome deve ter entre 2 e 200 caracteres')
+  body('invoiceNumber')
+    .notEmpty().withMessage('Número da nota é obrigatório')
+    .isLength({ max: 100 }).withMessage('Número da nota não pode exceder 100 caracteres')
     .trim(),
   
-  body('price')
-    .optional()
-    .isFloat({ min: 0.01 }).withMessage('Preço deve ser maior que 0')
+  body('amount')
+    .notEmpty().withMessage('Valor da nota é obrigatório')
+    .isFloat({ min: 0.01 }).withMessage('Valor da nota deve ser maior que 0')
     .toFloat(),
   
-  body('cost')
+  body('invoiceDate')
     .optional()
-    .isFloat({ min: 0 }).withMessage('Custo não pode ser negativo')
-    .toFloat(),
+    .isISO8601().withMessage('Data da nota inválida'),
   
-  body('stock')
+  body('dueDate')
     .optional()
-    .isInt({ min: 0 }).withMessage('Estoque não pode ser negativo')
-    .toInt(),
+    .isISO8601().withMessage('Data de vencimento inválida'),
   
-  body('status')
+  body('receiptIds')
     .optional()
-    .isIn(['active', 'inactive', 'discontinued']).withMessage('Status inválido')
-];
-
-const adjustStockSchema = [
-  body('adjustment')
-    .notEmpty().withMessage('Ajuste é obrigatório')
-    .isInt().withMessage('Ajuste deve ser um número inteiro')
-    .toInt(),
+    .isArray().withMessage('Recebimentos devem ser uma lista'),
   
-  body('notes')
-    .optional()
-    .isLength({ max: 500 }).withMessage('Notas não podem exceder 500 caracteres')
-    .trim(),
+  body('receiptIds.*')
+    .isUUID().withMessage('ID do recebimento inválido'),
   
-  body('cost')
+  body('notes')
     .optional()
-    .isFloat({ min: 0 }).withMessage('Custo não pode ser negativo')
-    .toFloat()
+    .isLength({ max: 500 }).withMessage('Observações não podem exceder 500 caracteres')
+    .trim()
 ];
 
-const importProductsSchema = [
-  body()
-    .isArray({ min: 1 }).withMessage('Array de produtos é obrigatório')
-    .custom((products) => products.length <= 100).withMessage('Máximo de 100 produtos por importação'),
+const listPurchaseOrdersSchema = [
+  query('status')
+    .optional()
+    .isIn(['draft', 'ordered', 'partially_received', 'received', 'cancelled']).withMessage('Status inválido'),
   
-  body('*.sku')
-    .notEmpty().withMessage('SKU é obrigatório')
-    .isLength({ min: 2, max: 100 }).withMessage('SKU deve ter entre 2 e 100 caracteres'),
+  query('supplierId')
+    .optional()
+    .isUUID().withMessage('ID do fornecedor inválido'),
   
-  body('*.name')
-    .notEmpty().withMessage('Nome é obrigatório')
-    .isLength({ min: 2, max: 200 }).withMessage('Nome deve ter entre 2 e 200 caracteres'),
+  query('startDate')
+    .optional()
+    .isISO8601().withMessage('Data inicial inválida'),
   
-  body('*.price')
-    .notEmpty().withMessage('Preço é obrigatório')
-    .isFloat({ min: 0.01 }).withMessage('Preço deve ser maior que 0'),
+  query('endDate')
+    .optional()
+    .isISO8601().withMessage('Data final inválida'),
   
-  body('*.cost')
-    .notEmpty().withMessage('Custo é obrigatório')
-    .isFloat({ min: 0 }).withMessage('Custo não pode ser negativo'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Página deve ser maior que 0')
+    .toInt(),
   
-  body('*.stock')
-    .notEmpty().withMessage('Estoque é obrigatório')
-    .isInt({ min: 0 }).withMessage('Estoque não pode ser negativo')
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 }).withMessage('Limite deve estar entre 1 e 100')
+    .toInt()
 ];
 
 // ============================================
-// VALIDAÇÕES DE CLIENTES
+// VALIDAÇÕES DE LOTES
 // ============================================
 
-const createCustomerSchema = [
-  body('name')
-    .notEmpty().withMessage('Nome é obrigatório')
-    .isLength({ min: 2, max: 200 }).withMessage('Nome deve ter entre 2 e 200 caracteres')
-    .trim(),
+const receiveInventoryLotSchema = [
+  body('productId')
+    .notEmpty().withMessage('ID do produto é obrigatório')
+    .isUUID().withMessage('ID do produto inválido'),
   
-  body('email')
-    .notEmpty().withMessage('E-mail é obrigatório')
-    .isEmail().withMessage('E-mail inválido')
-    .normalizeEmail(),
+  body('variantId')
+    .optional({ nullable: true })
+    .isUUID().withMessage('ID da variação inválido'),
   
-  body('phone')
-    .optional()
-    .matches(/^\(?\d{2}\)?[\s-]?\d{4,5}-?\d{4}$/)
-    .withMessage('Telefone inválido')
+  body('location')
+    .optional({ nullable: true })
+    .isLength({ max: 100 }).withMessage('Local não pode exceder 100 caracteres')
     .trim(),
   
-  body('type')
-    .optional()
-    .isIn(['individual', 'company']).withMessage('Tipo deve ser individual ou company'),
-  
-  body('taxId')
-    .optional()
-    .custom((value, { req }) => {
-      if (req.body.type === 'company' && !value) {
-        throw new Error('CNPJ é obrigatório para pessoa jurídica');
-      }
-      return true;
-    })
-    .matches(/^\d{2}\.\d{3}\.\d{3}\/\d{4}-\d{2}$/)
-    .withMessage('CNPJ inválido (formato: 00.000.000/0000-00)')
+  body('lotNumber')
+    .notEmpty().withMessage('Número do lote é obrigatório')
+    .isLength({ max: 100 }).withMessage('Número do lote não pode exceder 100 caracteres')
     .trim(),
   
-  body('address')
-    .optional()
-    .isLength({ max: 500 }).withMessage('Endereço não pode exceder 500 caracteres')
-    .trim(),
+  body('quantity')
+    .isFloat({ gt: 0 }).withMessage('Quantidade deve ser maior que zero')
+    .toFloat(),
   
-  body('city')
-    .optional()
-    .isLength({ max: 100 }).withMessage('Cidade não pode exceder 100 caracteres')
-    .trim(),
+  body('expiryDate')
+    .optional({ nullable: true })
+    .isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('Validade inválida (formato: AAAA-MM-DD)'),
   
-  body('state')
-    .optional()
-    .isLength({ min: 2, max: 2 }).withMessage('Estado deve ter 2 caracteres')
-    .trim(),
+  body('manufactureDate')
+    .optional({ nullable: true })
+    .isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('Data de fabricação inválida (formato: AAAA-MM-DD)'),
   
-  body('zipCode')
+  body('unitCost')
     .optional()
-    .matches(/^\d{5}-\d{3}$/)
-    .withMessage('CEP inválido (formato: 00000-000)')
-    .trim(),
+    .isFloat({ min: 0 }).withMessage('Custo unitário não pode ser negativo')
+    .toFloat(),
   
   body('notes')
     .optional()
-    .isLength({ max: 1000 }).withMessage('Observações não podem exceder 1000 caracteres')
+    .isLength({ max: 500 }).withMessage('Observações não podem exceder 500 caracteres')
     .trim()
 ];
 
-const updateCustomerSchema = [
-  body('email')
-    .optional()
-    .isEmail().withMessage('E-mail inválido')
-    .normalizeEmail(),
-  
-  body('name')
-    .optional()
-    .isLength({ min: 2, max: 200 }).withMessage('Nome deve ter entre 2 e 200 caracteres')
+const lotRecallSchema = [
+  query('lotNumber')
+    .notEmpty().withMessage('Número do lote é obrigatório')
+    .isLength({ max: 100 }).withMessage('Número do lote não pode exceder 100 caracteres')
     .trim(),
   
-  body('phone')
+  query('productId')
     .optional()
-    .matches(/^\(?\d{2}\)?[\s-]?\d{4,5}-?\d{4}$/)
-    .withMessage('Telefone inválido')
-    .trim(),
-  
-  body('type')
+    .isUUID().withMessage('ID do produto inválido')
+];
+
+const expiringInventorySchema = [
+  query('days')
     .optional()
-    .isIn(['individual', 'company']).withMessage('Tipo deve ser individual ou company'),
-  
-  body('status')
+    .isInt({ min: 1, max: 730 }).withMessage('Período deve estar entre 1 e 730 dias')
+    .toInt()
+];
+
+// ============================================
+// VALIDAÇÕES DE REPOSIÇÃO
+// ============================================
+
+const replenishmentSuggestionsSchema = [
+  query('days')
     .optional()
-    .isIn(['active', 'inactive', 'blocked']).withMessage('Status inválido'),
+    .isInt({ min: 7, max: 365 }).withMessage('Período de vendas deve estar entre 7 e 365 dias')
+    .toInt(),
   
-  body('address')
+  query('location')
     .optional()
-    .isLength({ max: 500 }).withMessage('Endereço não pode exceder 500 caracteres')
-    .trim()
-];
-
-const importCustomersSchema = [
-  body()
-    .isArray({ min: 1 }).withMessage('Array de clientes é obrigatório')
-    .custom((customers) => customers.length <= 100).withMessage('Máximo de 100 clientes por importação'),
+    .isLength({ max: 100 }).withMessage('Local não pode exceder 100 caracteres')
+    .trim(),
   
-  body('*.name')
-    .notEmpty().withMessage('Nome é obrigatório')
-    .isLength({ min: 2, max: 200 }).withMessage('Nome deve ter entre 2 e 200 caracteres'),
+  query('productId')
+    .optional()
+    .isUUID().withMessage('ID do produto inválido'),
   
-  body('*.email')
-    .notEmpty().withMessage('E-mail é obrigatório')
-    .isEmail().withMessage('E-mail inválido')
-    .normalizeEmail(),
+  query('supplierId')
+    .optional()
+    .isUUID().withMessage('ID do fornecedor inválido'),
   
-  body('*.type')
+  query('all')
     .optional()
-    .isIn(['individual', 'company']).withMessage('Tipo deve ser individual ou company')
+    .isBoolean().withMessage('Parâmetro all deve ser verdadeiro ou falso')
+    .toBoolean()
 ];
 
-// ============================================
-// VALIDAÇÕES DE VENDAS
-// ============================================
-
-const createSaleSchema = [
+const createReplenishmentOrdersSchema = [
   body('items')
-    .notEmpty().withMessage('Itens são obrigatórios')
-    .isArray({ min: 1 }).withMessage('Deve conter pelo menos um item'),
+    .isArray({ min: 1, max: 200 }).withMessage('Informe entre 1 e 200 sugestões'),
   
   body('items.*.productId')
     .notEmpty().withMessage('ID do produto é obrigatório')
     .isUUID().withMessage('ID do produto inválido'),
   
-  body('items.*.quantity')
-    .notEmpty().withMessage('Quantidade é obrigatória')
-    .isInt({ min: 1 }).withMessage('Quantidade deve ser maior que 0')
-    .toInt(),
-  
-  body('paymentMethod')
-    .notEmpty().withMessage('Método de pagamento é obrigatório')
-    .isIn(['cash', 'card', 'transfer', 'pix', 'multiple']).withMessage('Método de pagamento inválido'),
+  body('items.*.variantId')
+    .optional({ nullable: true })
+    .isUUID().withMessage('ID da variação inválido'),
   
-  body('customerId')
-    .optional()
-    .isUUID().withMessage('ID do cliente inválido'),
+  body('items.*.location')
+    .optional({ nullable: true })
+    .isLength({ max: 100 }).withMessage('Local não pode exceder 100 caracteres'),
   
-  body('discount')
+  body('items.*.quantity')
     .optional()
-    .isFloat({ min: 0 }).withMessage('Desconto não pode ser negativo')
+    .isFloat({ gt: 0 }).withMessage('Quantidade deve ser maior que zero')
     .toFloat(),
   
-  body('notes')
-    .optional()
-    .isLength({ max: 500 }).withMessage('Observações não podem exceder 500 caracteres')
-    .trim(),
-  
-  body('location')
-    .optional()
-    .isLength({ max: 100 }).withMessage('Localização não pode exceder 100 caracteres')
-    .trim(),
-  
-  body('paymentDetails')
-    .optional()
-    .custom((value) => {
-      try {
-        if (typeof value === 'object' || value === null) {
-          return true;
-        }
-        return false;
-      } catch {
-        return false;
-      }
-    }).withMessage('Detalhes do pagamento devem ser um objeto válido')
-];
-
-const cancelSaleSchema = [
-  body('reason')
-    .notEmpty().withMessage('Motivo do cancelamento é obrigatório')
-    .isLength({ min: 5, max: 500 }).withMessage('Motivo deve ter entre 5 e 500 caracteres')
-    .trim()
+  body('items.*.supplierId')
+    .optional({ nullable: true })
+    .isUUID().withMessage('ID do fornecedor inválido')
 ];
 
 // ============================================
@@ -546,6 +1823,12 @@ const createTransactionSchema = [
     .isFloat({ min: 0.01 }).withMessage('Valor deve ser maior que 0')
     .toFloat(),
   
+  body('currency')
+    .optional()
+    .trim()
+    .toUpperCase()
+    .matches(/^[A-Z]{3}$/).withMessage('Moeda deve ser um código ISO de 3 letras (ex.: USD)'),
+  
   body('type')
     .notEmpty().withMessage('Tipo é obrigatório')
     .isIn(['income', 'expense']).withMessage('Tipo deve ser income ou expense'),
@@ -580,6 +1863,12 @@ const updateTransactionSchema = [
     .isFloat({ min: 0.01 }).withMessage('Valor deve ser maior que 0')
     .toFloat(),
   
+  body('currency')
+    .optional()
+    .trim()
+    .toUpperCase()
+    .matches(/^[A-Z]{3}$/).withMessage('Moeda deve ser um código ISO de 3 letras (ex.: USD)'),
+  
   body('date')
     .optional()
     .isISO8601().withMessage('Data inválida')
@@ -619,6 +1908,12 @@ const createDocumentSchema = [
     .isFloat({ min: 0.01 }).withMessage('Valor deve ser maior que 0')
     .toFloat(),
   
+  body('currency')
+    .optional()
+    .trim()
+    .toUpperCase()
+    .matches(/^[A-Z]{3}$/).withMessage('Moeda deve ser um código ISO de 3 letras (ex.: USD)'),
+  
   body('date')
     .notEmpty().withMessage('Data é obrigatória')
     .isISO8601().withMessage('Data inválida')
@@ -671,8 +1966,8 @@ const createInventoryMovementSchema = [
   
   body('quantity')
     .notEmpty().withMessage('Quantidade é obrigatória')
-    .isInt().withMessage('Quantidade deve ser um número inteiro')
-    .toInt(),
+    .isFloat().withMessage('Quantidade deve ser um número')
+    .toFloat(),
   
   body('unitCost')
     .notEmpty().withMessage('Custo unitário é obrigatório')
@@ -878,7 +2173,7 @@ const saleFilterSchema = [
   
   query('paymentMethod')
     .optional()
-    .isIn(['cash', 'card', 'transfer', 'pix', 'multiple']).withMessage('Método de pagamento inválido'),
+    .isIn(['cash', 'card', 'transfer', 'pix', 'store_credit', 'multiple']).withMessage('Método de pagamento inválido'),
   
   query('customerId')
     .optional()
@@ -964,6 +2259,32 @@ const listProductsSchema = [
   ...dateRangeSchema
 ];
 
+const salesReportSchema = [
+  ...dateRangeSchema,
+  query('location')
+    .optional()
+    .isLength({ max: 100 }).withMessage('Localização não pode exceder 100 caracteres')
+    .trim(),
+  query('cashierId')
+    .optional()
+    .isUUID().withMessage('ID do operador inválido'),
+  query('year')
+    .optional()
+    .isInt({ min: 2000, max: 2100 }).withMessage('Ano inválido')
+    .toInt(),
+  query('month')
+    .optional()
+    .isInt({ min: 1, max: 12 }).withMessage('Mês deve ser entre 1 e 12')
+    .toInt(),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 }).withMessage('Limite deve ser entre 1 e 100')
+    .toInt(),
+  query('sortBy')
+    .optional()
+    .isIn(['revenue', 'quantity', 'margin', 'total', 'visits', 'averageTicket']).withMessage('Ordenação inválida')
+];
+
 const listSalesSchema = [
   ...paginationSchema,
   ...saleFilterSchema,
@@ -1017,6 +2338,7 @@ module.exports = {
   createUserSchema,
   updateUserSchema,
   changeUserPasswordSchema,
+  setManagerPinSchema,
   toggleUserStatusSchema,
   listUsersSchema,
   
@@ -1036,7 +2358,61 @@ module.exports = {
   // Vendas
   createSaleSchema,
   cancelSaleSchema,
+  refundSaleSchema,
+  exchangeSaleSchema,
+  quoteSaleSchema,
+  posQuoteSchema,
+  parkSaleSchema,
+  layawaySaleSchema,
+  payInstallmentSchema,
+  syncOfflineSalesSchema,
+  cashMovementSchema,
+  closeCashDrawerSchema,
+  printReceiptSchema,
+  emailReceiptSchema,
   listSalesSchema,
+  salesReportSchema,
+  
+  // Promoções
+  createPromotionSchema,
+  updatePromotionSchema,
+  
+  // Numeração
+  saveSequenceSchema,
+  
+  // Vales
+  sellGiftCardSchema,
+  voidStoreCreditSchema,
+  listStoreCreditsSchema,
+  
+  // Moedas
+  setBaseCurrencySchema,
+  saveExchangeRateSchema,
+  listExchangeRatesSchema,
+  
+  // Fornecedores
+  createSupplierSchema,
+  updateSupplierSchema,
+  saveSupplierProductSchema,
+  listSuppliersSchema,
+  supplierPerformanceSchema,
+  
+  // Compras
+  createPurchaseOrderSchema,
+  updatePurchaseOrderSchema,
+  cancelPurchaseOrderSchema,
+  receivePurchaseOrderSchema,
+  matchPurchaseInvoiceSchema,
+  listPurchaseOrdersSchema,
+  
+  // Reposição
+  replenishmentSuggestionsSchema,
+  createReplenishmentOrdersSchema,
+  
+  // Lotes
+  receiveInventoryLotSchema,
+  lotRecallSchema,
+  expiringInventorySchema,
   
   // Financeiro
   createTransactionSchema,
@@ -0,0 +1,164 @@
+const request = require('supertest');
+const app = require('../src/app');
+const { sequelize } = require('../src/config/database');
+const User = require('../src/models/User');
+
+// Criar usuário e devolver o token de acesso
+const createUser = async (user) => {
+  await User.create({ ...user, password: 'Password123' });
+
+  const res = await request(app)
+    .post('/api/auth/login')
+    .send({ email: user.email, password: 'Password123' });
+
+  return res.body.token;
+};
+
+describe('Cash drawer', () => {
+  const tokens = {};
+  let productId;
+  let drawerId;
+
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+
+    tokens.admin = await createUser({
+      name: 'Drawer Admin',
+      email: 'drawer-admin@example.com',
+      companyName: 'Drawer Co',
+      role: 'admin'
+    });
+    tokens.manager = await createUser({
+      name: 'Drawer Manager',
+      email: 'drawer-manager@example.com',
+      companyName: 'Drawer Co',
+      role: 'manager'
+    });
+    tokens.other = await createUser({
+      name: 'Other Admin',
+      email: 'other-admin@example.com',
+      companyName: 'Other Co',
+      role: 'admin'
+    });
+
+    const product = await request(app)
+      .post('/api/products')
+      .set('Authorization', `Bearer ${tokens.admin}`)
+      .send({
+        sku: 'DRAWER001',
+        name: 'Pão de queijo',
+        category: 'padaria',
+        price: 10,
+        cost: 4,
+        stock: 20
+      });
+
+    productId = product.body.product.id;
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  it('should open a drawer with the opening balance', async () => {
+    const res = await request(app)
+      .post('/api/sales/pos/open-cash-drawer')
+      .set('Authorization', `Bearer ${tokens.admin}`)
+      .send({ openingBalance: 100, location: 'Caixa 1' });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.cashDrawer.status).toBe('open');
+    drawerId = res.body.cashDrawer.id;
+
+    const again = await request(app)
+      .post('/api/sales/pos/open-cash-drawer')
+      .set('Authorization', `Bearer ${tokens.admin}`)
+      .send({ openingBalance: 50 });
+
+    expect(again.statusCode).toBe(400);
+  });
+
+  it('should count cash sales and cash-outs in the partial Z-report', async () => {
+    const sale = await request(app)
+      .post('/api/sales/pos/checkout')
+      .set('Authorization', `Bearer ${tokens.admin}`)
+      .send({
+        items: [{ productId, quantity: 2 }],
+        payments: [{ method: 'cash', amount: 50 }]
+      });
+
+    expect(sale.statusCode).toBe(201);
+
+    const cashOut = await request(app)
+      .post('/api/sales/pos/cash-drawer/cash-out')
+      .set('Authorization', `Bearer ${tokens.admin}`)
+      .send({ amount: 10, reason: 'Sangria parcial' });
+
+    expect(cashOut.statusCode).toBe(201);
+
+    const res = await request(app)
+      .get(`/api/sales/pos/cash-drawer/${drawerId}/z-report`)
+      .set('Authorization', `Bearer ${tokens.manager}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.zReport).toMatchObject({
+      partial: true,
+      salesCount: 1,
+      cashSales: 20,
+      cashOut: 10,
+      expectedBalance: 110
+    });
+  });
+
+  it('should close the drawer blind without showing the difference', async () => {
+    const res = await request(app)
+      .post('/api/sales/pos/close-cash-drawer')
+      .set('Authorization', `Bearer ${tokens.admin}`)
+      .send({ countedDenominations: { 100: 1, 5: 1 }, blind: true });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.cashDrawer.status).toBe('closed');
+    expect(res.body.cashDrawer).not.toHaveProperty('difference');
+    expect(res.body).not.toHaveProperty('summary');
+  });
+
+  it('should let managers read the Z-report of any company operator', async () => {
+    const res = await request(app)
+      .get(`/api/sales/pos/cash-drawer/${drawerId}/z-report`)
+      .set('Authorization', `Bearer ${tokens.manager}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.zReport).toMatchObject({
+      drawerId,
+      blindClose: true,
+      expectedBalance: 110,
+      closingBalance: 105,
+      difference: -5
+    });
+    expect(res.body.zReport.partial).toBeUndefined();
+  });
+
+  it('should list the drawers of the whole company for managers', async () => {
+    const res = await request(app)
+      .get('/api/sales/pos/cash-drawers')
+      .set('Authorization', `Bearer ${tokens.manager}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.cashDrawers.map(drawer => drawer.id)).toEqual([drawerId]);
+  });
+
+  it('should hide drawers from other companies', async () => {
+    const list = await request(app)
+      .get('/api/sales/pos/cash-drawers')
+      .set('Authorization', `Bearer ${tokens.other}`);
+
+    expect(list.statusCode).toBe(200);
+    expect(list.body.cashDrawers).toHaveLength(0);
+
+    const report = await request(app)
+      .get(`/api/sales/pos/cash-drawer/${drawerId}/z-report`)
+      .set('Authorization', `Bearer ${tokens.other}`);
+
+    expect(report.statusCode).toBe(404);
+  });
+});
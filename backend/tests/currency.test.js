@@ -0,0 +1,22 @@
+const ExchangeRate = require('../src/models/ExchangeRate');
+
+describe('Exchange rates', () => {
+  describe('convert', () => {
+    it('should convert to the base currency rounding to the cent', () => {
+      expect(ExchangeRate.convert(19.99, 5.4321)).toBe(108.59);
+      expect(ExchangeRate.convert('100.00', '0.18500000')).toBe(18.5);
+    });
+
+    it('should keep the amount when the rate is missing', () => {
+      expect(ExchangeRate.convert(42.5)).toBe(42.5);
+      expect(ExchangeRate.convert(null, 5)).toBe(0);
+    });
+  });
+
+  describe('normalizeCurrency', () => {
+    it('should trim and upper-case ISO codes', () => {
+      expect(ExchangeRate.normalizeCurrency(' usd ')).toBe('USD');
+      expect(ExchangeRate.normalizeCurrency(undefined)).toBe('');
+    });
+  });
+});
@@ -0,0 +1,128 @@
+const request = require('supertest');
+const app = require('../src/app');
+const { sequelize } = require('../src/config/database');
+const User = require('../src/models/User');
+const Product = require('../src/models/Product');
+const Sale = require('../src/models/Sale');
+const IdempotencyKey = require('../src/models/IdempotencyKey');
+
+describe('Idempotency-Key', () => {
+  let token;
+  let productId;
+
+  const checkout = (key, quantity = 1) => request(app)
+    .post('/api/sales/pos/checkout')
+    .set('Authorization', `Bearer ${token}`)
+    .set('Idempotency-Key', key)
+    .send({
+      items: [{ productId, quantity }],
+      payments: [{ method: 'card', amount: quantity * 15 }]
+    });
+
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+
+    await User.create({
+      name: 'Idempotency User',
+      email: 'idempotency@example.com',
+      password: 'Password123',
+      companyName: 'Test Company',
+      role: 'admin'
+    });
+
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({
+        email: 'idempotency@example.com',
+        password: 'Password123'
+      });
+
+    token = res.body.token;
+
+    const product = await request(app)
+      .post('/api/products')
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        sku: 'IDEM001',
+        name: 'Caderno',
+        category: 'papelaria',
+        price: 15,
+        cost: 6,
+        stock: 10
+      });
+
+    productId = product.body.product.id;
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  it('should replay the original response for a repeated key', async () => {
+    const first = await checkout('checkout-replay');
+    expect(first.statusCode).toBe(201);
+
+    const replay = await checkout('checkout-replay');
+
+    expect(replay.statusCode).toBe(201);
+    expect(replay.headers['idempotent-replayed']).toBe('true');
+    expect(replay.body).toEqual(first.body);
+
+    const product = await Product.findByPk(productId);
+    expect(product.stock).toBe(9);
+    expect(await Sale.count()).toBe(1);
+  });
+
+  it('should reject the same key with a different request body', async () => {
+    const res = await checkout('checkout-replay', 2);
+
+    expect(res.statusCode).toBe(422);
+    expect(await Sale.count()).toBe(1);
+  });
+
+  it('should run the request again once the key has expired', async () => {
+    await IdempotencyKey.update(
+      { expiresAt: new Date(Date.now() - 1000) },
+      { where: { key: 'checkout-replay' } }
+    );
+
+    const res = await checkout('checkout-replay');
+
+    expect(res.statusCode).toBe(201);
+    expect(res.headers['idempotent-replayed']).toBeUndefined();
+    expect(await Sale.count()).toBe(2);
+  });
+
+  it('should remove only expired keys on cleanup', async () => {
+    await checkout('checkout-fresh');
+    await IdempotencyKey.update(
+      { expiresAt: new Date(Date.now() - 1000) },
+      { where: { key: 'checkout-replay' } }
+    );
+
+    const removed = await IdempotencyKey.cleanupExpired();
+
+    expect(removed).toBe(1);
+    expect((await IdempotencyKey.findAll()).map(record => record.key)).toEqual(['checkout-fresh']);
+  });
+
+  it('should let the same key be retried after a client error', async () => {
+    const rejected = await checkout('checkout-retry', 8);
+
+    expect(rejected.statusCode).toBe(400);
+    expect(await IdempotencyKey.count({ where: { key: 'checkout-retry' } })).toBe(0);
+
+    await request(app)
+      .post(`/api/products/${productId}/adjust-stock`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ adjustment: 5, reason: 'Reposição' });
+
+    const res = await checkout('checkout-retry', 8);
+
+    expect(res.statusCode).toBe(201);
+    expect(res.headers['idempotent-replayed']).toBeUndefined();
+
+    const product = await Product.findByPk(productId);
+    expect(product.stock).toBe(4);
+  });
+});
@@ -0,0 +1,257 @@
+const request = require('supertest');
+const app = require('../src/app');
+const { sequelize } = require('../src/config/database');
+const User = require('../src/models/User');
+const Sale = require('../src/models/Sale');
+const InventoryLot = require('../src/models/InventoryLot');
+const stockLedgerService = require('../src/services/stockLedgerService');
+
+const inDays = days => new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+
+describe('Inventory lots', () => {
+  let token;
+  let userId;
+  let productId;
+  let inventoryId;
+  let firstSale;
+
+  // Venda com baixa de estoque pelo livro (mesmo lançamento do PDV)
+  const sell = async (quantity) => {
+    const sale = await Sale.create({
+      userId,
+      items: [{ productId, name: 'Iogurte 170g', quantity, price: 12, subtotal: quantity * 12, discount: 0, total: quantity * 12 }],
+      subtotal: quantity * 12,
+      total: quantity * 12,
+      currency: 'BRL',
+      exchangeRate: 1,
+      paymentMethod: 'cash'
+    });
+
+    await sequelize.transaction(transaction => stockLedgerService.record({
+      productId,
+      userId,
+      type: 'sale',
+      quantity: -quantity,
+      referenceId: sale.id,
+      referenceType: 'sale'
+    }, { transaction }));
+
+    return sale;
+  };
+
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+
+    const user = await User.create({
+      name: 'Lot User',
+      email: 'lots@example.com',
+      password: 'Password123',
+      companyName: 'Test Company',
+      role: 'admin'
+    });
+    userId = user.id;
+
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({
+        email: 'lots@example.com',
+        password: 'Password123'
+      });
+
+    token = res.body.token;
+
+    const product = await request(app)
+      .post('/api/products')
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        sku: 'LOT001',
+        name: 'Iogurte 170g',
+        category: 'laticinios',
+        price: 12,
+        cost: 5,
+        stock: 0
+      });
+
+    productId = product.body.product.id;
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  it('should receive stock into lots with their own expiry dates', async () => {
+    const late = await request(app)
+      .post('/api/inventory/lots')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ productId, lotNumber: 'L-LATE', quantity: 5, expiryDate: inDays(60) });
+
+    expect(late.statusCode).toBe(201);
+    inventoryId = late.body.data.inventoryId;
+
+    const soon = await request(app)
+      .post('/api/inventory/lots')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ productId, lotNumber: 'L-SOON', quantity: 5, expiryDate: inDays(10) });
+
+    expect(soon.statusCode).toBe(201);
+    expect(soon.body.data.inventoryId).toBe(inventoryId);
+
+    const lots = await request(app)
+      .get(`/api/inventory/${inventoryId}/lots`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(lots.body.data.lots.map(lot => lot.lotNumber)).toEqual(['L-SOON', 'L-LATE']);
+    expect(lots.body.data.inventory.quantity).toBe(10);
+  });
+
+  it('should reject a known lot number with a different expiry date', async () => {
+    const res = await request(app)
+      .post('/api/inventory/lots')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ productId, lotNumber: 'L-SOON', quantity: 1, expiryDate: inDays(20) });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.code).toBe('LOT_EXPIRY_MISMATCH');
+  });
+
+  it('should pick the first-expiring lot first on sales', async () => {
+    firstSale = await sell(6);
+
+    const soon = await InventoryLot.findOne({ where: { lotNumber: 'L-SOON' } });
+    const late = await InventoryLot.findOne({ where: { lotNumber: 'L-LATE' } });
+
+    expect(soon.quantity).toBe(0);
+    expect(late.quantity).toBe(4);
+  });
+
+  it('should report expiring stock per lot', async () => {
+    const res = await request(app)
+      .get('/api/inventory/expiring?days=90')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.items).toHaveLength(1);
+    expect(res.body.data.items[0].lotNumber).toBe('L-LATE');
+    expect(res.body.data.items[0].quantity).toBe(4);
+  });
+
+  it('should list the sales that consumed a lot', async () => {
+    const res = await request(app)
+      .get('/api/inventory/lots/recall?lotNumber=L-SOON')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.sales).toHaveLength(1);
+    expect(res.body.data.sales[0].quantity).toBe(5);
+    expect(res.body.data.summary).toMatchObject({ received: 5, sold: 5, onHand: 0 });
+  });
+
+  it('should not sell from expired lots', async () => {
+    await request(app)
+      .post('/api/inventory/lots')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ productId, lotNumber: 'L-OLD', quantity: 2, expiryDate: inDays(-1) });
+
+    await expect(sell(5)).rejects.toMatchObject({ code: 'LOT_EXPIRED' });
+
+    const late = await InventoryLot.findOne({ where: { lotNumber: 'L-LATE' } });
+    expect(late.quantity).toBe(4);
+  });
+
+  it('should return refunded items to the lots the sale consumed', async () => {
+    const res = await request(app)
+      .post(`/api/sales/${firstSale.id}/refund`)
+      .set('Authorization', `Bearer ${token}`)
+      .set('Idempotency-Key', 'lot-refund')
+      .send({ reason: 'Embalagem violada', refundMethod: 'card' });
+
+    expect(res.statusCode).toBe(200);
+
+    const soon = await InventoryLot.findOne({ where: { lotNumber: 'L-SOON' } });
+    const late = await InventoryLot.findOne({ where: { lotNumber: 'L-LATE' } });
+    expect(soon.quantity).toBe(5);
+    expect(late.quantity).toBe(5);
+
+    const recall = await request(app)
+      .get('/api/inventory/lots/recall?lotNumber=L-SOON')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(recall.body.data.sales).toHaveLength(0);
+    expect(recall.body.data.summary).toMatchObject({ received: 5, sold: 0, onHand: 5 });
+  });
+
+  it('should return cancelled sales to their lots', async () => {
+    const sale = await sell(3);
+
+    const res = await request(app)
+      .post(`/api/sales/${sale.id}/cancel`)
+      .set('Authorization', `Bearer ${token}`)
+      .set('Idempotency-Key', 'lot-cancel')
+      .send({ reason: 'Cliente desistiu da compra' });
+
+    expect(res.statusCode).toBe(200);
+
+    const soon = await InventoryLot.findOne({ where: { lotNumber: 'L-SOON' } });
+    expect(soon.quantity).toBe(5);
+
+    const recall = await request(app)
+      .get('/api/inventory/lots/recall?lotNumber=L-SOON')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(recall.body.data.sales).toHaveLength(0);
+    expect(recall.body.data.summary).toMatchObject({ received: 5, sold: 0, onHand: 5 });
+  });
+
+  it('should return exchanged items to their lots before picking the new ones', async () => {
+    const sale = await sell(2);
+
+    const res = await request(app)
+      .post(`/api/sales/${sale.id}/exchange`)
+      .set('Authorization', `Bearer ${token}`)
+      .set('Idempotency-Key', 'lot-exchange')
+      .send({
+        reason: 'Troca por outra unidade',
+        returnItems: [{ productId, quantity: 1 }],
+        newItems: [{ productId, quantity: 1 }]
+      });
+
+    expect(res.statusCode).toBe(201);
+
+    const soon = await InventoryLot.findOne({ where: { lotNumber: 'L-SOON' } });
+    expect(soon.quantity).toBe(3);
+
+    const recall = await request(app)
+      .get('/api/inventory/lots/recall?lotNumber=L-SOON')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(recall.body.data.sales).toHaveLength(1);
+    expect(recall.body.data.sales[0]).toMatchObject({ saleId: sale.id, quantity: 2 });
+    expect(recall.body.data.sales[0].exchangeNumbers).toHaveLength(1);
+  });
+});
+
+describe('FEFO picking', () => {
+  const lot = (lotNumber, quantity, expiryDate, receivedAt = '2024-01-01') =>
+    InventoryLot.build({ lotNumber, quantity, expiryDate, receivedAt });
+
+  it('should pick lots by expiry date with undated lots last', () => {
+    const { picks, remaining } = InventoryLot.pick([
+      lot('A', 3, null),
+      lot('B', 3, '2030-06-01'),
+      lot('C', 3, '2030-01-01')
+    ], 7);
+
+    expect(picks.map(pick => [pick.lot.lotNumber, pick.quantity])).toEqual([['C', 3], ['B', 3], ['A', 1]]);
+    expect(remaining).toBe(0);
+  });
+
+  it('should skip expired lots when asked and report the uncovered quantity', () => {
+    const { picks, remaining } = InventoryLot.pick([
+      lot('OLD', 5, '2024-01-01'),
+      lot('NEW', 2, '2030-01-01')
+    ], 4, { skipExpired: true, date: new Date('2025-01-01') });
+
+    expect(picks.map(pick => pick.lot.lotNumber)).toEqual(['NEW']);
+    expect(remaining).toBe(2);
+  });
+});
@@ -0,0 +1,102 @@
+const request = require('supertest');
+const app = require('../src/app');
+const { sequelize } = require('../src/config/database');
+const User = require('../src/models/User');
+
+// Corpo binário do PDF para conferir a assinatura do arquivo
+const binary = (res, callback) => {
+  const chunks = [];
+  res.on('data', chunk => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+};
+
+describe('Sale invoices and PDF export', () => {
+  let token;
+  let otherToken;
+  let saleId;
+
+  const login = async (email, companyName) => {
+    await User.create({
+      name: 'Invoice User',
+      email,
+      password: 'Password123',
+      companyName,
+      role: 'admin'
+    });
+
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({
+        email,
+        password: 'Password123'
+      });
+
+    return res.body.token;
+  };
+
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+
+    token = await login('invoice@example.com', 'Test Company');
+    otherToken = await login('invoice-other@example.com', 'Other Company');
+
+    const product = await request(app)
+      .post('/api/products')
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        sku: 'INV001',
+        name: 'Luminária de mesa',
+        category: 'decoracao',
+        price: 50,
+        cost: 20,
+        stock: 10
+      });
+
+    const sale = await request(app)
+      .post('/api/sales/pos/checkout')
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        items: [{ productId: product.body.product.id, quantity: 2 }],
+        payments: [{ method: 'card', amount: 100 }]
+      });
+
+    saleId = sale.body.sale.id;
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  it('should download the invoice PDF of a sale of the same tenant', async () => {
+    const res = await request(app)
+      .get(`/api/sales/${saleId}/invoice?download=true`)
+      .set('Authorization', `Bearer ${token}`)
+      .buffer(true)
+      .parse(binary);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['content-type']).toMatch(/^application\/pdf/);
+    expect(res.body.subarray(0, 4).toString()).toBe('%PDF');
+  });
+
+  it('should not find the sale of another tenant', async () => {
+    const res = await request(app)
+      .get(`/api/sales/${saleId}/invoice?download=true`)
+      .set('Authorization', `Bearer ${otherToken}`);
+
+    expect(res.statusCode).toBe(404);
+    expect(res.headers['content-type']).toMatch(/^application\/json/);
+  });
+
+  it('should export the sales list as a PDF', async () => {
+    const res = await request(app)
+      .get('/api/sales/export/pdf')
+      .set('Authorization', `Bearer ${token}`)
+      .buffer(true)
+      .parse(binary);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['content-type']).toMatch(/^application\/pdf/);
+    expect(res.body.subarray(0, 4).toString()).toBe('%PDF');
+  });
+});
@@ -0,0 +1,51 @@
+const Customer = require('../src/models/Customer');
+const LoyaltyMovement = require('../src/models/LoyaltyMovement');
+
+describe('Loyalty points', () => {
+  const { pointsPerUnit, pointValue, maxRedeemPercent } = LoyaltyMovement.SETTINGS;
+
+  describe('getLoyaltyMultiplier', () => {
+    it('should follow the customer classification', () => {
+      expect(Customer.build({ totalPurchases: 12000 }).getLoyaltyMultiplier()).toBe(Customer.LOYALTY_MULTIPLIERS.VIP);
+      expect(Customer.build({ totalPurchases: 6000 }).getLoyaltyMultiplier()).toBe(Customer.LOYALTY_MULTIPLIERS.Premium);
+      expect(Customer.build({ totalPurchases: 1500 }).getLoyaltyMultiplier()).toBe(Customer.LOYALTY_MULTIPLIERS.Regular);
+      expect(Customer.build({ totalPurchases: 0 }).getLoyaltyMultiplier()).toBe(1);
+    });
+  });
+
+  describe('calculateEarnedPoints', () => {
+    it('should earn whole points per currency unit', () => {
+      expect(LoyaltyMovement.calculateEarnedPoints(99.9)).toBe(Math.floor(99.9 * pointsPerUnit));
+    });
+
+    it('should apply the tier multiplier', () => {
+      expect(LoyaltyMovement.calculateEarnedPoints(100, 2)).toBe(Math.floor(200 * pointsPerUnit));
+    });
+
+    it('should not earn points for zero totals', () => {
+      expect(LoyaltyMovement.calculateEarnedPoints(0, 2)).toBe(0);
+    });
+  });
+
+  describe('redemption', () => {
+    it('should convert points to a discount value', () => {
+      expect(LoyaltyMovement.getPointsValue(200)).toBe(Math.round(200 * pointValue * 100) / 100);
+    });
+
+    it('should limit redeemable points to a share of the sale', () => {
+      const maxPoints = LoyaltyMovement.getMaxRedeemablePoints(100);
+
+      expect(LoyaltyMovement.getPointsValue(maxPoints)).toBeLessThanOrEqual(maxRedeemPercent);
+      expect(LoyaltyMovement.getPointsValue(maxPoints + 1)).toBeGreaterThan(maxRedeemPercent);
+    });
+  });
+
+  describe('getDefaultExpiry', () => {
+    it('should add the configured days', () => {
+      const now = new Date('2024-03-05T12:00:00Z');
+      const expiresAt = LoyaltyMovement.getDefaultExpiry(now);
+
+      expect(Math.round((expiresAt - now) / (24 * 60 * 60 * 1000))).toBe(LoyaltyMovement.SETTINGS.expiryDays);
+    });
+  });
+});
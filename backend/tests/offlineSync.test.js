@@ -0,0 +1,111 @@
+const request = require('supertest');
+const app = require('../src/app');
+const { sequelize } = require('../src/config/database');
+const User = require('../src/models/User');
+const Product = require('../src/models/Product');
+const Sale = require('../src/models/Sale');
+
+describe('POS offline sync', () => {
+  let token;
+  let productId;
+
+  const offlineSale = (idempotencyKey, quantity) => ({
+    idempotencyKey,
+    createdAt: '2024-03-05T15:30:00.000Z',
+    items: [{ productId, quantity }],
+    payments: [{ method: 'card', amount: quantity * 10 }]
+  });
+
+  const sync = sales => request(app)
+    .post('/api/sales/pos/sync')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ sales });
+
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+
+    await User.create({
+      name: 'Offline User',
+      email: 'offline@example.com',
+      password: 'Password123',
+      companyName: 'Test Company',
+      role: 'admin'
+    });
+
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({
+        email: 'offline@example.com',
+        password: 'Password123'
+      });
+
+    token = res.body.token;
+
+    const product = await request(app)
+      .post('/api/products')
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        sku: 'OFF001',
+        name: 'Pão de queijo',
+        category: 'padaria',
+        price: 10,
+        cost: 4,
+        stock: 5
+      });
+
+    productId = product.body.product.id;
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  it('should apply each offline sale once, even when repeated in the batch', async () => {
+    const res = await sync([
+      offlineSale('offline-sale-0001', 2),
+      offlineSale('offline-sale-0002', 1),
+      offlineSale('offline-sale-0001', 2)
+    ]);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.summary).toEqual({ created: 2, duplicate: 1, conflict: 0, rejected: 0 });
+    expect(res.body.results.map(result => result.status)).toEqual(['created', 'created', 'duplicate']);
+    expect(res.body.results[2].saleId).toBe(res.body.results[0].saleId);
+
+    const sale = await Sale.findByPk(res.body.results[0].saleId);
+    expect(sale.offlineCreatedAt.toISOString()).toBe('2024-03-05T15:30:00.000Z');
+
+    const product = await Product.findByPk(productId);
+    expect(product.stock).toBe(2);
+  });
+
+  it('should report a replayed batch as duplicates without selling again', async () => {
+    const res = await sync([
+      offlineSale('offline-sale-0001', 2),
+      offlineSale('offline-sale-0002', 1)
+    ]);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.summary).toEqual({ created: 0, duplicate: 2, conflict: 0, rejected: 0 });
+    expect(await Sale.count()).toBe(2);
+
+    const product = await Product.findByPk(productId);
+    expect(product.stock).toBe(2);
+  });
+
+  it('should report sales that no longer fit the stock as conflicts', async () => {
+    const res = await sync([
+      offlineSale('offline-sale-0003', 3),
+      offlineSale('offline-sale-0004', 2)
+    ]);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.summary).toEqual({ created: 1, duplicate: 0, conflict: 1, rejected: 0 });
+    expect(res.body.results[0]).toMatchObject({ idempotencyKey: 'offline-sale-0003', status: 'conflict' });
+    expect(res.body.results[0].error).toBeDefined();
+    expect(res.body.results[1]).toMatchObject({ idempotencyKey: 'offline-sale-0004', status: 'created' });
+
+    const product = await Product.findByPk(productId);
+    expect(product.stock).toBe(0);
+  });
+});
@@ -0,0 +1,154 @@
+const request = require('supertest');
+const app = require('../src/app');
+const { sequelize } = require('../src/config/database');
+const User = require('../src/models/User');
+const Sale = require('../src/models/Sale');
+
+describe('Parked sales', () => {
+  let token;
+  let productId;
+
+  const park = (quantity, location = 'Loja Centro') => request(app)
+    .post('/api/sales/pos/park')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ items: [{ productId, quantity }], location, label: 'Mesa 4' });
+
+  const checkout = quantity => request(app)
+    .post('/api/sales/pos/checkout')
+    .set('Authorization', `Bearer ${token}`)
+    .send({
+      items: [{ productId, quantity }],
+      payments: [{ method: 'card', amount: quantity * 8 }]
+    });
+
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+
+    await User.create({
+      name: 'Parking User',
+      email: 'parking@example.com',
+      password: 'Password123',
+      companyName: 'Test Company',
+      role: 'admin'
+    });
+
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({
+        email: 'parking@example.com',
+        password: 'Password123'
+      });
+
+    token = res.body.token;
+
+    const product = await request(app)
+      .post('/api/products')
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        sku: 'PARK001',
+        name: 'Suco de laranja',
+        category: 'bebidas',
+        price: 8,
+        cost: 3,
+        stock: 5
+      });
+
+    productId = product.body.product.id;
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  it('should reserve the stock of a parked sale', async () => {
+    const parked = await park(3);
+
+    expect(parked.statusCode).toBe(201);
+    expect(parked.body.sale.status).toBe('pending');
+
+    const res = await checkout(3);
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.code).toBe('STOCK_CONFLICT');
+    expect(res.body.details).toMatchObject({ available: 2, reserved: 3 });
+  });
+
+  it('should require the parking location to resume without an open drawer', async () => {
+    const sale = await Sale.findOne({ where: { status: 'pending' } });
+
+    const missing = await request(app)
+      .post(`/api/sales/pos/parked/${sale.id}/resume`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(missing.statusCode).toBe(400);
+
+    const elsewhere = await request(app)
+      .post(`/api/sales/pos/parked/${sale.id}/resume?location=Loja Norte`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(elsewhere.statusCode).toBe(403);
+    expect(await Sale.count({ where: { id: sale.id } })).toBe(1);
+  });
+
+  it('should resume the cart at its location and release the reservation', async () => {
+    const sale = await Sale.findOne({ where: { status: 'pending' } });
+
+    const res = await request(app)
+      .post(`/api/sales/pos/parked/${sale.id}/resume?location=Loja Centro`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.cart.items).toEqual([expect.objectContaining({ productId, quantity: 3 })]);
+
+    const sold = await checkout(5);
+    expect(sold.statusCode).toBe(201);
+  });
+
+  it('should expire parked sales after their deadline', async () => {
+    const sale = await Sale.create({
+      userId: (await User.findOne()).id,
+      items: [{ productId, quantity: 1 }],
+      subtotal: 8,
+      total: 8,
+      paymentMethod: 'cash',
+      status: 'pending',
+      location: 'Loja Centro',
+      parkedUntil: new Date(Date.now() - 1000)
+    });
+
+    const res = await request(app)
+      .post(`/api/sales/pos/parked/${sale.id}/resume?location=Loja Centro`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.statusCode).toBe(410);
+    expect(await Sale.count({ where: { id: sale.id } })).toBe(0);
+  });
+
+  it('should drop expired carts in the cleanup job', async () => {
+    const userId = (await User.findOne()).id;
+    const expired = await Sale.create({
+      userId,
+      items: [{ productId, quantity: 1 }],
+      subtotal: 8,
+      total: 8,
+      paymentMethod: 'cash',
+      status: 'pending',
+      location: 'Loja Centro',
+      parkedUntil: new Date(Date.now() - 1000)
+    });
+    const active = await Sale.create({
+      userId,
+      items: [{ productId, quantity: 1 }],
+      subtotal: 8,
+      total: 8,
+      paymentMethod: 'cash',
+      status: 'pending',
+      location: 'Loja Centro',
+      parkedUntil: new Date(Date.now() + 60 * 60 * 1000)
+    });
+
+    expect(await Sale.expireParkedSales()).toBe(1);
+    expect(await Sale.findByPk(expired.id)).toBeNull();
+    expect(await Sale.findByPk(active.id)).not.toBeNull();
+  });
+});
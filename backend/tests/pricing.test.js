@@ -0,0 +1,128 @@
+const Promotion = require('../src/models/Promotion');
+const pricingService = require('../src/services/pricingService');
+
+describe('Pricing engine', () => {
+  const line = (overrides = {}) => ({
+    productId: 'p1',
+    name: 'Camiseta',
+    category: 'roupas',
+    price: 50,
+    quantity: 2,
+    taxRate: 0,
+    ...overrides
+  });
+
+  const promotion = (overrides = {}) => Promotion.build({
+    name: 'Promoção',
+    type: 'percentage',
+    scope: 'order',
+    value: 10,
+    minPurchase: 0,
+    priority: 0,
+    stackable: true,
+    ...overrides
+  });
+
+  it('should price items without promotions and apply tax on the net value', () => {
+    const result = pricingService.calculate([line({ taxRate: 10 })]);
+
+    expect(result.subtotal).toBe(100);
+    expect(result.discount).toBe(0);
+    expect(result.tax).toBe(10);
+    expect(result.total).toBe(110);
+  });
+
+  it('should apply a category-wide percentage discount only to matching items', () => {
+    const result = pricingService.calculate([
+      line(),
+      line({ productId: 'p2', category: 'calcados', price: 100, quantity: 1 })
+    ], [promotion({ scope: 'category', category: 'roupas', value: 20 })]);
+
+    expect(result.items[0].discount).toBe(20);
+    expect(result.items[0].promotions).toHaveLength(1);
+    expect(result.items[1].discount).toBe(0);
+    expect(result.total).toBe(180);
+  });
+
+  it('should give free units on buy-X-get-Y promotions', () => {
+    const result = pricingService.calculate(
+      [line({ quantity: 5 })],
+      [promotion({ type: 'buy_x_get_y', scope: 'products', productIds: ['p1'], buyQuantity: 2, getQuantity: 1 })]
+    );
+
+    expect(result.discount).toBe(50);
+    expect(result.total).toBe(200);
+  });
+
+  it('should prorate a fixed order discount across items', () => {
+    const result = pricingService.calculate([
+      line({ quantity: 1 }),
+      line({ productId: 'p2', price: 150, quantity: 1 })
+    ], [promotion({ type: 'fixed', value: 20 })]);
+
+    expect(result.items[0].discount).toBe(5);
+    expect(result.items[1].discount).toBe(15);
+    expect(result.discount).toBe(20);
+  });
+
+  it('should ignore promotions below the minimum purchase', () => {
+    const result = pricingService.calculate([line()], [promotion({ minPurchase: 500 })]);
+
+    expect(result.discount).toBe(0);
+    expect(result.appliedPromotions).toHaveLength(0);
+  });
+
+  it('should price fractional quantities to the cent', () => {
+    const result = pricingService.calculate([line({ price: 39.9, quantity: 0.455, taxRate: 10 })]);
+
+    expect(result.subtotal).toBe(18.15);
+    expect(result.tax).toBe(1.82);
+    expect(result.total).toBe(19.97);
+  });
+
+  it('should not stack a non-stackable promotion on a discounted item', () => {
+    const result = pricingService.calculate([line()], [
+      promotion({ id: 'a', scope: 'products', productIds: ['p1'], value: 10, priority: 2 }),
+      promotion({ id: 'b', value: 50, stackable: false, priority: 1 })
+    ]);
+
+    expect(result.items[0].promotions.map(applied => applied.promotionId)).toEqual(['a']);
+    expect(result.discount).toBe(10);
+  });
+
+  it('should allocate the loyalty discount across items after promotions', () => {
+    const result = pricingService.calculate([
+      line(),
+      line({ productId: 'p2', price: 100, quantity: 1 })
+    ], [promotion({ value: 10 })], { loyaltyDiscount: 18 });
+
+    expect(result.loyaltyDiscount).toBe(18);
+    expect(result.discount).toBe(38);
+    expect(result.items.map(item => item.loyaltyDiscount)).toEqual([9, 9]);
+    expect(result.total).toBe(162);
+  });
+
+  it('should cap the loyalty discount at the remaining value', () => {
+    const result = pricingService.calculate([line()], [promotion({ value: 50 })], { loyaltyDiscount: 80 });
+
+    expect(result.loyaltyDiscount).toBe(50);
+    expect(result.total).toBe(0);
+  });
+
+  it('should convert fixed amounts from the base currency for foreign-currency sales', () => {
+    // Venda em moeda que vale 5 na moeda base: R$ 25 de desconto = 5 na moeda da venda
+    const result = pricingService.calculate([line({ price: 20, quantity: 1 })], [
+      promotion({ type: 'fixed', value: 25, minPurchase: 50 })
+    ], { amountFactor: 1 / 5 });
+
+    expect(result.discount).toBe(5);
+    expect(result.total).toBe(15);
+  });
+
+  it('should not convert percentage promotions for foreign-currency sales', () => {
+    const result = pricingService.calculate([line()], [promotion({ value: 10 })], { amountFactor: 1 / 5 });
+
+    expect(result.discount).toBe(10);
+    expect(result.total).toBe(90);
+  });
+});
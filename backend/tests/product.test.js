@@ -3,6 +3,8 @@ const app = require('../src/app');
 const { sequelize } = require('../src/config/database');
 const User = require('../src/models/User');
 const Product = require('../src/models/Product');
+require('../src/models/ProductVariant');
+require('../src/models/ProductModifier');
 
 describe('Products API', () => {
   let token;
@@ -173,6 +175,99 @@ describe('Products API', () => {
     });
   });
   
+  describe('Product variants', () => {
+    let productId;
+    
+    it('should create a product whose stock is the sum of its variants', async () => {
+      const res = await request(app)
+        .post('/api/products')
+        .set('Authorization', `Bearer ${token}`)
+        .send({
+          sku: 'TSHIRT',
+          name: 'Camiseta',
+          category: 'roupas',
+          price: 50,
+          cost: 20,
+          stock: 999,
+          variants: [
+            { name: 'P', sku: 'TSHIRT-P', stock: 3 },
+            { name: 'G', sku: 'TSHIRT-G', price: 55, stock: 2 }
+          ],
+          modifiers: [
+            { groupName: 'Extras', name: 'Embalagem para presente', price: 5 }
+          ]
+        });
+      
+      expect(res.statusCode).toBe(201);
+      expect(res.body.product.hasVariants).toBe(true);
+      expect(res.body.product.stock).toBe(5);
+      expect(res.body.product.variants).toHaveLength(2);
+      expect(res.body.product.modifiers).toHaveLength(1);
+      
+      productId = res.body.product.id;
+    });
+    
+    it('should find a product by variant SKU', async () => {
+      const res = await request(app)
+        .get('/api/products/search/TSHIRT-G')
+        .set('Authorization', `Bearer ${token}`);
+      
+      expect(res.statusCode).toBe(200);
+      expect(res.body.product.id).toBe(productId);
+      expect(res.body.variant.name).toBe('G');
+    });
+    
+    it('should require the variant when adjusting stock', async () => {
+      const res = await request(app)
+        .post(`/api/products/${productId}/adjust-stock`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ adjustment: 1 });
+      
+      expect(res.statusCode).toBe(400);
+    });
+  });
+  
+  describe('POST /api/products/:id/adjust-stock', () => {
+    let productId;
+    
+    beforeAll(async () => {
+      const res = await request(app)
+        .post('/api/products')
+        .set('Authorization', `Bearer ${token}`)
+        .send({
+          sku: 'TEST006',
+          name: 'Product to Adjust',
+          category: 'test',
+          price: 12.00,
+          cost: 6.00,
+          stock: 10
+        });
+      
+      productId = res.body.product.id;
+    });
+    
+    it('should return the ledger rejection instead of a server error', async () => {
+      const res = await request(app)
+        .post(`/api/products/${productId}/adjust-stock`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ adjustment: 2 });
+      
+      expect(res.statusCode).toBe(200);
+      expect(res.body.product.stock).toBe(12);
+      
+      // Alteração direta no banco, fora do livro de estoque
+      await Product.update({ stock: 9 }, { where: { id: productId }, hooks: false });
+      
+      const drifted = await request(app)
+        .post(`/api/products/${productId}/adjust-stock`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ adjustment: -1 });
+      
+      expect(drifted.statusCode).toBe(409);
+      expect(drifted.body.code).toBe('STOCK_DRIFT');
+    });
+  });
+  
   describe('DELETE /api/products/:id', () => {
     let productId;
     
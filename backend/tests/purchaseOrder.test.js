@@ -0,0 +1,195 @@
+const request = require('supertest');
+const app = require('../src/app');
+const { sequelize } = require('../src/config/database');
+const User = require('../src/models/User');
+const Product = require('../src/models/Product');
+const Inventory = require('../src/models/Inventory');
+const Transaction = require('../src/models/Transaction');
+const PurchaseOrder = require('../src/models/PurchaseOrder');
+require('../src/models/PurchaseOrderItem');
+require('../src/models/GoodsReceipt');
+
+describe('Purchase orders', () => {
+  let token;
+  let productId;
+  let orderId;
+  let itemId;
+
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+
+    await User.create({
+      name: 'Purchase User',
+      email: 'purchase@example.com',
+      password: 'Password123',
+      companyName: 'Test Company',
+      role: 'admin'
+    });
+
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({
+        email: 'purchase@example.com',
+        password: 'Password123'
+      });
+
+    token = res.body.token;
+
+    const product = await request(app)
+      .post('/api/products')
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        sku: 'PO001',
+        name: 'Café 500g',
+        category: 'mercearia',
+        price: 20,
+        cost: 10,
+        stock: 10,
+        location: 'Loja'
+      });
+
+    productId = product.body.product.id;
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  it('should create a draft order with expected costs', async () => {
+    const res = await request(app)
+      .post('/api/purchase-orders')
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        supplierName: 'Distribuidora Central',
+        location: 'Loja',
+        items: [{ productId, quantity: 20, unitCost: 13 }]
+      });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.order.status).toBe('draft');
+    expect(parseFloat(res.body.order.total)).toBe(260);
+    expect(res.body.order.items).toHaveLength(1);
+
+    orderId = res.body.order.id;
+    itemId = res.body.order.items[0].id;
+  });
+
+  it('should not receive an order that was not placed', async () => {
+    const res = await request(app)
+      .post(`/api/purchase-orders/${orderId}/receipts`)
+      .set('Authorization', `Bearer ${token}`)
+      .set('Idempotency-Key', 'po-receipt-draft')
+      .send({ items: [{ itemId, quantity: 5 }] });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.code).toBe('PURCHASE_ORDER_NOT_RECEIVABLE');
+  });
+
+  it('should receive part of the order with weighted average cost', async () => {
+    await request(app)
+      .post(`/api/purchase-orders/${orderId}/place`)
+      .set('Authorization', `Bearer ${token}`);
+
+    const res = await request(app)
+      .post(`/api/purchase-orders/${orderId}/receipts`)
+      .set('Authorization', `Bearer ${token}`)
+      .set('Idempotency-Key', 'po-receipt-1')
+      .send({ items: [{ itemId, quantity: 10 }] });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.order.status).toBe('partially_received');
+
+    const product = await Product.findByPk(productId);
+    expect(product.stock).toBe(20);
+
+    // 10 un. a 10,00 + 10 un. a 13,00
+    const row = await Inventory.findOne({ where: { productId } });
+    expect(parseFloat(row.cost)).toBe(11.5);
+    expect(row.lastRestock).not.toBeNull();
+  });
+
+  it('should reject receiving more than the pending quantity', async () => {
+    const res = await request(app)
+      .post(`/api/purchase-orders/${orderId}/receipts`)
+      .set('Authorization', `Bearer ${token}`)
+      .set('Idempotency-Key', 'po-receipt-over')
+      .send({ items: [{ itemId, quantity: 11 }] });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.code).toBe('PURCHASE_OVER_RECEIPT');
+  });
+
+  it('should check the pending quantity against the sum of repeated lines', async () => {
+    const res = await request(app)
+      .post(`/api/purchase-orders/${orderId}/receipts`)
+      .set('Authorization', `Bearer ${token}`)
+      .set('Idempotency-Key', 'po-receipt-repeated')
+      .send({ items: [{ itemId, quantity: 6 }, { itemId, quantity: 6 }] });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.code).toBe('PURCHASE_OVER_RECEIPT');
+    expect(res.body.details).toMatchObject({ pending: 10, requested: 12 });
+
+    const product = await Product.findByPk(productId);
+    expect(product.stock).toBe(20);
+  });
+
+  it('should reject an invoice that does not match the received value', async () => {
+    const res = await request(app)
+      .post(`/api/purchase-orders/${orderId}/invoice`)
+      .set('Authorization', `Bearer ${token}`)
+      .set('Idempotency-Key', 'po-invoice-mismatch')
+      .send({ invoiceNumber: '1001', amount: 200 });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.code).toBe('PURCHASE_INVOICE_MISMATCH');
+    expect(res.body.details.expected).toBe(130);
+  });
+
+  it('should post a pending expense when the invoice matches', async () => {
+    const res = await request(app)
+      .post(`/api/purchase-orders/${orderId}/invoice`)
+      .set('Authorization', `Bearer ${token}`)
+      .set('Idempotency-Key', 'po-invoice-1')
+      .send({ invoiceNumber: '1001', amount: 130 });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.receipts[0].status).toBe('matched');
+
+    const expense = await Transaction.findByPk(res.body.transaction.id);
+    expect(expense.type).toBe('expense');
+    expect(expense.status).toBe('pending');
+    expect(parseFloat(expense.amount)).toBe(130);
+    expect(expense.referenceId).toBe(orderId);
+  });
+
+  it('should complete the order on the last receipt', async () => {
+    const res = await request(app)
+      .post(`/api/purchase-orders/${orderId}/receipts`)
+      .set('Authorization', `Bearer ${token}`)
+      .set('Idempotency-Key', 'po-receipt-2')
+      .send({ items: [{ itemId, quantity: 10 }] });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.order.status).toBe('received');
+    expect(res.body.order.receipts).toHaveLength(2);
+  });
+});
+
+describe('Purchase order rules', () => {
+  it('should derive the order status from received quantities', () => {
+    expect(PurchaseOrder.getReceiptStatus([
+      { quantity: 5, receivedQuantity: 5 },
+      { quantity: 2, receivedQuantity: 1 }
+    ])).toBe('partially_received');
+
+    expect(PurchaseOrder.getReceiptStatus([
+      { quantity: 5, receivedQuantity: 5 }
+    ])).toBe('received');
+  });
+
+  it('should average cost by quantity on hand and received', () => {
+    expect(Inventory.getWeightedAverageCost(0, 8, 10, 12)).toBe(12);
+    expect(Inventory.getWeightedAverageCost(30, 10, 10, 14)).toBe(11);
+  });
+});
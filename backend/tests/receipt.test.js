@@ -0,0 +1,97 @@
+const receiptService = require('../src/services/receiptService');
+
+describe('Receipt rendering', () => {
+  const receipt = {
+    company: { name: 'Loja Exemplo', phone: '11999990000' },
+    sale: {
+      id: 'b1f6f0c2-5d1e-4a53-9c7a-3f1b2c4d5e6f',
+      number: 'V20240101-0001',
+      date: '2024-01-01T12:00:00.000Z',
+      customer: 'João',
+      items: [
+        { name: 'Camiseta básica de algodão', quantity: 2, price: 50, subtotal: 100, discount: 10, tax: 0, total: 90 }
+      ],
+      subtotal: '100.00',
+      tax: '0.00',
+      discount: '10.00',
+      total: '90.00',
+      paymentMethod: 'multiple',
+      tenders: [
+        { method: 'card', tendered: 40, change: 0, amount: 40 },
+        { method: 'cash', tendered: 60, change: 10, amount: 50 }
+      ],
+      change: '10.00'
+    },
+    footer: 'Obrigado pela preferência!'
+  };
+
+  it('should fit every text line in the paper width', () => {
+    [58, 80].forEach(paperWidth => {
+      const { columns } = receiptService.getPaper(paperWidth);
+      const lines = receiptService.renderText(receipt, { paperWidth }).trimEnd().split('\n');
+
+      lines.forEach(line => expect(line.length).toBeLessThanOrEqual(columns));
+    });
+  });
+
+  it('should list totals, taxes and each tender with change', () => {
+    const text = receiptService.renderText(receipt, { paperWidth: 58 });
+
+    expect(text).toContain('Impostos');
+    expect(text).toMatch(/TOTAL\s+R\$ 90,00/);
+    expect(text).toMatch(/Cartão\s+40,00/);
+    expect(text).toMatch(/Dinheiro\s+60,00/);
+    expect(text).toMatch(/Troco\s+10,00/);
+  });
+
+  it('should produce an ESC/POS stream with init, plain ASCII text and cut', async () => {
+    const payload = await receiptService.renderEscPos(receipt, { paperWidth: 80, qrCode: false });
+
+    expect(payload.slice(0, 2)).toEqual(Buffer.from([0x1b, 0x40]));
+    expect(payload.slice(-4)).toEqual(Buffer.from([0x1d, 0x56, 0x42, 0x00]));
+    expect(payload.includes(Buffer.from('Cartao'))).toBe(true);
+    expect(payload.every(byte => byte < 0x80)).toBe(true);
+  });
+
+  it('should print weighed items with their unit', () => {
+    const weighed = {
+      ...receipt,
+      sale: {
+        ...receipt.sale,
+        items: [{ name: 'Queijo minas', quantity: 0.455, unit: 'kg', price: 39.9, subtotal: 18.15, discount: 0, total: 18.15 }]
+      }
+    };
+
+    expect(receiptService.renderText(weighed, { paperWidth: 58 })).toMatch(/0,455 kg x 39,90\s+18,15/);
+  });
+
+  it('should reject unsupported paper widths', () => {
+    expect(() => receiptService.getPaper(76)).toThrow();
+  });
+
+  describe('Public receipt link', () => {
+    const secret = process.env.RECEIPT_LINK_SECRET;
+
+    beforeAll(() => {
+      process.env.RECEIPT_LINK_SECRET = 'test-receipt-link-secret-with-32-chars';
+    });
+
+    afterAll(() => {
+      process.env.RECEIPT_LINK_SECRET = secret;
+    });
+
+    it('should sign a token that resolves back to the sale', () => {
+      const token = receiptService.createPublicToken({ id: receipt.sale.id });
+
+      expect(receiptService.verifyPublicToken(token)).toBe(receipt.sale.id);
+      expect(receiptService.verifyPublicToken(`${token}x`)).toBeNull();
+    });
+
+    it('should encode the public link in the QR code', () => {
+      const linked = { ...receipt, publicUrl: 'https://loja.exemplo/r/token' };
+
+      expect(receiptService.getQRCodeContent(linked)).toBe('https://loja.exemplo/r/token');
+      expect(receiptService.renderText(linked)).toContain('Consulte seu recibo pelo QR code');
+    });
+  });
+});
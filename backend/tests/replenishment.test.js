@@ -0,0 +1,163 @@
+const request = require('supertest');
+const app = require('../src/app');
+const { sequelize } = require('../src/config/database');
+const User = require('../src/models/User');
+const Inventory = require('../src/models/Inventory');
+const stockLedgerService = require('../src/services/stockLedgerService');
+
+describe('Replenishment API', () => {
+  let token;
+  let userId;
+  let productId;
+  let supplierId;
+
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+
+    const user = await User.create({
+      name: 'Replenishment User',
+      email: 'replenishment@example.com',
+      password: 'Password123',
+      companyName: 'Test Company',
+      role: 'admin'
+    });
+    userId = user.id;
+
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({
+        email: 'replenishment@example.com',
+        password: 'Password123'
+      });
+
+    token = res.body.token;
+
+    const product = await request(app)
+      .post('/api/products')
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        sku: 'REP001',
+        name: 'Café 500g',
+        category: 'mercearia',
+        price: 20,
+        cost: 10,
+        stock: 40,
+        minStock: 2
+      });
+
+    productId = product.body.product.id;
+
+    const supplier = await request(app)
+      .post('/api/suppliers')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ name: 'Torrefação Serra Ltda', leadTimeDays: 10 });
+
+    supplierId = supplier.body.supplier.id;
+
+    await request(app)
+      .put(`/api/suppliers/${supplierId}/products`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ productId, lastPurchasePrice: 9.5, isPreferred: true });
+
+    // 30 unidades vendidas nos últimos 30 dias = 1 por dia
+    await sequelize.transaction(transaction => stockLedgerService.record({
+      productId,
+      userId,
+      type: 'sale',
+      quantity: -30,
+      notes: 'Venda de teste'
+    }, { transaction }));
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  it('should suggest a reorder from sales velocity and supplier lead time', async () => {
+    const res = await request(app)
+      .get('/api/replenishment/suggestions')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.suggestions).toHaveLength(1);
+
+    const [suggestion] = res.body.suggestions;
+    expect(suggestion.averageDailySales).toBe(1);
+    expect(suggestion.leadTimeDays).toBe(10);
+    expect(suggestion.reorderPoint).toBe(13);
+    expect(suggestion.orderQuantity).toBe(33);
+    expect(suggestion.supplier.id).toBe(supplierId);
+  });
+
+  it('should persist the reorder point on the inventory item', async () => {
+    const res = await request(app)
+      .post('/api/replenishment/reorder-points')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.updated).toBe(1);
+
+    const row = await Inventory.findOne({ where: { productId } });
+    expect(parseFloat(row.reorderPoint)).toBe(13);
+    expect(row.nextRestock).not.toBeNull();
+  });
+
+  it('should turn approved suggestions into a draft purchase order', async () => {
+    const res = await request(app)
+      .post('/api/replenishment/purchase-orders')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ items: [{ productId }] });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.orders).toHaveLength(1);
+    expect(res.body.orders[0].status).toBe('draft');
+    expect(res.body.orders[0].supplierId).toBe(supplierId);
+    expect(res.body.orders[0].items[0].quantity).toBe(33);
+    expect(parseFloat(res.body.orders[0].items[0].unitCost)).toBe(9.5);
+  });
+
+  it('should count open purchase orders as stock on order', async () => {
+    const res = await request(app)
+      .get('/api/replenishment/suggestions')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.suggestions).toHaveLength(0);
+  });
+});
+
+describe('Replenishment rules', () => {
+  it('should compute reorder point and order quantity', () => {
+    const result = Inventory.calculateReplenishment({
+      averageDailySales: 2,
+      leadTimeDays: 5,
+      onHand: 10,
+      safetyDays: 2,
+      coverageDays: 10
+    });
+
+    expect(result.reorderPoint).toBe(14);
+    expect(result.orderQuantity).toBe(24);
+    expect(result.daysOfStock).toBe(5);
+  });
+
+  it('should respect minimum and maximum stock', () => {
+    const result = Inventory.calculateReplenishment({
+      averageDailySales: 0.1,
+      leadTimeDays: 5,
+      onHand: 3,
+      minStock: 8,
+      maxStock: 10,
+      safetyDays: 2,
+      coverageDays: 30
+    });
+
+    expect(result.reorderPoint).toBe(8);
+    expect(result.orderQuantity).toBe(7);
+  });
+
+  it('should not reorder without sales or when stock is above the reorder point', () => {
+    expect(Inventory.calculateReplenishment({ averageDailySales: 0, leadTimeDays: 5, onHand: 0 }).needsReorder).toBe(false);
+    expect(Inventory.calculateReplenishment({ averageDailySales: 1, leadTimeDays: 5, onHand: 4, onOrder: 20, safetyDays: 0 }).needsReorder).toBe(false);
+  });
+});
@@ -0,0 +1,193 @@
+const Sale = require('../src/models/Sale');
+const SaleExchange = require('../src/models/SaleExchange');
+
+describe('Sale tenders', () => {
+  describe('Sale.buildTenders', () => {
+    it('should accept a single tender matching the total', () => {
+      const result = Sale.buildTenders([{ method: 'card', amount: 100 }], 100);
+
+      expect(result.paymentMethod).toBe('card');
+      expect(result.changeAmount).toBe(0);
+      expect(result.cashAmount).toBe(0);
+      expect(result.tenders).toHaveLength(1);
+    });
+
+    it('should split payment and compute change on the cash portion', () => {
+      const result = Sale.buildTenders([
+        { method: 'card', amount: 60 },
+        { method: 'cash', amount: 50 }
+      ], 95.5);
+
+      expect(result.paymentMethod).toBe('multiple');
+      expect(result.changeAmount).toBe(14.5);
+      expect(result.cashAmount).toBe(35.5);
+      expect(result.tenders[1]).toMatchObject({
+        method: 'cash',
+        tendered: 50,
+        change: 14.5,
+        amount: 35.5
+      });
+    });
+
+    it('should reject tenders below the total', () => {
+      expect(() => Sale.buildTenders([
+        { method: 'cash', amount: 20 },
+        { method: 'pix', amount: 30 }
+      ], 60)).toThrow('Pagamento insuficiente');
+    });
+
+    it('should reject non-cash tenders above the total', () => {
+      expect(() => Sale.buildTenders([
+        { method: 'card', amount: 80 },
+        { method: 'cash', amount: 10 }
+      ], 70)).toThrow('não podem exceder o total');
+    });
+
+    it('should reject unknown tender methods', () => {
+      expect(() => Sale.buildTenders([{ method: 'cheque', amount: 10 }], 10))
+        .toThrow('Forma de pagamento inválida');
+    });
+  });
+
+  describe('getTenderTotals', () => {
+    it('should fall back to the payment method for sales without tenders', () => {
+      const sale = Sale.build({ paymentMethod: 'pix', total: 42 });
+
+      expect(sale.getTenderTotals()).toEqual({ pix: 42 });
+    });
+
+    it('should group split tenders by method', () => {
+      const sale = Sale.build({
+        paymentMethod: 'multiple',
+        total: 100,
+        tenders: [
+          { method: 'cash', amount: 30 },
+          { method: 'card', amount: 50 },
+          { method: 'cash', amount: 20 }
+        ]
+      });
+
+      expect(sale.getTenderTotals()).toEqual({ cash: 50, card: 50 });
+    });
+  });
+});
+
+describe('Layaway sales', () => {
+  describe('Sale.buildInstallmentSchedule', () => {
+    const now = new Date(2024, 0, 31, 10, 0);
+
+    it('should split the balance into monthly installments with the rounding on the last one', () => {
+      const plan = Sale.buildInstallmentSchedule(100, { installments: 3, now });
+
+      expect(plan.installments.map(installment => installment.amount)).toEqual([33.33, 33.33, 33.34]);
+      expect(plan.totalPayable).toBe(100);
+      expect(plan.interestAmount).toBe(0);
+    });
+
+    it('should keep the due day and clamp it to the end of shorter months', () => {
+      const plan = Sale.buildInstallmentSchedule(90, { installments: 3, now });
+
+      expect(plan.installments.map(installment => installment.dueDate))
+        .toEqual(['2024-02-29', '2024-03-31', '2024-04-30']);
+    });
+
+    it('should start from the informed first due date', () => {
+      const plan = Sale.buildInstallmentSchedule(50, { installments: 2, firstDueDate: '2024-02-10', now });
+
+      expect(plan.installments.map(installment => installment.dueDate)).toEqual(['2024-02-10', '2024-03-10']);
+    });
+
+    it('should add interest using the installment formula', () => {
+      const plan = Sale.buildInstallmentSchedule(1000, { installments: 12, interestRate: 12, now });
+
+      expect(plan.installmentAmount).toBe(88.85);
+      expect(plan.installments.every(installment => installment.amount === 88.85)).toBe(true);
+      expect(plan.totalPayable).toBe(1066.2);
+      expect(plan.interestAmount).toBe(66.2);
+    });
+
+    it('should reject invalid plans', () => {
+      expect(() => Sale.buildInstallmentSchedule(100, { installments: 0, now }))
+        .toThrow('O número de parcelas deve estar entre 1');
+      expect(() => Sale.buildInstallmentSchedule(0, { installments: 2, now }))
+        .toThrow('O saldo a parcelar deve ser maior que 0.');
+      expect(() => Sale.buildInstallmentSchedule(100, { installments: 2, firstDueDate: '2024-01-31', now }))
+        .toThrow('O primeiro vencimento deve ser posterior à data da venda.');
+    });
+  });
+});
+
+describe('Sale cancellation approval', () => {
+  const now = new Date('2024-03-05T12:00:00Z');
+  const hoursAgo = hours => new Date(now.getTime() - hours * 60 * 60 * 1000);
+  const { amount, hours } = Sale.CANCELLATION_APPROVAL;
+
+  it('should let the operator cancel small recent sales', () => {
+    const sale = Sale.build({ total: amount, createdAt: hoursAgo(1) });
+
+    expect(sale.getCancellationApprovalReasons(now)).toEqual([]);
+  });
+
+  it('should require approval above the configured amount', () => {
+    const sale = Sale.build({ total: amount + 0.01, createdAt: hoursAgo(1) });
+
+    expect(sale.getCancellationApprovalReasons(now)).toEqual([`Valor acima de R$ ${amount.toFixed(2)}`]);
+  });
+
+  it('should require approval for sales older than the configured hours', () => {
+    const sale = Sale.build({ total: 10, createdAt: hoursAgo(hours + 1) });
+
+    expect(sale.getCancellationApprovalReasons(now)).toEqual([`Venda com mais de ${hours} horas`]);
+  });
+
+  it('should list every reason that applies', () => {
+    const sale = Sale.build({ total: amount * 2, createdAt: hoursAgo(hours * 2) });
+
+    expect(sale.getCancellationApprovalReasons(now)).toHaveLength(2);
+  });
+});
+
+describe('Sale exchanges', () => {
+  describe('getRefundableItems', () => {
+    it('should discount both refunded and exchanged quantities', () => {
+      const sale = Sale.build({
+        items: [
+          { productId: 'a', quantity: 3, refundedQuantity: 1, exchangedQuantity: 1 },
+          { productId: 'b', quantity: 1, exchangedQuantity: 1 }
+        ]
+      });
+
+      expect(sale.getRefundableItems()).toEqual([
+        expect.objectContaining({ productId: 'a', refundableQuantity: 1 })
+      ]);
+    });
+  });
+
+  describe('getItemUnitAmount', () => {
+    it('should use the net line total when the item has one', () => {
+      const sale = Sale.build({ subtotal: 100, tax: 0, discount: 10 });
+
+      expect(sale.getItemUnitAmount({ quantity: 2, subtotal: 100, total: 90 })).toBe(45);
+    });
+
+    it('should prorate the sale discount for older items', () => {
+      const sale = Sale.build({ subtotal: 100, tax: 0, discount: 10 });
+
+      expect(sale.getItemUnitAmount({ quantity: 2, subtotal: 100 })).toBeCloseTo(45);
+    });
+  });
+
+  describe('SaleExchange.getSettlement', () => {
+    it('should charge the customer when the new items cost more', () => {
+      expect(SaleExchange.getSettlement(79.9, 89.9)).toEqual({ difference: 10, type: 'charge', amount: 10 });
+    });
+
+    it('should credit the customer when the new items cost less', () => {
+      expect(SaleExchange.getSettlement(89.9, 79.9)).toEqual({ difference: -10, type: 'credit', amount: 10 });
+    });
+
+    it('should settle even swaps without payment', () => {
+      expect(SaleExchange.getSettlement(49.9, 49.9)).toEqual({ difference: 0, type: 'even', amount: 0 });
+    });
+  });
+});
@@ -0,0 +1,213 @@
+const request = require('supertest');
+const app = require('../src/app');
+const { sequelize } = require('../src/config/database');
+const User = require('../src/models/User');
+const Product = require('../src/models/Product');
+const Sale = require('../src/models/Sale');
+const CashDrawer = require('../src/models/CashDrawer');
+const Transaction = require('../src/models/Transaction');
+
+describe('Sale refunds', () => {
+  let token;
+  let productId;
+  let drawerId;
+  let saleId;
+  let otherToken;
+
+  const refund = (key, body) => request(app)
+    .post(`/api/sales/${saleId}/refund`)
+    .set('Authorization', `Bearer ${token}`)
+    .set('Idempotency-Key', key)
+    .send({ reason: 'Cliente devolveu o produto', ...body });
+
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+
+    await User.create({
+      name: 'Refund User',
+      email: 'refund@example.com',
+      password: 'Password123',
+      companyName: 'Test Company',
+      role: 'admin'
+    });
+
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({
+        email: 'refund@example.com',
+        password: 'Password123'
+      });
+
+    token = res.body.token;
+
+    await User.create({
+      name: 'Other Admin',
+      email: 'refund-other@example.com',
+      password: 'Password123',
+      companyName: 'Other Company',
+      role: 'admin'
+    });
+
+    const other = await request(app)
+      .post('/api/auth/login')
+      .send({
+        email: 'refund-other@example.com',
+        password: 'Password123'
+      });
+
+    otherToken = other.body.token;
+
+    const product = await request(app)
+      .post('/api/products')
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        sku: 'REF001',
+        name: 'Caneca de cerâmica',
+        category: 'utilidades',
+        price: 10,
+        cost: 4,
+        stock: 10
+      });
+
+    productId = product.body.product.id;
+
+    const drawer = await request(app)
+      .post('/api/sales/pos/open-cash-drawer')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ openingBalance: 100 });
+
+    drawerId = drawer.body.cashDrawer.id;
+
+    const sale = await request(app)
+      .post('/api/sales/pos/checkout')
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        items: [{ productId, quantity: 3 }],
+        payments: [{ method: 'cash', amount: 30 }]
+      });
+
+    saleId = sale.body.sale.id;
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  it('should restock a partial cash refund and take it out of the drawer', async () => {
+    const res = await refund('refund-partial', {
+      items: [{ productId, quantity: 1 }],
+      refundMethod: 'cash'
+    });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.sale.status).toBe('partially_refunded');
+    expect(res.body.refund.amount).toBe(10);
+
+    const product = await Product.findByPk(productId);
+    expect(product.stock).toBe(8);
+
+    const drawer = await CashDrawer.findByPk(drawerId);
+    expect(parseFloat(drawer.expectedBalance)).toBe(120);
+
+    const report = await request(app)
+      .get(`/api/sales/pos/cash-drawer/${drawerId}/z-report`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(report.body.zReport).toMatchObject({ cashSales: 30, cashRefunds: 10, expectedBalance: 120 });
+  });
+
+  it('should reject refunding more than what is left of the sale', async () => {
+    const res = await refund('refund-over', {
+      items: [{ productId, quantity: 3 }],
+      refundMethod: 'cash'
+    });
+
+    expect(res.statusCode).toBe(400);
+
+    const product = await Product.findByPk(productId);
+    expect(product.stock).toBe(8);
+  });
+
+  it('should refund the rest by card without touching the drawer', async () => {
+    const res = await refund('refund-rest', { refundMethod: 'card' });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.sale.status).toBe('refunded');
+    expect(res.body.refund.amount).toBe(20);
+
+    const product = await Product.findByPk(productId);
+    expect(product.stock).toBe(10);
+
+    const drawer = await CashDrawer.findByPk(drawerId);
+    expect(parseFloat(drawer.expectedBalance)).toBe(120);
+
+    const expenses = await Transaction.findAll({ where: { referenceId: saleId, type: 'expense' } });
+    expect(expenses.map(expense => parseFloat(expense.amount)).sort()).toEqual([10, 20]);
+  });
+
+  describe('sales rung up by a cashier', () => {
+    let cashierSaleId;
+
+    beforeAll(async () => {
+      const cashier = await User.create({
+        name: 'Refund Cashier',
+        email: 'refund-cashier@example.com',
+        password: 'Password123',
+        companyName: 'Test Company',
+        role: 'cashier'
+      });
+
+      const sale = await Sale.create({
+        userId: cashier.id,
+        items: [{ productId, sku: 'REF001', name: 'Caneca de cerâmica', quantity: 2, price: 10, subtotal: 20, discount: 0, total: 20 }],
+        subtotal: 20,
+        total: 20,
+        paymentMethod: 'card',
+        status: 'completed'
+      });
+
+      cashierSaleId = sale.id;
+    });
+
+    it('should not be found by admins of other companies', async () => {
+      const res = await request(app)
+        .post(`/api/sales/${cashierSaleId}/refund`)
+        .set('Authorization', `Bearer ${otherToken}`)
+        .set('Idempotency-Key', 'refund-other-company')
+        .send({ reason: 'Cliente devolveu o produto' });
+
+      expect(res.statusCode).toBe(404);
+    });
+
+    it('should be refunded by an admin of the same company', async () => {
+      saleId = cashierSaleId;
+
+      const res = await refund('refund-cashier-sale', {
+        items: [{ productId, quantity: 1 }],
+        refundMethod: 'card'
+      });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.sale.status).toBe('partially_refunded');
+
+      const product = await Product.findByPk(productId);
+      expect(product.stock).toBe(11);
+    });
+
+    it('should return stock ledger rejections with their status', async () => {
+      // Alteração direta no banco, fora do livro de estoque
+      await Product.update({ stock: 20 }, { where: { id: productId }, hooks: false });
+
+      const res = await refund('refund-drifted', {
+        items: [{ productId, quantity: 1 }],
+        refundMethod: 'card'
+      });
+
+      expect(res.statusCode).toBe(409);
+      expect(res.body.code).toBe('STOCK_DRIFT');
+
+      const sale = await Sale.findByPk(cashierSaleId);
+      expect(sale.status).toBe('partially_refunded');
+    });
+  });
+});
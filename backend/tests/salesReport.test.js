@@ -0,0 +1,104 @@
+const request = require('supertest');
+const app = require('../src/app');
+const { sequelize } = require('../src/config/database');
+const User = require('../src/models/User');
+const Sale = require('../src/models/Sale');
+
+describe('Sales reports', () => {
+  let token;
+  let userId;
+  let productId;
+
+  // Venda concluída de um produto (valores na moeda da venda)
+  const createSale = (quantity, price, currency, exchangeRate, extra = {}) => Sale.create({
+    userId,
+    items: [{
+      productId,
+      sku: 'REP001',
+      name: 'Vinho tinto',
+      quantity,
+      price,
+      subtotal: quantity * price,
+      discount: 0,
+      total: quantity * price,
+      ...extra
+    }],
+    subtotal: quantity * price,
+    total: quantity * price,
+    currency,
+    exchangeRate,
+    paymentMethod: 'card',
+    status: 'completed'
+  });
+
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+
+    const user = await User.create({
+      name: 'Report User',
+      email: 'reports@example.com',
+      password: 'Password123',
+      companyName: 'Test Company',
+      role: 'admin'
+    });
+    userId = user.id;
+
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({
+        email: 'reports@example.com',
+        password: 'Password123'
+      });
+
+    token = res.body.token;
+
+    const product = await request(app)
+      .post('/api/products')
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        sku: 'REP001',
+        name: 'Vinho tinto',
+        category: 'bebidas',
+        price: 50,
+        cost: 20,
+        stock: 0
+      });
+
+    productId = product.body.product.id;
+
+    await createSale(2, 50, 'BRL', 1);
+    await createSale(1, 10, 'USD', 5);
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  it('should rank products by revenue in the base currency', async () => {
+    const res = await request(app)
+      .get('/api/sales/reports/top-products')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.products).toHaveLength(1);
+    expect(res.body.products[0]).toMatchObject({
+      productId,
+      quantity: 3,
+      revenue: 150,
+      averagePrice: 50,
+      grossMargin: 90
+    });
+    expect(res.body.totals.revenue).toBe(150);
+  });
+
+  it('should leave refunded and exchanged quantities out of the ranking', async () => {
+    await createSale(4, 50, 'BRL', 1, { refundedQuantity: 1, exchangedQuantity: 2 });
+
+    const res = await request(app)
+      .get('/api/sales/reports/top-products')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.products[0]).toMatchObject({ quantity: 4, revenue: 200 });
+  });
+});
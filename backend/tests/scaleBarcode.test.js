@@ -0,0 +1,29 @@
+const Helpers = require('../src/utils/helpers');
+
+describe('Scale barcodes', () => {
+  // Etiqueta com código do produto 00123 e valor 001234
+  const label = '2001230012342';
+
+  it('should validate the EAN-13 check digit', () => {
+    expect(Helpers.validateEAN13('7891000315507')).toBe(true);
+    expect(Helpers.validateEAN13(label)).toBe(true);
+    expect(Helpers.validateEAN13('2001230012343')).toBe(false);
+    expect(Helpers.validateEAN13('12345')).toBe(false);
+  });
+
+  it('should decode the embedded price in cents', () => {
+    expect(Helpers.parseScaleBarcode(label)).toEqual({ plu: '00123', mode: 'price', amount: 12.34 });
+  });
+
+  it('should decode the embedded weight in grams', () => {
+    expect(Helpers.parseScaleBarcode(label, { mode: 'weight' })).toEqual({ plu: '00123', mode: 'weight', weight: 1.234 });
+  });
+
+  it('should honor the configured product code length', () => {
+    expect(Helpers.parseScaleBarcode(label, { pluLength: 4 }).plu).toBe('0012');
+  });
+
+  it('should ignore regular product barcodes', () => {
+    expect(Helpers.parseScaleBarcode('7891000315507')).toBeNull();
+  });
+});
@@ -0,0 +1,114 @@
+const request = require('supertest');
+const app = require('../src/app');
+const { sequelize } = require('../src/config/database');
+const User = require('../src/models/User');
+const NumberSequence = require('../src/models/NumberSequence');
+const sequenceService = require('../src/services/sequenceService');
+
+describe('Number sequences', () => {
+  const date = new Date(2024, 2, 5, 15, 30);
+
+  describe('getPeriod', () => {
+    it('should key the counter by the reset period', () => {
+      expect(sequenceService.getPeriod('daily', date)).toBe('20240305');
+      expect(sequenceService.getPeriod('monthly', date)).toBe('202403');
+      expect(sequenceService.getPeriod('yearly', date)).toBe('2024');
+      expect(sequenceService.getPeriod('never', date)).toBe('');
+    });
+  });
+
+  describe('format', () => {
+    it('should keep the previous sale and invoice formats by default', () => {
+      expect(sequenceService.format(NumberSequence.DEFAULTS.sale, { sequence: 7, date }))
+        .toBe('V20240305-0007');
+      expect(sequenceService.format(NumberSequence.DEFAULTS.invoice, { sequence: 12, date }))
+        .toBe('INV2024030012');
+    });
+
+    it('should fill prefix, location and padding from the settings', () => {
+      const settings = { prefix: 'NF', format: '{prefix}-{location}/{yy}-{seq}', padding: 6 };
+
+      expect(sequenceService.format(settings, { sequence: 42, date, location: 'LOJA1' }))
+        .toBe('NF-LOJA1/24-000042');
+    });
+
+    it('should leave unknown tokens untouched', () => {
+      const settings = { prefix: 'X', format: '{prefix}{foo}{seq}', padding: 2 };
+
+      expect(sequenceService.format(settings, { sequence: 3, date })).toBe('X{foo}03');
+    });
+  });
+
+  describe('PUT /api/sequences/:type', () => {
+    let token;
+
+    const save = (type, body) => request(app)
+      .put(`/api/sequences/${type}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send(body);
+
+    beforeAll(async () => {
+      await sequelize.sync({ force: true });
+
+      await User.create({
+        name: 'Sequence User',
+        email: 'sequence@example.com',
+        password: 'Password123',
+        companyName: 'Test Company',
+        role: 'admin'
+      });
+
+      const res = await request(app)
+        .post('/api/auth/login')
+        .send({
+          email: 'sequence@example.com',
+          password: 'Password123'
+        });
+
+      token = res.body.token;
+    });
+
+    afterAll(async () => {
+      await sequelize.close();
+    });
+
+    it('should reject a reset period whose date is missing from the format', async () => {
+      const res = await save('invoice', { format: '{prefix}{yyyy}-{seq}', resetPeriod: 'monthly' });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.details[0]).toContain('{mm}');
+
+      // A mudança parcial é conferida com o formato já salvo
+      const daily = await save('invoice', { resetPeriod: 'daily' });
+
+      expect(daily.statusCode).toBe(400);
+      expect(await NumberSequence.count()).toBe(0);
+
+      const yearly = await save('invoice', { format: '{prefix}{yyyy}-{seq}', resetPeriod: 'yearly' });
+
+      expect(yearly.statusCode).toBe(200);
+      expect(yearly.body.nextNumber).toBe(`INV${new Date().getFullYear()}-0001`);
+    });
+
+    it('should require a location token or its own prefix for a location series', async () => {
+      const res = await save('invoice', { location: 'Loja Norte', format: '{prefix}{yyyy}-{seq}', resetPeriod: 'yearly' });
+
+      expect(res.statusCode).toBe(400);
+      expect(await NumberSequence.count({ where: { location: 'Loja Norte' } })).toBe(0);
+
+      const prefixed = await save('invoice', { location: 'Loja Norte', prefix: 'NTE' });
+
+      expect(prefixed.statusCode).toBe(200);
+      expect(prefixed.body.nextNumber).toMatch(/^NTE\d{6}0001$/);
+
+      const sameAsNorth = await save('invoice', { location: 'Loja Sul', prefix: 'NTE' });
+
+      expect(sameAsNorth.statusCode).toBe(400);
+
+      const withLocation = await save('invoice', { location: 'Loja Sul', format: '{prefix}-{location}-{yyyy}{mm}{seq}' });
+
+      expect(withLocation.statusCode).toBe(200);
+      expect(withLocation.body.nextNumber).toMatch(/^INV-Loja Sul-\d{6}0001$/);
+    });
+  });
+});
@@ -0,0 +1,169 @@
+const request = require('supertest');
+const app = require('../src/app');
+const { sequelize } = require('../src/config/database');
+const User = require('../src/models/User');
+const Product = require('../src/models/Product');
+const stockLedgerService = require('../src/services/stockLedgerService');
+require('../src/models/Inventory');
+require('../src/models/InventoryMovement');
+
+describe('Stock ledger', () => {
+  let token;
+  let productId;
+
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+
+    await User.create({
+      name: 'Stock User',
+      email: 'stock@example.com',
+      password: 'Password123',
+      companyName: 'Test Company',
+      role: 'admin'
+    });
+
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({
+        email: 'stock@example.com',
+        password: 'Password123'
+      });
+
+    token = res.body.token;
+
+    const product = await request(app)
+      .post('/api/products')
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        sku: 'LEDGER001',
+        name: 'Produto Livro',
+        category: 'test',
+        price: 10,
+        cost: 4,
+        stock: 10,
+        location: 'Depósito'
+      });
+
+    productId = product.body.product.id;
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  it('should derive location balances from the initial movement', async () => {
+    const res = await request(app)
+      .get(`/api/inventory/ledger/${productId}`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.total).toBe(10);
+    expect(res.body.data.locations).toHaveLength(1);
+    expect(res.body.data.locations[0].ledgerQuantity).toBe(10);
+    expect(res.body.data.inSync).toBe(true);
+  });
+
+  it('should report drift between product stock and location balances', async () => {
+    // Simula alteração direta no banco, fora do livro de estoque
+    await Product.update({ stock: 7 }, { where: { id: productId }, hooks: false });
+
+    const res = await request(app)
+      .get('/api/inventory/reconciliation')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.drifted).toBe(1);
+    expect(res.body.data.fixed).toBe(0);
+    expect(res.body.data.products[0].issues[0].type).toBe('total');
+  });
+
+  it('should refuse postings on a drifted product instead of fixing it', async () => {
+    const posting = sequelize.transaction(transaction => stockLedgerService.record({
+      productId,
+      type: 'withdrawal',
+      quantity: -1
+    }, { transaction }));
+
+    await expect(posting).rejects.toMatchObject({ code: 'STOCK_DRIFT', statusCode: 409 });
+
+    const product = await Product.findByPk(productId);
+    expect(product.stock).toBe(7);
+
+    const ledger = await request(app)
+      .get(`/api/inventory/ledger/${productId}`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(ledger.body.data.total).toBe(10);
+    expect(ledger.body.data.inSync).toBe(false);
+  });
+
+  it('should fix drift with a ledger adjustment keeping the product stock', async () => {
+    const res = await request(app)
+      .post('/api/inventory/reconciliation')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.fixed).toBe(1);
+
+    const ledger = await request(app)
+      .get(`/api/inventory/ledger/${productId}`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(ledger.body.data.total).toBe(7);
+    expect(ledger.body.data.locations[0].ledgerQuantity).toBe(7);
+    expect(ledger.body.data.inSync).toBe(true);
+  });
+
+  it('should adjust and transfer the caller inventory through the ledger', async () => {
+    const ledger = await request(app)
+      .get(`/api/inventory/ledger/${productId}`)
+      .set('Authorization', `Bearer ${token}`);
+    const { inventoryId } = ledger.body.data.locations[0];
+
+    const adjusted = await request(app)
+      .post(`/api/inventory/${inventoryId}/adjust`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ adjustment: 3, reason: 'Contagem' });
+
+    expect(adjusted.statusCode).toBe(200);
+    expect(adjusted.body.data.newQuantity).toBe(10);
+
+    const transferred = await request(app)
+      .post(`/api/inventory/${inventoryId}/transfer`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ quantity: 4, toLocation: 'Loja' });
+
+    expect(transferred.statusCode).toBe(200);
+    expect(transferred.body.data.from.quantity).toBe(6);
+    expect(transferred.body.data.to).toMatchObject({ location: 'Loja', quantity: 4 });
+
+    const balances = await request(app)
+      .get(`/api/inventory/ledger/${productId}`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(balances.body.data.total).toBe(10);
+    expect(balances.body.data.inSync).toBe(true);
+  });
+
+  it('should fix drift in the scheduled reconciliation only when enabled', async () => {
+    await Product.update({ stock: 12 }, { where: { id: productId }, hooks: false });
+
+    const reported = await stockLedgerService.runScheduledReconciliation();
+    expect(reported).toMatchObject({ drifted: 1, fixed: 0 });
+
+    process.env.STOCK_RECONCILIATION_FIX = 'true';
+    try {
+      const fixed = await stockLedgerService.runScheduledReconciliation();
+      expect(fixed).toMatchObject({ drifted: 1, fixed: 1 });
+    } finally {
+      delete process.env.STOCK_RECONCILIATION_FIX;
+    }
+
+    const ledger = await request(app)
+      .get(`/api/inventory/ledger/${productId}`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(ledger.body.data.total).toBe(12);
+    expect(ledger.body.data.inSync).toBe(true);
+  });
+});
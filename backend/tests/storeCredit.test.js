@@ -0,0 +1,65 @@
+const StoreCredit = require('../src/models/StoreCredit');
+const Sale = require('../src/models/Sale');
+
+describe('Store credits', () => {
+  const now = new Date('2024-03-05T12:00:00Z');
+
+  describe('generateCode', () => {
+    it('should prefix the code by type and group it for typing', () => {
+      expect(StoreCredit.generateCode('gift_card')).toMatch(/^VP-[A-HJ-NP-Z2-9]{4}-[A-HJ-NP-Z2-9]{4}-[A-HJ-NP-Z2-9]{4}$/);
+      expect(StoreCredit.generateCode('credit_note')).toMatch(/^VC-/);
+    });
+
+    it('should normalize typed codes', () => {
+      expect(StoreCredit.normalizeCode(' vp-7kq2-m9xd-4tra ')).toBe('VP-7KQ2-M9XD-4TRA');
+    });
+  });
+
+  describe('getDefaultExpiry', () => {
+    it('should add the configured days for the type', () => {
+      const expiresAt = StoreCredit.getDefaultExpiry('gift_card', now);
+      const days = (expiresAt - now) / (24 * 60 * 60 * 1000);
+
+      expect(Math.round(days)).toBe(StoreCredit.EXPIRY_DAYS.gift_card);
+    });
+  });
+
+  describe('getAvailableBalance', () => {
+    it('should return the balance of active credits', () => {
+      const credit = StoreCredit.build({ status: 'active', balance: 30, expiresAt: new Date('2024-04-01') });
+
+      expect(credit.getAvailableBalance(now)).toBe(30);
+    });
+
+    it('should return zero once expired, even before the expiry job runs', () => {
+      const credit = StoreCredit.build({ status: 'active', balance: 30, expiresAt: new Date('2024-03-01') });
+
+      expect(credit.isExpired(now)).toBe(true);
+      expect(credit.getAvailableBalance(now)).toBe(0);
+    });
+
+    it('should return zero for void credits', () => {
+      const credit = StoreCredit.build({ status: 'void', balance: 30 });
+
+      expect(credit.getAvailableBalance(now)).toBe(0);
+    });
+  });
+
+  describe('store_credit tenders', () => {
+    it('should require the credit code as the tender reference', () => {
+      expect(() => Sale.buildTenders([{ method: 'store_credit', amount: 20 }], 20))
+        .toThrow('Informe o código do vale no pagamento.');
+    });
+
+    it('should combine a partial credit redemption with other tenders', () => {
+      const result = Sale.buildTenders([
+        { method: 'store_credit', amount: 20, reference: 'VC-AAAA-BBBB-CCCC' },
+        { method: 'cash', amount: 50 }
+      ], 60);
+
+      expect(result.paymentMethod).toBe('multiple');
+      expect(result.changeAmount).toBe(10);
+      expect(result.tenders[0]).toEqual(expect.objectContaining({ method: 'store_credit', amount: 20, reference: 'VC-AAAA-BBBB-CCCC' }));
+    });
+  });
+});
@@ -0,0 +1,175 @@
+const request = require('supertest');
+const app = require('../src/app');
+const { sequelize } = require('../src/config/database');
+const User = require('../src/models/User');
+const Supplier = require('../src/models/Supplier');
+const SupplierProduct = require('../src/models/SupplierProduct');
+
+describe('Suppliers API', () => {
+  let token;
+  let supplierId;
+  let productId;
+
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+
+    await User.create({
+      name: 'Supplier User',
+      email: 'supplier@example.com',
+      password: 'Password123',
+      companyName: 'Test Company',
+      role: 'admin'
+    });
+
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({
+        email: 'supplier@example.com',
+        password: 'Password123'
+      });
+
+    token = res.body.token;
+
+    const product = await request(app)
+      .post('/api/products')
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        sku: 'SUP001',
+        name: 'Farinha 1kg',
+        category: 'mercearia',
+        price: 8,
+        cost: 4,
+        stock: 0
+      });
+
+    productId = product.body.product.id;
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  it('should reject a supplier with an invalid CNPJ', async () => {
+    const res = await request(app)
+      .post('/api/suppliers')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ name: 'Moinho Sul Ltda', cnpj: '11.222.333/0001-82' });
+
+    expect(res.statusCode).toBe(400);
+  });
+
+  it('should create a supplier with contacts and lead time', async () => {
+    const res = await request(app)
+      .post('/api/suppliers')
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        name: 'Moinho Sul Ltda',
+        tradeName: 'Moinho Sul',
+        cnpj: '11.222.333/0001-81',
+        paymentTermDays: 28,
+        leadTimeDays: 5,
+        contacts: [{ name: 'Ana', role: 'Vendas', email: 'ana@moinhosul.com.br' }]
+      });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.supplier.contacts).toHaveLength(1);
+    expect(res.body.supplier.leadTimeDays).toBe(5);
+
+    supplierId = res.body.supplier.id;
+  });
+
+  it('should not allow a duplicate CNPJ', async () => {
+    const res = await request(app)
+      .post('/api/suppliers')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ name: 'Outro Moinho', cnpj: '11.222.333/0001-81' });
+
+    expect(res.statusCode).toBe(400);
+  });
+
+  it('should link a product with supplier SKU and price', async () => {
+    const res = await request(app)
+      .put(`/api/suppliers/${supplierId}/products`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ productId, supplierSku: 'FAR-1KG', lastPurchasePrice: 4.5, isPreferred: true });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.link.supplierSku).toBe('FAR-1KG');
+  });
+
+  it('should use the last purchase price and update it on receipt', async () => {
+    const order = await request(app)
+      .post('/api/purchase-orders')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ supplierId, items: [{ productId, quantity: 10 }] });
+
+    expect(order.statusCode).toBe(201);
+    expect(order.body.order.supplierName).toBe('Moinho Sul');
+    expect(parseFloat(order.body.order.items[0].unitCost)).toBe(4.5);
+
+    const orderId = order.body.order.id;
+    const itemId = order.body.order.items[0].id;
+
+    await request(app)
+      .post(`/api/purchase-orders/${orderId}/place`)
+      .set('Authorization', `Bearer ${token}`);
+
+    await request(app)
+      .post(`/api/purchase-orders/${orderId}/receipts`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ items: [{ itemId, quantity: 10, unitCost: 5 }] });
+
+    const link = await SupplierProduct.findOne({ where: { supplierId, productId } });
+    expect(parseFloat(link.lastPurchasePrice)).toBe(5);
+    expect(link.lastPurchaseAt).not.toBeNull();
+  });
+
+  it('should report delivery and price trend from purchase history', async () => {
+    const res = await request(app)
+      .get(`/api/suppliers/${supplierId}/performance`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.delivery.delivered).toBe(1);
+    expect(res.body.delivery.onTimeRate).toBe(100);
+    expect(res.body.priceTrends[0].last).toBe(5);
+  });
+
+  it('should deactivate instead of deleting a supplier with purchases', async () => {
+    const res = await request(app)
+      .delete(`/api/suppliers/${supplierId}`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.supplier.status).toBe('inactive');
+  });
+});
+
+describe('Supplier performance rules', () => {
+  it('should compute price trend direction and change', () => {
+    const trend = Supplier.getPriceTrend([
+      { date: '2024-01-10', unitCost: 10 },
+      { date: '2024-02-10', unitCost: 11 },
+      { date: '2024-03-10', unitCost: 12 }
+    ]);
+
+    expect(trend.direction).toBe('up');
+    expect(trend.changePercent).toBe(20);
+    expect(trend.average).toBe(11);
+  });
+
+  it('should count late deliveries against the expected date', () => {
+    const supplier = Supplier.build({ name: 'Fornecedor', leadTimeDays: 3 });
+
+    const stats = supplier.getDeliveryStats([
+      { status: 'received', orderedAt: '2024-01-01T10:00:00', expectedDate: '2024-01-05', receivedAt: '2024-01-05T16:00:00' },
+      { status: 'received', orderedAt: '2024-01-01T10:00:00', receivedAt: '2024-01-08T10:00:00' },
+      { status: 'ordered', orderedAt: '2024-01-01T10:00:00' }
+    ]);
+
+    expect(stats.delivered).toBe(2);
+    expect(stats.onTime).toBe(1);
+    expect(stats.late).toBe(1);
+    expect(stats.onTimeRate).toBe(50);
+  });
+});
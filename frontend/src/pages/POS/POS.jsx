@@ -10,7 +10,11 @@ import {
   DollarSign,
   Barcode,
   History,
-  X
+  X,
+  WifiOff,
+  RefreshCw,
+  PauseCircle,
+  PlayCircle
 } from 'lucide-react'
 import { Helmet } from 'react-helmet-async'
 import { useQuery } from 'react-query'
@@ -20,8 +24,54 @@ import Input from '../../components/ui/Input'
 import Badge from '../../components/ui/Badge'
 import LoadingSpinner from '../../components/common/LoadingSpinner'
 import api from '../../services/api'
+import {
+  cacheCatalog,
+  getCachedCatalog,
+  queueSale,
+  getQueuedSales,
+  syncQueuedSales,
+  generateIdempotencyKey,
+  isNetworkError
+} from '../../services/offlinePos'
+import { printReceipt } from '../../services/receiptPrinter'
+import ProductOptionsModal from './components/ProductOptionsModal'
 import toast from 'react-hot-toast'
 
+// Units sold by weight or measure (fractional quantities)
+const FRACTIONAL_UNITS = ['kg', 'g', 'l', 'ml', 'm', 'cm', 'm2', 'm3']
+
+const isFractional = (item) => FRACTIONAL_UNITS.includes(String(item.unit || '').toLowerCase())
+
+const roundQuantity = (value) => Math.round(value * 1000) / 1000
+
+// A cart line is one product + variant + add-on combination
+// Scale labels (weighed packages) are always kept as separate lines
+const buildCartLine = (product, { variant = null, modifiers = [], price, scaleCode } = {}) => {
+  const modifierKey = modifiers
+    .map(modifier => `${modifier.modifierId}x${modifier.quantity}`)
+    .sort()
+    .join(',')
+
+  return {
+    ...product,
+    name: variant ? `${product.name} (${variant.name})` : product.name,
+    price: price ?? parseFloat(variant?.price ?? product.price),
+    variantId: variant?.id || null,
+    modifiers,
+    lineKey: [product.id, variant?.id || '', modifierKey, scaleCode || ''].join('|')
+  }
+}
+
+// Line item as expected by the sales API (quote, park and checkout)
+const toSaleItem = (item) => ({
+  productId: item.id,
+  quantity: item.quantity,
+  ...(item.variantId && { variantId: item.variantId }),
+  ...(item.modifiers.length > 0 && {
+    modifiers: item.modifiers.map(({ modifierId, quantity }) => ({ modifierId, quantity }))
+  })
+})
+
 const POS = () => {
   const [cart, setCart] = useState([])
   const [searchQuery, setSearchQuery] = useState('')
@@ -29,19 +79,115 @@ const POS = () => {
   const [paymentMethod, setPaymentMethod] = useState('cash')
   const [isProcessing, setIsProcessing] = useState(false)
   const [cashDrawerOpen, setCashDrawerOpen] = useState(false)
+  const [isOnline, setIsOnline] = useState(navigator.onLine)
+  const [queuedSales, setQueuedSales] = useState([])
+  const [isSyncing, setIsSyncing] = useState(false)
+  const [couponInput, setCouponInput] = useState('')
+  const [couponCode, setCouponCode] = useState('')
+  const [lastSale, setLastSale] = useState(null)
+  const [emailReceipt, setEmailReceipt] = useState(false)
+  const [isPrinting, setIsPrinting] = useState(false)
+  const [isParking, setIsParking] = useState(false)
+  const [optionsProduct, setOptionsProduct] = useState(null)
+  const [storeCreditInput, setStoreCreditInput] = useState('')
+  const [storeCredit, setStoreCredit] = useState(null)
+  const [loyaltyInput, setLoyaltyInput] = useState('')
+  const [loyaltyPoints, setLoyaltyPoints] = useState(0)
 
-  // Fetch products
-  const { data: products = [], isLoading } = useQuery(
+  // Fetch products (falls back to the offline catalog when the API is unreachable)
+  const { data: products = [], isLoading, refetch: refetchProducts } = useQuery(
     'pos-products',
     async () => {
-      const response = await api.get('/products')
-      return response.data
+      try {
+        const response = await api.get('/products', {
+          params: { limit: 1000 },
+          headers: { 'X-Silent-Request': 'true' }
+        })
+        const catalog = response.data.products || []
+        await cacheCatalog(catalog).catch(() => {})
+        return catalog
+      } catch (error) {
+        if (!isNetworkError(error)) throw error
+
+        setIsOnline(false)
+        return getCachedCatalog()
+      }
     },
     {
       refetchOnWindowFocus: false
     }
   )
 
+  // Parked carts at this location (any cashier can resume them)
+  const { data: parkedSales = [], refetch: refetchParked } = useQuery(
+    'pos-parked',
+    async () => {
+      const response = await api.get('/sales/pos/parked', {
+        headers: { 'X-Silent-Request': 'true' }
+      })
+      return response.data.parkedSales
+    },
+    {
+      enabled: isOnline,
+      refetchInterval: 30000,
+      refetchOnWindowFocus: false
+    }
+  )
+
+  const pendingCount = queuedSales.filter(sale => sale.status === 'pending').length
+  const conflictCount = queuedSales.length - pendingCount
+
+  const refreshQueue = async () => {
+    try {
+      setQueuedSales(await getQueuedSales())
+    } catch (error) {
+      console.error('Erro ao ler fila offline:', error)
+    }
+  }
+
+  const syncQueue = async () => {
+    if (isSyncing || !navigator.onLine) return
+
+    setIsSyncing(true)
+    try {
+      const summary = await syncQueuedSales(api)
+
+      if (summary) {
+        if (summary.created > 0) {
+          toast.success(`${summary.created} venda(s) offline sincronizada(s)`)
+        }
+        if (summary.conflict > 0 || summary.rejected > 0) {
+          toast.error(`${summary.conflict + summary.rejected} venda(s) offline com conflito de estoque ou erro`)
+        }
+        refetchProducts()
+      }
+    } catch (error) {
+      if (isNetworkError(error)) setIsOnline(false)
+    } finally {
+      setIsSyncing(false)
+      refreshQueue()
+    }
+  }
+
+  // Track connectivity and replay the offline queue when it returns
+  useEffect(() => {
+    const handleOnline = () => {
+      setIsOnline(true)
+      syncQueue()
+    }
+    const handleOffline = () => setIsOnline(false)
+
+    window.addEventListener('online', handleOnline)
+    window.addEventListener('offline', handleOffline)
+
+    refreshQueue().then(syncQueue)
+
+    return () => {
+      window.removeEventListener('online', handleOnline)
+      window.removeEventListener('offline', handleOffline)
+    }
+  }, [])
+
   // Filter products based on search
   const filteredProducts = products.filter(product =>
     product.name.toLowerCase().includes(searchQuery.toLowerCase()) ||
@@ -49,34 +195,190 @@ const POS = () => {
   )
 
   // Calculate cart totals
-  const subtotal = cart.reduce((sum, item) => sum + (item.price * item.quantity), 0)
-  const tax = subtotal * 0.18 // 18% tax for example
-  const total = subtotal + tax
+  // Server-side pricing (promotions, coupon and per-product tax)
+  const cartItems = cart.map(toSaleItem)
+
+  const { data: quote } = useQuery(
+    ['pos-quote', cartItems, couponCode, customer?.id, loyaltyPoints],
+    async () => {
+      const response = await api.post('/sales/pos/quote', {
+        items: cartItems,
+        couponCode: couponCode || undefined,
+        customerId: customer?.id,
+        loyaltyPoints: loyaltyPoints || undefined
+      }, {
+        headers: { 'X-Silent-Request': 'true' }
+      })
+      return response.data.quote
+    },
+    {
+      enabled: cart.length > 0 && isOnline,
+      keepPreviousData: true,
+      retry: false,
+      onError: (error) => {
+        if (error.response?.data?.code?.startsWith('LOYALTY_')) {
+          toast.error(error.response.data.error)
+          setLoyaltyPoints(0)
+        } else if (couponCode && error.response?.status === 400) {
+          toast.error(error.response.data?.error || 'Cupom inválido')
+          setCouponCode('')
+        }
+      }
+    }
+  )
+
+  // Offline (or before the quote arrives): list prices and product tax rates only
+  const localSubtotal = cart.reduce((sum, item) => sum + (item.price * item.quantity), 0)
+  const localTax = cart.reduce((sum, item) => sum + (item.price * item.quantity * (item.taxRate || 0) / 100), 0)
+
+  const hasQuote = cart.length > 0 && isOnline && quote
+  const subtotal = hasQuote ? quote.subtotal : localSubtotal
+  const discount = hasQuote ? quote.discount : 0
+  const tax = hasQuote ? quote.tax : localTax
+  const total = hasQuote ? quote.total : localSubtotal + localTax
+  const appliedPromotions = hasQuote ? quote.appliedPromotions : []
+  const loyaltyDiscount = hasQuote ? quote.loyaltyDiscount : 0
+  const loyalty = hasQuote ? quote.loyalty : null
+
+  const applyCoupon = () => {
+    setCouponCode(couponInput.trim().toUpperCase())
+  }
+
+  const removeCoupon = () => {
+    setCouponCode('')
+    setCouponInput('')
+  }
+
+  // Credit note or gift card: the available balance covers part or all of the sale
+  const applyStoreCredit = async () => {
+    try {
+      const response = await api.get(`/store-credits/balance/${encodeURIComponent(storeCreditInput.trim())}`, {
+        headers: { 'X-Silent-Request': 'true' }
+      })
+      const credit = response.data.storeCredit
+
+      if (!(credit.balance > 0)) {
+        toast.error(credit.status === 'expired' ? 'Vale vencido' : 'Vale sem saldo disponível')
+        return
+      }
+
+      setStoreCredit(credit)
+      setStoreCreditInput('')
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Erro ao consultar vale')
+    }
+  }
+
+  const removeStoreCredit = () => {
+    setStoreCredit(null)
+    setStoreCreditInput('')
+  }
+
+  // Loyalty points become a discount; the server checks balance and limits on the quote
+  const applyLoyaltyPoints = () => {
+    setLoyaltyPoints(parseInt(loyaltyInput) || 0)
+    setLoyaltyInput('')
+  }
+
+  const removeLoyaltyPoints = () => {
+    setLoyaltyPoints(0)
+    setLoyaltyInput('')
+  }
+
+  const storeCreditAmount = storeCredit ? Math.min(storeCredit.balance, total) : 0
+  const remainingTotal = Math.round((total - storeCreditAmount) * 100) / 100
+
+  // With a store credit the sale is split: credit first, the rest in the selected method
+  const buildPayments = () => {
+    if (!storeCredit) return { paymentMethod }
+
+    return {
+      payments: [
+        { method: 'store_credit', amount: storeCreditAmount, reference: storeCredit.code },
+        ...(remainingTotal > 0 ? [{ method: paymentMethod, amount: remainingTotal }] : [])
+      ]
+    }
+  }
+
+  // Products with variants or add-ons open the options picker first
+  const selectProduct = (product) => {
+    const hasOptions = (product.variants || []).some(variant => variant.isActive) ||
+      (product.modifiers || []).some(modifier => modifier.isActive)
+
+    if (hasOptions) {
+      setOptionsProduct(product)
+      return
+    }
+
+    addToCart(product)
+  }
+
+  const addToCart = (product, options = {}) => {
+    const line = buildCartLine(product, options)
+    const quantity = options.quantity || 1
 
-  const addToCart = (product) => {
     setCart(prevCart => {
-      const existingItem = prevCart.find(item => item.id === product.id)
+      const existingItem = prevCart.find(item => item.lineKey === line.lineKey)
       
       if (existingItem) {
         return prevCart.map(item =>
-          item.id === product.id
-            ? { ...item, quantity: item.quantity + 1 }
+          item.lineKey === line.lineKey
+            ? { ...item, quantity: roundQuantity(item.quantity + quantity) }
             : item
         )
       }
       
       return [...prevCart, {
-        ...product,
-        quantity: 1,
+        ...line,
+        quantity,
         cartId: Date.now()
       }]
     })
     
-    toast.success(`${product.name} adicionado ao carrinho`)
+    toast.success(`${line.name} adicionado ao carrinho`)
+  }
+
+  const confirmOptions = (options) => {
+    addToCart(optionsProduct, options)
+    setOptionsProduct(null)
+  }
+
+  // Barcode reader / Enter on the search box: SKU, barcode, variant code or scale label
+  const scanCode = async (code) => {
+    const trimmed = code.trim()
+    if (!trimmed) return
+
+    try {
+      const response = await api.get(`/products/search/${encodeURIComponent(trimmed)}`, {
+        headers: { 'X-Silent-Request': 'true' }
+      })
+      const { product, variant, scale, quantity } = response.data
+
+      if (variant || scale) {
+        addToCart(product, { variant, quantity, scaleCode: scale ? trimmed : undefined })
+      } else {
+        selectProduct(product)
+      }
+      setSearchQuery('')
+    } catch (error) {
+      if (!isNetworkError(error)) {
+        toast.error(error.response?.data?.error || 'Produto não encontrado')
+        return
+      }
+
+      // Offline: look the code up in the cached catalog
+      const product = products.find(p => p.sku === trimmed || p.barcode === trimmed)
+      if (product) {
+        selectProduct(product)
+        setSearchQuery('')
+      } else {
+        toast.error('Produto não encontrado no catálogo offline')
+      }
+    }
   }
 
   const updateQuantity = (cartId, newQuantity) => {
-    if (newQuantity < 1) {
+    if (!(newQuantity > 0)) {
       removeFromCart(cartId)
       return
     }
@@ -84,7 +386,7 @@ const POS = () => {
     setCart(prevCart =>
       prevCart.map(item =>
         item.cartId === cartId
-          ? { ...item, quantity: newQuantity }
+          ? { ...item, quantity: roundQuantity(newQuantity) }
           : item
       )
     )
@@ -100,6 +402,96 @@ const POS = () => {
     toast.success('Carrinho limpo')
   }
 
+  const parkCart = async () => {
+    if (cart.length === 0) return
+
+    setIsParking(true)
+    try {
+      await api.post('/sales/pos/park', {
+        items: cartItems,
+        customerId: customer?.id,
+        couponCode: couponCode || undefined,
+        label: customer?.name
+      }, {
+        headers: {
+          'X-Silent-Request': 'true',
+          'Idempotency-Key': generateIdempotencyKey()
+        }
+      })
+
+      toast.success('Carrinho suspenso')
+      setCart([])
+      setCustomer(null)
+      removeCoupon()
+      refetchParked()
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Erro ao suspender carrinho')
+    } finally {
+      setIsParking(false)
+    }
+  }
+
+  const resumeParked = async (parked) => {
+    if (cart.length > 0) {
+      toast.error('Finalize ou suspenda o carrinho atual antes de retomar outro')
+      return
+    }
+
+    try {
+      const response = await api.post(`/sales/pos/parked/${parked.id}/resume`, {}, {
+        headers: {
+          'X-Silent-Request': 'true',
+          'Idempotency-Key': generateIdempotencyKey()
+        }
+      })
+      const { cart: parkedCart } = response.data
+
+      setCart(parkedCart.items.map((item, index) => {
+        const product = products.find(p => p.id === item.productId) ||
+          { id: item.productId, name: item.name, price: item.price }
+        const variant = item.variantId
+          ? (product.variants || []).find(v => v.id === item.variantId) || { id: item.variantId, name: item.variantName }
+          : null
+
+        return {
+          ...buildCartLine(product, {
+            variant,
+            modifiers: item.modifiers || [],
+            price: item.price
+          }),
+          name: item.name,
+          quantity: item.quantity,
+          cartId: Date.now() + index
+        }
+      }))
+      setCustomer(parked.customer || null)
+      if (parkedCart.couponCode) {
+        setCouponInput(parkedCart.couponCode)
+        setCouponCode(parkedCart.couponCode)
+      }
+      toast.success(`Carrinho ${parked.label || parked.saleNumber} retomado`)
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Erro ao retomar carrinho')
+    } finally {
+      refetchParked()
+    }
+  }
+
+  const discardParked = async (parked) => {
+    if (!window.confirm(`Descartar o carrinho ${parked.label || parked.saleNumber}?`)) return
+
+    try {
+      await api.delete(`/sales/pos/parked/${parked.id}`, {
+        headers: { 'X-Silent-Request': 'true' }
+      })
+      toast.success('Carrinho descartado')
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Erro ao descartar carrinho')
+    } finally {
+      refetchParked()
+    }
+  }
+
   const handleCheckout = async () => {
     if (cart.length === 0) {
       toast.error('Adicione itens ao carrinho antes de finalizar')
@@ -108,36 +500,78 @@ const POS = () => {
 
     setIsProcessing(true)
     
-    try {
-      const saleData = {
-        items: cart.map(item => ({
-          productId: item.id,
-          quantity: item.quantity,
-          unitPrice: item.price
-        })),
-        customerId: customer?.id,
-        paymentMethod,
-        notes: ''
-      }
+    // Same key for the online attempt and the offline replay: the server never creates it twice
+    const saleData = {
+      idempotencyKey: generateIdempotencyKey(),
+      items: cartItems,
+      customerId: customer?.id,
+      ...buildPayments(),
+      couponCode: couponCode || undefined,
+      loyaltyPoints: loyaltyPoints || undefined,
+      emailReceipt: emailReceipt && !!customer?.email,
+      notes: ''
+    }
 
-      const response = await api.post('/sales', saleData)
+    try {
+      const response = await api.post('/sales/pos/checkout', saleData, {
+        headers: {
+          'X-Silent-Request': 'true',
+          'Idempotency-Key': saleData.idempotencyKey
+        }
+      })
       
       toast.success('Venda realizada com sucesso!')
-      clearCart()
+      if (response.data.receiptEmail) {
+        toast.success(`Recibo enviado para ${response.data.receiptEmail}`)
+      }
+      setCart([])
       setCustomer(null)
+      removeCoupon()
+      removeStoreCredit()
+      removeLoyaltyPoints()
       
-      // Print receipt if needed
-      if (response.data.receipt) {
-        // Handle receipt printing
-        console.log('Receipt:', response.data.receipt)
-      }
+      setLastSale(response.data.sale)
     } catch (error) {
-      toast.error('Erro ao processar venda')
+      if (isNetworkError(error)) {
+        try {
+          await queueSale(saleData)
+          setIsOnline(false)
+          toast.success('Sem conexão. Venda salva e será sincronizada automaticamente.')
+          setCart([])
+          setCustomer(null)
+          removeCoupon()
+          removeStoreCredit()
+          removeLoyaltyPoints()
+          refreshQueue()
+          refetchProducts()
+        } catch (queueError) {
+          console.error('Erro ao salvar venda offline:', queueError)
+          toast.error('Sem conexão e não foi possível salvar a venda offline')
+        }
+      } else {
+        toast.error(error.response?.data?.error || 'Erro ao processar venda')
+      }
     } finally {
       setIsProcessing(false)
     }
   }
 
+  const handlePrintReceipt = async () => {
+    if (!lastSale) return
+
+    setIsPrinting(true)
+    try {
+      const target = await printReceipt(api, lastSale.id)
+      if (target === 'bridge') {
+        toast.success(`Recibo ${lastSale.saleNumber} enviado para a impressora`)
+      }
+    } catch (error) {
+      toast.error('Erro ao imprimir recibo')
+    } finally {
+      setIsPrinting(false)
+    }
+  }
+
   const formatCurrency = (value) => {
     return new Intl.NumberFormat('pt-BR', {
       style: 'currency',
@@ -166,6 +600,25 @@ const POS = () => {
           </div>
           
           <div className="flex items-center space-x-3">
+            {!isOnline && (
+              <Badge variant="danger">
+                <WifiOff className="h-3 w-3 mr-1 inline" />
+                Offline
+              </Badge>
+            )}
+
+            {queuedSales.length > 0 && (
+              <Button
+                variant="outline"
+                icon={RefreshCw}
+                loading={isSyncing}
+                disabled={!isOnline || pendingCount === 0}
+                onClick={syncQueue}
+              >
+                {pendingCount} pendente(s){conflictCount > 0 && ` · ${conflictCount} com conflito`}
+              </Button>
+            )}
+
             <Button
               variant="outline"
               icon={History}
@@ -186,7 +639,7 @@ const POS = () => {
         {/* Main POS Interface */}
         <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
           {/* Products Grid - 2/3 width */}
-          <div className="lg:col-span-2">
+          <div className="lg:col-span-2 space-y-6">
             <Card>
               <div className="mb-6">
                 <Input
@@ -194,6 +647,9 @@ const POS = () => {
                   startIcon={Search}
                   value={searchQuery}
                   onChange={(e) => setSearchQuery(e.target.value)}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter') scanCode(searchQuery)
+                  }}
                   fullWidth
                 />
               </div>
@@ -202,7 +658,7 @@ const POS = () => {
                 {filteredProducts.map((product) => (
                   <button
                     key={product.id}
-                    onClick={() => addToCart(product)}
+                    onClick={() => selectProduct(product)}
                     className="group border border-gray-200 rounded-lg p-4 text-center hover:border-primary hover:shadow-md transition-all"
                   >
                     <div className="w-16 h-16 bg-gray-100 rounded-lg mx-auto mb-3 flex items-center justify-center group-hover:bg-primary/10 transition-colors">
@@ -218,19 +674,64 @@ const POS = () => {
                         {formatCurrency(product.price)}
                       </p>
                       <p className="text-xs text-gray-500">
-                        Estoque: {product.currentStock}
+                        Estoque: {product.stock} {product.unit !== 'un' ? product.unit : ''}
                       </p>
                     </div>
                     
                     <div className="mt-3">
-                      <Badge variant={product.currentStock > 0 ? 'success' : 'danger'}>
-                        {product.currentStock > 0 ? 'Disponível' : 'Esgotado'}
+                      <Badge variant={product.stock > 0 ? 'success' : 'danger'}>
+                        {product.stock > 0 ? 'Disponível' : 'Esgotado'}
                       </Badge>
                     </div>
                   </button>
                 ))}
               </div>
             </Card>
+
+            {/* Parked carts */}
+            {parkedSales.length > 0 && (
+              <Card>
+                <h2 className="text-lg font-semibold text-gray-900 mb-4">
+                  Carrinhos suspensos ({parkedSales.length})
+                </h2>
+
+                <div className="divide-y divide-gray-100">
+                  {parkedSales.map((parked) => (
+                    <div key={parked.id} className="flex items-center justify-between py-3">
+                      <div>
+                        <p className="font-medium text-gray-900">
+                          {parked.label || parked.customer?.name || parked.saleNumber}
+                        </p>
+                        <p className="text-sm text-gray-500">
+                          {parked.itemsCount} item(ns) · {formatCurrency(parked.total)} · {parked.parkedBy}
+                        </p>
+                        <p className="text-xs text-gray-400">
+                          Expira às {new Date(parked.parkedUntil).toLocaleTimeString('pt-BR', { hour: '2-digit', minute: '2-digit' })}
+                        </p>
+                      </div>
+
+                      <div className="flex items-center space-x-2">
+                        <Button
+                          variant="primary"
+                          size="sm"
+                          icon={PlayCircle}
+                          onClick={() => resumeParked(parked)}
+                        >
+                          Retomar
+                        </Button>
+                        <button
+                          onClick={() => discardParked(parked)}
+                          className="p-2 text-gray-400 hover:text-red-500 rounded"
+                          title="Descartar"
+                        >
+                          <Trash2 className="h-4 w-4" />
+                        </button>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </Card>
+            )}
           </div>
 
           {/* Cart Sidebar - 1/3 width */}
@@ -263,6 +764,11 @@ const POS = () => {
                           <div className="flex items-start justify-between">
                             <div>
                               <h4 className="font-medium text-gray-900">{item.name}</h4>
+                              {item.modifiers.map((modifier) => (
+                                <p key={modifier.modifierId} className="text-xs text-gray-500">
+                                  + {modifier.quantity > 1 ? `${modifier.quantity}x ` : ''}{modifier.name}
+                                </p>
+                              ))}
                               <p className="text-sm text-gray-500">{formatCurrency(item.price)}</p>
                             </div>
                             <button
@@ -281,7 +787,24 @@ const POS = () => {
                               <Minus className="h-3 w-3" />
                             </button>
                             
-                            <span className="font-medium">{item.quantity}</span>
+                            {isFractional(item) ? (
+                              <input
+                                type="number"
+                                step="0.001"
+                                min="0"
+                                value={item.quantity}
+                                onChange={(e) => {
+                                  const value = parseFloat(e.target.value)
+                                  if (value > 0) updateQuantity(item.cartId, value)
+                                }}
+                                className="w-20 px-2 py-1 text-sm border border-gray-300 rounded"
+                              />
+                            ) : (
+                              <span className="font-medium">{item.quantity}</span>
+                            )}
+                            {isFractional(item) && (
+                              <span className="text-sm text-gray-500">{item.unit}</span>
+                            )}
                             
                             <button
                               onClick={() => updateQuantity(item.cartId, item.quantity + 1)}
@@ -308,8 +831,29 @@ const POS = () => {
                   <span className="font-medium">{formatCurrency(subtotal)}</span>
                 </div>
                 
+                {appliedPromotions.map((promotion) => (
+                  <div key={promotion.promotionId} className="flex justify-between text-sm text-green-700">
+                    <span>{promotion.couponCode ? `Cupom ${promotion.couponCode}` : promotion.name}:</span>
+                    <span className="font-medium">-{formatCurrency(promotion.discount)}</span>
+                  </div>
+                ))}
+
+                {loyaltyDiscount > 0 && (
+                  <div className="flex justify-between text-sm text-green-700">
+                    <span>Pontos resgatados ({loyaltyPoints}):</span>
+                    <span className="font-medium">-{formatCurrency(loyaltyDiscount)}</span>
+                  </div>
+                )}
+
+                {discount > 0 && appliedPromotions.length + (loyaltyDiscount > 0 ? 1 : 0) > 1 && (
+                  <div className="flex justify-between text-sm">
+                    <span className="text-gray-600">Total de descontos:</span>
+                    <span className="font-medium text-green-700">-{formatCurrency(discount)}</span>
+                  </div>
+                )}
+                
                 <div className="flex justify-between text-sm">
-                  <span className="text-gray-600">Impostos (18%):</span>
+                  <span className="text-gray-600">Impostos:</span>
                   <span className="font-medium">{formatCurrency(tax)}</span>
                 </div>
                 
@@ -319,13 +863,81 @@ const POS = () => {
                 </div>
               </div>
 
+              {/* Coupon */}
+              <div className="mt-4">
+                {couponCode ? (
+                  <div className="flex items-center justify-between p-2 bg-green-50 rounded-lg">
+                    <span className="text-sm font-medium text-green-800">Cupom {couponCode}</span>
+                    <button
+                      onClick={removeCoupon}
+                      className="p-1 hover:bg-green-100 rounded"
+                    >
+                      <X className="h-4 w-4 text-green-700" />
+                    </button>
+                  </div>
+                ) : (
+                  <div className="flex gap-2">
+                    <Input
+                      placeholder="Cupom de desconto"
+                      value={couponInput}
+                      onChange={(e) => setCouponInput(e.target.value)}
+                      fullWidth
+                    />
+                    <Button
+                      variant="outline"
+                      onClick={applyCoupon}
+                      disabled={!couponInput.trim()}
+                    >
+                      Aplicar
+                    </Button>
+                  </div>
+                )}
+              </div>
+
+              {/* Store credit / gift card */}
+              <div className="mt-4">
+                {storeCredit ? (
+                  <div className="flex items-center justify-between p-2 bg-green-50 rounded-lg">
+                    <div className="text-sm text-green-800">
+                      <p className="font-medium">Vale {storeCredit.code}</p>
+                      <p>
+                        {formatCurrency(storeCreditAmount)} de {formatCurrency(storeCredit.balance)}
+                        {remainingTotal > 0 && ` · restante ${formatCurrency(remainingTotal)}`}
+                      </p>
+                    </div>
+                    <button
+                      onClick={removeStoreCredit}
+                      className="p-1 hover:bg-green-100 rounded"
+                    >
+                      <X className="h-4 w-4 text-green-700" />
+                    </button>
+                  </div>
+                ) : (
+                  <div className="flex gap-2">
+                    <Input
+                      placeholder="Código do vale"
+                      value={storeCreditInput}
+                      onChange={(e) => setStoreCreditInput(e.target.value)}
+                      fullWidth
+                    />
+                    <Button
+                      variant="outline"
+                      onClick={applyStoreCredit}
+                      disabled={!storeCreditInput.trim() || !isOnline}
+                    >
+                      Usar
+                    </Button>
+                  </div>
+                )}
+              </div>
+
               {/* Payment Method */}
               <div className="mt-4">
                 <label className="block text-sm font-medium text-gray-700 mb-2">
-                  Método de Pagamento
+                  {storeCredit ? 'Pagamento do Restante' : 'Método de Pagamento'}
                 </label>
-                <div className="grid grid-cols-3 gap-2">
-                  {['cash', 'credit_card', 'debit_card', 'pix', 'bank_slip', 'bank_transfer'].map((method) => (
+                <div className="grid grid-cols-2 gap-2">
+                  {['cash', 'card', 'pix', 'transfer'].map((method) => (
                     <button
                       key={method}
                       onClick={() => setPaymentMethod(method)}
@@ -338,11 +950,9 @@ const POS = () => {
                       `}
                     >
                       {method === 'cash' && 'Dinheiro'}
-                      {method === 'credit_card' && 'Crédito'}
-                      {method === 'debit_card' && 'Débito'}
+                      {method === 'card' && 'Cartão'}
                       {method === 'pix' && 'PIX'}
-                      {method === 'bank_slip' && 'Boleto'}
-                      {method === 'bank_transfer' && 'Transferência'}
+                      {method === 'transfer' && 'Transferência'}
                     </button>
                   ))}
                 </div>
@@ -362,12 +972,26 @@ const POS = () => {
                   Finalizar Venda Segura
                 </Button>
                 
+                <Button
+                  variant="outline"
+                  icon={PauseCircle}
+                  fullWidth
+                  loading={isParking}
+                  onClick={parkCart}
+                  disabled={cart.length === 0 || !isOnline}
+                >
+                  Suspender Venda
+                </Button>
+
                 <Button
                   variant="outline"
                   icon={Printer}
                   fullWidth
+                  loading={isPrinting}
+                  onClick={handlePrintReceipt}
+                  disabled={!lastSale}
                 >
-                  Imprimir Prévia
+                  {lastSale ? `Imprimir Recibo ${lastSale.saleNumber}` : 'Imprimir Recibo'}
                 </Button>
                 
                 <Button
@@ -397,7 +1021,10 @@ const POS = () => {
                       <p className="text-sm text-blue-700">{customer.email}</p>
                     </div>
                     <button
-                      onClick={() => setCustomer(null)}
+                      onClick={() => {
+                        setCustomer(null)
+                        removeLoyaltyPoints()
+                      }}
                       className="p-1 hover:bg-blue-100 rounded"
                     >
                       <X className="h-4 w-4 text-blue-500" />
@@ -416,6 +1043,56 @@ const POS = () => {
                     Selecionar Cliente
                   </Button>
                 )}
+
+                {customer && loyalty && (
+                  <div className="mt-2 text-sm text-blue-900">
+                    <p>
+                      {loyalty.balance} pontos · ganha {loyalty.pointsToEarn} nesta compra
+                      {loyalty.multiplier > 1 && ` (x${loyalty.multiplier})`}
+                    </p>
+                    {loyaltyPoints > 0 ? (
+                      <div className="mt-1 flex items-center justify-between p-2 bg-green-50 rounded-lg">
+                        <span className="font-medium text-green-800">Resgatando {loyaltyPoints} pontos</span>
+                        <button
+                          onClick={removeLoyaltyPoints}
+                          className="p-1 hover:bg-green-100 rounded"
+                        >
+                          <X className="h-4 w-4 text-green-700" />
+                        </button>
+                      </div>
+                    ) : loyalty.balance > 0 && (
+                      <div className="mt-1 flex gap-2">
+                        <Input
+                          type="number"
+                          min="1"
+                          placeholder="Pontos a resgatar"
+                          value={loyaltyInput}
+                          onChange={(e) => setLoyaltyInput(e.target.value)}
+                          fullWidth
+                        />
+                        <Button
+                          variant="outline"
+                          onClick={applyLoyaltyPoints}
+                          disabled={!(parseInt(loyaltyInput) > 0)}
+                        >
+                          Resgatar
+                        </Button>
+                      </div>
+                    )}
+                  </div>
+                )}
+
+                {customer?.email && (
+                  <label className="mt-2 flex items-center gap-2 text-sm text-blue-900">
+                    <input
+                      type="checkbox"
+                      checked={emailReceipt}
+                      onChange={(e) => setEmailReceipt(e.target.checked)}
+                      className="rounded border-gray-300 text-primary focus:ring-primary"
+                    />
+                    Enviar recibo por e-mail
+                  </label>
+                )}
               </div>
             </Card>
           </div>
@@ -424,7 +1101,11 @@ const POS = () => {
         {/* Quick Actions Bar */}
         <Card>
           <div className="flex flex-wrap items-center justify-center gap-3">
-            <Button variant="outline" icon={Barcode}>
+            <Button
+              variant="outline"
+              icon={Barcode}
+              onClick={() => scanCode(window.prompt('Código de barras ou etiqueta de balança') || '')}
+            >
               Ler Código de Barras
             </Button>
             <Button variant="outline">
@@ -442,6 +1123,14 @@ const POS = () => {
           </div>
         </Card>
       </div>
+
+      {optionsProduct && (
+        <ProductOptionsModal
+          product={optionsProduct}
+          onConfirm={confirmOptions}
+          onCancel={() => setOptionsProduct(null)}
+        />
+      )}
     </>
   )
 }
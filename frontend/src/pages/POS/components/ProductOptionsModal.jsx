@@ -0,0 +1,157 @@
+import React, { useState } from 'react'
+import { X, Plus, Minus, ShoppingCart } from 'lucide-react'
+import Card from '../../../components/ui/Card'
+import Button from '../../../components/ui/Button'
+import Badge from '../../../components/ui/Badge'
+import { formatCurrency } from '../../../utils/formatters'
+
+// Variant and add-on picker shown before adding a configurable product to the cart
+const ProductOptionsModal = ({ product, onConfirm, onCancel }) => {
+  const variants = (product.variants || []).filter((variant) => variant.isActive)
+  const modifiers = (product.modifiers || []).filter((modifier) => modifier.isActive)
+
+  const [variantId, setVariantId] = useState(
+    variants.find((variant) => variant.stock > 0)?.id || null
+  )
+  const [modifierQuantities, setModifierQuantities] = useState({})
+
+  const selectedVariant = variants.find((variant) => variant.id === variantId)
+  const basePrice = parseFloat(selectedVariant?.price ?? product.price)
+  const selectedModifiers = modifiers
+    .filter((modifier) => modifierQuantities[modifier.id] > 0)
+    .map((modifier) => ({
+      modifierId: modifier.id,
+      name: modifier.name,
+      price: parseFloat(modifier.price),
+      quantity: modifierQuantities[modifier.id]
+    }))
+  const unitPrice = basePrice + selectedModifiers.reduce((sum, modifier) =>
+    sum + modifier.price * modifier.quantity, 0)
+
+  // Group add-ons by their group name ("Extras", "Embalagem"...)
+  const modifierGroups = modifiers.reduce((groups, modifier) => {
+    const group = modifier.groupName || 'Adicionais'
+    groups[group] = [...(groups[group] || []), modifier]
+    return groups
+  }, {})
+
+  const changeModifier = (modifier, delta) => {
+    setModifierQuantities((prev) => {
+      const quantity = Math.min(
+        modifier.maxQuantity,
+        Math.max(0, (prev[modifier.id] || 0) + delta)
+      )
+      return { ...prev, [modifier.id]: quantity }
+    })
+  }
+
+  const canConfirm = variants.length === 0 || (selectedVariant && selectedVariant.stock > 0)
+
+  const handleConfirm = () => {
+    onConfirm({
+      variant: selectedVariant || null,
+      modifiers: selectedModifiers,
+      price: unitPrice
+    })
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
+      <Card className="max-w-lg w-full max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between mb-4 pb-4 border-b">
+          <div>
+            <h2 className="text-xl font-semibold text-gray-900">{product.name}</h2>
+            <p className="text-sm text-gray-600">Escolha as opções do produto</p>
+          </div>
+          <button
+            onClick={onCancel}
+            className="p-2 hover:bg-gray-100 rounded-lg"
+          >
+            <X className="h-5 w-5 text-gray-500" />
+          </button>
+        </div>
+
+        {variants.length > 0 && (
+          <div className="mb-6">
+            <h3 className="font-medium text-gray-900 mb-3">Variação</h3>
+            <div className="grid grid-cols-2 gap-3">
+              {variants.map((variant) => (
+                <button
+                  key={variant.id}
+                  type="button"
+                  disabled={variant.stock <= 0}
+                  onClick={() => setVariantId(variant.id)}
+                  className={`border rounded-lg p-3 text-left transition-all disabled:opacity-50 disabled:cursor-not-allowed ${
+                    variant.id === variantId
+                      ? 'border-primary bg-primary/5'
+                      : 'border-gray-200 hover:border-primary'
+                  }`}
+                >
+                  <p className="font-medium text-gray-900">{variant.name}</p>
+                  <p className="text-sm text-primary font-bold">
+                    {formatCurrency(variant.price ?? product.price)}
+                  </p>
+                  <Badge variant={variant.stock > 0 ? 'success' : 'danger'}>
+                    {variant.stock > 0 ? `Estoque: ${variant.stock}` : 'Esgotado'}
+                  </Badge>
+                </button>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {Object.entries(modifierGroups).map(([group, groupModifiers]) => (
+          <div key={group} className="mb-6">
+            <h3 className="font-medium text-gray-900 mb-3">{group}</h3>
+            <div className="space-y-2">
+              {groupModifiers.map((modifier) => (
+                <div key={modifier.id} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
+                  <div>
+                    <p className="font-medium text-gray-900">{modifier.name}</p>
+                    <p className="text-sm text-gray-500">+ {formatCurrency(modifier.price)}</p>
+                  </div>
+                  <div className="flex items-center gap-3">
+                    <button
+                      type="button"
+                      onClick={() => changeModifier(modifier, -1)}
+                      className="p-1 hover:bg-gray-200 rounded"
+                    >
+                      <Minus className="h-3 w-3" />
+                    </button>
+                    <span className="font-medium w-4 text-center">
+                      {modifierQuantities[modifier.id] || 0}
+                    </span>
+                    <button
+                      type="button"
+                      onClick={() => changeModifier(modifier, 1)}
+                      className="p-1 hover:bg-gray-200 rounded"
+                    >
+                      <Plus className="h-3 w-3" />
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        ))}
+
+        <div className="flex items-center justify-between pt-4 border-t">
+          <div>
+            <p className="text-sm text-gray-600">Preço unitário</p>
+            <p className="text-xl font-bold text-primary">{formatCurrency(unitPrice)}</p>
+          </div>
+          <Button
+            variant="primary"
+            icon={ShoppingCart}
+            disabled={!canConfirm}
+            onClick={handleConfirm}
+          >
+            Adicionar
+          </Button>
+        </div>
+      </Card>
+    </div>
+  )
+}
+
+export default ProductOptionsModal
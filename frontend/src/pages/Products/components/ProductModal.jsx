@@ -13,9 +13,12 @@ import {
   Building,
   Tag,
   AlertCircle,
+  Plus,
+  Trash2,
+  Layers,
   Image as ImageIcon
 } from 'lucide-react'
-import { useForm } from 'react-hook-form'
+import { useForm, useFieldArray } from 'react-hook-form'
 import { yupResolver } from '@hookform/resolvers/yup'
 import * as yup from 'yup'
 import { useMutation, useQueryClient } from 'react-query'
@@ -50,17 +53,14 @@ const productSchema = yup.object({
   minStock: yup.number()
     .typeError('Estoque mínimo deve ser um número')
     .required('Estoque mínimo é obrigatório')
-    .integer('Deve ser um número inteiro')
     .min(0, 'Não pode ser negativo'),
   currentStock: yup.number()
     .typeError('Estoque atual deve ser um número')
     .required('Estoque atual é obrigatório')
-    .integer('Deve ser um número inteiro')
     .min(0, 'Não pode ser negativo'),
   maxStock: yup.number()
     .typeError('Estoque máximo deve ser um número')
     .required('Estoque máximo é obrigatório')
-    .integer('Deve ser um número inteiro')
     .min(yup.ref('minStock'), 'Deve ser maior que o estoque mínimo'),
   location: yup.string(),
   weight: yup.number()
@@ -69,7 +69,30 @@ const productSchema = yup.object({
   dimensions: yup.string(),
   barcode: yup.string(),
   supplier: yup.string(),
-  isActive: yup.boolean().default(true)
+  isActive: yup.boolean().default(true),
+  variants: yup.array().of(yup.object({
+    name: yup.string().required('Nome da variação é obrigatório'),
+    sku: yup.string().required('SKU da variação é obrigatório'),
+    barcode: yup.string(),
+    price: yup.number()
+      .transform((value, original) => (original === '' || original === null ? undefined : value))
+      .typeError('Preço deve ser um número')
+      .positive('Preço deve ser positivo'),
+    stock: yup.number()
+      .typeError('Estoque deve ser um número')
+      .min(0, 'Não pode ser negativo')
+  })),
+  modifiers: yup.array().of(yup.object({
+    groupName: yup.string(),
+    name: yup.string().required('Nome do adicional é obrigatório'),
+    price: yup.number()
+      .typeError('Preço deve ser um número')
+      .min(0, 'Não pode ser negativo'),
+    maxQuantity: yup.number()
+      .typeError('Quantidade deve ser um número')
+      .integer('Deve ser um número inteiro')
+      .min(1, 'Mínimo 1')
+  }))
 })
 
 const ProductModal = ({ product, onClose, onSuccess }) => {
@@ -96,7 +119,8 @@ const ProductModal = ({ product, onClose, onSuccess }) => {
     formState: { errors },
     reset,
     watch,
-    setValue
+    setValue,
+    control
   } = useForm({
     resolver: yupResolver(productSchema),
     defaultValues: product || {
@@ -117,10 +141,26 @@ const ProductModal = ({ product, onClose, onSuccess }) => {
       dimensions: '',
       barcode: '',
       supplier: '',
-      isActive: true
+      isActive: true,
+      variants: [],
+      modifiers: []
     }
   })
 
+  const {
+    fields: variantFields,
+    append: appendVariant,
+    remove: removeVariant
+  } = useFieldArray({ control, name: 'variants', keyName: 'fieldId' })
+
+  const {
+    fields: modifierFields,
+    append: appendModifier,
+    remove: removeModifier
+  } = useFieldArray({ control, name: 'modifiers', keyName: 'fieldId' })
+
+  const hasVariants = variantFields.length > 0
+
   // Watch for price and cost changes to calculate margin
   const price = watch('price') || 0
   const costPrice = watch('costPrice') || 0
@@ -151,7 +191,11 @@ const ProductModal = ({ product, onClose, onSuccess }) => {
 
   useEffect(() => {
     if (product) {
-      reset(product)
+      reset({
+        ...product,
+        variants: (product.variants || []).filter((variant) => variant.isActive),
+        modifiers: product.modifiers || []
+      })
       if (product.image) {
         setImagePreview(product.image)
       }
@@ -161,7 +205,13 @@ const ProductModal = ({ product, onClose, onSuccess }) => {
   const onSubmit = async (data) => {
     setIsSubmitting(true)
     try {
-      await productMutation.mutateAsync(data)
+      await productMutation.mutateAsync({
+        ...data,
+        variants: data.variants.map((variant) => ({
+          ...variant,
+          price: variant.price || null
+        }))
+      })
     } finally {
       setIsSubmitting(false)
     }
@@ -348,7 +398,10 @@ const ProductModal = ({ product, onClose, onSuccess }) => {
                   <Input
                     label="Estoque Atual"
                     type="number"
+                    step="any"
                     placeholder="0"
+                    disabled={hasVariants}
+                    helperText={hasVariants ? 'Soma do estoque das variações' : undefined}
                     {...register('currentStock')}
                     error={errors.currentStock?.message}
                   />
@@ -356,6 +409,7 @@ const ProductModal = ({ product, onClose, onSuccess }) => {
                   <Input
                     label="Estoque Mínimo"
                     type="number"
+                    step="any"
                     placeholder="0"
                     {...register('minStock')}
                     error={errors.minStock?.message}
@@ -364,6 +418,7 @@ const ProductModal = ({ product, onClose, onSuccess }) => {
                   <Input
                     label="Estoque Máximo"
                     type="number"
+                    step="any"
                     placeholder="0"
                     {...register('maxStock')}
                     error={errors.maxStock?.message}
@@ -376,6 +431,151 @@ const ProductModal = ({ product, onClose, onSuccess }) => {
                   {...register('location')}
                 />
               </div>
+
+              {/* Variants */}
+              <div className="space-y-4">
+                <div className="flex items-center justify-between">
+                  <div>
+                    <h3 className="text-lg font-medium text-gray-900">
+                      Variações
+                    </h3>
+                    <p className="text-sm text-gray-600">
+                      Tamanho, cor ou outras opções com SKU e estoque próprios
+                    </p>
+                  </div>
+                  <Button
+                    type="button"
+                    variant="outline"
+                    size="sm"
+                    icon={Plus}
+                    onClick={() => appendVariant({
+                      name: '',
+                      sku: `${watch('sku') || 'SKU'}-${variantFields.length + 1}`,
+                      barcode: '',
+                      price: '',
+                      stock: 0,
+                      isActive: true
+                    })}
+                  >
+                    Adicionar Variação
+                  </Button>
+                </div>
+
+                {variantFields.map((field, index) => (
+                  <div key={field.fieldId} className="grid grid-cols-12 gap-3 items-start p-3 bg-gray-50 rounded-lg">
+                    <Input
+                      label="Nome"
+                      placeholder="Ex: M / Azul"
+                      className="col-span-3"
+                      {...register(`variants.${index}.name`)}
+                      error={errors.variants?.[index]?.name?.message}
+                    />
+                    <Input
+                      label="SKU"
+                      className="col-span-3"
+                      {...register(`variants.${index}.sku`)}
+                      error={errors.variants?.[index]?.sku?.message}
+                    />
+                    <Input
+                      label="Código de Barras"
+                      className="col-span-2"
+                      {...register(`variants.${index}.barcode`)}
+                    />
+                    <Input
+                      label="Preço"
+                      type="number"
+                      step="0.01"
+                      placeholder={String(price || '')}
+                      className="col-span-2"
+                      {...register(`variants.${index}.price`)}
+                      error={errors.variants?.[index]?.price?.message}
+                    />
+                    <Input
+                      label="Estoque"
+                      type="number"
+                      step="any"
+                      className="col-span-1"
+                      {...register(`variants.${index}.stock`)}
+                      error={errors.variants?.[index]?.stock?.message}
+                    />
+                    <button
+                      type="button"
+                      onClick={() => removeVariant(index)}
+                      className="col-span-1 mt-7 p-2 text-red-500 hover:bg-red-50 rounded-lg"
+                    >
+                      <Trash2 className="h-4 w-4" />
+                    </button>
+                  </div>
+                ))}
+              </div>
+
+              {/* Modifiers */}
+              <div className="space-y-4">
+                <div className="flex items-center justify-between">
+                  <div>
+                    <h3 className="text-lg font-medium text-gray-900">
+                      Adicionais
+                    </h3>
+                    <p className="text-sm text-gray-600">
+                      Opções cobradas à parte (ex: extra queijo, embalagem para presente)
+                    </p>
+                  </div>
+                  <Button
+                    type="button"
+                    variant="outline"
+                    size="sm"
+                    icon={Layers}
+                    onClick={() => appendModifier({
+                      groupName: '',
+                      name: '',
+                      price: 0,
+                      maxQuantity: 1,
+                      isActive: true
+                    })}
+                  >
+                    Adicionar Opção
+                  </Button>
+                </div>
+
+                {modifierFields.map((field, index) => (
+                  <div key={field.fieldId} className="grid grid-cols-12 gap-3 items-start p-3 bg-gray-50 rounded-lg">
+                    <Input
+                      label="Grupo"
+                      placeholder="Ex: Extras"
+                      className="col-span-3"
+                      {...register(`modifiers.${index}.groupName`)}
+                    />
+                    <Input
+                      label="Nome"
+                      className="col-span-4"
+                      {...register(`modifiers.${index}.name`)}
+                      error={errors.modifiers?.[index]?.name?.message}
+                    />
+                    <Input
+                      label="Preço"
+                      type="number"
+                      step="0.01"
+                      className="col-span-2"
+                      {...register(`modifiers.${index}.price`)}
+                      error={errors.modifiers?.[index]?.price?.message}
+                    />
+                    <Input
+                      label="Máx."
+                      type="number"
+                      className="col-span-2"
+                      {...register(`modifiers.${index}.maxQuantity`)}
+                      error={errors.modifiers?.[index]?.maxQuantity?.message}
+                    />
+                    <button
+                      type="button"
+                      onClick={() => removeModifier(index)}
+                      className="col-span-1 mt-7 p-2 text-red-500 hover:bg-red-50 rounded-lg"
+                    >
+                      <Trash2 className="h-4 w-4" />
+                    </button>
+                  </div>
+                ))}
+              </div>
             </div>
 
             {/* Right Column - Additional Info */}
@@ -449,6 +649,7 @@ const ProductModal = ({ product, onClose, onSuccess }) => {
                   <Input
                     label="Unidade"
                     placeholder="un, kg, m, etc."
+                    helperText="kg, g, l, ml e m aceitam quantidades fracionadas"
                     {...register('unit')}
                     error={errors.unit?.message}
                   />
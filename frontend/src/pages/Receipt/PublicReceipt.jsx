@@ -0,0 +1,177 @@
+import React from 'react'
+import { useParams } from 'react-router-dom'
+import { useQuery } from 'react-query'
+import { Helmet } from 'react-helmet-async'
+import { Download, Receipt, AlertTriangle } from 'lucide-react'
+import Card from '../../components/ui/Card'
+import Button from '../../components/ui/Button'
+import Badge from '../../components/ui/Badge'
+import LoadingSpinner from '../../components/common/LoadingSpinner'
+import api from '../../services/api'
+import { formatCurrency, formatDateTime } from '../../utils/formatters'
+
+const PAYMENT_LABELS = {
+  cash: 'Dinheiro',
+  card: 'Cartão',
+  pix: 'PIX',
+  transfer: 'Transferência',
+  store_credit: 'Vale',
+  multiple: 'Múltiplas'
+}
+
+// Receipt opened from the e-mail link or the QR code: no login, the signed token grants access
+const PublicReceipt = () => {
+  const { token } = useParams()
+
+  const { data: receipt, isLoading, isError } = useQuery(
+    ['public-receipt', token],
+    async () => {
+      const response = await api.get(`/public/receipts/${token}`, {
+        headers: { 'X-Silent-Request': 'true' }
+      })
+      return response.data.receipt
+    },
+    { retry: false, refetchOnWindowFocus: false }
+  )
+
+  if (isLoading) {
+    return <LoadingSpinner fullScreen message="Carregando recibo..." />
+  }
+
+  if (isError || !receipt) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50 p-4">
+        <Card className="max-w-md w-full text-center">
+          <AlertTriangle className="h-10 w-10 text-yellow-500 mx-auto mb-3" />
+          <h1 className="text-lg font-semibold">Recibo indisponível</h1>
+          <p className="text-sm text-gray-600 mt-1">
+            O link é inválido ou expirou. Solicite um novo recibo à loja.
+          </p>
+        </Card>
+      </div>
+    )
+  }
+
+  const { company, sale } = receipt
+  const tenders = sale.tenders?.length > 0
+    ? sale.tenders
+    : [{ method: sale.paymentMethod, tendered: sale.total }]
+
+  return (
+    <>
+      <Helmet>
+        <title>Recibo {sale.number} - {company.name}</title>
+      </Helmet>
+
+      <div className="min-h-screen bg-gray-50 py-8 px-4">
+        <Card className="max-w-md mx-auto">
+          <div className="text-center border-b border-gray-200 pb-4">
+            <Receipt className="h-8 w-8 text-primary mx-auto mb-2" />
+            <h1 className="text-xl font-bold">{company.name}</h1>
+            {company.phone && <p className="text-sm text-gray-600">Tel: {company.phone}</p>}
+            {company.email && <p className="text-sm text-gray-600">{company.email}</p>}
+            {sale.location && <p className="text-sm text-gray-600">{sale.location}</p>}
+          </div>
+
+          <div className="py-4 border-b border-gray-200 text-sm space-y-1">
+            <div className="flex justify-between">
+              <span className="text-gray-600">Venda</span>
+              <span className="font-medium">{sale.number}</span>
+            </div>
+            <div className="flex justify-between">
+              <span className="text-gray-600">Data</span>
+              <span>{formatDateTime(sale.date)}</span>
+            </div>
+            <div className="flex justify-between">
+              <span className="text-gray-600">Cliente</span>
+              <span>{sale.customer}</span>
+            </div>
+            {sale.status === 'cancelled' && (
+              <div className="pt-2 text-center">
+                <Badge variant="danger">VENDA CANCELADA</Badge>
+              </div>
+            )}
+          </div>
+
+          <div className="py-4 border-b border-gray-200 space-y-2">
+            {sale.items.map((item, index) => (
+              <div key={index} className="text-sm">
+                <p className="font-medium">{item.name}</p>
+                <div className="flex justify-between text-gray-600">
+                  <span>
+                    {item.unit && item.unit !== 'un' ? `${item.quantity} ${item.unit}` : item.quantity} x {formatCurrency(item.price, true, sale.currency)}
+                  </span>
+                  <span>{formatCurrency(item.subtotal ?? item.price * item.quantity, true, sale.currency)}</span>
+                </div>
+                {parseFloat(item.discount) > 0 && (
+                  <div className="flex justify-between text-green-600">
+                    <span>Desconto</span>
+                    <span>-{formatCurrency(item.discount, true, sale.currency)}</span>
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+
+          <div className="py-4 border-b border-gray-200 text-sm space-y-1">
+            <div className="flex justify-between">
+              <span className="text-gray-600">Subtotal</span>
+              <span>{formatCurrency(sale.subtotal, true, sale.currency)}</span>
+            </div>
+            {parseFloat(sale.discount) > 0 && (
+              <div className="flex justify-between">
+                <span className="text-gray-600">Descontos</span>
+                <span>-{formatCurrency(sale.discount, true, sale.currency)}</span>
+              </div>
+            )}
+            {sale.loyaltyPointsRedeemed > 0 && (
+              <div className="flex justify-between">
+                <span className="text-gray-600 pl-2">Pontos resgatados ({sale.loyaltyPointsRedeemed})</span>
+                <span>-{formatCurrency(sale.loyaltyDiscount, true, sale.currency)}</span>
+              </div>
+            )}
+            <div className="flex justify-between">
+              <span className="text-gray-600">Impostos</span>
+              <span>{formatCurrency(sale.tax, true, sale.currency)}</span>
+            </div>
+            <div className="flex justify-between text-base font-bold pt-1">
+              <span>Total</span>
+              <span>{formatCurrency(sale.total, true, sale.currency)}</span>
+            </div>
+          </div>
+
+          <div className="py-4 text-sm space-y-1">
+            {tenders.map((tender, index) => (
+              <div key={index} className="flex justify-between">
+                <span className="text-gray-600">{PAYMENT_LABELS[tender.method] || tender.method}</span>
+                <span>{formatCurrency(tender.tendered ?? tender.amount, true, sale.currency)}</span>
+              </div>
+            ))}
+            {parseFloat(sale.change) > 0 && (
+              <div className="flex justify-between">
+                <span className="text-gray-600">Troco</span>
+                <span>{formatCurrency(sale.change, true, sale.currency)}</span>
+              </div>
+            )}
+            {sale.loyaltyPointsEarned > 0 && (
+              <p className="pt-2 text-center text-gray-600">Pontos ganhos nesta compra: {sale.loyaltyPointsEarned}</p>
+            )}
+          </div>
+
+          <Button
+            onClick={() => { window.location.href = `${import.meta.env.VITE_API_URL}/public/receipts/${token}/pdf` }}
+            variant="primary"
+            icon={Download}
+            fullWidth
+          >
+            Baixar PDF
+          </Button>
+
+          <p className="text-center text-sm text-gray-500 mt-4">{receipt.footer}</p>
+        </Card>
+      </div>
+    </>
+  )
+}
+
+export default PublicReceipt
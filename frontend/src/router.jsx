@@ -12,6 +12,9 @@ const Register = lazy(() => import('./pages/Auth/Register'))
 const ForgotPassword = lazy(() => import('./pages/Auth/ForgotPassword'))
 const ResetPassword = lazy(() => import('./pages/Auth/ResetPassword'))
 
+// Public Pages
+const PublicReceipt = lazy(() => import('./pages/Receipt/PublicReceipt'))
+
 // Main Pages
 const Dashboard = lazy(() => import('./pages/Dashboard/Dashboard'))
 const POS = lazy(() => import('./pages/POS/POS'))
@@ -52,6 +55,9 @@ const RouterConfig = () => {
         </Route>
       </Route>
 
+      {/* Public Routes (signed link, no login) */}
+      <Route path="/r/:token" element={<PublicReceipt />} />
+
       {/* Protected Routes */}
       <Route element={<ProtectedRoute />}>
         <Route element={<MainLayout />}>
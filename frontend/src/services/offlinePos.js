@@ -0,0 +1,212 @@
+// Offline support for the POS: product catalog cache and queued checkouts (IndexedDB)
+
+const DB_NAME = 'bizflow-pos'
+const DB_VERSION = 1
+const CATALOG_STORE = 'catalog'
+const QUEUE_STORE = 'pendingSales'
+
+let dbPromise = null
+
+/**
+ * Open (and create on first use) the POS IndexedDB database
+ * @returns {Promise<IDBDatabase>} Database connection
+ */
+const openDatabase = () => {
+  if (dbPromise) return dbPromise
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (!('indexedDB' in window)) {
+      reject(new Error('IndexedDB não suportado neste navegador'))
+      return
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION)
+
+    request.onupgradeneeded = () => {
+      const db = request.result
+
+      if (!db.objectStoreNames.contains(CATALOG_STORE)) {
+        db.createObjectStore(CATALOG_STORE, { keyPath: 'id' })
+      }
+
+      if (!db.objectStoreNames.contains(QUEUE_STORE)) {
+        const queue = db.createObjectStore(QUEUE_STORE, { keyPath: 'idempotencyKey' })
+        queue.createIndex('createdAt', 'createdAt')
+      }
+    }
+
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => {
+      dbPromise = null
+      reject(request.error)
+    }
+  })
+
+  return dbPromise
+}
+
+/**
+ * Run a callback inside an IndexedDB transaction
+ * @param {string} storeName - Object store name
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+ * @param {Function} callback - Receives the object store, may return a request
+ * @returns {Promise<any>} Request result (if any) once the transaction completes
+ */
+const withStore = async (storeName, mode, callback) => {
+  const db = await openDatabase()
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode)
+    const request = callback(transaction.objectStore(storeName))
+
+    transaction.oncomplete = () => resolve(request?.result)
+    transaction.onerror = () => reject(transaction.error)
+    transaction.onabort = () => reject(transaction.error)
+  })
+}
+
+/**
+ * Generate a client-side idempotency key for a sale
+ * @returns {string} Unique key
+ */
+export const generateIdempotencyKey = () => {
+  if (window.crypto?.randomUUID) {
+    return window.crypto.randomUUID()
+  }
+
+  return `pos-${Date.now()}-${Math.random().toString(36).slice(2, 12)}`
+}
+
+/**
+ * Check whether a failed request was caused by lack of connectivity
+ * @param {Error} error - Axios error
+ * @returns {boolean} True if the API was unreachable
+ */
+export const isNetworkError = (error) => {
+  return !navigator.onLine || (!!error?.request && !error?.response)
+}
+
+/**
+ * Replace the cached product catalog
+ * @param {Array} products - Products returned by the API
+ */
+export const cacheCatalog = async (products) => {
+  await withStore(CATALOG_STORE, 'readwrite', (store) => {
+    store.clear()
+    products.forEach(product => store.put(product))
+  })
+}
+
+/**
+ * Get the cached product catalog
+ * @returns {Promise<Array>} Cached products
+ */
+export const getCachedCatalog = async () => {
+  return (await withStore(CATALOG_STORE, 'readonly', (store) => store.getAll())) || []
+}
+
+/**
+ * Decrease cached stock after an offline sale so the catalog stays realistic
+ * @param {Array} items - Sale items ({ productId, quantity })
+ */
+const decrementCachedStock = async (items) => {
+  const products = await getCachedCatalog()
+  const byId = new Map(products.map(product => [product.id, product]))
+
+  await withStore(CATALOG_STORE, 'readwrite', (store) => {
+    items.forEach(item => {
+      const product = byId.get(item.productId)
+      if (product) {
+        store.put({ ...product, stock: Math.max(0, (product.stock || 0) - item.quantity) })
+      }
+    })
+  })
+}
+
+/**
+ * Queue a checkout to be synced when the connection returns
+ * @param {Object} sale - Checkout payload (must include idempotencyKey)
+ * @returns {Promise<Object>} Queued entry
+ */
+export const queueSale = async (sale) => {
+  const entry = {
+    ...sale,
+    createdAt: sale.createdAt || new Date().toISOString(),
+    status: 'pending',
+    error: null
+  }
+
+  await withStore(QUEUE_STORE, 'readwrite', (store) => store.put(entry))
+  await decrementCachedStock(sale.items)
+
+  return entry
+}
+
+/**
+ * Get queued checkouts in the order they were made
+ * @returns {Promise<Array>} Queued sales
+ */
+export const getQueuedSales = async () => {
+  const sales = (await withStore(QUEUE_STORE, 'readonly', (store) => store.getAll())) || []
+  return sales.sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+}
+
+/**
+ * Replay queued checkouts against the sync endpoint
+ * Created and duplicate sales leave the queue; conflicts stay flagged for review
+ * @param {Object} api - Axios instance
+ * @returns {Promise<Object|null>} Sync summary or null when there is nothing to sync
+ */
+export const syncQueuedSales = async (api) => {
+  const queued = await getQueuedSales()
+  const pending = queued.filter(sale => sale.status === 'pending')
+
+  if (pending.length === 0) return null
+
+  const response = await api.post('/sales/pos/sync', {
+    sales: pending.map(({ status, error, ...sale }) => sale)
+  }, {
+    headers: { 'X-Silent-Request': 'true' }
+  })
+
+  const { results, summary } = response.data
+
+  await withStore(QUEUE_STORE, 'readwrite', (store) => {
+    results.forEach(result => {
+      if (result.status === 'created' || result.status === 'duplicate') {
+        store.delete(result.idempotencyKey)
+        return
+      }
+
+      const sale = pending.find(entry => entry.idempotencyKey === result.idempotencyKey)
+      if (sale) {
+        store.put({ ...sale, status: result.status, error: result.error, details: result.details })
+      }
+    })
+  })
+
+  return summary
+}
+
+/**
+ * Remove a queued sale (e.g. a conflict discarded by the manager)
+ * @param {string} idempotencyKey - Queued sale key
+ */
+export const removeQueuedSale = async (idempotencyKey) => {
+  await withStore(QUEUE_STORE, 'readwrite', (store) => store.delete(idempotencyKey))
+}
+
+/**
+ * Put a flagged sale back in the queue to be retried on the next sync
+ * @param {string} idempotencyKey - Queued sale key
+ */
+export const retryQueuedSale = async (idempotencyKey) => {
+  const sales = await getQueuedSales()
+  const sale = sales.find(entry => entry.idempotencyKey === idempotencyKey)
+
+  if (sale) {
+    await withStore(QUEUE_STORE, 'readwrite', (store) =>
+      store.put({ ...sale, status: 'pending', error: null, details: null })
+    )
+  }
+}
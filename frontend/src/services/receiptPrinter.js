@@ -0,0 +1,69 @@
+// Thermal receipt printing for the POS: ESC/POS through a local print bridge, plain text as fallback
+
+const PRINT_BRIDGE_URL = import.meta.env.VITE_PRINT_BRIDGE_URL
+const PAPER_WIDTH = import.meta.env.VITE_RECEIPT_PAPER_WIDTH || '80'
+
+/**
+ * Print plain text through the browser print dialog (hidden iframe)
+ * @param {string} text - Receipt rendered as monospaced text
+ */
+const printText = (text) => {
+  const frame = document.createElement('iframe')
+  frame.style.position = 'fixed'
+  frame.style.width = '0'
+  frame.style.height = '0'
+  frame.style.border = '0'
+  document.body.appendChild(frame)
+
+  const frameDocument = frame.contentWindow.document
+  frameDocument.open()
+  frameDocument.write('<pre style="font: 12px monospace; margin: 0"></pre>')
+  frameDocument.close()
+  frameDocument.querySelector('pre').textContent = text
+
+  frame.contentWindow.focus()
+  frame.contentWindow.print()
+  setTimeout(() => frame.remove(), 1000)
+}
+
+/**
+ * Print a sale receipt. Sends the raw ESC/POS payload to the local print bridge
+ * when configured, otherwise prints the text version in the browser.
+ * @param {Object} api - Axios instance
+ * @param {string} saleId - Sale ID
+ * @param {Object} [options] - { openDrawer }
+ * @returns {Promise<'bridge'|'browser'>} Where the receipt was printed
+ */
+export const printReceipt = async (api, saleId, { openDrawer = false } = {}) => {
+  if (PRINT_BRIDGE_URL) {
+    try {
+      const response = await api.get(`/sales/${saleId}/receipt/print`, {
+        params: { format: 'escpos', paperWidth: PAPER_WIDTH, openDrawer },
+        responseType: 'arraybuffer',
+        headers: { 'X-Silent-Request': 'true' }
+      })
+
+      const bridgeResponse = await fetch(PRINT_BRIDGE_URL, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/octet-stream' },
+        body: response.data
+      })
+
+      if (!bridgeResponse.ok) {
+        throw new Error(`Ponte de impressão respondeu ${bridgeResponse.status}`)
+      }
+
+      return 'bridge'
+    } catch (error) {
+      console.error('Erro ao imprimir pela ponte de impressão:', error)
+    }
+  }
+
+  const response = await api.get(`/sales/${saleId}/receipt/print`, {
+    params: { format: 'text', paperWidth: PAPER_WIDTH },
+    responseType: 'text'
+  })
+
+  printText(response.data)
+  return 'browser'
+}
@@ -50,14 +50,13 @@ export const formatRelativeTime = (date) => {
 }
 
 /**
- * Format currency in Brazilian Real
+ * Format currency (Brazilian Real by default)
  * @param {number} value - Amount to format
  * @param {boolean} showSymbol - Whether to show currency symbol
+ * @param {string} currency - ISO 4217 currency code
  * @returns {string} Formatted currency
  */
-export const formatCurrency = (value, showSymbol = true) => {
-  if (value === null || value === undefined) return showSymbol ? 'R$ 0,00' : '0,00'
-  
+export const formatCurrency = (value, showSymbol = true, currency = 'BRL') => {
   const options = {
     minimumFractionDigits: 2,
     maximumFractionDigits: 2
@@ -65,10 +64,10 @@ export const formatCurrency = (value, showSymbol = true) => {
   
   if (showSymbol) {
     options.style = 'currency'
-    options.currency = 'BRL'
+    options.currency = currency || 'BRL'
   }
   
-  return new Intl.NumberFormat('pt-BR', options).format(value)
+  return new Intl.NumberFormat('pt-BR', options).format(value ?? 0)
 }
 
 /**